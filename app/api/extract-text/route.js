@@ -1,6 +1,9 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
+import { parseFountain, serializeFountain } from '@/lib/screenplay/fountain';
+import { FdxFormatError, parseFdx } from '@/lib/screenplay/fdx';
+import { summarizeScript } from '@/lib/screenplay/formats';
 
 export async function POST(request) {
   try {
@@ -25,6 +28,7 @@ export async function POST(request) {
 
     let extractedText = '';
     let fileType = 'unknown';
+    let script = null;
 
     // Handle different file types
     if (fileName.endsWith('.txt') || fileName.endsWith('.md') || fileName.endsWith('.csv')) {
@@ -32,6 +36,26 @@ export async function POST(request) {
       extractedText = buffer.toString('utf-8');
       fileType = 'text';
     }
+    else if (fileName.endsWith('.fountain')) {
+      // Fountain screenplays stay as Fountain, which the script editor reads
+      extractedText = buffer.toString('utf-8');
+      script = parseFountain(extractedText);
+      fileType = 'fountain';
+    }
+    else if (fileName.endsWith('.fdx')) {
+      // Final Draft screenplays are converted to Fountain
+      try {
+        script = parseFdx(buffer.toString('utf-8'));
+        extractedText = serializeFountain(script);
+        fileType = 'fdx';
+      } catch (fdxError) {
+        console.error('FDX parsing error:', fdxError);
+        return NextResponse.json(
+          { success: false, error: fdxError instanceof FdxFormatError ? `Invalid Final Draft file: ${fdxError.message}` : 'Failed to parse Final Draft file' },
+          { status: 400 }
+        );
+      }
+    }
     else if (fileName.endsWith('.pdf')) {
       // PDF files
       try {
@@ -118,7 +142,8 @@ export async function POST(request) {
       fileType,
       fileName: file.name,
       charCount: extractedText.length,
-      wordCount: extractedText.split(/\s+/).filter(w => w.length > 0).length
+      wordCount: extractedText.split(/\s+/).filter(w => w.length > 0).length,
+      ...(script && { screenplay: summarizeScript(script) })
     });
 
   } catch (error) {
@@ -0,0 +1,80 @@
+/**
+ * POST /api/script-editor/export
+ *
+ * Downloads a script as Fountain, Final Draft (.fdx) or a screenplay PDF
+ * Body: { content, format?: 'fountain' | 'fdx' | 'pdf', title?, numberScenes? }
+ * or { versionId, format?, numberScenes? } for a saved ScriptVersion
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import ScriptVersion from '@/lib/models/ScriptVersion';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import { getSessionUserId } from '@/lib/graph-scope';
+import { SCRIPT_FORMATS, SCRIPT_FORMAT_FILES, isScriptFormat, readScript, serializeScript } from '@/lib/screenplay/formats';
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { versionId, format = 'fountain', numberScenes = true } = body;
+    let { content, title } = body;
+
+    // A saved version, titled after its workflow
+    if (versionId) {
+      if (!mongoose.isValidObjectId(versionId)) {
+        return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+      }
+      await connectDB();
+      const version = await ScriptVersion.findById(versionId).select('workflowId content');
+      const workflow = version && await ScriptWorkflow.findOne({ _id: version.workflowId, userId }).select('name');
+      if (!version || !workflow) {
+        return NextResponse.json({ error: 'Version not found' }, { status: 404 });
+      }
+      content = version.content;
+      title ??= workflow.name;
+    }
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return NextResponse.json({ error: 'Content or versionId is required' }, { status: 400 });
+    }
+    if (!isScriptFormat(format)) {
+      return NextResponse.json(
+        { error: `Invalid format. Must be one of: ${SCRIPT_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const scriptTitle = typeof title === 'string' ? title.trim() : '';
+    const script = readScript(content, scriptTitle);
+    const { extension, contentType } = SCRIPT_FORMAT_FILES[format];
+    const slug = scriptTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const filename = `${slug || 'script'}.${extension}`;
+
+    const file = await serializeScript(script, format, { numberScenes: Boolean(numberScenes) });
+
+    return new NextResponse(typeof file === 'string' ? file : new Uint8Array(file), {
+      headers: {
+        'Content-Type': typeof file === 'string' ? `${contentType}; charset=utf-8` : contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+  } catch (error) {
+    console.error('Export script error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to export script',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
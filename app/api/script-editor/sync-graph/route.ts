@@ -1,10 +1,20 @@
 
 import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
 import { analyzeManuscript } from '@/lib/agents/story-intelligence-core';
 import { updateGraph, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { syncChapter, summarizeDiff } from '@/lib/agents/graph-diff';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 export async function POST(request: NextRequest) {
   try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
     const { text, workflowId, chapterNumber = 1, replaceGraph = false } = await request.json();
 
     if (!text || !workflowId) {
@@ -14,6 +24,11 @@ export async function POST(request: NextRequest) {
       );
     }
 
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
     // 1. Analyze the new text using Gemini to extract graph elements
     const analysis = await analyzeManuscript(text, chapterNumber);
 
@@ -25,18 +40,33 @@ export async function POST(request: NextRequest) {
     // 2. Initialize schema (safe to call repeatedly)
     await initializeGraphSchema();
 
-    // 3. Update the knowledge graph
-    const result = await updateGraph(analysis, replaceGraph);
+    const analysisSummary = {
+      characters: analysis.characters.length,
+      locations: analysis.locations.length,
+      events: analysis.events.length
+    };
+
+    // 3. Apply only what changed in this chapter, unless a full rebuild was asked for
+    if (!replaceGraph) {
+      const diff = await syncChapter(scope, analysis);
 
-    if (result.success) {
       return NextResponse.json({
         success: true,
         message: 'Knowledge graph synchronized',
-        analysisSummary: {
-          characters: analysis.characters.length,
-          locations: analysis.locations.length,
-          events: analysis.events.length
-        }
+        summary: summarizeDiff(diff),
+        diff,
+        analysisSummary
+      });
+    }
+
+    const result = await updateGraph(analysis, scope, true);
+
+    if (result.success) {
+      return NextResponse.json({
+        success: true,
+        message: 'Knowledge graph rebuilt',
+        summary: 'Graph rebuilt from this chapter',
+        analysisSummary
       });
     } else {
       return NextResponse.json(
@@ -2,14 +2,15 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { getFlashModel } from '@/lib/gemini';
-import { runQuery } from '@/lib/neo4j';
+import { getScopeSnapshot } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 /**
  * AI Creative Assistant API
  * 
  * Provides intelligent creative suggestions using:
  * - Current scene text
- * - Story knowledge graph from Neo4j
+ * - Story knowledge graph (Neo4j or the embedded store)
  * - User intent (scene, dialogue, plot, character, theme)
  * 
  * Returns suggestions ONLY - never modifies story or writes to database
@@ -24,11 +25,12 @@ import { runQuery } from '@/lib/neo4j';
 export async function POST(request) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { documentId, sceneId, currentSceneText, intent } = await request.json();
+    const { documentId, workflowId, sceneId, currentSceneText, intent } = await request.json();
 
     if (!currentSceneText || !intent) {
       return NextResponse.json(
@@ -45,8 +47,14 @@ export async function POST(request) {
       );
     }
 
+    // Only the user's own graph (or their workflow's) may feed the suggestions
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
     // Query knowledge graph for story context
-    const storyContext = await getStoryContext(documentId);
+    const storyContext = await getStoryContext(scope);
 
     // Generate suggestions based on intent
     let suggestions;
@@ -90,74 +98,75 @@ export async function POST(request) {
 }
 
 /**
- * Query Neo4j knowledge graph for story context
+ * Read story context from the knowledge graph, within one graph scope
  */
-async function getStoryContext(documentId) {
+async function getStoryContext(scope) {
   try {
-    // Get characters with their traits and motivations
-    const characters = await runQuery(`
-      MATCH (c:Character)
-      OPTIONAL MATCH (c)-[:HAS_STATE]->(s:State)
-      WITH c, s
-      ORDER BY s.timestamp DESC
-      RETURN c.id as id, c.name as name, c.role as role, 
-             c.description as description,
-             COLLECT(DISTINCT s.traits)[0] as traits,
-             COLLECT(DISTINCT s.motivations)[0] as motivations
-      LIMIT 20
-    `);
+    const { nodes, relationships } = await getScopeSnapshot(scope);
+    const ofType = (type) => nodes.filter(n => n.type === type).map(n => n.properties);
+    const byId = new Map(nodes.map(n => [n.properties.id, n]));
+    const targetsOf = (id, relType, type) => relationships
+      .filter(r => r.source === id && r.type === relType && byId.get(r.target)?.type === type)
+      .map(r => byId.get(r.target).properties);
+
+    // Get characters with the traits and motivations of their latest state
+    const characters = ofType('Character').slice(0, 20).map(c => {
+      const latest = targetsOf(c.id, 'HAS_STATE', 'State')
+        .sort((a, b) => String(b.timestamp ?? '').localeCompare(String(a.timestamp ?? '')))[0];
+      return {
+        id: c.id,
+        name: c.name,
+        role: c.role,
+        description: c.description,
+        traits: latest?.traits ?? null,
+        motivations: latest?.motivations ?? null
+      };
+    });
 
     // Get locations
-    const locations = await runQuery(`
-      MATCH (l:Location)
-      RETURN l.id as id, l.name as name, l.description as description, l.type as type
-      LIMIT 15
-    `);
+    const locations = ofType('Location').slice(0, 15)
+      .map(l => ({ id: l.id, name: l.name, description: l.description, type: l.type }));
 
     // Get plot threads
-    const plotThreads = await runQuery(`
-      MATCH (p:PlotThread)
-      RETURN p.id as id, p.name as name, p.status as status,
-             p.description as description
-      LIMIT 10
-    `);
+    const plotThreads = ofType('PlotThread').slice(0, 10)
+      .map(p => ({ id: p.id, name: p.name, status: p.status, description: p.description }));
 
     // Get recent events
-    const recentEvents = await runQuery(`
-      MATCH (e:Event)
-      OPTIONAL MATCH (e)-[:INVOLVES]->(c:Character)
-      RETURN e.id as id, e.name as name, e.description as description, 
-             e.timestamp as timestamp, COLLECT(c.name) as characters
-      ORDER BY e.timestamp DESC
-      LIMIT 10
-    `);
+    const recentEvents = ofType('Event')
+      .sort((a, b) => String(b.timestamp ?? '').localeCompare(String(a.timestamp ?? '')))
+      .slice(0, 10)
+      .map(e => ({
+        id: e.id,
+        name: e.name,
+        description: e.description,
+        timestamp: e.timestamp,
+        characters: targetsOf(e.id, 'INVOLVES', 'Character').map(c => c.name)
+      }));
 
     // Get relationships
-    const relationships = await runQuery(`
-      MATCH (c1:Character)-[r:RELATES_TO]->(c2:Character)
-      RETURN c1.name as from, c2.name as to, 
-             r.type as relationType, r.description as description
-      LIMIT 20
-    `);
+    const relationshipsBetweenCharacters = relationships
+      .filter(r => r.type === 'RELATES_TO' && byId.get(r.source)?.type === 'Character' && byId.get(r.target)?.type === 'Character')
+      .slice(0, 20)
+      .map(r => ({
+        from: byId.get(r.source).properties.name,
+        to: byId.get(r.target).properties.name,
+        relationType: r.properties.type,
+        description: r.properties.description
+      }));
 
     // Get story tone/mood if available
-    const storyMood = await runQuery(`
-      MATCH (ch:Chapter)
-      RETURN ch.mood as mood, ch.tension as tension
-      ORDER BY ch.number DESC
-      LIMIT 1
-    `);
+    const latestChapter = ofType('Chapter').sort((a, b) => (b.number ?? 0) - (a.number ?? 0))[0];
 
     return {
-      characters: characters || [],
-      locations: locations || [],
-      plotThreads: plotThreads || [],
-      recentEvents: recentEvents || [],
-      relationships: relationships || [],
-      currentMood: storyMood?.[0] || null
+      characters,
+      locations,
+      plotThreads,
+      recentEvents,
+      relationships: relationshipsBetweenCharacters,
+      currentMood: latestChapter ? { mood: latestChapter.mood, tension: latestChapter.tension } : null
     };
   } catch (error) {
-    console.error('Error fetching story context from Neo4j:', error);
+    console.error('Error fetching story context from the graph:', error);
     return {
       characters: [],
       locations: [],
@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import CustomAgent from '@/lib/models/CustomAgent';
+import { customAgentUpdateSchema } from '@/lib/validations/custom-agents';
+import { serializeCustomAgent } from '@/lib/agents/custom-agents';
+
+// PUT - update a custom agent (the agent type stays the same, so existing nodes keep working)
+export async function PUT(req, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { agentId } = await params;
+    if (!mongoose.isValidObjectId(agentId)) {
+      return NextResponse.json(
+        { error: 'Invalid agent id' },
+        { status: 400 }
+      );
+    }
+
+    const validation = customAgentUpdateSchema.safeParse(await req.json());
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid custom agent', details: validation.error.issues },
+        { status: 400 }
+      );
+    }
+
+    const updates = { ...validation.data };
+    const unset = {};
+    if (updates.model === null) {
+      delete updates.model;
+      unset.model = 1;
+    }
+
+    await connectDB();
+
+    const agent = await CustomAgent.findOneAndUpdate(
+      { _id: agentId, userId: session.user.id },
+      { $set: updates, ...(Object.keys(unset).length > 0 && { $unset: unset }) },
+      { new: true }
+    ).lean();
+
+    if (!agent) {
+      return NextResponse.json(
+        { error: 'Custom agent not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true, agent: serializeCustomAgent(agent) });
+  } catch (error) {
+    console.error('Error updating custom agent:', error);
+    return NextResponse.json(
+      { error: 'Failed to update custom agent' },
+      { status: 500 }
+    );
+  }
+}
+
+// DELETE - remove a custom agent. Workflow nodes using it fail until replaced.
+export async function DELETE(req, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { agentId } = await params;
+    if (!mongoose.isValidObjectId(agentId)) {
+      return NextResponse.json(
+        { error: 'Invalid agent id' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const result = await CustomAgent.deleteOne({ _id: agentId, userId: session.user.id });
+
+    if (result.deletedCount === 0) {
+      return NextResponse.json(
+        { error: 'Custom agent not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting custom agent:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete custom agent' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import CustomAgent from '@/lib/models/CustomAgent';
+import { customAgentSchema, toCustomAgentSlug } from '@/lib/validations/custom-agents';
+import { serializeCustomAgent } from '@/lib/agents/custom-agents';
+
+const MAX_CUSTOM_AGENTS = 50;
+
+// GET the current user's custom agents
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    await connectDB();
+
+    const agents = await CustomAgent.find({ userId: session.user.id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return NextResponse.json({
+      success: true,
+      agents: agents.map(serializeCustomAgent)
+    });
+  } catch (error) {
+    console.error('Error fetching custom agents:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch custom agents' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST { name, description, systemPrompt, inputs, outputSchema, model } - define a new agent
+export async function POST(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const validation = customAgentSchema.safeParse(await req.json());
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid custom agent', details: validation.error.issues },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const existing = await CustomAgent.find({ userId: session.user.id }).select('slug').lean();
+    if (existing.length >= MAX_CUSTOM_AGENTS) {
+      return NextResponse.json(
+        { error: `You can define at most ${MAX_CUSTOM_AGENTS} custom agents` },
+        { status: 400 }
+      );
+    }
+
+    // Slugs are unique per user - suffix a number on collision
+    const baseSlug = toCustomAgentSlug(validation.data.name);
+    const taken = new Set(existing.map(agent => agent.slug));
+    let slug = baseSlug;
+    for (let i = 2; taken.has(slug); i++) {
+      slug = `${baseSlug}-${i}`;
+    }
+
+    const agent = await CustomAgent.create({
+      ...validation.data,
+      model: validation.data.model || undefined,
+      inputs: validation.data.inputs || [],
+      userId: session.user.id,
+      slug
+    });
+
+    return NextResponse.json(
+      { success: true, agent: serializeCustomAgent(agent) },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error creating custom agent:', error);
+    return NextResponse.json(
+      { error: 'Failed to create custom agent' },
+      { status: 500 }
+    );
+  }
+}
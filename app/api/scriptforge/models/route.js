@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { MODEL_IDS } from '@/lib/ai-provider';
+import { AGENT_DEFINITIONS } from '@/lib/agents/definitions';
+import { isMockBackendAvailable } from '@/lib/validations/agent-models';
+
+/**
+ * List the AI backends/models agents can be assigned to, plus each agent's default.
+ * Only models are selectable - endpoints and keys stay in server configuration.
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const openAIModels = (process.env.OPENAI_COMPATIBLE_MODELS || process.env.OPENAI_COMPATIBLE_MODEL || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean);
+
+    const backends = [
+      {
+        provider: 'gemini',
+        available: !!(process.env.GOOGLE_GEMINI_API_KEY || process.env.GEMINI_API_KEY),
+        models: [...new Set(Object.values(MODEL_IDS))]
+      },
+      {
+        provider: 'openai-compatible',
+        available: !!process.env.OPENAI_COMPATIBLE_BASE_URL,
+        models: openAIModels
+      },
+      {
+        provider: 'mock',
+        available: isMockBackendAvailable(),
+        models: ['mock']
+      }
+    ];
+
+    const defaults = Object.fromEntries(
+      Object.values(AGENT_DEFINITIONS).map(agent => [agent.type, MODEL_IDS[agent.model || 'flash']])
+    );
+
+    return NextResponse.json({
+      success: true,
+      backends,
+      defaults
+    });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    return NextResponse.json(
+      { error: 'Failed to list models' },
+      { status: 500 }
+    );
+  }
+}
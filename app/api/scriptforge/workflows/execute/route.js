@@ -3,9 +3,15 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import connectDB from '@/lib/mongodb';
 import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
-import { AGENT_DEFINITIONS } from '@/lib/agents/definitions';
 // Use unified executor with AI SDK (has built-in retry, timeout, crash prevention)
 import { executeAgent } from '@/lib/agents/unified-executor';
+import { getExecutionLayers, buildAgentContext, computeInputHash, toAgentResults, DEFAULT_CONCURRENCY, MAX_CONCURRENCY, isValidConcurrency } from '@/lib/agents/workflow-scheduler';
+import { runWorkflow, formatAgentOutput } from '@/lib/agents/workflow-runner';
+import { RunRecorder } from '@/lib/agents/run-history';
+import { loadAgentModels } from '@/lib/agents/agent-models';
+import { loadCustomAgents } from '@/lib/agents/custom-agents';
+import { mapUpstreamResults } from '@/lib/agents/edge-mapping';
+import { isControlNode } from '@/lib/agents/control-flow';
 
 /**
  * Deep clone helper for safely modifying nested objects
@@ -14,10 +20,30 @@ function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Replace (or with no checkpoint, drop) a node's resume checkpoint, so a
+ * later resume never restores a result the node no longer holds
+ */
+function setCheckpoint(workflow, nodeId, checkpoint) {
+  const checkpoints = { ...(workflow.progress?.checkpoints || {}) };
+  if (checkpoint) {
+    checkpoints[nodeId] = checkpoint;
+  } else if (nodeId in checkpoints) {
+    delete checkpoints[nodeId];
+  } else {
+    return;
+  }
+  workflow.progress = { ...(workflow.progress || {}), checkpoints };
+  workflow.markModified('progress');
+}
+
 /**
  * Execute a single agent within a workflow
  */
 async function executeSingleAgent(workflow, nodeId, agentType, customPrompt = null) {
+  let recorder = null;
+  let run = null;
+
   try {
     // Deep clone nodes to ensure Mongoose detects changes
     let nodesClone = deepClone(workflow.nodes);
@@ -32,37 +58,37 @@ async function executeSingleAgent(workflow, nodeId, agentType, customPrompt = nu
 
     const node = nodesClone[nodeIndex];
 
-    // Build context from workflow and any previously executed agents
-    let agentContext = {
-      storyBrief: workflow.brief || '',
-      manuscript: workflow.inputs?.manuscript || workflow.inputs?.fullText || '',
-      previousResults: {},
-      customPrompt: customPrompt || node.data.customPrompt || null,
-      workflowId: workflow._id.toString(),
-    };
-
-    // Collect results from previously executed agents
-    for (const n of nodesClone) {
-      if (n.id !== nodeId && n.data.result) {
-        agentContext.previousResults[n.data.agentType] = n.data.result;
-
-        // Restore context from previous results
-        if (n.data.agentType === 'story-intelligence') {
-          agentContext.storyContext = n.data.result;
-        } else if (n.data.agentType === 'knowledge-graph') {
-          agentContext.knowledgeGraph = n.data.result;
-        } else if (n.data.agentType === 'temporal-reasoning') {
-          agentContext.timeline = n.data.result;
-        } else if (n.data.agentType === 'continuity-validator') {
-          agentContext.continuityReport = n.data.result;
-        } else if (n.data.agentType === 'creative-coauthor') {
-          agentContext.suggestions = n.data.result;
-        } else if (n.data.agentType === 'intelligent-recall') {
-          agentContext.memoryBank = n.data.result;
-        }
-      }
+    if (isControlNode(node)) {
+      return NextResponse.json(
+        { error: 'Condition and loop nodes only run as part of the whole workflow' },
+        { status: 400 }
+      );
     }
 
+    // Build context from workflow and any previously executed agents,
+    // narrowed by the mappings on edges into this node
+    const agentContext = buildAgentContext(
+      {
+        storyBrief: workflow.brief || '',
+        manuscript: workflow.inputs?.manuscript || workflow.inputs?.fullText || '',
+        previousResults: {},
+        customPrompt: customPrompt || node.data.customPrompt || null,
+        workflowId: workflow._id.toString(),
+        ownerId: workflow.userId.toString(),
+        agentModels: await loadAgentModels(workflow),
+        customAgents: await loadCustomAgents(workflow),
+      },
+      mapUpstreamResults(
+        nodeId,
+        toAgentResults(
+          nodesClone
+            .filter(n => n.id !== nodeId)
+            .map(n => ({ nodeId: n.id, agentType: isControlNode(n) ? n.type : n.data.agentType, result: n.data.result }))
+        ),
+        workflow.edges || []
+      )
+    );
+
     // Update node status to running and store custom prompt if provided
     node.data.status = 'running';
     if (customPrompt) {
@@ -79,7 +105,22 @@ async function executeSingleAgent(workflow, nodeId, agentType, customPrompt = nu
     const effectiveAgentType = agentType || node.data.agentType;
     console.log(`Executing single agent: ${effectiveAgentType}`);
 
-    const { result, updatedContext } = await executeAgent(effectiveAgentType, agentContext);
+    recorder = new RunRecorder(workflow, 'single', agentContext);
+    await recorder.start([[nodeId]]);
+    const startTime = Date.now();
+    run = {
+      nodeId,
+      agentType: effectiveAgentType,
+      inputHash: computeInputHash(effectiveAgentType, agentContext),
+      startTime,
+    };
+
+    const { result, updatedContext, model, fallback } = await executeAgent(effectiveAgentType, agentContext);
+    if (fallback) {
+      // Never store a placeholder as the node's result
+      throw new Error(result?._error || `${effectiveAgentType} failed to generate a result`);
+    }
+    Object.assign(run, { status: 'success', result, model, duration: Date.now() - startTime });
 
     // Update node with results - re-clone to get fresh state
     nodesClone = deepClone(workflow.nodes);
@@ -107,10 +148,19 @@ async function executeSingleAgent(workflow, nodeId, agentType, customPrompt = nu
     workflow.analysisContext = newAnalysisContext;
     workflow.markModified('nodes');
     workflow.markModified('analysisContext');
+    setCheckpoint(workflow, nodeId, {
+      agentType: effectiveAgentType,
+      inputHash: run.inputHash,
+      completedAt: new Date().toISOString(),
+      duration: run.duration
+    });
 
     await workflow.save();
     console.log(`Saved workflow with node ${nodeId} status: success, result keys:`, result ? Object.keys(result) : 'null');
 
+    await recorder.recordAgent(run, updatedNode?.data.output);
+    await recorder.finish('completed');
+
     // Convert to plain object for response - use updatedNode which has the result
     const nodeDataResponse = {
       ...updatedNode.data,
@@ -126,11 +176,18 @@ async function executeSingleAgent(workflow, nodeId, agentType, customPrompt = nu
       success: true,
       result: result,
       nodeData: nodeDataResponse,
+      runId: recorder.id,
       message: `${effectiveAgentType} executed successfully`
     });
   } catch (error) {
     console.error(`Error executing single agent:`, error);
 
+    // Only record the agent as failed if it never produced a result
+    if (recorder && run && !run.status) {
+      await recorder.recordAgent({ ...run, status: 'error', error: error.message, duration: Date.now() - run.startTime });
+    }
+    await recorder?.finish('error', { error: error.message });
+
     // Update node with error using deep clone approach
     try {
       const errorNodesClone = deepClone(workflow.nodes);
@@ -140,6 +197,7 @@ async function executeSingleAgent(workflow, nodeId, agentType, customPrompt = nu
         errorNode.data.error = error.message;
         workflow.nodes = errorNodesClone;
         workflow.markModified('nodes');
+        setCheckpoint(workflow, nodeId, null);
         await workflow.save();
         console.log(`Saved workflow with node ${nodeId} status: error`);
       }
@@ -168,7 +226,7 @@ export async function POST(req) {
     await connectDB();
 
     const body = await req.json();
-    const { workflowId, singleAgentId, agentType: requestedAgentType, customPrompt } = body;
+    const { workflowId, singleAgentId, agentType: requestedAgentType, customPrompt, concurrency, resume = false } = body;
 
     if (!workflowId) {
       return NextResponse.json(
@@ -177,6 +235,13 @@ export async function POST(req) {
       );
     }
 
+    if (concurrency !== undefined && concurrency !== null && !isValidConcurrency(concurrency)) {
+      return NextResponse.json(
+        { error: `concurrency must be an integer from 1 to ${MAX_CONCURRENCY}` },
+        { status: 400 }
+      );
+    }
+
     const workflow = await ScriptWorkflow.findOne({
       _id: workflowId,
       userId: session.user.id
@@ -194,119 +259,29 @@ export async function POST(req) {
       return await executeSingleAgent(workflow, singleAgentId, requestedAgentType, customPrompt);
     }
 
-    // Full workflow execution
-    // Update status to running - use deep clone approach
-    let nodesClone = deepClone(workflow.nodes);
-
-    workflow.status = 'running';
-    workflow.lastRun = new Date();
-    workflow.progress = {
-      currentNode: nodesClone[0]?.id,
-      completedNodes: [],
-      totalNodes: nodesClone.length,
-      errors: []
-    };
-    workflow.nodes = nodesClone;
-    workflow.markModified('nodes');
-    workflow.markModified('progress');
-    await workflow.save();
-
-    // Execute workflow nodes sequentially using the specialized agent executor
-    const results = [];
-
-    // Build the shared agent context from workflow data
-    // The story brief is the PRIMARY story input from workflow creation
-    let agentContext = {
-      storyBrief: workflow.brief || '',
-      manuscript: workflow.inputs?.manuscript || workflow.inputs?.fullText || '',
-      previousResults: {},
-      workflowId: workflow._id.toString(),
-    };
-
-    for (let i = 0; i < nodesClone.length; i++) {
-      const node = nodesClone[i];
-      try {
-        // Update node to running - save for real-time UI progress feedback
-        node.data.status = 'running';
-        workflow.progress.currentNode = node.id;
-        workflow.nodes = deepClone(nodesClone);
-        workflow.markModified('nodes');
-        workflow.markModified('progress');
-        await workflow.save();
-
-        const agentType = node.data.agentType;
-        const agentDef = AGENT_DEFINITIONS[agentType];
-
-        // Store input context for visibility
-        node.data.input = {
-          storyBrief: agentContext.storyBrief?.substring(0, 500) + '...',
-          hasManuscript: !!agentContext.manuscript,
-          previousAgents: Object.keys(agentContext.previousResults)
-        };
-
-        // Execute the specialized agent with shared context
-        console.log(`Executing specialized agent: ${agentType}`);
-        const { result, updatedContext } = await executeAgent(agentType, agentContext);
-
-        // Update the shared context for subsequent agents
-        agentContext = updatedContext;
-
-        results.push({
-          nodeId: node.id,
-          agentType: agentType,
-          agentName: agentDef?.name || node.data.label,
-          result
-        });
-
-        // Update node with results in memory (persisted in final save)
-        node.data.status = 'success';
-        node.data.result = result;
-        node.data.output = formatAgentOutput(agentType, result);
-
-        // Update progress in memory
-        workflow.progress.completedNodes.push(node.id);
-        console.log(`Agent ${node.id} (${agentType}) completed successfully (will persist in final save)`);
-
-      } catch (error) {
-        console.error(`Error executing node ${node.id}:`, error);
-        node.data.status = 'error';
-        node.data.error = error.message;
-        workflow.progress.errors.push({
-          nodeId: node.id,
-          error: error.message
-        });
-        // Save on error to persist partial progress before continuing
-        workflow.nodes = deepClone(nodesClone);
-        workflow.markModified('nodes');
-        workflow.markModified('progress');
-        await workflow.save();
-        // Continue to next agent instead of breaking - allow partial success
-        continue;
-      }
+    // Full workflow execution - scheduled as a DAG so independent agents run in parallel
+    try {
+      getExecutionLayers(workflow.nodes, workflow.edges || []);
+    } catch (error) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
     }
 
-    // Update final status
-    const hasErrors = workflow.progress.errors.length > 0;
-    const allFailed = workflow.progress.completedNodes.length === 0;
-    workflow.status = allFailed ? 'error' : (hasErrors ? 'partial' : 'completed');
-    workflow.progress.currentNode = undefined;
-
-    // Store the full context for knowledge graph visualization
-    workflow.analysisContext = agentContext;
-
-    // Final save with all nodes including their results
-    workflow.nodes = deepClone(nodesClone);
-    workflow.markModified('nodes');
-    workflow.markModified('progress');
-    workflow.markModified('analysisContext');
-    await workflow.save();
-    console.log('Final workflow save complete. Nodes with results:', nodesClone.filter(n => n.data.result).length);
+    const { success, results, layers, resumed, runId, summary } = await runWorkflow(workflow, {
+      concurrency: concurrency ?? DEFAULT_CONCURRENCY,
+      resume
+    });
 
     return NextResponse.json({
-      success: !allFailed,
+      success,
       workflow,
       results,
-      summary: generateExecutionSummary(results, agentContext)
+      layers,
+      resumed,
+      runId,
+      summary
     });
   } catch (error) {
     console.error('Error executing workflow:', error);
@@ -316,70 +291,3 @@ export async function POST(req) {
     );
   }
 }
-
-/**
- * Format agent output for display
- */
-function formatAgentOutput(agentType, result) {
-  try {
-    switch (agentType) {
-      case 'story-intelligence':
-        return `**Genre:** ${result.genre}\n**Themes:** ${result.themes?.join(', ')}\n**Setting:** ${result.setting}\n**Main Conflict:** ${result.mainConflict}`;
-
-      case 'knowledge-graph':
-        return `**Characters:** ${result.characters?.length || 0}\n**Locations:** ${result.locations?.length || 0}\n**Events:** ${result.events?.length || 0}\n**Relationships:** ${result.relationships?.length || 0}\n**Plot Threads:** ${result.plotThreads?.length || 0}`;
-
-      case 'temporal-reasoning':
-        return `**Timeline Events:** ${result.chronologicalEvents?.length || 0}\n**Flashbacks:** ${result.flashbacks?.length || 0}\n**Causal Chains:** ${result.causalChains?.length || 0}\n**Issues Found:** ${result.temporalIssues?.length || 0}`;
-
-      case 'continuity-validator':
-        return `**Continuity Score:** ${result.continuityScore}/100\n**Contradictions:** ${result.contradictions?.length || 0}\n**Errors:** ${result.errors?.length || 0}\n**Recommendations:** ${result.recommendations?.length || 0}`;
-
-      case 'creative-coauthor':
-        return `**Scene Suggestions:** ${result.sceneSuggestions?.length || 0}\n**Plot Developments:** ${result.plotDevelopments?.length || 0}\n**Dialogue Ideas:** ${result.dialogueImprovements?.length || 0}\n**Character Arcs:** ${result.characterArcGuidance?.length || 0}`;
-
-      case 'intelligent-recall':
-        return `**Insights Generated:** ${result.length || 0}\n${result.slice(0, 3).map(a => `• ${a.query}`).join('\n')}`;
-
-      case 'cinematic-teaser':
-        return `**Tagline:** ${result.tagline}\n**Visual Scenes:** ${result.visualPrompts?.length || 0}\n**Hooks:** ${result.hooks?.join(' | ')}`;
-
-      default:
-        return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
-    }
-  } catch (error) {
-    return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
-  }
-}
-
-/**
- * Generate execution summary
- */
-function generateExecutionSummary(results, context) {
-  const summary = {
-    agentsExecuted: results.length,
-    successfulAgents: results.filter(r => !r.result?.error).length,
-    storyAnalyzed: !!context.storyContext,
-    knowledgeGraphBuilt: !!context.knowledgeGraph,
-    timelineAnalyzed: !!context.timeline,
-    continuityChecked: !!context.continuityReport,
-    suggestionsGenerated: !!context.suggestions,
-    teaserCreated: !!context.teaserContent,
-    highlights: []
-  };
-
-  if (context.storyContext) {
-    summary.highlights.push(`Genre identified: ${context.storyContext.genre}`);
-  }
-  if (context.knowledgeGraph) {
-    summary.highlights.push(`${context.knowledgeGraph.characters?.length || 0} characters mapped`);
-  }
-  if (context.continuityReport) {
-    summary.highlights.push(`Continuity score: ${context.continuityReport.continuityScore}/100`);
-  }
-  if (context.teaserContent) {
-    summary.highlights.push(`Trailer tagline: "${context.teaserContent.tagline}"`);
-  }
-
-  return summary;
-}
@@ -0,0 +1,117 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import { getExecutionLayers, DEFAULT_CONCURRENCY, MAX_CONCURRENCY, isValidConcurrency } from '@/lib/agents/workflow-scheduler';
+import { runWorkflow } from '@/lib/agents/workflow-runner';
+import { encodeSSE } from '@/lib/sse';
+
+/**
+ * Run a full workflow and stream its progress as Server-Sent Events:
+ * run-started, node-started, node-partial, node-completed, node-failed,
+ * run-completed (or error). Progress is persisted exactly like the JSON
+ * execute route, so a client that disconnects can reload the workflow.
+ */
+export async function POST(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    await connectDB();
+
+    const body = await req.json();
+    const { workflowId, concurrency, resume = false } = body;
+
+    if (!workflowId) {
+      return NextResponse.json(
+        { error: 'Workflow ID is required' },
+        { status: 400 }
+      );
+    }
+
+    if (concurrency !== undefined && concurrency !== null && !isValidConcurrency(concurrency)) {
+      return NextResponse.json(
+        { error: `concurrency must be an integer from 1 to ${MAX_CONCURRENCY}` },
+        { status: 400 }
+      );
+    }
+
+    const workflow = await ScriptWorkflow.findOne({
+      _id: workflowId,
+      userId: session.user.id
+    });
+
+    if (!workflow) {
+      return NextResponse.json(
+        { error: 'Workflow not found' },
+        { status: 404 }
+      );
+    }
+
+    try {
+      getExecutionLayers(workflow.nodes, workflow.edges || []);
+    } catch (error) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+
+    const encoder = new TextEncoder();
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        let closed = false;
+        const send = (event, data) => {
+          if (closed) return;
+          try {
+            controller.enqueue(encoder.encode(encodeSSE(event, data)));
+          } catch {
+            // Client went away - keep running so progress is still persisted
+            closed = true;
+          }
+        };
+
+        req.signal?.addEventListener('abort', () => { closed = true; });
+
+        try {
+          await runWorkflow(workflow, {
+            concurrency: concurrency ?? DEFAULT_CONCURRENCY,
+            resume,
+            onEvent: ({ type, ...data }) => send(type, data)
+          });
+        } catch (error) {
+          console.error('Error streaming workflow execution:', error);
+          send('error', { error: error.message || 'Failed to execute workflow' });
+        } finally {
+          if (!closed) {
+            closed = true;
+            controller.close();
+          }
+        }
+      }
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      }
+    });
+  } catch (error) {
+    console.error('Error starting workflow stream:', error);
+    return NextResponse.json(
+      { error: 'Failed to execute workflow' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import { InviteError, verifyInviteToken } from '@/lib/collab/invites';
+import { forgetProjectRoles } from '@/lib/collab/access';
+import { outranks } from '@/lib/collab/roles';
+
+/**
+ * Join a workflow through an invite link. An existing member keeps their
+ * role unless the invite grants more; the owner stays owner.
+ * Body: { token }
+ */
+export async function POST(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { token } = await req.json();
+    const invite = verifyInviteToken(token);
+
+    await connectDB();
+
+    const workflow = await ScriptWorkflow.findById(invite.workflowId).select('userId members inviteVersion');
+    if (!workflow) {
+      return NextResponse.json(
+        { error: 'Workflow not found' },
+        { status: 404 }
+      );
+    }
+    if (invite.version !== (workflow.inviteVersion || 0)) {
+      throw new InviteError('This invite link has been revoked');
+    }
+
+    const userId = session.user.id;
+    let role = invite.role;
+
+    if (String(workflow.userId) === userId) {
+      role = 'owner';
+    } else {
+      const member = workflow.members.find(m => String(m.userId) === userId);
+      if (!member) {
+        workflow.members.push({ userId, role });
+        await workflow.save();
+      } else if (outranks(invite.role, member.role)) {
+        member.role = invite.role;
+        await workflow.save();
+      } else {
+        role = member.role;
+      }
+      await forgetProjectRoles(invite.workflowId);
+    }
+
+    return NextResponse.json({
+      success: true,
+      workflowId: invite.workflowId,
+      role
+    });
+  } catch (error) {
+    if (error instanceof InviteError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+    console.error('Error accepting invite:', error);
+    return NextResponse.json(
+      { error: 'Failed to accept invite' },
+      { status: 500 }
+    );
+  }
+}
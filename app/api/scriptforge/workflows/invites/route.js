@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import { MEMBER_ROLES, isMemberRole } from '@/lib/collab/roles';
+import { DEFAULT_INVITE_HOURS, createInviteToken } from '@/lib/collab/invites';
+
+/**
+ * Create a signed invite link to a workflow. Only its owner can invite.
+ * Body: { workflowId, role: 'editor' | 'commenter' | 'viewer', expiresInHours? }
+ */
+export async function POST(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { workflowId, role, expiresInHours = DEFAULT_INVITE_HOURS } = await req.json();
+
+    if (!workflowId || !mongoose.isValidObjectId(workflowId)) {
+      return NextResponse.json(
+        { error: 'Valid workflow ID is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!isMemberRole(role)) {
+      return NextResponse.json(
+        { error: `Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return NextResponse.json(
+        { error: 'expiresInHours must be a positive number' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const owned = await ScriptWorkflow.findOne({ _id: workflowId, userId: session.user.id }).select('inviteVersion').lean();
+    if (!owned) {
+      return NextResponse.json(
+        { error: 'Workflow not found' },
+        { status: 404 }
+      );
+    }
+
+    const { token, expiresAt } = createInviteToken(workflowId, role, owned.inviteVersion || 0, hours);
+    const url = `${new URL(req.url).origin}/workflows/${workflowId}?invite=${encodeURIComponent(token)}`;
+
+    return NextResponse.json({
+      success: true,
+      url,
+      role,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    return NextResponse.json(
+      { error: 'Failed to create invite' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Revoke every invite link to a workflow created so far. Owner only;
+ * people who already joined stay members.
+ * Query: ?workflowId=
+ */
+export async function DELETE(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const workflowId = new URL(req.url).searchParams.get('workflowId');
+
+    if (!workflowId || !mongoose.isValidObjectId(workflowId)) {
+      return NextResponse.json(
+        { error: 'Valid workflow ID is required' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const result = await ScriptWorkflow.updateOne(
+      { _id: workflowId, userId: session.user.id },
+      { $inc: { inviteVersion: 1 } }
+    );
+    if (!result.matchedCount) {
+      return NextResponse.json(
+        { error: 'Workflow not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true, workflowId });
+  } catch (error) {
+    console.error('Error revoking invites:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke invites' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import User from '@/lib/models/User';
+import { forgetProjectRoles } from '@/lib/collab/access';
+import { MEMBER_ROLES, isMemberRole } from '@/lib/collab/roles';
+
+const unauthorized = () => NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+const notFound = () => NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+
+function isValidId(id) {
+  return !!id && mongoose.isValidObjectId(id);
+}
+
+/**
+ * List the people on a workflow: its owner and the members it was shared with.
+ * Anyone on the project can see who else is.
+ * Query: ?workflowId=
+ */
+export async function GET(req) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user) return unauthorized();
+
+    const workflowId = new URL(req.url).searchParams.get('workflowId');
+    if (!isValidId(workflowId)) {
+      return NextResponse.json(
+        { error: 'Valid workflow ID is required' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const workflow = await ScriptWorkflow.findOne({
+      _id: workflowId,
+      $or: [{ userId: session.user.id }, { 'members.userId': session.user.id }]
+    }).select('userId members').lean();
+    if (!workflow) return notFound();
+
+    const people = [{ userId: workflow.userId, role: 'owner' }, ...workflow.members];
+    const users = await User.find({ _id: { $in: people.map(p => p.userId) } }).select('name email image').lean();
+    const byId = new Map(users.map(user => [String(user._id), user]));
+
+    return NextResponse.json({
+      success: true,
+      members: people.map(({ userId, role, addedAt }) => {
+        const user = byId.get(String(userId));
+        return { userId, role, addedAt, name: user?.name, email: user?.email, image: user?.image };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching workflow members:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch workflow members' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Change a member's role. Owner only.
+ * Body: { workflowId, userId, role: 'editor' | 'commenter' | 'viewer' }
+ */
+export async function PATCH(req) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user) return unauthorized();
+
+    const { workflowId, userId, role } = await req.json();
+    if (!isValidId(workflowId) || !isValidId(userId)) {
+      return NextResponse.json(
+        { error: 'Valid workflow and user IDs are required' },
+        { status: 400 }
+      );
+    }
+    if (!isMemberRole(role)) {
+      return NextResponse.json(
+        { error: `Invalid role. Must be one of: ${MEMBER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const result = await ScriptWorkflow.updateOne(
+      { _id: workflowId, userId: session.user.id, 'members.userId': userId },
+      { $set: { 'members.$.role': role } }
+    );
+    if (!result.matchedCount) return notFound();
+
+    await forgetProjectRoles(workflowId);
+    return NextResponse.json({ success: true, userId, role });
+  } catch (error) {
+    console.error('Error updating workflow member:', error);
+    return NextResponse.json(
+      { error: 'Failed to update workflow member' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Remove a member. The owner can remove anyone; members can remove themselves.
+ * Revokes the project's invite links, so the old link can't bring them back.
+ * Query: ?workflowId=&userId=
+ */
+export async function DELETE(req) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user) return unauthorized();
+
+    const { searchParams } = new URL(req.url);
+    const workflowId = searchParams.get('workflowId');
+    const userId = searchParams.get('userId');
+    if (!isValidId(workflowId) || !isValidId(userId)) {
+      return NextResponse.json(
+        { error: 'Valid workflow and user IDs are required' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const result = await ScriptWorkflow.updateOne(
+      {
+        _id: workflowId,
+        'members.userId': userId,
+        ...(userId !== session.user.id && { userId: session.user.id })
+      },
+      { $pull: { members: { userId } }, $inc: { inviteVersion: 1 } }
+    );
+    if (!result.matchedCount) return notFound();
+
+    // Ends the removed member's live session too
+    await forgetProjectRoles(workflowId);
+    return NextResponse.json({ success: true, userId });
+  } catch (error) {
+    console.error('Error removing workflow member:', error);
+    return NextResponse.json(
+      { error: 'Failed to remove workflow member' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import WorkflowRun from '@/lib/models/WorkflowRun';
+
+/**
+ * Get a single run with every agent's full output snapshot
+ */
+export async function GET(req, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { runId } = await params;
+
+    if (!mongoose.isValidObjectId(runId)) {
+      return NextResponse.json(
+        { error: 'Invalid run ID' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const run = await WorkflowRun.findOne({
+      _id: runId,
+      userId: session.user.id
+    });
+
+    if (!run) {
+      return NextResponse.json(
+        { error: 'Run not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    console.error('Error fetching workflow run:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch workflow run' },
+      { status: 500 }
+    );
+  }
+}
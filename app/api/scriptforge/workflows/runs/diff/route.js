@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import WorkflowRun from '@/lib/models/WorkflowRun';
+import { diffRuns } from '@/lib/run-diff';
+
+/**
+ * Diff two runs: GET ?a=<runId>&b=<runId>
+ * Changes are reported from run a (before) to run b (after).
+ */
+export async function GET(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(req.url);
+    const a = searchParams.get('a');
+    const b = searchParams.get('b');
+
+    if (!mongoose.isValidObjectId(a) || !mongoose.isValidObjectId(b)) {
+      return NextResponse.json(
+        { error: 'Two valid run IDs (a and b) are required' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const [runA, runB] = await Promise.all([
+      WorkflowRun.findOne({ _id: a, userId: session.user.id }).lean(),
+      WorkflowRun.findOne({ _id: b, userId: session.user.id }).lean()
+    ]);
+
+    if (!runA || !runB) {
+      return NextResponse.json(
+        { error: 'Run not found' },
+        { status: 404 }
+      );
+    }
+
+    if (runA.workflowId.toString() !== runB.workflowId.toString()) {
+      return NextResponse.json(
+        { error: 'Runs belong to different workflows' },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      diff: diffRuns(runA, runB)
+    });
+  } catch (error) {
+    console.error('Error diffing workflow runs:', error);
+    return NextResponse.json(
+      { error: 'Failed to diff workflow runs' },
+      { status: 500 }
+    );
+  }
+}
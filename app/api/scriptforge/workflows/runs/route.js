@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import mongoose from 'mongoose';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import WorkflowRun from '@/lib/models/WorkflowRun';
+
+/**
+ * List the run history of a workflow, newest first.
+ * Agent results are left out - fetch a single run for the full snapshot.
+ */
+export async function GET(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(req.url);
+    const workflowId = searchParams.get('workflowId');
+    const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 20, 100);
+
+    if (!workflowId || !mongoose.isValidObjectId(workflowId)) {
+      return NextResponse.json(
+        { error: 'Valid workflow ID is required' },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const runs = await WorkflowRun.find({
+      workflowId,
+      userId: session.user.id
+    })
+      .select('-agents.result')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return NextResponse.json({
+      success: true,
+      runs
+    });
+  } catch (error) {
+    console.error('Error fetching workflow runs:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch workflow runs' },
+      { status: 500 }
+    );
+  }
+}
@@ -3,6 +3,9 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import connectDB from '@/lib/mongodb';
 import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import { agentModelsSchema } from '@/lib/validations/agent-models';
+import { workflowEdgesSchema } from '@/lib/validations/edge-mapping';
+import { workflowNodesSchema } from '@/lib/validations/control-flow';
 
 // GET a single workflow by ID
 export async function GET(req) {
@@ -28,9 +31,10 @@ export async function GET(req) {
       );
     }
 
+    // Members a project was shared with can open it too
     const workflow = await ScriptWorkflow.findOne({
       _id: workflowId,
-      userId: session.user.id
+      $or: [{ userId: session.user.id }, { 'members.userId': session.user.id }]
     });
 
     if (!workflow) {
@@ -40,9 +44,14 @@ export async function GET(req) {
       );
     }
 
+    const role = String(workflow.userId) === session.user.id
+      ? 'owner'
+      : workflow.members.find(member => String(member.userId) === session.user.id).role;
+
     return NextResponse.json({
       success: true,
-      workflow
+      workflow,
+      role
     });
   } catch (error) {
     console.error('Error fetching workflow:', error);
@@ -76,6 +85,40 @@ export async function PUT(req) {
       );
     }
 
+    // Per-agent model overrides must name a known agent, backend and model
+    const agentModels = updates?.settings?.agentModels ?? updates?.['settings.agentModels'];
+    if (agentModels) {
+      const validation = agentModelsSchema.safeParse(agentModels);
+      if (!validation.success) {
+        return NextResponse.json(
+          { error: 'Invalid agent model settings', details: validation.error.issues },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Condition and loop nodes must be fully configured to be runnable
+    if (updates?.nodes) {
+      const validation = workflowNodesSchema.safeParse(updates.nodes);
+      if (!validation.success) {
+        return NextResponse.json(
+          { error: 'Invalid control node', details: validation.error.issues },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Edge mappings decide what each agent receives from its upstream agents
+    if (updates?.edges) {
+      const validation = workflowEdgesSchema.safeParse(updates.edges);
+      if (!validation.success) {
+        return NextResponse.json(
+          { error: 'Invalid edge mapping', details: validation.error.issues },
+          { status: 400 }
+        );
+      }
+    }
+
     const workflow = await ScriptWorkflow.findOneAndUpdate(
       { _id: workflowId, userId: session.user.id },
       { 
@@ -0,0 +1,60 @@
+/**
+ * GET /api/story-graph/analytics?afterChapter=4
+ *
+ * Story metrics computed over the graph: character centrality, communities,
+ * plot threads not advanced after a chapter, objects introduced and never
+ * used again, and locations visited once
+ * Optionally for a workflow's graph via the workflowId query parameter
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getStoryAnalytics } from '@/lib/agents/graph-analytics';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const afterChapterParam = searchParams.get('afterChapter');
+    const afterChapter = afterChapterParam ? parseInt(afterChapterParam, 10) : undefined;
+
+    if (afterChapter !== undefined && (isNaN(afterChapter) || afterChapter < 0)) {
+      return NextResponse.json(
+        { error: 'Invalid afterChapter. Must be a non-negative integer.' },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, searchParams.get('workflowId'));
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    // Initialize schema if needed
+    await initializeGraphSchema();
+
+    const analytics = await getStoryAnalytics(scope, { afterChapter });
+
+    return NextResponse.json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    console.error('Graph analytics error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to compute graph analytics',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
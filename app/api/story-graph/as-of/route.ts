@@ -0,0 +1,78 @@
+/**
+ * GET /api/story-graph/as-of?chapter=3&scene=2
+ *
+ * Returns the graph and every character's state (location, possessions,
+ * who they trust) as of the end of a chapter, or a scene within it
+ * Optionally for a workflow's graph via the workflowId query parameter
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getWorldStateAsOf } from '@/lib/agents/temporal-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const chapter = parseInt(searchParams.get('chapter') || '', 10);
+    const sceneParam = searchParams.get('scene');
+    const scene = sceneParam ? parseInt(sceneParam, 10) : undefined;
+
+    if (isNaN(chapter) || chapter < 1) {
+      return NextResponse.json(
+        { error: 'Invalid chapter. Must be a positive integer.' },
+        { status: 400 }
+      );
+    }
+
+    if (scene !== undefined && (isNaN(scene) || scene < 0)) {
+      return NextResponse.json(
+        { error: 'Invalid scene. Must be a non-negative integer.' },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, searchParams.get('workflowId'));
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    // Initialize schema if needed
+    await initializeGraphSchema();
+
+    const world = await getWorldStateAsOf(scope, { chapter, scene });
+
+    return NextResponse.json({
+      success: true,
+      asOf: world.asOf,
+      timeline: world.timeline,
+      data: world.graph,
+      characters: world.characters,
+      stats: {
+        totalNodes: world.graph.nodes.length,
+        totalEdges: world.graph.edges.length,
+        nodesByType: world.graph.nodes.reduce((acc, node) => {
+          acc[node.type] = (acc[node.type] || 0) + 1;
+          return acc;
+        }, {} as Record<string, number>)
+      }
+    });
+  } catch (error) {
+    console.error('As-of graph error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch graph as of that point',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
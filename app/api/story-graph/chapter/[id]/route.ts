@@ -1,13 +1,15 @@
 /**
  * GET /api/story-graph/chapter/[id]
  * 
- * Returns time-filtered graph for a specific chapter
+ * Returns time-filtered graph for a specific chapter of the user's graph
+ * Pass a workflowId query parameter for that workflow's chapter
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { getGraphByChapter, getAllChapters, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 export async function GET(
   request: NextRequest,
@@ -15,7 +17,8 @@ export async function GET(
 ) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
@@ -29,14 +32,20 @@ export async function GET(
       );
     }
 
+    const { searchParams } = new URL(request.url);
+    const scope = await resolveGraphScope(userId, searchParams.get('workflowId'));
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
     // Initialize schema if needed
     await initializeGraphSchema();
 
     // Get chapter-specific graph
-    const graphData = await getGraphByChapter(chapterNumber);
+    const graphData = await getGraphByChapter(scope, chapterNumber);
 
     // Get all chapters for navigation
-    const allChapters = await getAllChapters();
+    const allChapters = await getAllChapters(scope);
 
     return NextResponse.json({
       success: true,
@@ -1,26 +1,35 @@
 /**
  * GET /api/story-graph/chapters
  * 
- * Returns all chapters from the story graph
+ * Returns all chapters from the user's story graph
+ * Pass a workflowId query parameter for that workflow's chapters
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { getAllChapters, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 export async function GET(request: NextRequest) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const { searchParams } = new URL(request.url);
+    const scope = await resolveGraphScope(userId, searchParams.get('workflowId'));
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
     // Initialize schema if needed
     await initializeGraphSchema();
 
     // Get all chapters
-    const chapters = await getAllChapters();
+    const chapters = await getAllChapters(scope);
 
     return NextResponse.json({
       success: true,
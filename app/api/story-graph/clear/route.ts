@@ -1,32 +1,39 @@
 /**
  * POST /api/story-graph/clear
  * 
- * Clears graph data from Neo4j
- * Pass workflowId in request body to clear only that workflow's data
+ * Clears the user's standalone story graph
+ * Pass workflowId in request body to clear that workflow's graph instead
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { clearGraph } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 export async function POST(request: NextRequest) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
     const body = await request.json().catch(() => ({}));
     const workflowId = body.workflowId;
 
-    await clearGraph(workflowId);
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    await clearGraph(scope);
 
     return NextResponse.json({
       success: true,
       message: workflowId
         ? `Graph data cleared for workflow ${workflowId}`
-        : 'All graph data cleared successfully'
+        : 'Graph data cleared successfully'
     });
   } catch (error) {
     console.error('Clear graph error:', error);
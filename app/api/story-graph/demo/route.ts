@@ -2,12 +2,14 @@
  * POST /api/story-graph/demo
  * 
  * Generates demo story data for visualization testing
+ * Always written to the user's standalone graph, never a workflow's
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
-import { updateGraph, initializeGraphSchema, clearGraph } from '@/lib/agents/story-knowledge-graph';
+import { updateGraph, initializeGraphSchema, clearGraph, type GraphScope } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId } from '@/lib/graph-scope';
 import type { StoryAnalysisResult } from '@/lib/agents/story-intelligence-core';
 
 // Demo story: "The Enchanted Kingdom"
@@ -196,26 +198,28 @@ const generateDemoData = (): StoryAnalysisResult[] => {
 export async function POST(request: NextRequest) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
     const body = await request.json();
     const { clearExisting = false } = body;
+    const scope: GraphScope = { ownerId: userId, workflowId: null };
 
     // Initialize schema
     await initializeGraphSchema();
 
     // Clear existing data if requested
     if (clearExisting) {
-      await clearGraph();
+      await clearGraph(scope);
     }
 
     // Generate and store demo data
     const demoChapters = generateDemoData();
 
     for (const chapter of demoChapters) {
-      await updateGraph(chapter);
+      await updateGraph(chapter, scope);
     }
 
     return NextResponse.json({
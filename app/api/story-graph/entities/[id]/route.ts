@@ -0,0 +1,94 @@
+/**
+ * PATCH  /api/story-graph/entities/[id]
+ * DELETE /api/story-graph/entities/[id]
+ *
+ * Correct or remove an extracted entity
+ * PATCH takes { properties, workflowId? } and marks the entity user-asserted;
+ * DELETE takes an optional workflowId query parameter and removes the entity
+ * with its relationships and state history.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { updateEntity, deleteEntity, GraphEditError } from '@/lib/agents/graph-edits';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    const { workflowId, properties } = body;
+
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    await initializeGraphSchema();
+
+    const entity = await updateEntity(scope, id, properties);
+
+    return NextResponse.json({ success: true, entity });
+  } catch (error) {
+    if (error instanceof GraphEditError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    console.error('Update entity error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to update entity',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const scope = await resolveGraphScope(userId, searchParams.get('workflowId'));
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    await initializeGraphSchema();
+
+    await deleteEntity(scope, id);
+
+    return NextResponse.json({ success: true, message: `Deleted ${id}` });
+  } catch (error) {
+    if (error instanceof GraphEditError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    console.error('Delete entity error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to delete entity',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * POST /api/story-graph/entities
+ *
+ * Add a character, location, object, event or plot thread by hand
+ * Body: { type, properties, chapterNumber?, workflowId? }. The entity is
+ * marked user-asserted, so chapter syncs never overwrite it.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { createEntity, GraphEditError } from '@/lib/agents/graph-edits';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { workflowId, type, properties, chapterNumber } = body;
+
+    if (chapterNumber !== undefined && (!Number.isInteger(chapterNumber) || chapterNumber < 1)) {
+      return NextResponse.json(
+        { error: 'chapterNumber must be a positive integer' },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    await initializeGraphSchema();
+
+    const entity = await createEntity(scope, type, properties, chapterNumber);
+
+    return NextResponse.json({ success: true, entity }, { status: 201 });
+  } catch (error) {
+    if (error instanceof GraphEditError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    console.error('Create entity error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to create entity',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * GET /api/story-graph/export?format=graphml
+ *
+ * Downloads the graph as GraphML, GEXF (Gephi) or JSON-LD
+ * Optionally for a workflow's graph via the workflowId query parameter
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { getGraphOverview, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { GRAPH_FORMATS, GRAPH_FORMAT_FILES, isGraphFormat, serializeGraph } from '@/lib/agents/graph-formats';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'graphml';
+    if (!isGraphFormat(format)) {
+      return NextResponse.json(
+        { error: `Invalid format. Must be one of: ${GRAPH_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const workflowId = searchParams.get('workflowId');
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    // Initialize schema if needed
+    await initializeGraphSchema();
+
+    const graph = await getGraphOverview(scope);
+    const { extension, contentType } = GRAPH_FORMAT_FILES[format];
+    const filename = `story-graph${workflowId ? `-${workflowId}` : ''}.${extension}`;
+
+    return new NextResponse(serializeGraph(graph, format), {
+      headers: {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+  } catch (error) {
+    console.error('Export graph error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to export graph',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
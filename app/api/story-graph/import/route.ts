@@ -0,0 +1,98 @@
+/**
+ * POST /api/story-graph/import
+ *
+ * Rebuilds a graph from a GraphML, GEXF or JSON-LD export
+ * Body: { content, format?, replaceGraph?, workflowId? } - format is
+ * detected from the content when omitted
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { importGraph, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import {
+  GRAPH_FORMATS,
+  GraphFormatError,
+  checkImportableGraph,
+  detectGraphFormat,
+  isGraphFormat,
+  parseGraph
+} from '@/lib/agents/graph-formats';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+// Generous for a novel's graph, small enough to parse in memory
+const MAX_IMPORT_LENGTH = 10 * 1024 * 1024;
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { content, workflowId, replaceGraph = false } = body;
+
+    if (!content || typeof content !== 'string') {
+      return NextResponse.json(
+        { error: 'File content is required' },
+        { status: 400 }
+      );
+    }
+
+    if (content.length > MAX_IMPORT_LENGTH) {
+      return NextResponse.json(
+        { error: 'File is too large to import (10 MB max)' },
+        { status: 413 }
+      );
+    }
+
+    const format = body.format ?? detectGraphFormat(content);
+    if (!isGraphFormat(format)) {
+      return NextResponse.json(
+        { error: `Unrecognized format. Must be one of: ${GRAPH_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    let graph;
+    try {
+      graph = checkImportableGraph(parseGraph(content, format));
+    } catch (error) {
+      if (error instanceof GraphFormatError) {
+        return NextResponse.json(
+          { error: `Invalid ${format} file`, details: error.message },
+          { status: 400 }
+        );
+      }
+      throw error;
+    }
+
+    // Initialize schema if needed
+    await initializeGraphSchema();
+
+    const imported = await importGraph(scope, graph, Boolean(replaceGraph));
+
+    return NextResponse.json({
+      success: true,
+      format,
+      imported,
+      message: `Imported ${imported.nodes} nodes and ${imported.edges} edges${replaceGraph ? ', replacing the existing graph' : ''}`
+    });
+  } catch (error) {
+    console.error('Import graph error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to import graph',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
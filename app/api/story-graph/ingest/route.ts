@@ -2,6 +2,7 @@
  * POST /api/story-graph/ingest
  * 
  * Triggers Story Intelligence Core to analyze manuscript text
+ * Stores into the user's standalone graph, or body.workflowId's graph
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -9,16 +10,18 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { analyzeManuscript, getGlobalContext } from '@/lib/agents/story-intelligence-core';
 import { updateGraph, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 export async function POST(request: NextRequest) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
     const body = await request.json();
-    const { text, chapterNumber = 1, storeInGraph = true } = body;
+    const { text, workflowId, chapterNumber = 1, storeInGraph = true } = body;
 
     if (!text || typeof text !== 'string') {
       return NextResponse.json(
@@ -34,6 +37,11 @@ export async function POST(request: NextRequest) {
       );
     }
 
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
     // Get current context
     const existingContext = getGlobalContext();
 
@@ -41,7 +49,7 @@ export async function POST(request: NextRequest) {
     console.log(`Analyzing manuscript chapter ${chapterNumber}...`);
     const analysis = await analyzeManuscript(text, chapterNumber, existingContext);
 
-    // Store in Neo4j if requested
+    // Store in the story graph if requested
     let graphUpdateResult: { success: boolean; message: string } | null = null;
     if (storeInGraph) {
       try {
@@ -49,7 +57,7 @@ export async function POST(request: NextRequest) {
         await initializeGraphSchema();
 
         // Update the graph
-        graphUpdateResult = await updateGraph(analysis);
+        graphUpdateResult = await updateGraph(analysis, scope);
         console.log('Graph update result:', graphUpdateResult);
       } catch (graphError) {
         console.error('Failed to update graph:', graphError);
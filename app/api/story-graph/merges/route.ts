@@ -0,0 +1,109 @@
+/**
+ * GET  /api/story-graph/merges
+ * POST /api/story-graph/merges
+ *
+ * Review proposed character merges (entity resolution)
+ * GET lists proposals; POST { keepId, mergeId, action: 'accept' | 'reject' }
+ * merges the pair or records that they are different characters.
+ * Both take an optional workflowId (query / body) for that workflow's graph.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { initializeGraphSchema, mergeCharacters, markCharactersDistinct } from '@/lib/agents/story-knowledge-graph';
+import { proposeCharacterMerges } from '@/lib/agents/entity-resolution';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+export async function GET(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const scope = await resolveGraphScope(userId, searchParams.get('workflowId'));
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    // Initialize schema if needed
+    await initializeGraphSchema();
+
+    const proposals = await proposeCharacterMerges(scope);
+
+    return NextResponse.json({
+      success: true,
+      proposals,
+      count: proposals.length
+    });
+  } catch (error) {
+    console.error('Merge proposals error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to propose merges',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { workflowId, keepId, mergeId, action } = body;
+
+    if (typeof keepId !== 'string' || typeof mergeId !== 'string' || !keepId || !mergeId || keepId === mergeId) {
+      return NextResponse.json(
+        { error: 'keepId and mergeId must be two different character ids' },
+        { status: 400 }
+      );
+    }
+
+    if (action !== 'accept' && action !== 'reject') {
+      return NextResponse.json(
+        { error: "action must be 'accept' or 'reject'" },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const applied = action === 'accept'
+      ? await mergeCharacters(scope, keepId, mergeId)
+      : await markCharactersDistinct(scope, keepId, mergeId);
+
+    if (!applied) {
+      return NextResponse.json({ error: 'Character not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      action,
+      message: action === 'accept'
+        ? `Merged ${mergeId} into ${keepId}`
+        : `${keepId} and ${mergeId} will not be proposed again`
+    });
+  } catch (error) {
+    console.error('Merge review error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to apply merge decision',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
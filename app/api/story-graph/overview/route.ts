@@ -1,31 +1,37 @@
 /**
  * GET /api/story-graph/overview
  * 
- * Returns all nodes and edges for visualization
- * Optionally filtered by workflowId query parameter
+ * Returns all nodes and edges of the user's graph for visualization
+ * Pass a workflowId query parameter for that workflow's graph
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { getGraphOverview, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 
 export async function GET(request: NextRequest) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    // Initialize schema if needed
-    await initializeGraphSchema();
-
     // Get workflowId from query params if provided
     const { searchParams } = new URL(request.url);
     const workflowId = searchParams.get('workflowId');
 
-    // Get the graph data, filtered by workflowId if provided
-    const graphData = await getGraphOverview(workflowId || undefined);
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    // Initialize schema if needed
+    await initializeGraphSchema();
+
+    const graphData = await getGraphOverview(scope);
 
     return NextResponse.json({
       success: true,
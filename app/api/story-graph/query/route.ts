@@ -0,0 +1,73 @@
+/**
+ * POST /api/story-graph/query
+ *
+ * Answers a question about the story ("which characters have met Lord Vex
+ * but never been to the Crystal Cave?") with a generated, read-only Cypher
+ * query run against the project's subgraph
+ * Body: { question, workflowId? }
+ * Returns the query, its rows, and the subgraph they cover for highlighting
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { GraphQueryError, queryStoryGraph } from '@/lib/agents/graph-query';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+const MAX_QUESTION_LENGTH = 500;
+
+export async function POST(request: NextRequest) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+
+    if (!question) {
+      return NextResponse.json(
+        { error: 'Question is required' },
+        { status: 400 }
+      );
+    }
+
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return NextResponse.json(
+        { error: `Question is too long (${MAX_QUESTION_LENGTH} characters max)` },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, body.workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    const result = await queryStoryGraph(scope, question);
+
+    return NextResponse.json({
+      success: true,
+      question,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof GraphQueryError) {
+      return NextResponse.json(
+        { error: 'Could not answer that question', details: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Graph query error:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to query graph',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
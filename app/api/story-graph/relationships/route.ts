@@ -0,0 +1,86 @@
+/**
+ * POST   /api/story-graph/relationships
+ * PATCH  /api/story-graph/relationships
+ * DELETE /api/story-graph/relationships
+ *
+ * Add, correct or remove a relationship between two entities
+ * All take { sourceId, targetId, type, workflowId? }; POST and PATCH also take
+ * description, sentiment and strength. Added and corrected relationships are
+ * user-asserted, and deleted ones are not recreated by later syncs.
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import { initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { saveRelationship, deleteRelationship, GraphEditError } from '@/lib/agents/graph-edits';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
+
+type Action = 'create' | 'update' | 'delete';
+
+async function handle(request: NextRequest, action: Action) {
+  try {
+    const session = await getServerSession(authOptions);
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { workflowId, sourceId, targetId, type, description, sentiment, strength } = body;
+
+    if (typeof sourceId !== 'string' || typeof targetId !== 'string' || typeof type !== 'string' || !sourceId || !targetId || !type) {
+      return NextResponse.json(
+        { error: 'sourceId, targetId and type are required' },
+        { status: 400 }
+      );
+    }
+
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
+    await initializeGraphSchema();
+
+    if (action === 'delete') {
+      await deleteRelationship(scope, { sourceId, targetId, type });
+      return NextResponse.json({ success: true, message: `Deleted ${type} relationship` });
+    }
+
+    const { created, properties } = await saveRelationship(
+      scope,
+      { sourceId, targetId, type, description, sentiment, strength },
+      action
+    );
+
+    return NextResponse.json(
+      { success: true, relationship: { source: sourceId, target: targetId, type: 'RELATES_TO', properties } },
+      { status: created ? 201 : 200 }
+    );
+  } catch (error) {
+    if (error instanceof GraphEditError) {
+      return NextResponse.json({ error: error.message }, { status: error.status });
+    }
+    console.error('Relationship edit error:', error);
+    return NextResponse.json(
+      {
+        error: `Failed to ${action} relationship`,
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  return handle(request, 'create');
+}
+
+export async function PATCH(request: NextRequest) {
+  return handle(request, 'update');
+}
+
+export async function DELETE(request: NextRequest) {
+  return handle(request, 'delete');
+}
@@ -2,23 +2,26 @@
  * POST /api/story-graph/update
  * 
  * Handles direct graph updates from Knowledge Graph Agent
+ * Writes to the user's standalone graph, or to body.workflowId's graph
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth-options';
 import { updateGraph, initializeGraphSchema } from '@/lib/agents/story-knowledge-graph';
+import { getSessionUserId, resolveGraphScope } from '@/lib/graph-scope';
 import type { StoryAnalysisResult } from '@/lib/agents/story-intelligence-core';
 
 export async function POST(request: NextRequest) {
   try {
     const session = await getServerSession(authOptions);
-    if (!session?.user) {
+    const userId = getSessionUserId(session);
+    if (!userId) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
     const body = await request.json();
-    const { analysis } = body;
+    const { analysis, workflowId } = body;
 
     if (!analysis) {
       return NextResponse.json(
@@ -35,11 +38,16 @@ export async function POST(request: NextRequest) {
       );
     }
 
+    const scope = await resolveGraphScope(userId, workflowId);
+    if (!scope) {
+      return NextResponse.json({ error: 'Workflow not found' }, { status: 404 });
+    }
+
     // Initialize schema if needed
     await initializeGraphSchema();
 
     // Update the graph
-    const result = await updateGraph(analysis as StoryAnalysisResult);
+    const result = await updateGraph(analysis as StoryAnalysisResult, scope);
 
     if (result.success) {
       return NextResponse.json({
@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth-options';
+import connectDB from '@/lib/mongodb';
+import User from '@/lib/models/User';
+import { agentModelsSchema } from '@/lib/validations/agent-models';
+
+// GET the current user's settings
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    await connectDB();
+
+    const user = await User.findById(session.user.id).select('settings').lean();
+
+    if (!user) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      settings: {
+        agentModels: user.settings?.agentModels || {}
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user settings:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch settings' },
+      { status: 500 }
+    );
+  }
+}
+
+// PUT { agentModels } - default model per agent type for all of the user's workflows
+export async function PUT(req) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { agentModels = {} } = await req.json();
+
+    const validation = agentModelsSchema.safeParse(agentModels);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid agent model settings', details: validation.error.issues },
+        { status: 400 }
+      );
+    }
+
+    await connectDB();
+
+    const user = await User.findByIdAndUpdate(
+      session.user.id,
+      { 'settings.agentModels': validation.data },
+      { new: true }
+    ).select('settings');
+
+    if (!user) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      settings: {
+        agentModels: user.settings?.agentModels || {}
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    return NextResponse.json(
+      { error: 'Failed to update settings' },
+      { status: 500 }
+    );
+  }
+}
@@ -31,9 +31,19 @@ import {
   EyeOff,
   Search,
   X,
-  Trash2
+  Trash2,
+  Users,
+  History,
+  Upload,
+  MessageSquare,
+  Pencil,
+  Plus
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import CharacterMergeDialog from '@/components/workflow/CharacterMergeDialog';
+import GraphTimeScrubber from '@/components/workflow/GraphTimeScrubber';
+import GraphQueryPanel from '@/components/workflow/GraphQueryPanel';
+import GraphEntityEditor from '@/components/workflow/GraphEntityEditor';
 
 // Dynamic imports for ForceGraph (no SSR)
 const ForceGraph3D = dynamic(() => import('react-force-graph-3d'), { ssr: false });
@@ -75,6 +85,30 @@ interface GraphData {
   edges: GraphEdge[];
 }
 
+const EXPORT_FORMATS = [
+  { format: 'graphml', label: 'GraphML' },
+  { format: 'gexf', label: 'GEXF (Gephi)' },
+  { format: 'jsonld', label: 'JSON-LD' }
+] as const;
+
+interface AsOf {
+  chapter: number;
+  scene?: number;
+}
+
+interface Replay {
+  timeline: { chapter: number; scenes: number }[];
+  asOf: AsOf;
+}
+
+// What a graph query's answer covers
+interface QueryHighlight {
+  nodeIds: Set<string>;
+  edgeKeys: Set<string>;
+}
+
+const edgeKey = (source: string, type: string, target: string) => `${source}|${type}|${target}`;
+
 // Wrapper component with Suspense for useSearchParams
 export default function StoryKnowledgeGraphPage() {
   return (
@@ -94,6 +128,7 @@ function StoryKnowledgeGraphContent() {
   
   const fgRef = useRef<any>(null);
   const fg2DRef = useRef<any>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
   const [viewMode, setViewMode] = useState<'3d' | '2d'>('3d');
   const [graphData, setGraphData] = useState<GraphData>({ nodes: [], edges: [] });
   const [loading, setLoading] = useState(true);
@@ -106,8 +141,37 @@ function StoryKnowledgeGraphContent() {
   const [highlightNodes, setHighlightNodes] = useState<Set<string>>(new Set());
   const [stats, setStats] = useState<Record<string, number>>({});
   const [isGeneratingDemo, setIsGeneratingDemo] = useState(false);
+  const [showMerges, setShowMerges] = useState(false);
+  const [replay, setReplay] = useState<Replay | null>(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showQuery, setShowQuery] = useState(false);
+  const [queryHighlight, setQueryHighlight] = useState<QueryHighlight | null>(null);
+  // The node being corrected by hand, or 'new' while adding one
+  const [editingNode, setEditingNode] = useState<GraphNode | 'new' | null>(null);
   const [workflowName, setWorkflowName] = useState<string | null>(null);
 
+  // Show a graph API response
+  const applyGraphResponse = useCallback((data: any) => {
+    // Transform edges for force-graph (expects links with source/target as strings)
+    const transformedData = {
+      nodes: data.data.nodes.map((node: GraphNode) => ({
+        ...node,
+        name: node.label, // ForceGraph uses 'name' for labels
+        val: NODE_TYPES[node.type as keyof typeof NODE_TYPES]?.color ? 
+          (node.type === 'Chapter' ? 20 : node.type === 'Character' ? 15 : 10) : 8
+      })),
+      links: data.data.edges.map((edge: GraphEdge) => ({
+        ...edge,
+        source: typeof edge.source === 'object' ? edge.source.id : edge.source,
+        target: typeof edge.target === 'object' ? edge.target.id : edge.target,
+        name: edge.label
+      }))
+    };
+    
+    setGraphData({ nodes: transformedData.nodes, edges: transformedData.links as any });
+    setStats(data.stats?.nodesByType || {});
+  }, []);
+
   // Fetch graph data
   const fetchGraphData = useCallback(async (chapterNumber?: number) => {
     setLoading(true);
@@ -125,24 +189,7 @@ function StoryKnowledgeGraphContent() {
       const data = await response.json();
       
       if (data.success) {
-        // Transform edges for force-graph (expects links with source/target as strings)
-        const transformedData = {
-          nodes: data.data.nodes.map((node: GraphNode) => ({
-            ...node,
-            name: node.label, // ForceGraph uses 'name' for labels
-            val: NODE_TYPES[node.type as keyof typeof NODE_TYPES]?.color ? 
-              (node.type === 'Chapter' ? 20 : node.type === 'Character' ? 15 : 10) : 8
-          })),
-          links: data.data.edges.map((edge: GraphEdge) => ({
-            ...edge,
-            source: typeof edge.source === 'object' ? edge.source.id : edge.source,
-            target: typeof edge.target === 'object' ? edge.target.id : edge.target,
-            name: edge.label
-          }))
-        };
-        
-        setGraphData({ nodes: transformedData.nodes, edges: transformedData.links as any });
-        setStats(data.stats?.nodesByType || {});
+        applyGraphResponse(data);
         
         if (data.chapters) {
           setChapters(data.chapters);
@@ -154,12 +201,40 @@ function StoryKnowledgeGraphContent() {
     } finally {
       setLoading(false);
     }
-  }, [workflowId]);
+  }, [workflowId, applyGraphResponse]);
+
+  // Fetch the graph as it stood at a point in the story (replay mode)
+  const fetchGraphAsOf = useCallback(async (asOf: AsOf) => {
+    try {
+      const params = new URLSearchParams({ chapter: String(asOf.chapter) });
+      if (asOf.scene) params.set('scene', String(asOf.scene));
+      if (workflowId) params.set('workflowId', workflowId);
+
+      const response = await fetch(`/api/story-graph/as-of?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to replay graph');
+      }
+
+      applyGraphResponse(data);
+      setReplay({ timeline: data.timeline, asOf: data.asOf });
+    } catch (error) {
+      console.error('Failed to fetch graph as of:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to replay graph');
+    }
+  }, [workflowId, applyGraphResponse]);
+
+  const leaveReplay = useCallback(() => {
+    setReplay(null);
+    fetchGraphData(currentChapter || undefined);
+  }, [fetchGraphData, currentChapter]);
 
   // Fetch chapters list
   const fetchChapters = useCallback(async () => {
     try {
-      const response = await fetch('/api/story-graph/chapters');
+      const response = await fetch(
+        workflowId ? `/api/story-graph/chapters?workflowId=${workflowId}` : '/api/story-graph/chapters'
+      );
       const data = await response.json();
       if (data.success) {
         setChapters(data.chapters);
@@ -167,7 +242,7 @@ function StoryKnowledgeGraphContent() {
     } catch (error) {
       console.error('Failed to fetch chapters:', error);
     }
-  }, []);
+  }, [workflowId]);
 
   // Generate demo data
   const generateDemoData = useCallback(async () => {
@@ -196,6 +271,62 @@ function StoryKnowledgeGraphContent() {
     }
   }, [fetchGraphData, fetchChapters]);
 
+  // Download the graph as GraphML, GEXF or JSON-LD
+  const exportGraph = useCallback(async (format: typeof EXPORT_FORMATS[number]['format']) => {
+    try {
+      const params = new URLSearchParams({ format });
+      if (workflowId) params.set('workflowId', workflowId);
+
+      const response = await fetch(`/api/story-graph/export?${params}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to export graph');
+      }
+
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `story-graph.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export graph:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to export graph');
+    }
+  }, [workflowId]);
+
+  // Rebuild the graph from an exported file
+  const importGraphFile = useCallback(async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const replaceGraph = graphData.nodes.length > 0 && confirm(
+      'Replace the current graph with this file? Choose Cancel to add it to the current graph instead.'
+    );
+
+    try {
+      const response = await fetch('/api/story-graph/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: await file.text(), replaceGraph, workflowId: workflowId || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to import graph');
+      }
+
+      toast.success(data.message);
+      setReplay(null);
+      await fetchGraphData(currentChapter || undefined);
+      await fetchChapters();
+    } catch (error) {
+      console.error('Failed to import graph:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to import graph');
+    }
+  }, [workflowId, graphData.nodes.length, currentChapter, fetchGraphData, fetchChapters]);
+
   // Initial data fetch
   useEffect(() => {
     fetchGraphData();
@@ -240,6 +371,7 @@ function StoryKnowledgeGraphContent() {
 
   // Handle chapter filter
   const handleChapterFilter = (chapterNum: number | null) => {
+    setReplay(null);
     setCurrentChapter(chapterNum);
     fetchGraphData(chapterNum || undefined);
   };
@@ -247,6 +379,7 @@ function StoryKnowledgeGraphContent() {
   // Node click handler
   const handleNodeClick = useCallback((node: GraphNode) => {
     setSelectedNode(node);
+    setEditingNode(null);
 
     if (viewMode === '3d') {
       // Focus camera on node in 3D
@@ -272,7 +405,7 @@ function StoryKnowledgeGraphContent() {
   const clearGraphData = useCallback(async () => {
     const confirmMessage = workflowId 
       ? 'Are you sure you want to clear graph data for this workflow? This cannot be undone.'
-      : 'Are you sure you want to clear ALL graph data? This cannot be undone.';
+      : 'Are you sure you want to clear your standalone graph data? This cannot be undone.';
     
     if (!confirm(confirmMessage)) {
       return;
@@ -310,13 +443,40 @@ function StoryKnowledgeGraphContent() {
     }
   }, [viewMode, filteredData]);
 
+  // Show a hand-corrected entity's details once the editor closes
+  const finishEditing = useCallback((entity: { id: string; type: string; properties: Record<string, any> } | null) => {
+    setEditingNode(null);
+    setSelectedNode(entity && { id: entity.id, type: entity.type, label: entity.properties.name, properties: entity.properties });
+  }, []);
+
+  // Highlight the subgraph a query answered with
+  const showQueryResult = useCallback((result: { subgraph: GraphData } | null) => {
+    setQueryHighlight(result && {
+      nodeIds: new Set(result.subgraph.nodes.map(node => node.id)),
+      edgeKeys: new Set(result.subgraph.edges.map(edge => edgeKey(edge.source as string, edge.type, edge.target as string)))
+    });
+  }, []);
+
   // Custom node rendering
   const getNodeColor = useCallback((node: GraphNode) => {
+    if (queryHighlight && !queryHighlight.nodeIds.has(node.id)) {
+      return '#374151'; // Dim nodes outside the query's answer
+    }
     if (highlightNodes.size > 0 && !highlightNodes.has(node.id)) {
       return '#374151'; // Dim non-matching nodes
     }
     return NODE_TYPES[node.type as keyof typeof NODE_TYPES]?.color || '#6B7280';
-  }, [highlightNodes]);
+  }, [highlightNodes, queryHighlight]);
+
+  const getLinkColor = useCallback((link: GraphEdge) => {
+    if (!queryHighlight) return 'rgba(16, 185, 129, 0.5)';
+
+    const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+    const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+    return queryHighlight.edgeKeys.has(edgeKey(sourceId, link.type, targetId))
+      ? 'rgba(251, 191, 36, 0.9)'
+      : 'rgba(71, 85, 105, 0.3)';
+  }, [queryHighlight]);
 
   // Get node icon component
   const getNodeIcon = (type: string) => {
@@ -399,6 +559,89 @@ function StoryKnowledgeGraphContent() {
                 </>
               )}
             </Button>
+            <Button
+              variant="outline"
+              size="default"
+              onClick={() => setShowQuery(true)}
+              disabled={graphData.nodes.length === 0}
+              className="border-border text-muted-foreground hover:text-foreground hover:bg-accent"
+            >
+              <MessageSquare className="w-4 h-4 mr-2" />
+              Ask
+            </Button>
+            <Button
+              variant="outline"
+              size="default"
+              onClick={() => { setSelectedNode(null); setEditingNode('new'); }}
+              disabled={!!replay}
+              className="border-border text-muted-foreground hover:text-foreground hover:bg-accent"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Add
+            </Button>
+            <Button
+              variant="outline"
+              size="default"
+              onClick={() => setShowMerges(true)}
+              className="border-border text-muted-foreground hover:text-foreground hover:bg-accent"
+            >
+              <Users className="w-4 h-4 mr-2" />
+              Merges
+            </Button>
+            <Button
+              variant="outline"
+              size="default"
+              onClick={() => replay ? leaveReplay() : fetchGraphAsOf({ chapter: currentChapter || chapters[0].number })}
+              disabled={chapters.length === 0}
+              className={replay
+                ? 'border-emerald-500/50 text-emerald-500 hover:text-emerald-400 hover:bg-emerald-500/10'
+                : 'border-border text-muted-foreground hover:text-foreground hover:bg-accent'}
+            >
+              <History className="w-4 h-4 mr-2" />
+              Replay
+            </Button>
+            <div className="relative">
+              <Button
+                variant="outline"
+                size="default"
+                onClick={() => setShowExportMenu(!showExportMenu)}
+                className="border-border text-muted-foreground hover:text-foreground hover:bg-accent"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export
+              </Button>
+              {showExportMenu && (
+                <div
+                  className="absolute right-0 mt-1 w-44 rounded-md border border-border bg-popover p-1 shadow-md z-50"
+                  onClick={() => setShowExportMenu(false)}
+                >
+                  {EXPORT_FORMATS.map(({ format, label }) => (
+                    <button
+                      key={format}
+                      onClick={() => exportGraph(format)}
+                      className="w-full text-left rounded-sm px-2 py-1.5 text-sm text-foreground hover:bg-accent"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                  <Separator className="my-1 bg-border" />
+                  <button
+                    onClick={() => importInputRef.current?.click()}
+                    className="w-full flex items-center gap-2 rounded-sm px-2 py-1.5 text-sm text-foreground hover:bg-accent"
+                  >
+                    <Upload className="w-4 h-4 text-muted-foreground" />
+                    Import file...
+                  </button>
+                </div>
+              )}
+            </div>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".graphml,.gexf,.jsonld,.json,.xml"
+              onChange={importGraphFile}
+              className="hidden"
+            />
             <Button
               variant="outline"
               size="default"
@@ -411,7 +654,7 @@ function StoryKnowledgeGraphContent() {
             <Button
               variant="outline"
               size="default"
-              onClick={() => fetchGraphData(currentChapter || undefined)}
+              onClick={() => replay ? fetchGraphAsOf(replay.asOf) : fetchGraphData(currentChapter || undefined)}
               className="border-border text-muted-foreground hover:text-foreground hover:bg-accent"
             >
               <RefreshCw className="w-4 h-4 mr-2" />
@@ -607,7 +850,7 @@ function StoryKnowledgeGraphContent() {
               nodeVal={(node: any) => node.type === 'Chapter' ? 20 : node.type === 'Character' ? 15 : 10}
               nodeOpacity={0.9}
               linkLabel={(link: any) => link.label || link.type}
-              linkColor={() => 'rgba(16, 185, 129, 0.5)'}
+              linkColor={getLinkColor}
               linkWidth={1.5}
               linkOpacity={0.6}
               linkDirectionalArrowLength={6}
@@ -655,7 +898,7 @@ function StoryKnowledgeGraphContent() {
                   ctx.fillText(label, node.x, node.y + nodeR + 2);
                 }
               }}
-              linkColor={() => 'rgba(16, 185, 129, 0.5)'}
+              linkColor={getLinkColor}
               linkWidth={1.5}
               linkDirectionalArrowLength={6}
               linkDirectionalArrowRelPos={1}
@@ -678,8 +921,32 @@ function StoryKnowledgeGraphContent() {
             />
           )}
 
+          {/* Graph Query */}
+          {showQuery && (
+            <GraphQueryPanel
+              workflowId={workflowId}
+              onResult={showQueryResult}
+              onClose={() => setShowQuery(false)}
+            />
+          )}
+
+          {/* Hand Corrections */}
+          {editingNode && (
+            <GraphEntityEditor
+              key={editingNode === 'new' ? 'new' : editingNode.id}
+              workflowId={workflowId}
+              node={editingNode === 'new' ? null : editingNode}
+              nodes={graphData.nodes}
+              edges={graphData.edges}
+              chapters={chapters}
+              onChanged={() => fetchGraphData(currentChapter || undefined)}
+              onDone={finishEditing}
+              onClose={() => setEditingNode(null)}
+            />
+          )}
+
           {/* Selected Node Details */}
-          {selectedNode && (
+          {selectedNode && !editingNode && (
             <Card className="absolute top-4 left-4 w-96 max-h-[calc(100vh-10rem)] bg-card/95 border-border backdrop-blur-xl shadow-2xl flex flex-col overflow-hidden z-50">
               <CardHeader className="pb-2 shrink-0">
                 <div className="flex items-center justify-between">
@@ -690,12 +957,23 @@ function StoryKnowledgeGraphContent() {
                     />
                     <CardTitle className="text-foreground text-lg truncate">{selectedNode.label}</CardTitle>
                   </div>
-                  <button
-                    onClick={() => setSelectedNode(null)}
-                    className="text-muted-foreground hover:text-foreground shrink-0 ml-2"
-                  >
-                    <X className="w-4 h-4" />
-                  </button>
+                  <div className="flex items-center gap-2 shrink-0 ml-2">
+                    {selectedNode.type !== 'Chapter' && !replay && (
+                      <button
+                        onClick={() => setEditingNode(selectedNode)}
+                        className="text-muted-foreground hover:text-foreground"
+                        title="Correct this node"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setSelectedNode(null)}
+                      className="text-muted-foreground hover:text-foreground"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
                 </div>
                 <Badge
                   variant="outline"
@@ -743,8 +1021,20 @@ function StoryKnowledgeGraphContent() {
         </div>
       </div>
 
+      {/* Replay Scrubber */}
+      {replay && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50">
+          <GraphTimeScrubber
+            timeline={replay.timeline}
+            asOf={replay.asOf}
+            onChange={fetchGraphAsOf}
+            onClose={leaveReplay}
+          />
+        </div>
+      )}
+
       {/* Chapter Navigation */}
-      {chapters.length > 0 && (
+      {chapters.length > 0 && !replay && (
         <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50">
           <div className="flex items-center gap-2 bg-card/95 backdrop-blur-xl border border-border rounded-full px-4 py-2 shadow-2xl">
             <Button
@@ -809,6 +1099,14 @@ function StoryKnowledgeGraphContent() {
           </div>
         </div>
       )}
+
+      {showMerges && (
+        <CharacterMergeDialog
+          workflowId={workflowId}
+          onChanged={() => replay ? fetchGraphAsOf(replay.asOf) : fetchGraphData(currentChapter || undefined)}
+          onClose={() => setShowMerges(false)}
+        />
+      )}
     </div>
   );
 }
@@ -6,6 +6,7 @@ import WorkflowCanvas from "@/components/workflow/WorkflowCanvas";
 import { Button } from "@/components/ui/button";
 import { ArrowLeft, Loader2 } from "lucide-react";
 import toast from "react-hot-toast";
+import { ROLE_LABELS } from "@/lib/collab/roles";
 
 export default function WorkflowDetailPage() {
   const params = useParams();
@@ -56,12 +57,36 @@ export default function WorkflowDetailPage() {
     }
   }, [params.id, router]);
 
+  // Opened from an invite link: join the project before loading it
+  const acceptInvite = useCallback(async () => {
+    const token = new URLSearchParams(window.location.search).get('invite');
+    if (!token) return;
+    try {
+      const response = await fetch('/api/scriptforge/workflows/invites/accept', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token })
+      });
+      const data = await response.json();
+      if (data.success) {
+        toast.success(`Joined project (${ROLE_LABELS[data.role]})`);
+      } else {
+        toast.error(data.error || 'Failed to accept invite');
+      }
+    } catch (error) {
+      toast.error('Failed to accept invite');
+    }
+    router.replace(`/workflows/${params.id}`);
+  }, [params.id, router]);
+
   // Fetch on mount and when params change
   useEffect(() => {
     if (params.id) {
-      fetchWorkflow();
+      acceptInvite().then(fetchWorkflow);
     }
-  }, [params.id, fetchWorkflow]);
+  }, [params.id, acceptInvite, fetchWorkflow]);
 
   const handleSave = async (nodes, edges) => {
     try {
@@ -34,7 +34,7 @@ const EXAMPLE_WORKFLOWS = [
   }
 ];
 
-const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md', '.rtf', '.csv', '.json'];
+const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md', '.rtf', '.csv', '.json', '.fountain', '.fdx'];
 
 export default function CreateWorkflowPage() {
   const router = useRouter();
@@ -332,7 +332,7 @@ export default function CreateWorkflowPage() {
                     ref={fileInputRef}
                     type="file"
                     multiple
-                    accept=".pdf,.doc,.docx,.txt,.md,.rtf,.csv,.json,image/*,video/*,audio/*"
+                    accept=".pdf,.doc,.docx,.txt,.md,.rtf,.csv,.json,.fountain,.fdx,image/*,video/*,audio/*"
                     onChange={handleFileUpload}
                     className="hidden"
                   />
@@ -15,7 +15,7 @@ import {
   PanelRightClose, PanelRight, RefreshCw, Copy, ArrowLeft,
   Database, Network, Link2, Users, MapPin, Minus, Plus,
   MessageSquare, Eye, EyeOff, Undo2, Redo2, Bold, Italic,
-  History, GitBranch, Save, Share2, MousePointer2, Focus, AlignJustify
+  History, GitBranch, Save, Share2, MousePointer2, Focus, AlignJustify, Download
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { io } from "socket.io-client";
@@ -23,6 +23,10 @@ import { nanoid } from 'nanoid';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from "@/components/ui/dialog";
 import { Switch } from "@/components/ui/switch";
 import StoryVisualization from './StoryVisualization';
+import { parseFountain } from '@/lib/screenplay/fountain';
+import { CollabClient } from '@/lib/collab/collab-client';
+import { transformIndex } from '@/lib/collab/text-operation';
+import { MEMBER_ROLES, ROLE_LABELS, canComment, canEditScript } from '@/lib/collab/roles';
 
 // Custom scrollbar and Word document styles
 const scrollbarStyles = `
@@ -151,6 +155,23 @@ const scrollbarStyles = `
     color: white;
   }
 
+  .comment-thread {
+    position: absolute;
+    top: 24px;
+    right: -50px;
+    z-index: 50;
+    width: 280px;
+    background: hsl(var(--popover));
+    border: 1px solid hsl(var(--border));
+    border-radius: 10px;
+    padding: 10px;
+    box-shadow: 0 4px 24px rgba(0,0,0,0.25);
+    font-family: ui-sans-serif, system-ui, sans-serif;
+    text-align: left;
+    text-transform: none;
+    white-space: normal;
+  }
+
   /* Issue highlight in document — severity-based */
   .issue-highlight {
     cursor: pointer;
@@ -281,9 +302,22 @@ const CATEGORY_ICONS = {
   style: Pencil
 };
 
+// Styles for the Fountain markup that looks the same in every format
+const FOUNTAIN_MARKUP_STYLES = {
+  'title-page': 'text-center text-muted-foreground',
+  'centered': 'text-center',
+  'lyrics': 'italic',
+  'note': 'text-xs text-amber-600 dark:text-amber-400 bg-amber-500/10 rounded px-1',
+  'boneyard': 'text-muted-foreground/60 line-through',
+  'section': 'text-xs font-semibold uppercase tracking-wider text-emerald-600 dark:text-emerald-400',
+  'synopsis': 'text-xs italic text-muted-foreground',
+  'page-break': 'text-center text-muted-foreground/60',
+};
+
 // Screenplay formatting CSS — applied per line type
 const FORMAT_STYLES = {
   screenplay: {
+    ...FOUNTAIN_MARKUP_STYLES,
     'scene-heading': 'font-bold uppercase tracking-wide',
     'character': 'uppercase text-center font-semibold',
     'dialogue': 'pl-16 pr-16',
@@ -293,6 +327,7 @@ const FORMAT_STYLES = {
     'empty': '',
   },
   novel: {
+    ...FOUNTAIN_MARKUP_STYLES,
     'scene-heading': 'text-xl font-bold mt-6 mb-2',
     'character': 'font-semibold',
     'dialogue': '',
@@ -302,6 +337,7 @@ const FORMAT_STYLES = {
     'empty': '',
   },
   episodic: {
+    ...FOUNTAIN_MARKUP_STYLES,
     'scene-heading': 'font-bold uppercase tracking-wide border-b border-border pb-1 mb-2',
     'character': 'uppercase text-center font-semibold text-sm',
     'dialogue': 'pl-12 pr-12',
@@ -312,70 +348,29 @@ const FORMAT_STYLES = {
   }
 };
 
-// Helper function to detect line type for screenplay formatting
-const detectLineType = (line, prevLine, nextLine) => {
-  const trimmed = line.trim();
-  const upperTrimmed = trimmed.toUpperCase();
-
-  // Scene heading (INT./EXT.)
-  if (/^(INT\.|EXT\.|INT\/EXT\.|I\/E\.)/.test(upperTrimmed)) {
-    return 'scene-heading';
-  }
-
-  // Transition (CUT TO:, FADE IN:, etc.)
-  if (/^(CUT TO:|FADE IN:|FADE OUT:|DISSOLVE TO:|SMASH CUT:|TIME CUT:|MATCH CUT:)/.test(upperTrimmed) ||
-    /^(CUT TO|FADE TO|FADE OUT|THE END)$/.test(upperTrimmed)) {
-    return 'transition';
-  }
-
-  // Character name (all caps, centered position logic)
-  if (trimmed === trimmed.toUpperCase() &&
-    trimmed.length > 0 &&
-    trimmed.length < 40 &&
-    !trimmed.includes('.') &&
-    /^[A-Z\s\(\)]+$/.test(trimmed)) {
-    return 'character';
-  }
-
-  // Parenthetical
-  if (trimmed.startsWith('(') && trimmed.endsWith(')')) {
-    return 'parenthetical';
-  }
-
-  // Check if previous line was character or parenthetical (then this is dialogue)
-  if (prevLine) {
-    const prevType = detectLineType(prevLine, null, null);
-    if (prevType === 'character' || prevType === 'parenthetical') {
-      if (trimmed.length > 0) {
-        return 'dialogue';
-      }
-    }
-  }
-
-  // Default to action
-  if (trimmed.length > 0) {
-    return 'action';
-  }
+const EXPORT_FORMATS = [
+  { format: 'fountain', label: 'Fountain' },
+  { format: 'fdx', label: 'Final Draft (.fdx)' },
+  { format: 'pdf', label: 'Screenplay PDF' }
+];
 
-  return 'empty';
-};
+// Parse the script as Fountain and type each line for formatting
+// Move comment anchors (offsets into the local text) along with an edit
+const shiftComments = (comments, operation) =>
+  comments.length ? comments.map(comment => ({ ...comment, position: transformIndex(comment.position, operation) })) : comments;
 
-// Parse screenplay into structured format
 const parseScreenplay = (content, problems) => {
   if (!content) return [];
 
   const rawLines = content.split('\n');
+  const { lineTypes } = parseFountain(content);
   const parsedLines = rawLines.map((line, idx) => {
-    const prevLine = idx > 0 ? rawLines[idx - 1] : null;
-    const nextLine = idx < rawLines.length - 1 ? rawLines[idx + 1] : null;
-
-    const lineType = detectLineType(line, prevLine, nextLine);
     const problem = problems.find(p => p.line === idx + 1);
 
     return {
       number: idx + 1,
       content: line,
-      type: lineType,
+      type: lineTypes[idx],
       hasProblem: !!problem,
       problem: problem || null,
       pendingChange: problem ? {
@@ -406,6 +401,7 @@ export default function AIEditorPage({
   const [isRightPanelOpen, setIsRightPanelOpen] = useState(true);
   const [isReferencePanelOpen, setIsReferencePanelOpen] = useState(true);
   const [isVersionPanelOpen, setIsVersionPanelOpen] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
   const [activeTab, setActiveTab] = useState('problems');
   const [scriptContent, setScriptContent] = useState('');
   const [scriptLines, setScriptLines] = useState([]);
@@ -426,6 +422,18 @@ export default function AIEditorPage({
   const [collaborators, setCollaborators] = useState({}); // { [userId]: { name, color, line, timestamp } }
   const [isShareDialogOpen, setIsShareDialogOpen] = useState(false);
   const [shareUrl, setShareUrl] = useState('');
+  const [isCollabSynced, setIsCollabSynced] = useState(false); // Joined the server's copy of the document
+  const [collabRole, setCollabRole] = useState(null); // owner | editor | commenter | viewer, from the server
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [createdInvite, setCreatedInvite] = useState(null); // { role, expiresAt } of the link in shareUrl
+  const [isCreatingInvite, setIsCreatingInvite] = useState(false);
+  const [collabUserId, setCollabUserId] = useState(null); // Our account id, as the server knows it
+  const [comments, setComments] = useState([]); // { id, authorId, authorName, text, position } - position in the local text
+  const [activeCommentLine, setActiveCommentLine] = useState(null);
+  const [commentDraft, setCommentDraft] = useState('');
+  const collabRef = useRef(null); // CollabClient: local view of the shared text
+  const scriptContentRef = useRef('');
+  const pendingCaretRef = useRef(null); // { line, offset } to restore after a remote edit
 
   // Focus / Zen Mode
   const [isFocusMode, setIsFocusMode] = useState(false);
@@ -465,12 +473,6 @@ export default function AIEditorPage({
   const currentUser = useMemo(() => {
     // Persist identity for session
     if (typeof window !== 'undefined') {
-      // Set basic share URL immediately on client side (fallback if socket fails)
-      if (!shareUrl) {
-        const docId = workflow?.id || workflow?._id || 'demo-doc';
-        setShareUrl(`${window.location.origin}/workflows/${docId}?share=true`);
-      }
-
       const stored = localStorage.getItem('sf_user_identity');
       if (stored) return JSON.parse(stored);
 
@@ -489,22 +491,90 @@ export default function AIEditorPage({
 
   // Initialize Socket.io
   useEffect(() => {
+    // Rooms are per workflow; access is checked against its owner and members
+    const docId = workflow?.id || workflow?._id;
+    if (!docId) return;
+
     // Create socket connection
     const socketInstance = io({
       path: '/api/socket/io',
       addTrailingSlash: false,
     });
 
+    // Edits go out as operations against the last revision the server confirmed.
+    // Offline edits are not queued: the rejoin below merges and resends them
+    const client = new CollabClient((revision, operation, operationId) => {
+      if (socketInstance.connected) {
+        socketInstance.emit('send-changes', { documentId: docId, revision, operation, operationId });
+      }
+    });
+    collabRef.current = client;
+    let hasJoined = false;
+
+    // Caret position in the shared text, if the user is editing a line
+    const captureCaret = () => {
+      const focused = Object.entries(editableRefs.current).find(([, el]) => el && el === document.activeElement);
+      const sel = window.getSelection();
+      if (!focused || !sel) return null;
+      const lines = client.document.split('\n');
+      const lineIndex = Number(focused[0]) - 1;
+      const lineStart = lines.slice(0, lineIndex).reduce((sum, text) => sum + text.length + 1, 0);
+      return lineStart + Math.min(sel.focusOffset, lines[lineIndex]?.length ?? 0);
+    };
+
     socketInstance.on('connect', () => {
       console.log("Socket connected:", socketInstance.id);
-      const docId = workflow?.id || workflow?._id || 'demo-doc';
-      setShareUrl(`${window.location.origin}/workflows/${docId}?share=true`);
-      socketInstance.emit('join-document', docId, currentUser);
+      // Our text only seeds the room if nobody has edited it live yet
+      socketInstance.emit('join-document', docId, currentUser, scriptContentRef.current, client.pendingOperationId);
     });
 
     socketInstance.on('connect_error', (err) => {
-      console.warn("Socket connection failed (likely dev mode):", err.message);
-      // Don't clear shareUrl, keep fallback
+      console.warn("Socket connection failed (signed out or dev mode):", err.message);
+    });
+
+    socketInstance.on('disconnect', () => {
+      setIsCollabSynced(false);
+    });
+
+    socketInstance.on('document-state', (data) => {
+      // data: { documentId, content, revision, role, userId, applied, comments } - sent on join and after a rejected edit
+      if (hasJoined && canEditScript(data.role)) {
+        // Rejoined (or an edit bounced): keep what was typed meanwhile, on top of the server's text
+        client.resync(data.content, data.revision, !!data.applied, scriptContentRef.current);
+      } else {
+        client.reset(data.content, data.revision);
+      }
+      hasJoined = true;
+      setCollabRole(data.role);
+      setCollabUserId(data.userId);
+      setComments((data.comments || []).map(comment => ({ ...comment, position: client.toLocalIndex(comment.position) })));
+      setIsCollabSynced(true);
+      setScriptContent(client.document);
+    });
+
+    socketInstance.on('collab-error', (data) => {
+      toast.error(data.error);
+      if (data.revoked) {
+        // Removed from the project: keep the text, stop syncing it
+        setIsCollabSynced(false);
+        setCollabRole(null);
+      }
+    });
+
+    socketInstance.on('role-changed', (data) => {
+      // data: { documentId, role } - the owner changed our role
+      setCollabRole(data.role);
+      toast(`Your role is now ${ROLE_LABELS[data.role]}`);
+    });
+
+    socketInstance.on('comment-added', (data) => {
+      // data: { documentId, comment } - its position is in the server's text
+      const { comment } = data;
+      setComments(prev => [...prev, { ...comment, position: client.toLocalIndex(comment.position) }]);
+    });
+
+    socketInstance.on('comment-removed', (data) => {
+      setComments(prev => prev.filter(comment => comment.id !== data.commentId));
     });
 
     socketInstance.on('user-joined', (user) => {
@@ -519,25 +589,115 @@ export default function AIEditorPage({
       }));
     });
 
-    socketInstance.on('receive-changes', (data) => {
-      // data: { lineId, content, senderId }
-      if (data.senderId === currentUser.id) return;
+    socketInstance.on('ack-changes', (data) => {
+      client.acknowledge(data.revision);
+    });
 
-      setScriptLines(prev => prev.map(line => {
-        if (line.number === data.lineId) {
-          return { ...line, content: data.content };
-        }
-        return line;
-      }));
+    socketInstance.on('receive-changes', (data) => {
+      // data: { revision, operation, senderId } - another writer's edit, or our own undo
+      const caret = captureCaret();
+      const applied = client.applyRemote(data.operation, data.revision);
+      if (caret !== null) {
+        const preceding = client.document.slice(0, transformIndex(caret, applied)).split('\n');
+        pendingCaretRef.current = { line: preceding.length, offset: preceding[preceding.length - 1].length };
+      }
+      setComments(prev => shiftComments(prev, applied));
+      setScriptContent(client.document);
     });
 
     setSocket(socketInstance);
 
     return () => {
       socketInstance.disconnect();
+      setSocket(null);
+      collabRef.current = null;
+      setIsCollabSynced(false);
+      setCollabRole(null);
+      setComments([]);
     };
   }, [workflow, currentUser]);
 
+  // Viewers and commenters see live edits but cannot type; the server enforces it too
+  const isReadOnly = !!collabRole && !canEditScript(collabRole);
+
+  // Send local edits (accepted fixes, restored versions, finished lines) to the room
+  useEffect(() => {
+    scriptContentRef.current = scriptContent;
+    const client = collabRef.current;
+    if (isCollabSynced && !isReadOnly && client && scriptContent !== client.document) {
+      const operation = client.setDocument(scriptContent);
+      setComments(prev => shiftComments(prev, operation));
+    }
+  }, [scriptContent, isCollabSynced, isReadOnly]);
+
+  // Comments grouped by the line their anchor is on
+  const commentsByLine = useMemo(() => {
+    const byLine = {};
+    let line = 1;
+    let index = 0;
+    for (const comment of [...comments].sort((a, b) => a.position - b.position)) {
+      for (; index < comment.position && index < scriptContent.length; index++) {
+        if (scriptContent[index] === '\n') line++;
+      }
+      (byLine[line] ??= []).push(comment);
+    }
+    return byLine;
+  }, [comments, scriptContent]);
+
+  const handlePostComment = (line) => {
+    const docId = workflow?.id || workflow?._id;
+    const text = commentDraft.trim();
+    if (!socket || !docId || !text) return;
+    socket.emit('add-comment', { documentId: docId, line, text });
+    setCommentDraft('');
+  };
+
+  const handleRemoveComment = (commentId) => {
+    const docId = workflow?.id || workflow?._id;
+    if (socket && docId) socket.emit('remove-comment', { documentId: docId, commentId });
+  };
+
+  // Signed invite link granting `inviteRole`; only the owner can create one
+  const handleCreateInvite = async () => {
+    const docId = workflow?.id || workflow?._id;
+    if (!docId) return;
+    setIsCreatingInvite(true);
+    try {
+      const response = await fetch('/api/scriptforge/workflows/invites', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workflowId: docId, role: inviteRole })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to create invite');
+      setShareUrl(data.url);
+      setCreatedInvite({ role: data.role, expiresAt: data.expiresAt });
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsCreatingInvite(false);
+    }
+  };
+
+  // Invalidate every invite link created so far; members who joined stay
+  const handleRevokeInvites = async () => {
+    const docId = workflow?.id || workflow?._id;
+    if (!docId) return;
+    setIsCreatingInvite(true);
+    try {
+      const response = await fetch(`/api/scriptforge/workflows/invites?workflowId=${docId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to revoke invites');
+      setShareUrl('');
+      setCreatedInvite(null);
+      toast.success('Invite links revoked');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsCreatingInvite(false);
+    }
+  };
+
   // Resizing Refs
   const isDraggingBottom = useRef(false);
   const isDraggingRight = useRef(false);
@@ -638,8 +798,7 @@ export default function AIEditorPage({
           body: JSON.stringify({
             text: content,
             workflowId: wfId,
-            chapterNumber: 1,
-            replaceGraph: true // Flag to replace instead of append
+            chapterNumber: 1
           })
         }).then(async res => {
           if (!res.ok) throw new Error('Sync failed');
@@ -647,12 +806,12 @@ export default function AIEditorPage({
         }),
         {
           loading: 'Syncing Knowledge Graph...',
-          success: 'Knowledge Graph Updated',
+          success: (data) => `Knowledge Graph Updated: ${data.summary}`,
           error: 'Graph Sync Failed'
         },
         {
           style: { minWidth: '250px', fontSize: '12px' },
-          success: { duration: 2000 }
+          success: { duration: 4000 }
         }
       );
     }, 2000); // 2 second debounce
@@ -708,6 +867,34 @@ export default function AIEditorPage({
     }
   };
 
+  // Download the script, or a saved version of it, as Fountain, Final Draft or PDF
+  const handleExportScript = async (format = 'fountain', versionId = null) => {
+    if (!scriptContent && !versionId) return;
+    try {
+      const res = await fetch('/api/script-editor/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(versionId
+          ? { versionId, format }
+          : { content: scriptContent, format, title: workflow?.name })
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Export failed');
+      }
+
+      const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `script.${format}`;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.message || 'Failed to export script');
+    }
+  };
+
   // ============================================================
   // DEBOUNCED AUTO-SAVE (every 30 seconds)
   // ============================================================
@@ -1137,6 +1324,26 @@ export default function AIEditorPage({
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatMessages]);
 
+  // A remote edit re-renders the line being typed in; put its text and caret back
+  useEffect(() => {
+    const caret = pendingCaretRef.current;
+    if (!caret) return;
+    pendingCaretRef.current = null;
+    const el = editableRefs.current[caret.line];
+    const line = scriptLines.find(l => l.number === caret.line);
+    if (!el || !line) return;
+    const text = line.content || '\u00A0';
+    // React skips the update when the new text matches what it last rendered
+    if (el.textContent !== text) el.textContent = text;
+    el.focus();
+    const range = document.createRange();
+    range.setStart(el.firstChild || el, Math.min(caret.offset, el.firstChild?.textContent.length ?? 0));
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }, [scriptLines]);
+
   // Handle editable content blur (when user finishes editing a line)
   const handleEditableBlur = useCallback((lineNumber, e) => {
     const newContent = e.currentTarget.innerText;
@@ -1161,6 +1368,15 @@ export default function AIEditorPage({
 
   // Handle keydown in editable content
   const handleEditableKeyDown = useCallback((lineNumber, e) => {
+    // While collaborating, undo takes back only this writer's edits (on the server)
+    const key = e.key.toLowerCase();
+    if ((e.metaKey || e.ctrlKey) && (key === 'z' || key === 'y') && socket && isCollabSynced && !isReadOnly) {
+      e.preventDefault();
+      const docId = workflow?.id || workflow?._id || 'demo-doc';
+      socket.emit(key === 'y' || e.shiftKey ? 'redo' : 'undo', { documentId: docId });
+      return;
+    }
+
     // Handle Enter key to create new line
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -1199,7 +1415,7 @@ export default function AIEditorPage({
         }
       }, 50);
     }
-  }, []);
+  }, [socket, isCollabSynced, isReadOnly, workflow]);
 
   const handleProblemClick = (problem) => {
     setSelectedProblem(problem);
@@ -1981,6 +2197,34 @@ export default function AIEditorPage({
               <History className="w-3.5 h-3.5" />
               History
             </Button>
+            <div className="relative">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setShowExportMenu(!showExportMenu)}
+                disabled={!scriptContent}
+                className="h-8 gap-1 text-xs"
+              >
+                <Download className="w-3.5 h-3.5" />
+                Export
+              </Button>
+              {showExportMenu && (
+                <div
+                  className="absolute right-0 mt-1 w-44 rounded-md border border-border bg-popover p-1 shadow-md z-50"
+                  onClick={() => setShowExportMenu(false)}
+                >
+                  {EXPORT_FORMATS.map(({ format, label }) => (
+                    <button
+                      key={format}
+                      onClick={() => handleExportScript(format)}
+                      className="w-full text-left rounded-sm px-2 py-1.5 text-sm text-foreground hover:bg-accent"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
             <Button
               variant="ghost"
               size="sm"
@@ -2055,15 +2299,27 @@ export default function AIEditorPage({
                             <Clock className="w-3 h-3" />
                             {new Date(version.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                           </span>
-                          <Button
-                            type="button"
-                            variant={confirmRestoreId === version._id ? "destructive" : "ghost"}
-                            size="sm"
-                            className={`h-5 px-1.5 text-[10px] transition-opacity ${confirmRestoreId === version._id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`}
-                            onClick={(e) => handleRestoreVersion(version, e)}
-                          >
-                            {confirmRestoreId === version._id ? "Confirm?" : "Restore"}
-                          </Button>
+                          <div className="flex items-center gap-1">
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="sm"
+                              className="h-5 px-1.5 text-[10px] opacity-0 group-hover:opacity-100 transition-opacity"
+                              onClick={() => handleExportScript('pdf', version._id)}
+                              title="Download this version as a screenplay PDF"
+                            >
+                              PDF
+                            </Button>
+                            <Button
+                              type="button"
+                              variant={confirmRestoreId === version._id ? "destructive" : "ghost"}
+                              size="sm"
+                              className={`h-5 px-1.5 text-[10px] transition-opacity ${confirmRestoreId === version._id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`}
+                              onClick={(e) => handleRestoreVersion(version, e)}
+                            >
+                              {confirmRestoreId === version._id ? "Confirm?" : "Restore"}
+                            </Button>
+                          </div>
                         </div>
                       </div>
                     ))
@@ -2264,6 +2520,11 @@ export default function AIEditorPage({
                     {Object.keys(collaborators).length > 0 && (
                       <span className="ml-2 text-[10px] text-muted-foreground">{Object.keys(collaborators).length} online</span>
                     )}
+                    {isReadOnly && (
+                      <Badge variant="outline" className="ml-2 text-[10px] h-5 px-1.5" title="You can't change the script text">
+                        {ROLE_LABELS[collabRole]}
+                      </Badge>
+                    )}
                   </div>
 
                   <div className="flex-1" />
@@ -2321,6 +2582,7 @@ export default function AIEditorPage({
                     {scriptLines.map((line, idx) => {
                       const isSelected = selectedProblem?.line === line.number;
                       const lineCollaborators = Object.values(collaborators).filter(c => c.line === line.number && c.userId !== currentUser.id);
+                      const lineComments = commentsByLine[line.number] || [];
 
                       return (
                         <div
@@ -2352,6 +2614,64 @@ export default function AIEditorPage({
                             {line.number}
                           </span>
 
+                          {/* Comment thread (anyone but viewers can add one on hover) */}
+                          {isCollabSynced && (lineComments.length > 0 || canComment(collabRole)) && (
+                            <button
+                              type="button"
+                              className={`comment-marker top-0.5 ${lineComments.length ? '' : 'opacity-0 group-hover:opacity-100 transition-opacity'}`}
+                              title={lineComments.length ? `${lineComments.length} comment${lineComments.length === 1 ? '' : 's'}` : 'Comment on this line'}
+                              onClick={() => {
+                                setActiveCommentLine(activeCommentLine === line.number ? null : line.number);
+                                setCommentDraft('');
+                              }}
+                            >
+                              {lineComments.length || <MessageSquare className="w-3 h-3" />}
+                            </button>
+                          )}
+                          {isCollabSynced && activeCommentLine === line.number && (
+                            <div className="comment-thread">
+                              {lineComments.map(comment => (
+                                <div key={comment.id} className="mb-2 text-xs">
+                                  <div className="flex items-center justify-between gap-2">
+                                    <span className="font-semibold text-foreground">{comment.authorName}</span>
+                                    {(comment.authorId === collabUserId || collabRole === 'owner') && (
+                                      <button
+                                        type="button"
+                                        className="text-muted-foreground hover:text-foreground"
+                                        title="Delete comment"
+                                        onClick={() => handleRemoveComment(comment.id)}
+                                      >
+                                        <X className="w-3 h-3" />
+                                      </button>
+                                    )}
+                                  </div>
+                                  <p className="text-muted-foreground whitespace-pre-wrap break-words">{comment.text}</p>
+                                </div>
+                              ))}
+                              {canComment(collabRole) ? (
+                                <div className="flex gap-1.5">
+                                  <Input
+                                    autoFocus
+                                    value={commentDraft}
+                                    maxLength={2000}
+                                    placeholder="Add a comment…"
+                                    className="h-7 text-xs"
+                                    onChange={(e) => setCommentDraft(e.target.value)}
+                                    onKeyDown={(e) => {
+                                      if (e.key === 'Enter') handlePostComment(line.number);
+                                      if (e.key === 'Escape') setActiveCommentLine(null);
+                                    }}
+                                  />
+                                  <Button size="sm" className="h-7 px-2" disabled={!commentDraft.trim()} onClick={() => handlePostComment(line.number)}>
+                                    <Send className="w-3 h-3" />
+                                  </Button>
+                                </div>
+                              ) : lineComments.length === 0 && (
+                                <p className="text-xs text-muted-foreground">No comments on this line.</p>
+                              )}
+                            </div>
+                          )}
+
                           {/* Line content */}
                           {line.hasProblem && showIssueHighlights ? (
                             <span
@@ -2426,19 +2746,16 @@ export default function AIEditorPage({
                             /* Editable line - like Google Docs */
                             <span
                               ref={(el) => { editableRefs.current[line.number] = el; }}
-                              contentEditable
+                              contentEditable={!isReadOnly}
                               suppressContentEditableWarning
                               className={`outline-none min-w-[20px] inline-block ${line.hasProblem ? 'cursor-pointer' : ''} focus:bg-blue-500/10 focus:ring-1 focus:ring-blue-500/30 rounded px-1 -mx-1`}
                               onBlur={(e) => handleEditableBlur(line.number, e)}
                               onInput={(e) => {
-                                if (socket) {
-                                  const docId = workflow?.id || workflow?._id || 'demo-doc';
-                                  socket.emit('send-changes', {
-                                    documentId: docId,
-                                    lineId: line.number,
-                                    content: e.currentTarget.innerText,
-                                    senderId: currentUser.id
-                                  });
+                                const client = collabRef.current;
+                                if (client && isCollabSynced && !isReadOnly) {
+                                  // Send every keystroke; the server merges it with concurrent edits
+                                  const edited = e.currentTarget.innerText;
+                                  client.setDocument(scriptLines.map(l => l.number === line.number ? edited : l.content).join('\n'));
                                 }
                               }}
                               onKeyUp={(e) => {
@@ -2919,26 +3236,60 @@ export default function AIEditorPage({
               Share to Web
             </DialogTitle>
             <DialogDescription>
-              Publish and share this link with others to collaborate.
+              Invite people to this project with a signed link that expires after 7 days.
             </DialogDescription>
           </DialogHeader>
           <div className="grid gap-4 py-4">
-            <div className="flex items-center gap-2">
-              <Input
-                id="share-link"
-                value={shareUrl || "Generating link..."}
-                readOnly
-                className="font-mono text-xs h-9 bg-muted/30"
-              />
-              <Button size="sm" className="shrink-0 h-9" onClick={() => {
-                navigator.clipboard.writeText(shareUrl);
-                toast.success('Link copied!');
-                setIsShareDialogOpen(false);
-              }}>
-                <Copy className="w-3.5 h-3.5 mr-2" />
-                Copy
-              </Button>
-            </div>
+            {collabRole === 'owner' ? (
+              <>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={inviteRole}
+                    onChange={(e) => setInviteRole(e.target.value)}
+                    className="h-9 px-2 text-xs rounded border border-border bg-background text-foreground cursor-pointer"
+                    title="Role for people who open the link"
+                  >
+                    {MEMBER_ROLES.map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
+                  </select>
+                  <Button size="sm" variant="outline" className="h-9" onClick={handleCreateInvite} disabled={isCreatingInvite}>
+                    {isCreatingInvite ? <RefreshCw className="w-3.5 h-3.5 mr-2 animate-spin" /> : <Link2 className="w-3.5 h-3.5 mr-2" />}
+                    Create invite link
+                  </Button>
+                  <Button size="sm" variant="ghost" className="h-9 text-muted-foreground" onClick={handleRevokeInvites} disabled={isCreatingInvite} title="Links already handed out stop working">
+                    Revoke links
+                  </Button>
+                </div>
+                {shareUrl && (
+                  <div className="flex items-center gap-2">
+                    <Input
+                      id="share-link"
+                      value={shareUrl}
+                      readOnly
+                      className="font-mono text-xs h-9 bg-muted/30"
+                    />
+                    <Button size="sm" className="shrink-0 h-9" onClick={() => {
+                      navigator.clipboard.writeText(shareUrl);
+                      toast.success('Link copied!');
+                      setIsShareDialogOpen(false);
+                    }}>
+                      <Copy className="w-3.5 h-3.5 mr-2" />
+                      Copy
+                    </Button>
+                  </div>
+                )}
+                {createdInvite && (
+                  <p className="text-[11px] text-muted-foreground">
+                    Anyone signed in who opens this link before {new Date(createdInvite.expiresAt).toLocaleString()} joins as “{ROLE_LABELS[createdInvite.role]}”.
+                  </p>
+                )}
+              </>
+            ) : (
+              <p className="text-sm text-muted-foreground">
+                {collabRole ? 'Only the project owner can invite people.' : 'Connecting to the collaboration server…'}
+              </p>
+            )}
 
             <div className="rounded border border-border p-3 bg-muted/20">
               <div className="flex items-center justify-between">
@@ -2951,7 +3302,7 @@ export default function AIEditorPage({
                   </div>
                   <div className="flex flex-col">
                     <span className="text-sm font-medium">You ({currentUser.name})</span>
-                    <span className="text-[10px] text-muted-foreground">Session Owner</span>
+                    <span className="text-[10px] text-muted-foreground">{ROLE_LABELS[collabRole] || 'Offline'}</span>
                   </div>
                 </div>
                 <div className="text-[10px] px-2 py-1 rounded bg-green-500/10 text-green-600 border border-green-500/20 font-medium flex items-center gap-1">
@@ -13,7 +13,7 @@ import { useRouter } from 'next/navigation';
 import ReactMarkdown from 'react-markdown';
 import AgentIcon from './AgentIcon';
 
-export default function AgentDetailModal({ agent, isOpen, onClose, onRunAgent }) {
+export default function AgentDetailModal({ agent, isOpen, onClose, onRunAgent, modelSelection, onModelChange }) {
   const [copiedInput, setCopiedInput] = useState(false);
   const [copiedOutput, setCopiedOutput] = useState(false);
   const [isEditingPrompt, setIsEditingPrompt] = useState(false);
@@ -22,8 +22,23 @@ export default function AgentDetailModal({ agent, isOpen, onClose, onRunAgent })
   const [videoGenerations, setVideoGenerations] = useState({}); // Track video generation status per prompt
   const [generatedVideos, setGeneratedVideos] = useState({}); // Store completed video URLs
   const [isLoadingVideos, setIsLoadingVideos] = useState(false);
+  const [modelOptions, setModelOptions] = useState(null); // { backends, defaults } from /api/scriptforge/models
   const router = useRouter();
 
+  // Load the selectable backends/models once, the first time the modal opens
+  useEffect(() => {
+    if (!isOpen || modelOptions || !onModelChange) return;
+
+    fetch('/api/scriptforge/models')
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data?.success) {
+          setModelOptions({ backends: data.backends, defaults: data.defaults });
+        }
+      })
+      .catch(error => console.error('Error loading models:', error));
+  }, [isOpen, modelOptions, onModelChange]);
+
   // Get workflow and agent info for API calls
   const getWorkflowInfo = useCallback(() => {
     if (!agent?.data) return null;
@@ -1300,6 +1315,30 @@ export default function AgentDetailModal({ agent, isOpen, onClose, onRunAgent })
                   <Badge variant="outline" className="text-xs bg-muted text-emerald-600 dark:text-emerald-400 border-border">
                     ID: {agent.id}
                   </Badge>
+                  {/* Custom agents carry their own model, edited with the agent */}
+                  {modelOptions && !agent.data.agentType?.startsWith('custom-') && (
+                    <select
+                      value={modelSelection ? `${modelSelection.provider}|${modelSelection.model}` : ''}
+                      onChange={(e) => {
+                        const [provider, ...model] = e.target.value.split('|');
+                        onModelChange?.(agent.data.agentType, e.target.value ? { provider, model: model.join('|') } : null);
+                      }}
+                      disabled={agent.data.status === 'running'}
+                      className="h-6 rounded-md border border-border bg-muted px-2 text-xs text-foreground"
+                      title="Model used by this agent in this workflow"
+                    >
+                      <option value="">
+                        Default ({modelOptions.defaults?.[agent.data.agentType] || 'flash'})
+                      </option>
+                      {modelOptions.backends.filter(backend => backend.available && backend.models.length > 0).map(backend => (
+                        <optgroup key={backend.provider} label={backend.provider}>
+                          {backend.models.map(model => (
+                            <option key={model} value={`${backend.provider}|${model}`}>{model}</option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  )}
                 </div>
               </div>
             </div>
@@ -8,6 +8,7 @@ import {
   Sparkles,
   Search,
   Film,
+  Bot,
   HelpCircle
 } from 'lucide-react';
 
@@ -19,6 +20,7 @@ const iconMap = {
   Sparkles,
   Search,
   Film,
+  Bot,
 };
 
 export default function AgentIcon({ name, className = "w-5 h-5", color }) {
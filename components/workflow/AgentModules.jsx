@@ -1,24 +1,230 @@
 'use client';
 
+import { useCallback, useEffect, useState } from 'react';
 import { Card } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { AGENT_DEFINITIONS, AGENT_CATEGORIES } from '@/lib/agents/definitions';
 import { ScrollArea } from '@/components/ui/scroll-area';
-import { GripVertical } from 'lucide-react';
+import { GitBranch, GripVertical, Pencil, Plus, Repeat } from 'lucide-react';
+import CustomAgentDialog from './CustomAgentDialog';
 
-export default function AgentModules({ onAgentDrag }) {
-  const handleDragStart = (event, agent) => {
+const handleDragStart = (event, agent) => {
+  event.dataTransfer.setData('application/reactflow', JSON.stringify({
+    type: 'agent',
+    agentType: agent.id,
+    label: agent.name,
+    description: agent.description,
+    icon: agent.icon,
+    color: agent.color
+  }));
+  event.dataTransfer.effectAllowed = 'move';
+};
+
+function AgentCard({ agent, badges, onEdit }) {
+  return (
+    <Card
+      draggable
+      onDragStart={(e) => handleDragStart(e, agent)}
+      className="p-3 cursor-grab active:cursor-grabbing bg-slate-800/50 border-slate-700/50 hover:border-emerald-500/50 hover:shadow-lg hover:shadow-emerald-500/10 transition-all group relative overflow-hidden"
+    >
+      {/* Colored left border accent */}
+      <div
+        className="absolute left-0 top-0 bottom-0 w-1 opacity-0 group-hover:opacity-100 transition-opacity"
+        style={{ backgroundColor: agent.color }}
+      />
+
+      <div className="flex items-start gap-3">
+        <div
+          className="p-2 rounded-lg text-lg shrink-0 group-hover:scale-110 transition-transform shadow-sm"
+          style={{
+            backgroundColor: `${agent.color}15`,
+            boxShadow: `0 0 15px ${agent.color}20`
+          }}
+        >
+          {agent.icon}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-2 mb-1">
+            <h4 className="font-semibold text-white text-xs leading-tight">{agent.name}</h4>
+            <div className="flex items-center gap-1 shrink-0">
+              {onEdit && (
+                <button
+                  type="button"
+                  onClick={onEdit}
+                  className="text-slate-600 hover:text-emerald-500 transition-colors"
+                  title="Edit agent"
+                >
+                  <Pencil className="w-3 h-3" />
+                </button>
+              )}
+              <GripVertical className="w-3 h-3 text-slate-600 group-hover:text-emerald-500 transition-colors" />
+            </div>
+          </div>
+          <p className="text-[11px] text-slate-400 line-clamp-2 leading-relaxed mb-2">
+            {agent.description}
+          </p>
+          <div className="flex flex-wrap gap-1">
+            {badges.slice(0, 2).map((badge, idx) => (
+              <Badge
+                key={idx}
+                variant="secondary"
+                className="text-[9px] px-1.5 py-0 bg-slate-950/50 text-slate-400 border-0 font-normal"
+              >
+                {badge.length > 20 ? badge.substring(0, 20) + '...' : badge}
+              </Badge>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+const fetchCustomAgents = () =>
+  fetch('/api/scriptforge/custom-agents')
+    .then(response => response.ok ? response.json() : null)
+    .then(data => data?.success ? data.agents : null)
+    .catch(error => {
+      console.error('Error loading custom agents:', error);
+      return null;
+    });
+
+/**
+ * The user's own agents (stored per user), with create/edit
+ */
+export function CustomAgentModules() {
+  const [customAgents, setCustomAgents] = useState([]);
+  const [editing, setEditing] = useState(null); // null = closed, {} = new, agent = edit
+
+  const loadCustomAgents = useCallback(() => {
+    fetchCustomAgents().then(agents => agents && setCustomAgents(agents));
+  }, []);
+
+  useEffect(() => {
+    fetchCustomAgents().then(agents => agents && setCustomAgents(agents));
+  }, []);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">Custom</h3>
+        <button
+          type="button"
+          onClick={() => setEditing({})}
+          className="flex items-center gap-1 text-[11px] text-emerald-500 hover:text-emerald-400 transition-colors"
+        >
+          <Plus className="w-3 h-3" />
+          New agent
+        </button>
+      </div>
+      <div className="space-y-3">
+        {customAgents.length === 0 && (
+          <p className="text-[11px] text-slate-500">
+            Define your own agents, like a sensitivity reader or period-accuracy checker.
+          </p>
+        )}
+        {customAgents.map((agent) => (
+          <AgentCard
+            key={agent.id}
+            agent={{ ...agent, id: agent.agentType }}
+            badges={agent.inputs.length > 0 ? agent.inputs : ['story brief']}
+            onEdit={(e) => {
+              e.stopPropagation();
+              setEditing(agent);
+            }}
+          />
+        ))}
+      </div>
+
+      <CustomAgentDialog
+        isOpen={editing !== null}
+        onClose={() => setEditing(null)}
+        agent={editing?.id ? editing : null}
+        otherAgents={customAgents}
+        onSaved={loadCustomAgents}
+        onDeleted={loadCustomAgents}
+      />
+    </div>
+  );
+}
+
+// Control-flow nodes, dropped pre-configured with the usual validate -> fix setup
+const CONTROL_NODE_TEMPLATES = [
+  {
+    type: 'condition',
+    name: 'Condition',
+    description: 'Branch on an upstream result, e.g. route critical continuity issues to the co-author',
+    Icon: GitBranch,
+    color: '#F59E0B',
+    data: {
+      label: 'Critical issues?',
+      condition: { path: 'errors', where: { field: 'severity', equals: 'critical' }, operator: 'gt', value: 0 }
+    }
+  },
+  {
+    type: 'loop',
+    name: 'Loop',
+    description: 'Re-run a validate → fix cycle until issues clear or the pass limit is hit',
+    Icon: Repeat,
+    color: '#6366F1',
+    data: {
+      label: 'Fix until clean',
+      loop: {
+        body: ['continuity-validator', 'creative-coauthor'],
+        until: {
+          agentType: 'continuity-validator',
+          path: 'errors',
+          where: { field: 'severity', equals: 'critical' },
+          operator: 'lt',
+          value: 1
+        },
+        maxIterations: 3
+      }
+    }
+  }
+];
+
+/**
+ * Condition and loop nodes
+ */
+export function ControlFlowModules() {
+  const handleControlDragStart = (event, template) => {
     event.dataTransfer.setData('application/reactflow', JSON.stringify({
-      type: 'agent',
-      agentType: agent.id,
-      label: agent.name,
-      description: agent.description,
-      icon: agent.icon,
-      color: agent.color
+      type: template.type,
+      ...template.data
     }));
     event.dataTransfer.effectAllowed = 'move';
   };
 
+  return (
+    <div>
+      <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-3">Control Flow</h3>
+      <div className="space-y-2">
+        {CONTROL_NODE_TEMPLATES.map(({ Icon, ...template }) => (
+          <Card
+            key={template.type}
+            draggable
+            onDragStart={(e) => handleControlDragStart(e, template)}
+            className="p-3 cursor-grab active:cursor-grabbing bg-slate-800/50 border-slate-700/50 border-dashed hover:border-emerald-500/50 transition-all"
+          >
+            <div className="flex items-start gap-3">
+              <div className="p-2 rounded-lg shrink-0" style={{ backgroundColor: `${template.color}15` }}>
+                <Icon className="w-4 h-4" style={{ color: template.color }} />
+              </div>
+              <div className="flex-1 min-w-0">
+                <h4 className="font-semibold text-white text-xs leading-tight mb-1">{template.name}</h4>
+                <p className="text-[11px] text-slate-400 line-clamp-2 leading-relaxed">{template.description}</p>
+              </div>
+              <GripVertical className="w-3 h-3 text-slate-600 shrink-0" />
+            </div>
+          </Card>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function AgentModules({ onAgentDrag }) {
   return (
     <ScrollArea className="h-full">
       <div className="space-y-6 pr-2">
@@ -28,56 +234,13 @@ export default function AgentModules({ onAgentDrag }) {
             <div className="space-y-3">
               {agentIds.map((agentId) => {
                 const agent = AGENT_DEFINITIONS[agentId];
-                return (
-                  <Card
-                    key={agent.id}
-                    draggable
-                    onDragStart={(e) => handleDragStart(e, agent)}
-                    className="p-3 cursor-grab active:cursor-grabbing bg-slate-800/50 border-slate-700/50 hover:border-emerald-500/50 hover:shadow-lg hover:shadow-emerald-500/10 transition-all group relative overflow-hidden"
-                  >
-                    {/* Colored left border accent */}
-                    <div 
-                      className="absolute left-0 top-0 bottom-0 w-1 opacity-0 group-hover:opacity-100 transition-opacity"
-                      style={{ backgroundColor: agent.color }}
-                    />
-                    
-                    <div className="flex items-start gap-3">
-                      <div 
-                        className="p-2 rounded-lg text-lg shrink-0 group-hover:scale-110 transition-transform shadow-sm"
-                        style={{ 
-                          backgroundColor: `${agent.color}15`,
-                          boxShadow: `0 0 15px ${agent.color}20`
-                        }}
-                      >
-                        {agent.icon}
-                      </div>
-                      <div className="flex-1 min-w-0">
-                        <div className="flex items-start justify-between gap-2 mb-1">
-                          <h4 className="font-semibold text-white text-xs leading-tight">{agent.name}</h4>
-                          <GripVertical className="w-3 h-3 text-slate-600 group-hover:text-emerald-500 transition-colors shrink-0" />
-                        </div>
-                        <p className="text-[11px] text-slate-400 line-clamp-2 leading-relaxed mb-2">
-                          {agent.description}
-                        </p>
-                        <div className="flex flex-wrap gap-1">
-                          {agent.capabilities.slice(0, 2).map((capability, idx) => (
-                            <Badge 
-                              key={idx}
-                              variant="secondary"
-                              className="text-[9px] px-1.5 py-0 bg-slate-950/50 text-slate-400 border-0 font-normal"
-                            >
-                              {capability.length > 20 ? capability.substring(0, 20) + '...' : capability}
-                            </Badge>
-                          ))}
-                        </div>
-                      </div>
-                    </div>
-                  </Card>
-                );
+                return <AgentCard key={agent.id} agent={agent} badges={agent.capabilities} />;
               })}
             </div>
           </div>
         ))}
+        <CustomAgentModules />
+        <ControlFlowModules />
       </div>
     </ScrollArea>
   );
@@ -188,8 +188,21 @@ export default function AgentNode({ data, isConnectable, id }) {
             )}
           </div>
 
+          {/* Live Output - partial results streamed while the agent runs */}
+          {data.status === 'running' && data.partialOutput && (
+            <div className="mt-3 p-2.5 bg-amber-500/5 rounded-lg border border-amber-500/20">
+              <div className="text-[10px] font-semibold text-amber-600 dark:text-amber-400 mb-1 flex items-center gap-1">
+                <span className="w-1.5 h-1.5 bg-amber-500 rounded-full animate-pulse"></span>
+                LIVE OUTPUT
+              </div>
+              <div className="text-[10px] text-muted-foreground line-clamp-4 font-mono whitespace-pre-wrap">
+                {data.partialOutput.substring(0, 150) + (data.partialOutput.length > 150 ? '...' : '')}
+              </div>
+            </div>
+          )}
+
           {/* Output Preview */}
-          {(data.output || data.result) && (
+          {data.status !== 'running' && (data.output || data.result) && (
             <div className="mt-3 p-2.5 bg-muted/50 rounded-lg border border-border">
               <div className="text-[10px] font-semibold text-emerald-600 dark:text-emerald-400 mb-1 flex items-center gap-1">
                 <span className="w-1.5 h-1.5 bg-emerald-500 rounded-full"></span>
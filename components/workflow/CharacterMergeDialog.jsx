@@ -0,0 +1,170 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ArrowLeftRight, Check, Loader2, Users, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const fetchProposals = async (workflowId) => {
+  const response = await fetch(
+    workflowId ? `/api/story-graph/merges?workflowId=${workflowId}` : '/api/story-graph/merges'
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load merge proposals');
+  }
+  return data.proposals;
+};
+
+function CandidateCard({ candidate, kept }) {
+  return (
+    <div className={`flex-1 rounded-lg border p-2.5 ${kept ? 'border-emerald-500/50 bg-emerald-500/5' : 'border-border'}`}>
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-sm font-medium text-foreground truncate">{candidate.name}</span>
+        <Badge variant="outline" className="text-[10px] shrink-0">{kept ? 'keep' : 'merge'}</Badge>
+      </div>
+      <p className="text-[11px] text-muted-foreground">
+        {candidate.role} • {candidate.chapters} chapter(s)
+      </p>
+      {candidate.aliases.length > 0 && (
+        <p className="text-[11px] text-muted-foreground truncate">aka {candidate.aliases.join(', ')}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Review proposed character merges for a graph (the user's standalone graph,
+ * or a workflow's). Mount while open; onChanged runs after every accepted merge.
+ */
+export default function CharacterMergeDialog({ workflowId, onChanged, onClose }) {
+  const [proposals, setProposals] = useState(null);
+  const [swapped, setSwapped] = useState(new Set());
+  const [pendingId, setPendingId] = useState(null);
+
+  useEffect(() => {
+    fetchProposals(workflowId)
+      .then(setProposals)
+      .catch(error => {
+        toast.error(error.message);
+        setProposals([]);
+      });
+  }, [workflowId]);
+
+  const toggleSwap = (proposalId) => {
+    setSwapped(prev => {
+      const next = new Set(prev);
+      if (next.has(proposalId)) {
+        next.delete(proposalId);
+      } else {
+        next.add(proposalId);
+      }
+      return next;
+    });
+  };
+
+  const decide = useCallback(async (proposal, action) => {
+    const [keep, merge] = swapped.has(proposal.id)
+      ? [proposal.merge, proposal.keep]
+      : [proposal.keep, proposal.merge];
+
+    setPendingId(proposal.id);
+    try {
+      const response = await fetch('/api/story-graph/merges', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workflowId, keepId: keep.id, mergeId: merge.id, action })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to apply decision');
+      }
+
+      if (action === 'accept') {
+        toast.success(`Merged "${merge.name}" into "${keep.name}"`);
+        onChanged?.();
+        // A merge changes the remaining candidates' scores
+        setProposals(await fetchProposals(workflowId));
+      } else {
+        setProposals(prev => prev.filter(p => p.id !== proposal.id));
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setPendingId(null);
+    }
+  }, [swapped, workflowId, onChanged]);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Users className="w-4 h-4 text-purple-400" />
+            Character Merges
+          </DialogTitle>
+          <DialogDescription>
+            Characters that look like the same person under different names. Accepting moves every
+            relationship onto the kept character; rejecting stops the pair from being proposed again.
+          </DialogDescription>
+        </DialogHeader>
+
+        {proposals === null ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-5 h-5 animate-spin text-muted-foreground" />
+          </div>
+        ) : proposals.length === 0 ? (
+          <p className="py-8 text-center text-sm text-muted-foreground">No likely duplicates found.</p>
+        ) : (
+          <div className="space-y-3">
+            {proposals.map(proposal => {
+              const isSwapped = swapped.has(proposal.id);
+              const [keep, merge] = isSwapped ? [proposal.merge, proposal.keep] : [proposal.keep, proposal.merge];
+              const isPending = pendingId === proposal.id;
+
+              return (
+                <div key={proposal.id} className="rounded-lg border border-border p-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <CandidateCard candidate={keep} kept />
+                    <button
+                      type="button"
+                      onClick={() => toggleSwap(proposal.id)}
+                      className="p-1.5 rounded-md text-muted-foreground hover:text-foreground hover:bg-accent"
+                      title="Swap which character is kept"
+                    >
+                      <ArrowLeftRight className="w-4 h-4" />
+                    </button>
+                    <CandidateCard candidate={merge} />
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant="secondary" className="text-[10px]">{Math.round(proposal.score * 100)}%</Badge>
+                    <p className="flex-1 text-[11px] text-muted-foreground">{proposal.reasons.join(' • ')}</p>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => decide(proposal, 'reject')}
+                      disabled={pendingId !== null}
+                    >
+                      <X className="w-3.5 h-3.5 mr-1" />
+                      Different
+                    </Button>
+                    <Button
+                      size="sm"
+                      onClick={() => decide(proposal, 'accept')}
+                      disabled={pendingId !== null}
+                    >
+                      {isPending ? <Loader2 className="w-3.5 h-3.5 mr-1 animate-spin" /> : <Check className="w-3.5 h-3.5 mr-1" />}
+                      Merge
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
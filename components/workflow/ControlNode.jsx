@@ -0,0 +1,115 @@
+'use client';
+
+import { Handle, Position } from 'reactflow';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { GitBranch, Repeat, Loader2, CheckCircle, XCircle, SkipForward } from 'lucide-react';
+import { describeCondition } from '@/lib/agents/control-flow';
+
+const STATUS_ICONS = {
+  running: <Loader2 className="w-3 h-3 animate-spin text-amber-500" />,
+  success: <CheckCircle className="w-3 h-3 text-emerald-500" />,
+  error: <XCircle className="w-3 h-3 text-red-500" />,
+  skipped: <SkipForward className="w-3 h-3 text-muted-foreground" />
+};
+
+/**
+ * Canvas node for condition and loop control flow. A condition has a
+ * 'true' and a 'false' output handle; a loop has a single output.
+ */
+export default function ControlNode({ type, data, isConnectable, id }) {
+  const isCondition = type === 'condition';
+  const Icon = isCondition ? GitBranch : Repeat;
+  const color = isCondition ? '#F59E0B' : '#6366F1';
+  const loop = data.loop;
+
+  const summary = isCondition
+    ? describeCondition(data.condition)
+    : loop?.body?.length
+      ? `${loop.body.join(' → ')} until ${describeCondition(loop.until)} (max ${loop.maxIterations})`
+      : 'Not configured';
+
+  const outcome = data.status === 'success' && data.result
+    ? isCondition
+      ? `Took the ${data.result.branch} branch`
+      : `${data.result.iterations} pass(es), ${data.result.converged ? 'converged' : 'hit the limit'}`
+    : data.status === 'error'
+      ? data.error
+      : null;
+
+  return (
+    <>
+      <Handle
+        type="target"
+        position={Position.Left}
+        isConnectable={isConnectable}
+        className="w-2.5 h-2.5 !bg-emerald-500 !border-2 !border-background"
+      />
+
+      <Card
+        className={`w-[240px] bg-card/95 backdrop-blur-xl border-2 border-dashed cursor-pointer transition-all hover:shadow-xl ${data.status === 'skipped' ? 'opacity-50' : ''}`}
+        style={{ borderColor: `${color}80` }}
+        onClick={() => data.onNodeClick?.(id, data)}
+      >
+        <CardContent className="p-3">
+          <div className="flex items-center gap-2 mb-2">
+            <div className="p-1.5 rounded-lg shrink-0" style={{ backgroundColor: `${color}15` }}>
+              <Icon className="w-4 h-4" style={{ color }} />
+            </div>
+            <h3 className="flex-1 font-bold text-foreground text-sm leading-tight">
+              {data.label || (isCondition ? 'Condition' : 'Loop')}
+            </h3>
+            {STATUS_ICONS[data.status]}
+          </div>
+          <p className="text-[10px] text-muted-foreground font-mono leading-relaxed line-clamp-3">
+            {summary}
+          </p>
+          {outcome && (
+            <Badge variant="outline" className="mt-2 text-[10px] font-normal">
+              {outcome}
+            </Badge>
+          )}
+          {data.status === 'running' && data.partialOutput && (
+            <p className="mt-2 text-[10px] text-amber-600 dark:text-amber-400 whitespace-pre-wrap line-clamp-3">
+              {data.partialOutput}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {isCondition ? (
+        <>
+          <Handle
+            type="source"
+            id="true"
+            position={Position.Right}
+            isConnectable={isConnectable}
+            style={{ top: '35%' }}
+            className="w-2.5 h-2.5 !bg-emerald-500 !border-2 !border-background"
+          />
+          <span className="absolute -right-7 text-[9px] font-semibold text-emerald-500" style={{ top: 'calc(35% - 6px)' }}>
+            true
+          </span>
+          <Handle
+            type="source"
+            id="false"
+            position={Position.Right}
+            isConnectable={isConnectable}
+            style={{ top: '70%' }}
+            className="w-2.5 h-2.5 !bg-red-500 !border-2 !border-background"
+          />
+          <span className="absolute -right-7 text-[9px] font-semibold text-red-500" style={{ top: 'calc(70% - 6px)' }}>
+            false
+          </span>
+        </>
+      ) : (
+        <Handle
+          type="source"
+          position={Position.Right}
+          isConnectable={isConnectable}
+          className="w-2.5 h-2.5 !bg-emerald-500 !border-2 !border-background"
+        />
+      )}
+    </>
+  );
+}
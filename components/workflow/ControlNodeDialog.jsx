@@ -0,0 +1,263 @@
+'use client';
+
+import { useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Loader2 } from 'lucide-react';
+import { CONDITION_OPERATORS, UNARY_OPERATORS, MAX_LOOP_ITERATIONS } from '@/lib/agents/control-flow';
+
+const OPERATOR_LABELS = {
+  'exists': 'exists / is not empty',
+  'not-exists': 'is missing / empty',
+  'equals': '=',
+  'not-equals': '≠',
+  'gt': '>',
+  'gte': '≥',
+  'lt': '<',
+  'lte': '≤',
+  'contains': 'contains'
+};
+
+const selectClassName = 'h-9 w-full rounded-md border border-border bg-transparent px-2 text-sm text-foreground';
+
+// Numbers typed into the value box compare numerically
+const parseValue = (raw) => {
+  const trimmed = String(raw ?? '').trim();
+  return trimmed !== '' && !Number.isNaN(Number(trimmed)) ? Number(trimmed) : trimmed;
+};
+
+const toConditionForm = (spec = {}) => ({
+  path: spec.path || '',
+  whereField: spec.where?.field || '',
+  whereEquals: spec.where?.equals !== undefined ? String(spec.where.equals) : '',
+  operator: spec.operator || 'gt',
+  value: spec.value !== undefined ? String(spec.value) : ''
+});
+
+const fromConditionForm = (form) => ({
+  path: form.path.trim(),
+  ...(form.whereField.trim() && { where: { field: form.whereField.trim(), equals: parseValue(form.whereEquals) } }),
+  operator: form.operator,
+  ...(!UNARY_OPERATORS.includes(form.operator) && { value: parseValue(form.value) })
+});
+
+function ConditionFields({ form, onChange }) {
+  const update = (field, value) => onChange({ ...form, [field]: value });
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1.5">
+        <Label htmlFor="condition-path">Result field</Label>
+        <Input
+          id="condition-path"
+          value={form.path}
+          onChange={(e) => update('path', e.target.value)}
+          placeholder="errors or continuityScore"
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1.5">
+          <Label htmlFor="condition-where-field">Only list items where</Label>
+          <Input
+            id="condition-where-field"
+            value={form.whereField}
+            onChange={(e) => update('whereField', e.target.value)}
+            placeholder="severity (optional)"
+          />
+        </div>
+        <div className="space-y-1.5">
+          <Label htmlFor="condition-where-equals">equals</Label>
+          <Input
+            id="condition-where-equals"
+            value={form.whereEquals}
+            onChange={(e) => update('whereEquals', e.target.value)}
+            placeholder="critical"
+            disabled={!form.whereField.trim()}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1.5">
+          <Label htmlFor="condition-operator">Operator</Label>
+          <select
+            id="condition-operator"
+            value={form.operator}
+            onChange={(e) => update('operator', e.target.value)}
+            className={selectClassName}
+          >
+            {CONDITION_OPERATORS.map(operator => (
+              <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1.5">
+          <Label htmlFor="condition-value">Value</Label>
+          <Input
+            id="condition-value"
+            value={form.value}
+            onChange={(e) => update('value', e.target.value)}
+            placeholder="0"
+            disabled={UNARY_OPERATORS.includes(form.operator)}
+          />
+        </div>
+      </div>
+      <p className="text-[11px] text-muted-foreground">
+        Lists compare by their length, e.g. errors where severity equals critical &gt; 0.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Configure a condition or loop node. Mount with a key per node so the form
+ * starts from that node's saved spec.
+ * - upstreamNodes: nodes whose result a condition can test
+ * - agentOptions: [{ agentType, name }] that a loop can run
+ */
+export default function ControlNodeDialog({ node, upstreamNodes = [], agentOptions = [], onSave, onClose }) {
+  const isCondition = node.type === 'condition';
+  const loop = node.data.loop || {};
+
+  const [label, setLabel] = useState(node.data.label || '');
+  const [sourceNodeId, setSourceNodeId] = useState(node.data.condition?.sourceNodeId || '');
+  const [condition, setCondition] = useState(toConditionForm(isCondition ? node.data.condition : loop.until));
+  const [body, setBody] = useState(loop.body || []);
+  const [untilAgent, setUntilAgent] = useState(loop.until?.agentType || '');
+  const [maxIterations, setMaxIterations] = useState(String(loop.maxIterations || 3));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toggleBodyAgent = (agentType) => {
+    setBody(prev => prev.includes(agentType) ? prev.filter(t => t !== agentType) : [...prev, agentType]);
+  };
+
+  const handleSave = async () => {
+    const spec = fromConditionForm(condition);
+    const patch = isCondition
+      ? { label, condition: { ...spec, ...(sourceNodeId && { sourceNodeId }) } }
+      : {
+        label,
+        loop: {
+          body,
+          until: { ...spec, agentType: body.includes(untilAgent) ? untilAgent : body[0] },
+          maxIterations: parseInt(maxIterations, 10) || 1
+        }
+      };
+
+    setIsSaving(true);
+    try {
+      await onSave(node.id, patch);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{isCondition ? 'Condition' : 'Loop'}</DialogTitle>
+          <DialogDescription>
+            {isCondition
+              ? 'Route the workflow down the true or false branch based on an upstream result.'
+              : 'Re-run agents in order until the exit check passes or the pass limit is reached.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-1.5">
+            <Label htmlFor="control-label">Name</Label>
+            <Input
+              id="control-label"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              placeholder={isCondition ? 'Critical issues?' : 'Fix until clean'}
+            />
+          </div>
+
+          {isCondition ? (
+            <div className="space-y-1.5">
+              <Label htmlFor="condition-source">Test the result of</Label>
+              <select
+                id="condition-source"
+                value={sourceNodeId}
+                onChange={(e) => setSourceNodeId(e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">First connected node</option>
+                {upstreamNodes.map(upstream => (
+                  <option key={upstream.id} value={upstream.id}>{upstream.data.label || upstream.id}</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <>
+              <div className="space-y-1.5">
+                <Label>Agents per pass (in click order)</Label>
+                <div className="flex flex-wrap gap-1.5">
+                  {agentOptions.map(option => (
+                    <Badge
+                      key={option.agentType}
+                      variant={body.includes(option.agentType) ? 'default' : 'outline'}
+                      className="cursor-pointer text-xs"
+                      onClick={() => toggleBodyAgent(option.agentType)}
+                    >
+                      {body.includes(option.agentType) && `${body.indexOf(option.agentType) + 1}. `}
+                      {option.name}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1.5">
+                  <Label htmlFor="loop-until-agent">Exit check after</Label>
+                  <select
+                    id="loop-until-agent"
+                    value={untilAgent}
+                    onChange={(e) => setUntilAgent(e.target.value)}
+                    className={selectClassName}
+                  >
+                    {body.map(agentType => (
+                      <option key={agentType} value={agentType}>
+                        {agentOptions.find(option => option.agentType === agentType)?.name || agentType}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-1.5">
+                  <Label htmlFor="loop-max">Max passes</Label>
+                  <Input
+                    id="loop-max"
+                    type="number"
+                    min={1}
+                    max={MAX_LOOP_ITERATIONS}
+                    value={maxIterations}
+                    onChange={(e) => setMaxIterations(e.target.value)}
+                  />
+                </div>
+              </div>
+              <Label className="block">Stop when</Label>
+            </>
+          )}
+
+          <ConditionFields form={condition} onChange={setCondition} />
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={isSaving || !condition.path.trim() || (!isCondition && body.length === 0)}
+          >
+            {isSaving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
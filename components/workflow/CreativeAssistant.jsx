@@ -43,6 +43,7 @@ import {
 export default function CreativeAssistant({ 
   sceneText = '', 
   documentId = null,
+  workflowId = null,
   sceneId = null,
   onSuggestionSelect = () => {},
   className = ''
@@ -96,6 +97,7 @@ export default function CreativeAssistant({
           currentSceneText: sceneText,
           intent: activeIntent,
           documentId,
+          workflowId,
           sceneId
         })
       });
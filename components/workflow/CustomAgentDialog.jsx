@@ -0,0 +1,263 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Loader2, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { CUSTOM_AGENT_INPUTS } from '@/lib/validations/custom-agents';
+
+const DEFAULT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          passage: { type: 'string' },
+          issue: { type: 'string' },
+          suggestion: { type: 'string' }
+        },
+        required: ['passage', 'issue', 'suggestion']
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['findings', 'summary']
+};
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  systemPrompt: '',
+  inputs: ['manuscript'],
+  outputSchema: JSON.stringify(DEFAULT_OUTPUT_SCHEMA, null, 2),
+  model: ''
+});
+
+/**
+ * Create or edit a user-defined agent. `agent` is null when creating.
+ * `otherAgents` are the user's other custom agents, offered as inputs.
+ */
+export default function CustomAgentDialog({ isOpen, onClose, agent, otherAgents = [], onSaved, onDeleted }) {
+  const [form, setForm] = useState(emptyForm);
+  const [modelOptions, setModelOptions] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(agent ? {
+      name: agent.name,
+      description: agent.description || '',
+      systemPrompt: agent.systemPrompt,
+      inputs: agent.inputs || [],
+      outputSchema: JSON.stringify(agent.outputSchema, null, 2),
+      model: agent.model ? `${agent.model.provider}|${agent.model.model}` : ''
+    } : emptyForm());
+  }, [isOpen, agent]);
+
+  // Load the selectable backends/models once
+  useEffect(() => {
+    if (!isOpen || modelOptions.length > 0) return;
+
+    fetch('/api/scriptforge/models')
+      .then(response => response.ok ? response.json() : null)
+      .then(data => {
+        if (data?.success) {
+          setModelOptions(data.backends.filter(backend => backend.available && backend.models.length > 0));
+        }
+      })
+      .catch(error => console.error('Error loading models:', error));
+  }, [isOpen, modelOptions.length]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleInput = (port) => {
+    update('inputs', form.inputs.includes(port)
+      ? form.inputs.filter(p => p !== port)
+      : [...form.inputs, port]);
+  };
+
+  const handleSave = async () => {
+    let outputSchema;
+    try {
+      outputSchema = JSON.parse(form.outputSchema);
+    } catch {
+      toast.error('Output schema is not valid JSON');
+      return;
+    }
+
+    const [provider, ...model] = form.model.split('|');
+
+    setIsSaving(true);
+    try {
+      const response = await fetch(
+        agent ? `/api/scriptforge/custom-agents/${agent.id}` : '/api/scriptforge/custom-agents',
+        {
+          method: agent ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: form.name,
+            description: form.description,
+            systemPrompt: form.systemPrompt,
+            inputs: form.inputs,
+            outputSchema,
+            model: form.model ? { provider, model: model.join('|') } : null
+          })
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        toast.error(data.details?.[0]?.message || data.error || 'Failed to save agent');
+        return;
+      }
+
+      toast.success(agent ? 'Agent updated' : `${data.agent.name} added to your modules`);
+      onSaved?.(data.agent);
+      onClose();
+    } catch (error) {
+      console.error('Error saving custom agent:', error);
+      toast.error('Failed to save agent');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!agent || !window.confirm(`Delete "${agent.name}"? Workflow nodes using it will stop running.`)) return;
+
+    setIsSaving(true);
+    try {
+      const response = await fetch(`/api/scriptforge/custom-agents/${agent.id}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Delete failed');
+
+      toast.success('Agent deleted');
+      onDeleted?.(agent);
+      onClose();
+    } catch (error) {
+      console.error('Error deleting custom agent:', error);
+      toast.error('Failed to delete agent');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputOptions = [
+    ...CUSTOM_AGENT_INPUTS,
+    ...otherAgents.filter(other => other.id !== agent?.id).map(other => other.agentType)
+  ];
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{agent ? 'Edit Custom Agent' : 'New Custom Agent'}</DialogTitle>
+          <DialogDescription>
+            Describe what the agent does, which upstream results it reads and the JSON it returns.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1.5">
+              <Label htmlFor="custom-agent-name">Name</Label>
+              <Input
+                id="custom-agent-name"
+                value={form.name}
+                onChange={(e) => update('name', e.target.value)}
+                placeholder="Sensitivity Reader"
+              />
+            </div>
+            <div className="space-y-1.5">
+              <Label htmlFor="custom-agent-model">Model</Label>
+              <select
+                id="custom-agent-model"
+                value={form.model}
+                onChange={(e) => update('model', e.target.value)}
+                className="h-9 w-full rounded-md border border-border bg-transparent px-2 text-sm text-foreground"
+              >
+                <option value="">Default (flash)</option>
+                {modelOptions.map(backend => (
+                  <optgroup key={backend.provider} label={backend.provider}>
+                    {backend.models.map(model => (
+                      <option key={model} value={`${backend.provider}|${model}`}>{model}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <Label htmlFor="custom-agent-description">Description</Label>
+            <Input
+              id="custom-agent-description"
+              value={form.description}
+              onChange={(e) => update('description', e.target.value)}
+              placeholder="Flags passages that may read as insensitive and suggests alternatives"
+            />
+          </div>
+
+          <div className="space-y-1.5">
+            <Label htmlFor="custom-agent-prompt">System prompt</Label>
+            <Textarea
+              id="custom-agent-prompt"
+              value={form.systemPrompt}
+              onChange={(e) => update('systemPrompt', e.target.value)}
+              placeholder="You are a sensitivity reader. Review the story for..."
+              className="min-h-[120px]"
+            />
+          </div>
+
+          <div className="space-y-1.5">
+            <Label>Inputs</Label>
+            <div className="flex flex-wrap gap-1.5">
+              {inputOptions.map(port => (
+                <Badge
+                  key={port}
+                  variant={form.inputs.includes(port) ? 'default' : 'outline'}
+                  className="cursor-pointer text-xs"
+                  onClick={() => toggleInput(port)}
+                >
+                  {port}
+                </Badge>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <Label htmlFor="custom-agent-schema">Output JSON schema</Label>
+            <Textarea
+              id="custom-agent-schema"
+              value={form.outputSchema}
+              onChange={(e) => update('outputSchema', e.target.value)}
+              className="min-h-[160px] font-mono text-xs"
+            />
+          </div>
+        </div>
+
+        <DialogFooter className="gap-2">
+          {agent && (
+            <Button variant="outline" onClick={handleDelete} disabled={isSaving} className="mr-auto text-red-500">
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete
+            </Button>
+          )}
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving || !form.name.trim() || !form.systemPrompt.trim()}>
+            {isSaving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+            {agent ? 'Save' : 'Create Agent'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,142 @@
+'use client';
+
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Filter, Loader2, X } from 'lucide-react';
+
+/**
+ * Edit what an edge passes from its source agent to its target.
+ * Field suggestions come from the source node's last result.
+ * Remount per edge (key={edge.id}) so the form starts from its mapping.
+ */
+export default function EdgeMappingPanel({ edge, sourceNode, targetNode, onSave, onClose }) {
+  const mapping = edge.data?.mapping || {};
+  const [fields, setFields] = useState(mapping.fields || []);
+  const [maxItems, setMaxItems] = useState(mapping.maxItems ? String(mapping.maxItems) : '');
+  const [newField, setNewField] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const result = sourceNode?.data?.result;
+  const suggestions = result && typeof result === 'object' && !Array.isArray(result)
+    ? Object.keys(result)
+    : [];
+  const options = [...new Set([...suggestions, ...fields])];
+
+  const toggleField = (field) => {
+    setFields(prev => prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]);
+  };
+
+  const addField = () => {
+    const field = newField.trim();
+    if (field && !fields.includes(field)) {
+      setFields(prev => [...prev, field]);
+    }
+    setNewField('');
+  };
+
+  const save = async (next) => {
+    setIsSaving(true);
+    try {
+      await onSave(edge.id, next);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const limit = parseInt(maxItems, 10);
+    const next = {
+      ...(fields.length > 0 && { fields }),
+      ...(limit > 0 && { maxItems: limit })
+    };
+    save(Object.keys(next).length > 0 ? next : null);
+  };
+
+  return (
+    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-10 w-[420px] bg-card/95 backdrop-blur-xl border border-border rounded-lg shadow-xl p-4 space-y-3">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-medium text-foreground flex items-center gap-1.5">
+            <Filter className="w-3.5 h-3.5 text-emerald-500" />
+            Edge data
+          </h3>
+          <p className="text-xs text-muted-foreground">
+            {sourceNode?.data?.label || edge.source} → {targetNode?.data?.label || edge.target}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-muted-foreground hover:text-foreground transition-colors"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="space-y-1.5">
+        <Label>Fields passed on</Label>
+        {options.length > 0 ? (
+          <div className="flex flex-wrap gap-1.5">
+            {options.map(field => (
+              <Badge
+                key={field}
+                variant={fields.includes(field) ? 'default' : 'outline'}
+                className="cursor-pointer text-xs"
+                onClick={() => toggleField(field)}
+              >
+                {field}
+              </Badge>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            Run the source agent to pick from its fields, or add them by name.
+          </p>
+        )}
+        <div className="flex gap-2">
+          <Input
+            value={newField}
+            onChange={(e) => setNewField(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addField()}
+            placeholder="e.g. plotThreads"
+            className="h-8 text-xs"
+          />
+          <Button variant="outline" size="sm" onClick={addField} disabled={!newField.trim()}>
+            Add
+          </Button>
+        </div>
+        <p className="text-[11px] text-muted-foreground">
+          No fields selected passes the whole result. Unselected lists arrive empty.
+        </p>
+      </div>
+
+      <div className="space-y-1.5">
+        <Label htmlFor="edge-max-items">Max items per list</Label>
+        <Input
+          id="edge-max-items"
+          type="number"
+          min={1}
+          value={maxItems}
+          onChange={(e) => setMaxItems(e.target.value)}
+          placeholder="No limit"
+          className="h-8 text-xs"
+        />
+      </div>
+
+      <div className="flex justify-end gap-2">
+        {edge.data?.mapping && (
+          <Button variant="outline" size="sm" onClick={() => save(null)} disabled={isSaving} className="mr-auto">
+            Pass everything
+          </Button>
+        )}
+        <Button size="sm" onClick={handleSave} disabled={isSaving}>
+          {isSaving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+          Save
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,372 @@
+'use client';
+
+import { useState, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Separator } from '@/components/ui/separator';
+import { Loader2, Pencil, Plus, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Mirrors EDITABLE_FIELDS in lib/agents/graph-edits.ts
+const ENTITY_FIELDS = {
+  Character: ['name', 'role', 'description'],
+  Location: ['name', 'type', 'description'],
+  Object: ['name', 'type', 'description', 'significance'],
+  Event: ['name', 'type', 'description', 'timestamp', 'temporalType', 'isTemporal'],
+  PlotThread: ['name', 'status', 'description']
+};
+
+const RELATABLE_TYPES = ['Character', 'Location', 'Object', 'Event'];
+
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'ambiguous'];
+
+const selectClassName = 'h-9 w-full rounded-md border border-border bg-transparent px-2 text-sm text-foreground';
+
+// Force-graph swaps edge ends for node objects once it lays them out
+const idOf = (end) => (typeof end === 'object' ? end.id : end);
+
+const request = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.details || data.error || 'Graph edit failed');
+  }
+  return data;
+};
+
+function RelationshipForm({ nodes, initial, onSubmit, onCancel }) {
+  const [form, setForm] = useState({
+    targetId: initial?.targetId || '',
+    type: initial?.type || '',
+    description: initial?.description || '',
+    sentiment: initial?.sentiment || 'neutral',
+    strength: initial?.strength ?? 0.5
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSubmit({ ...form, strength: Number(form.strength) });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-2 rounded-lg border border-border p-2.5">
+      {!initial && (
+        <div className="grid grid-cols-2 gap-2">
+          <select value={form.targetId} onChange={(e) => update('targetId', e.target.value)} className={selectClassName} required>
+            <option value="">Related to...</option>
+            {nodes.map(node => (
+              <option key={node.id} value={node.id}>{node.label} ({node.type})</option>
+            ))}
+          </select>
+          <Input
+            value={form.type}
+            onChange={(e) => update('type', e.target.value.toUpperCase().replace(/\s+/g, '_'))}
+            placeholder="ALLY"
+            maxLength={50}
+            required
+          />
+        </div>
+      )}
+      <Input
+        value={form.description}
+        onChange={(e) => update('description', e.target.value)}
+        placeholder="Description"
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <select value={form.sentiment} onChange={(e) => update('sentiment', e.target.value)} className={selectClassName}>
+          {SENTIMENTS.map(sentiment => <option key={sentiment} value={sentiment}>{sentiment}</option>)}
+        </select>
+        <Input
+          type="number"
+          min={0}
+          max={1}
+          step={0.1}
+          value={form.strength}
+          onChange={(e) => update('strength', e.target.value)}
+          title="Strength, 0-1"
+        />
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+        <Button type="submit" size="sm" disabled={isSaving} className="bg-emerald-500 hover:bg-emerald-600 text-white">
+          {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : initial ? 'Save' : 'Add'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Correct the story graph by hand: edit or delete the given node and its
+ * relationships, or create a new entity when node is null. Edits are
+ * user-asserted, so later syncs keep them. onChanged runs after every change;
+ * onDone(entity) after the entity is saved, onDone(null) after it is deleted.
+ */
+export default function GraphEntityEditor({ workflowId, node, nodes, edges, chapters, onChanged, onDone, onClose }) {
+  const [type, setType] = useState(node?.type || 'Character');
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(ENTITY_FIELDS[node?.type || 'Character'].map(field => [field, node?.properties?.[field] ?? '']))
+  );
+  const [chapterNumber, setChapterNumber] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [editingEdge, setEditingEdge] = useState(null);
+  const [isAddingEdge, setIsAddingEdge] = useState(false);
+
+  const scopeQuery = workflowId ? `?workflowId=${workflowId}` : '';
+  const fields = ENTITY_FIELDS[type];
+
+  const relationships = useMemo(() => (node
+    ? edges.filter(edge => edge.type === 'RELATES_TO' && (idOf(edge.source) === node.id || idOf(edge.target) === node.id))
+    : []
+  ), [node, edges]);
+  const nodeLabels = useMemo(() => new Map(nodes.map(n => [n.id, n.label])), [nodes]);
+  const relatableNodes = useMemo(
+    () => nodes.filter(n => RELATABLE_TYPES.includes(n.type) && n.id !== node?.id),
+    [nodes, node]
+  );
+
+  const changeType = (nextType) => {
+    setType(nextType);
+    setValues(Object.fromEntries(ENTITY_FIELDS[nextType].map(field => [field, values[field] ?? ''])));
+  };
+
+  const saveEntity = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    try {
+      // Send only what changed, so untouched fields keep their values
+      const properties = Object.fromEntries(
+        fields
+          .filter(field => !node || values[field] !== (node.properties?.[field] ?? ''))
+          .filter(field => node || values[field] !== '')
+          .map(field => [field, field === 'isTemporal' ? Boolean(values[field]) : values[field]])
+      );
+
+      const data = node
+        ? await request(`/api/story-graph/entities/${encodeURIComponent(node.id)}`, 'PATCH', { properties, workflowId: workflowId || undefined })
+        : await request('/api/story-graph/entities', 'POST', {
+            type,
+            properties,
+            chapterNumber: chapterNumber ? Number(chapterNumber) : undefined,
+            workflowId: workflowId || undefined
+          });
+
+      toast.success(node ? 'Saved your correction' : `Added ${data.entity.properties.name}`);
+      onChanged();
+      onDone(data.entity);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removeEntity = async () => {
+    if (!confirm(`Delete ${node.label} and all of its relationships?`)) return;
+    try {
+      await request(`/api/story-graph/entities/${encodeURIComponent(node.id)}${scopeQuery}`, 'DELETE');
+      toast.success(`Deleted ${node.label}`);
+      onChanged();
+      onDone(null);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const saveRelationship = async (edge, form) => {
+    try {
+      await request('/api/story-graph/relationships', edge ? 'PATCH' : 'POST', {
+        sourceId: edge ? idOf(edge.source) : node.id,
+        targetId: edge ? idOf(edge.target) : form.targetId,
+        type: edge ? edge.label : form.type,
+        description: form.description,
+        sentiment: form.sentiment,
+        strength: form.strength,
+        workflowId: workflowId || undefined
+      });
+      setEditingEdge(null);
+      setIsAddingEdge(false);
+      onChanged();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const removeRelationship = async (edge) => {
+    try {
+      await request('/api/story-graph/relationships', 'DELETE', {
+        sourceId: idOf(edge.source),
+        targetId: idOf(edge.target),
+        type: edge.label,
+        workflowId: workflowId || undefined
+      });
+      toast.success('Relationship deleted; syncs won\'t add it back');
+      onChanged();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <Card className="absolute top-4 left-4 w-96 max-h-[calc(100vh-10rem)] bg-card/95 border-border backdrop-blur-xl shadow-2xl flex flex-col overflow-hidden z-50">
+      <CardHeader className="pb-2 shrink-0">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-foreground text-base flex items-center gap-2 min-w-0">
+            <Pencil className="w-4 h-4 text-emerald-500 shrink-0" />
+            <span className="truncate">{node ? `Edit ${node.label}` : 'New entity'}</span>
+          </CardTitle>
+          <button onClick={onClose} className="text-muted-foreground hover:text-foreground shrink-0 ml-2">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {node?.properties?.userAsserted && (
+          <p className="text-[11px] text-muted-foreground">Corrected by you; syncs keep these values.</p>
+        )}
+      </CardHeader>
+      <CardContent className="flex-1 min-h-0 overflow-hidden pb-4">
+        <ScrollArea className="h-full max-h-[calc(100vh-16rem)]">
+          <div className="space-y-3 text-sm pr-3">
+            <form onSubmit={saveEntity} className="space-y-3">
+              {!node && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="space-y-1">
+                    <Label htmlFor="entity-type">Type</Label>
+                    <select id="entity-type" value={type} onChange={(e) => changeType(e.target.value)} className={selectClassName}>
+                      {Object.keys(ENTITY_FIELDS).map(entityType => <option key={entityType} value={entityType}>{entityType}</option>)}
+                    </select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="entity-chapter">Appears in</Label>
+                    <select id="entity-chapter" value={chapterNumber} onChange={(e) => setChapterNumber(e.target.value)} className={selectClassName}>
+                      <option value="">No chapter</option>
+                      {chapters.map(chapter => <option key={chapter.id} value={chapter.number}>Chapter {chapter.number}</option>)}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {fields.map(field => (
+                <div key={field} className="space-y-1">
+                  {field === 'isTemporal' ? (
+                    <label className="flex items-center gap-2 text-sm text-foreground">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(values[field])}
+                        onChange={(e) => setValues(prev => ({ ...prev, [field]: e.target.checked }))}
+                      />
+                      Out of sequence (flashback, memory...)
+                    </label>
+                  ) : (
+                    <>
+                      <Label htmlFor={`entity-${field}`} className="text-xs uppercase text-muted-foreground">{field}</Label>
+                      {field === 'description' ? (
+                        <Textarea
+                          id={`entity-${field}`}
+                          value={values[field]}
+                          onChange={(e) => setValues(prev => ({ ...prev, [field]: e.target.value }))}
+                          maxLength={2000}
+                        />
+                      ) : (
+                        <Input
+                          id={`entity-${field}`}
+                          value={values[field]}
+                          onChange={(e) => setValues(prev => ({ ...prev, [field]: e.target.value }))}
+                          required={field === 'name'}
+                        />
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex justify-between gap-2">
+                {node ? (
+                  <Button type="button" variant="outline" size="sm" onClick={removeEntity} className="border-red-500/50 text-red-500 hover:text-red-400 hover:bg-red-500/10">
+                    <Trash2 className="w-3 h-3 mr-1" />
+                    Delete
+                  </Button>
+                ) : <span />}
+                <Button type="submit" size="sm" disabled={isSaving} className="bg-emerald-500 hover:bg-emerald-600 text-white">
+                  {isSaving ? <Loader2 className="w-3 h-3 animate-spin" /> : node ? 'Save' : 'Create'}
+                </Button>
+              </div>
+            </form>
+
+            {node && RELATABLE_TYPES.includes(node.type) && (
+              <>
+                <Separator className="bg-border" />
+                <div className="flex items-center justify-between">
+                  <h4 className="text-xs uppercase text-muted-foreground">Relationships</h4>
+                  {!isAddingEdge && (
+                    <Button variant="ghost" size="sm" onClick={() => { setIsAddingEdge(true); setEditingEdge(null); }}>
+                      <Plus className="w-3 h-3 mr-1" />
+                      Add
+                    </Button>
+                  )}
+                </div>
+
+                {isAddingEdge && (
+                  <RelationshipForm
+                    nodes={relatableNodes}
+                    onSubmit={(form) => saveRelationship(null, form)}
+                    onCancel={() => setIsAddingEdge(false)}
+                  />
+                )}
+
+                {relationships.length === 0 && !isAddingEdge && (
+                  <p className="text-xs text-muted-foreground">No relationships.</p>
+                )}
+
+                {relationships.map(edge => (
+                  editingEdge === edge.id ? (
+                    <RelationshipForm
+                      key={edge.id}
+                      nodes={relatableNodes}
+                      initial={{ ...edge.properties, type: edge.label }}
+                      onSubmit={(form) => saveRelationship(edge, form)}
+                      onCancel={() => setEditingEdge(null)}
+                    />
+                  ) : (
+                    <div key={edge.id} className="flex items-start justify-between gap-2 rounded-lg border border-border p-2">
+                      <div className="min-w-0">
+                        <p className="text-foreground truncate">
+                          {nodeLabels.get(idOf(edge.source))} <span className="text-emerald-500">{edge.label}</span> {nodeLabels.get(idOf(edge.target))}
+                        </p>
+                        {edge.properties?.description && (
+                          <p className="text-[11px] text-muted-foreground line-clamp-2">{edge.properties.description}</p>
+                        )}
+                      </div>
+                      <div className="flex shrink-0">
+                        <button onClick={() => { setEditingEdge(edge.id); setIsAddingEdge(false); }} className="p-1 text-muted-foreground hover:text-foreground" title="Edit">
+                          <Pencil className="w-3 h-3" />
+                        </button>
+                        <button onClick={() => removeRelationship(edge)} className="p-1 text-muted-foreground hover:text-red-400" title="Delete">
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                  )
+                ))}
+              </>
+            )}
+          </div>
+        </ScrollArea>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,145 @@
+'use client';
+
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Loader2, MessageSquare, X } from 'lucide-react';
+
+const EXAMPLE_QUESTION = 'Which characters have met Lord Vex but never been to the Crystal Cave?';
+
+// Nodes come back as { id, label, type }; show their label
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatCell).join(', ');
+  if (typeof value === 'object') return value.label ?? JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Ask the story graph a question in plain language. The answer's rows are
+ * listed here; onResult(result) passes the answer's subgraph up for
+ * highlighting, onResult(null) clears it.
+ */
+export default function GraphQueryPanel({ workflowId, onResult, onClose }) {
+  const [question, setQuestion] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isAsking, setIsAsking] = useState(false);
+
+  const ask = async (event) => {
+    event.preventDefault();
+    if (!question.trim()) return;
+
+    setIsAsking(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/story-graph/query', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question, workflowId: workflowId || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to query graph');
+      }
+
+      setResult(data);
+      onResult(data);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+      onResult(null);
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const close = () => {
+    onResult(null);
+    onClose();
+  };
+
+  return (
+    <Card className="absolute top-4 right-4 w-[440px] max-h-[calc(100vh-10rem)] bg-card/95 border-border backdrop-blur-xl shadow-2xl flex flex-col overflow-hidden z-50">
+      <CardHeader className="pb-2 shrink-0">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-foreground text-base flex items-center gap-2">
+            <MessageSquare className="w-4 h-4 text-emerald-500" />
+            Ask the Graph
+          </CardTitle>
+          <button onClick={close} className="text-muted-foreground hover:text-foreground">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <form onSubmit={ask} className="flex gap-2 mt-2">
+          <Input
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder={EXAMPLE_QUESTION}
+            maxLength={500}
+            className="bg-muted border-border text-foreground placeholder:text-muted-foreground"
+          />
+          <Button
+            type="submit"
+            disabled={isAsking || !question.trim()}
+            className="bg-emerald-500 hover:bg-emerald-600 text-white shrink-0"
+          >
+            {isAsking ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Ask'}
+          </Button>
+        </form>
+      </CardHeader>
+
+      {(error || result) && (
+        <CardContent className="flex-1 min-h-0 overflow-hidden pb-4">
+          {error ? (
+            <p className="text-sm text-red-400">{error}</p>
+          ) : (
+            <ScrollArea className="h-full max-h-[calc(100vh-20rem)]">
+              <div className="space-y-3 text-sm pr-3">
+                <p className="text-muted-foreground">{result.explanation}</p>
+                <details>
+                  <summary className="text-xs text-muted-foreground cursor-pointer">Cypher query</summary>
+                  <pre className="mt-1 p-2 rounded-md bg-muted text-[11px] text-foreground whitespace-pre-wrap">{result.cypher}</pre>
+                  {result.parameters.length > 0 && (
+                    <p className="mt-1 text-[11px] text-muted-foreground">
+                      {result.parameters.map(p => `$${p.name} = ${p.value}`).join(' • ')}
+                    </p>
+                  )}
+                </details>
+
+                {result.rows.length === 0 ? (
+                  <p className="text-muted-foreground">No matches.</p>
+                ) : (
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr>
+                        {result.columns.map(column => (
+                          <th key={column} className="text-left font-medium text-muted-foreground pb-1 pr-2">{column}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.rows.map((row, index) => (
+                        <tr key={index} className="border-t border-border">
+                          {result.columns.map(column => (
+                            <td key={column} className="py-1 pr-2 text-foreground align-top">{formatCell(row[column])}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <p className="text-[11px] text-muted-foreground">
+                  {result.rows.length} row(s){result.truncated ? ' (limit reached)' : ''} • {result.subgraph.nodes.length} node(s) highlighted
+                </p>
+              </div>
+            </ScrollArea>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,96 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Pause, Play, SkipBack, X } from 'lucide-react';
+
+// How long each step stays on screen while playing
+const PLAY_INTERVAL_MS = 1500;
+
+// Every scene of every chapter, then the chapter's end
+const toSteps = (timeline) => timeline.flatMap(({ chapter, scenes }) => [
+  ...Array.from({ length: scenes }, (_, index) => ({ chapter, scene: index + 1 })),
+  { chapter }
+]);
+
+const sameStep = (a, b) => a?.chapter === b?.chapter && a?.scene === b?.scene;
+
+const describeStep = (step) => (
+  step.scene ? `Chapter ${step.chapter}, scene ${step.scene}` : `End of chapter ${step.chapter}`
+);
+
+/**
+ * Scrub or replay the story graph through time.
+ * - timeline: [{ chapter, scenes }] from the as-of API
+ * - asOf: the step currently shown
+ * - onChange(step): show the graph as of another step
+ */
+export default function GraphTimeScrubber({ timeline, asOf, onChange, onClose }) {
+  const steps = useMemo(() => toSteps(timeline), [timeline]);
+  const index = Math.max(0, steps.findIndex(step => sameStep(step, asOf)));
+  const [isPlaying, setIsPlaying] = useState(false);
+  const atEnd = index >= steps.length - 1;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setTimeout(() => {
+      if (atEnd) {
+        setIsPlaying(false);
+      } else {
+        onChange(steps[index + 1]);
+      }
+    }, PLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, atEnd, index, steps, onChange]);
+
+  const togglePlay = () => {
+    if (!isPlaying && atEnd) {
+      onChange(steps[0]);
+    }
+    setIsPlaying(prev => !prev);
+  };
+
+  if (steps.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-3 bg-card/95 backdrop-blur-xl border border-border rounded-full px-4 py-2 shadow-2xl w-[560px]">
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={() => { setIsPlaying(false); onChange(steps[0]); }}
+        className="text-muted-foreground hover:text-foreground hover:bg-accent rounded-full shrink-0"
+        title="Back to the start"
+      >
+        <SkipBack className="w-4 h-4" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={togglePlay}
+        className="text-emerald-500 hover:text-emerald-400 hover:bg-accent rounded-full shrink-0"
+        title={isPlaying ? 'Pause' : 'Replay the story'}
+      >
+        {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+      </Button>
+      <input
+        type="range"
+        min={0}
+        max={steps.length - 1}
+        value={index}
+        onChange={(e) => { setIsPlaying(false); onChange(steps[Number(e.target.value)]); }}
+        className="flex-1 accent-emerald-500"
+      />
+      <span className="text-xs text-muted-foreground w-36 text-right shrink-0">
+        {describeStep(steps[index])}
+      </span>
+      <button
+        type="button"
+        onClick={onClose}
+        className="text-muted-foreground hover:text-foreground shrink-0"
+        title="Leave replay"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
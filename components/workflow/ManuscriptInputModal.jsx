@@ -28,7 +28,8 @@ import toast from 'react-hot-toast';
 export default function ManuscriptInputModal({ 
   isOpen, 
   onClose, 
-  onAnalysisComplete 
+  onAnalysisComplete,
+  workflowId = null
 }) {
   const [manuscriptText, setManuscriptText] = useState('');
   const [chapterNumber, setChapterNumber] = useState(1);
@@ -51,6 +52,7 @@ export default function ManuscriptInputModal({
         body: JSON.stringify({
           text: manuscriptText,
           chapterNumber,
+          workflowId,
           storeInGraph: true
         })
       });
@@ -6,12 +6,14 @@ import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import {
     Network, Clock, Users, MapPin, X, Maximize2, Minimize2,
-    RefreshCw, ZoomIn, ZoomOut, ChevronRight, Sparkles
+    RefreshCw, ZoomIn, ZoomOut, ChevronRight, Sparkles,
+    BarChart3, GitBranch, Package
 } from 'lucide-react';
 
 /**
  * StoryVisualization — Interactive relationship graph + timeline visualization
- * Renders Neo4j knowledge graph data and timeline events as SVG visualizations.
+ * Renders Neo4j knowledge graph data and timeline events as SVG visualizations,
+ * plus story analytics computed over the graph.
  */
 
 // ============================================================================
@@ -682,6 +684,146 @@ function StoryTimeline({ timelineData, graphData }) {
     );
 }
 
+// ============================================================================
+// ANALYTICS COMPONENT
+// ============================================================================
+function AnalyticsSection({ icon: Icon, title, hint, children }) {
+    return (
+        <div className="rounded-lg border border-border bg-card p-4">
+            <h4 className="text-xs font-semibold text-foreground flex items-center gap-1.5">
+                <Icon className="w-3.5 h-3.5 text-emerald-500" /> {title}
+            </h4>
+            <p className="text-[10px] text-muted-foreground mb-3">{hint}</p>
+            {children}
+        </div>
+    );
+}
+
+const EmptyNote = ({ children }) => <p className="text-[11px] text-muted-foreground italic">{children}</p>;
+
+function StoryAnalytics({ workflowId, version }) {
+    const [analytics, setAnalytics] = useState(null);
+    const [afterChapter, setAfterChapter] = useState('');
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const params = new URLSearchParams();
+        if (workflowId) params.set('workflowId', workflowId);
+        if (afterChapter) params.set('afterChapter', afterChapter);
+
+        fetch(`/api/story-graph/analytics?${params}`)
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) throw new Error(data.details || data.error || 'Failed to load analytics');
+                setAnalytics(data.analytics);
+                setError(null);
+            })
+            .catch(err => setError(err.message));
+    }, [workflowId, afterChapter, version]);
+
+    if (error) {
+        return <div className="flex items-center justify-center h-full text-sm text-red-400">{error}</div>;
+    }
+    if (!analytics) {
+        return (
+            <div className="flex items-center justify-center h-full">
+                <RefreshCw className="w-5 h-5 text-emerald-500 animate-spin" />
+            </div>
+        );
+    }
+
+    const maxBetweenness = Math.max(...analytics.characters.map(c => c.betweenness), 0.001);
+
+    return (
+        <div className="w-full h-full overflow-y-auto p-6 ai-editor-scroll grid grid-cols-1 lg:grid-cols-2 gap-4 content-start">
+            <AnalyticsSection icon={Users} title="Character Centrality" hint="Betweenness: how often a character sits on the shortest path between two others">
+                {analytics.characters.length === 0 ? <EmptyNote>No characters yet.</EmptyNote> : (
+                    <div className="space-y-1.5">
+                        {analytics.characters.slice(0, 12).map(character => (
+                            <div key={character.id} className="flex items-center gap-2 text-[11px]">
+                                <span className="w-28 truncate text-foreground">{character.name}</span>
+                                <div className="flex-1 h-1.5 rounded-full bg-muted overflow-hidden">
+                                    <div
+                                        className="h-full rounded-full bg-purple-500"
+                                        style={{ width: `${(character.betweenness / maxBetweenness) * 100}%` }}
+                                    />
+                                </div>
+                                <span className="w-10 text-right text-muted-foreground">{character.betweenness.toFixed(2)}</span>
+                                <Badge variant="outline" className="text-[9px] h-4" title="Connected characters">{character.degree}</Badge>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </AnalyticsSection>
+
+            <AnalyticsSection icon={Network} title="Communities" hint={`Groups of related characters (modularity ${analytics.modularity})`}>
+                {analytics.communities.length === 0 ? <EmptyNote>No groups of related characters.</EmptyNote> : (
+                    <div className="space-y-2">
+                        {analytics.communities.map(community => (
+                            <div key={community.id} className="flex flex-wrap gap-1">
+                                {community.members.map(member => (
+                                    <Badge key={member.id} variant="secondary" className="text-[10px]">{member.name}</Badge>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </AnalyticsSection>
+
+            <AnalyticsSection icon={GitBranch} title="Orphaned Plot Threads" hint="Unresolved threads that stop advancing">
+                <label className="flex items-center gap-2 text-[11px] text-muted-foreground mb-2">
+                    Not advanced after chapter
+                    <input
+                        type="number"
+                        min={0}
+                        max={analytics.lastChapter}
+                        value={afterChapter || analytics.orphanedThreads.afterChapter}
+                        onChange={(e) => setAfterChapter(e.target.value)}
+                        className="w-14 h-6 rounded border border-border bg-muted px-1.5 text-foreground"
+                    />
+                </label>
+                {analytics.orphanedThreads.threads.length === 0 ? <EmptyNote>Every open thread advances later.</EmptyNote> : (
+                    <div className="space-y-1">
+                        {analytics.orphanedThreads.threads.map(thread => (
+                            <p key={thread.id} className="text-[11px] text-foreground">
+                                {thread.name}
+                                <span className="text-muted-foreground">
+                                    {thread.lastAdvanced ? ` — last advanced in chapter ${thread.lastAdvanced}` : ' — never advanced'}
+                                </span>
+                            </p>
+                        ))}
+                    </div>
+                )}
+            </AnalyticsSection>
+
+            <AnalyticsSection icon={Package} title="Chekhov's Guns" hint="Objects introduced in one chapter and never used again">
+                {analytics.unusedObjects.length === 0 ? <EmptyNote>Every object comes back.</EmptyNote> : (
+                    <div className="space-y-1">
+                        {analytics.unusedObjects.map(object => (
+                            <p key={object.id} className="text-[11px] text-foreground">
+                                {object.name}
+                                <span className="text-muted-foreground"> — chapter {object.introducedIn}{object.significance ? ` · ${object.significance}` : ''}</span>
+                            </p>
+                        ))}
+                    </div>
+                )}
+            </AnalyticsSection>
+
+            <AnalyticsSection icon={MapPin} title="Locations Visited Once" hint="Places that appear in a single chapter">
+                {analytics.singleVisitLocations.length === 0 ? <EmptyNote>Every location is revisited.</EmptyNote> : (
+                    <div className="flex flex-wrap gap-1">
+                        {analytics.singleVisitLocations.map(location => (
+                            <Badge key={location.id} variant="outline" className="text-[10px]">
+                                {location.name} · ch {location.chapter}
+                            </Badge>
+                        ))}
+                    </div>
+                )}
+            </AnalyticsSection>
+        </div>
+    );
+}
+
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
@@ -691,6 +833,7 @@ export default function StoryVisualization({ workflowId, graphData: propGraphDat
     const [timelineData, setTimelineData] = useState(propTimelineData || null);
     const [isLoading, setIsLoading] = useState(false);
     const [isFullscreen, setIsFullscreen] = useState(false);
+    const [analyticsVersion, setAnalyticsVersion] = useState(0);
 
     // Fetch graph data from Neo4j API
     const fetchGraphData = useCallback(async () => {
@@ -749,12 +892,21 @@ export default function StoryVisualization({ workflowId, graphData: propGraphDat
                             <TabsTrigger value="timeline" className="h-6 text-[11px] px-2 gap-1">
                                 <Clock className="w-3 h-3" /> Timeline
                             </TabsTrigger>
+                            <TabsTrigger value="analytics" className="h-6 text-[11px] px-2 gap-1">
+                                <BarChart3 className="w-3 h-3" /> Analytics
+                            </TabsTrigger>
                         </TabsList>
                     </Tabs>
 
                     <div className="w-px h-5 bg-border mx-1" />
 
-                    <Button variant="ghost" size="icon" className="h-7 w-7" onClick={fetchGraphData} disabled={isLoading}>
+                    <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7"
+                        onClick={() => { fetchGraphData(); setAnalyticsVersion(v => v + 1); }}
+                        disabled={isLoading}
+                    >
                         <RefreshCw className={`w-3.5 h-3.5 ${isLoading ? 'animate-spin' : ''}`} />
                     </Button>
                     <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => setIsFullscreen(!isFullscreen)}>
@@ -789,6 +941,11 @@ export default function StoryVisualization({ workflowId, graphData: propGraphDat
                         graphData={graphData}
                         onNodeClick={(node) => console.log('Node clicked:', node)}
                     />
+                ) : activeView === 'analytics' ? (
+                    <StoryAnalytics
+                        workflowId={workflowId}
+                        version={analyticsVersion}
+                    />
                 ) : (
                     <StoryTimeline
                         timelineData={timelineData}
@@ -19,22 +19,35 @@ import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
 import { Separator } from '@/components/ui/separator';
 import { ScrollArea } from '@/components/ui/scroll-area';
-import AgentModules from './AgentModules';
+import AgentModules, { CustomAgentModules, ControlFlowModules } from './AgentModules';
 import AgentNode from './AgentNode';
+import ControlNode from './ControlNode';
+import ControlNodeDialog from './ControlNodeDialog';
 import AgentDetailModal from './AgentDetailModal';
+import EdgeMappingPanel from './EdgeMappingPanel';
 import AgentIcon from './AgentIcon';
 import ManuscriptInputModal from './ManuscriptInputModal';
 import ScriptEditorPanel from './ScriptEditorPanel';
 import AIEditorPage from './AIEditorPage';
 import { AGENT_DEFINITIONS } from '@/lib/agents/definitions';
+import { isControlNode } from '@/lib/agents/control-flow';
+import { readEventStream } from '@/lib/sse';
 import {
   ChevronLeft, ChevronRight, ChevronDown, ChevronUp, Play, Settings,
-  Loader2, CheckCircle, XCircle, Sparkles, X, Home, Brain, Download, Upload, Network, FileText
+  Loader2, CheckCircle, XCircle, Sparkles, X, Home, Brain, Download, Upload, Network, FileText, RotateCcw
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const nodeTypes = {
   agent: AgentNode,
+  condition: ControlNode,
+  loop: ControlNode,
+};
+
+// Client-only handlers and live fields that don't belong in the saved graph
+const toSavedNode = ({ id, type, position, data }) => {
+  const { onNodeClick, onRun, partialOutput, ...saved } = data || {};
+  return { id, type, position, data: saved };
 };
 
 // Custom Edge Component with Label
@@ -84,6 +97,7 @@ export default function WorkflowCanvas({
   const [edges, setEdges, onEdgesChange] = useEdgesState(workflow?.edges || []);
   const [selectedNode, setSelectedNode] = useState(null);
   const [selectedEdge, setSelectedEdge] = useState(null);
+  const [editingControlNode, setEditingControlNode] = useState(null);
   const [showStrategy, setShowStrategy] = useState(true);
   const [showModules, setShowModules] = useState(false);
   const [isStrategyExpanded, setIsStrategyExpanded] = useState(true);
@@ -100,6 +114,11 @@ export default function WorkflowCanvas({
   const [showScriptEditor, setShowScriptEditor] = useState(false);
   const [showAIEditorPage, setShowAIEditorPage] = useState(false);
   const [isGeneratingReport, setIsGeneratingReport] = useState(false);
+  const [agentModels, setAgentModels] = useState(workflow?.settings?.agentModels || {});
+
+  useEffect(() => {
+    setAgentModels(workflow?.settings?.agentModels || {});
+  }, [workflow?.settings?.agentModels]);
 
   // Update progress based on actual node states
   useEffect(() => {
@@ -367,7 +386,9 @@ export default function WorkflowCanvas({
 
   const handleNodeClick = useCallback((nodeId, nodeData) => {
     const fullNode = nodes.find(n => n.id === nodeId);
-    if (fullNode) {
+    if (fullNode && isControlNode(fullNode)) {
+      setEditingControlNode(fullNode);
+    } else if (fullNode) {
       setDetailAgent(fullNode);
       setShowDetailModal(true);
     }
@@ -507,6 +528,109 @@ export default function WorkflowCanvas({
     }
   }, [executingNodeId, workflow, updateNodeStatus, handleNodeClick, setNodes, onRefresh]);
 
+  // Assign a backend/model to an agent type for this workflow (null = agent default)
+  const handleAgentModelChange = useCallback(async (agentType, selection) => {
+    if (!workflow?._id || !agentType) return;
+
+    const next = { ...agentModels };
+    if (selection) {
+      next[agentType] = selection;
+    } else {
+      delete next[agentType];
+    }
+
+    const previous = agentModels;
+    setAgentModels(next);
+
+    try {
+      const response = await fetch('/api/scriptforge/workflows/save', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          workflowId: workflow._id,
+          updates: { 'settings.agentModels': next }
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save model');
+      }
+      toast.success(selection ? `Using ${selection.model} for this agent` : 'Using default model for this agent');
+    } catch (error) {
+      console.error('Error saving agent model:', error);
+      setAgentModels(previous);
+      toast.error(error.message);
+    }
+  }, [workflow?._id, agentModels]);
+
+  // Save the canvas graph as shown, so the server runs what the user sees
+  const persistGraph = useCallback(async (nextNodes, nextEdges) => {
+    const response = await fetch('/api/scriptforge/workflows/save', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        workflowId: workflow._id,
+        updates: { nodes: nextNodes.map(toSavedNode), edges: nextEdges }
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'Failed to save workflow');
+    }
+  }, [workflow?._id]);
+
+  const handleControlNodeSave = useCallback(async (nodeId, patch) => {
+    if (!workflow?._id) return;
+
+    const nextNodes = nodes.map((node) => (
+      node.id === nodeId ? { ...node, data: { ...node.data, ...patch } } : node
+    ));
+
+    try {
+      await persistGraph(nextNodes, edges);
+      setNodes(nextNodes);
+      onUpdateNodes?.(nextNodes);
+      setEditingControlNode(null);
+      toast.success(`${patch.label || 'Node'} saved`);
+    } catch (error) {
+      console.error('Error saving control node:', error);
+      toast.error(error.message);
+    }
+  }, [workflow?._id, nodes, edges, persistGraph, setNodes, onUpdateNodes]);
+
+  // Saves what an edge passes downstream (null passes the whole result)
+  const handleEdgeMappingSave = useCallback(async (edgeId, mapping) => {
+    if (!workflow?._id) return;
+
+    const nextEdges = edges.map((edge) => {
+      if (edge.id !== edgeId) return edge;
+      const { mapping: _previous, ...data } = edge.data || {};
+      return { ...edge, data: mapping ? { ...data, mapping } : data };
+    });
+
+    try {
+      const response = await fetch('/api/scriptforge/workflows/save', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          workflowId: workflow._id,
+          updates: { edges: nextEdges }
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error || 'Failed to save edge');
+      }
+      setEdges(nextEdges);
+      onUpdateEdges?.(nextEdges);
+      setSelectedEdge(null);
+      toast.success(mapping ? 'Edge now passes only the selected data' : 'Edge passes the whole result');
+    } catch (error) {
+      console.error('Error saving edge mapping:', error);
+      toast.error(error.message);
+    }
+  }, [workflow?._id, edges, setEdges, onUpdateEdges]);
+
   const handleRunAgentFromModal = useCallback((agent, customPrompt) => {
     // Trigger agent execution - keep modal open to show results
     const agentType = agent.data?.agentType;
@@ -541,7 +665,7 @@ export default function WorkflowCanvas({
 
       const newNode = {
         id: `node-${Date.now()}`,
-        type: 'agent',
+        type: agentData.type || 'agent',
         position,
         data: {
           ...agentData,
@@ -582,6 +706,16 @@ export default function WorkflowCanvas({
           description: 'Connect these agents'
         }
       };
+
+      // Edges leaving a condition node belong to its true or false branch
+      if (params.sourceHandle === 'true' || params.sourceHandle === 'false') {
+        const branchColor = params.sourceHandle === 'true' ? '#10B981' : '#EF4444';
+        newEdge.label = params.sourceHandle;
+        newEdge.style = { ...newEdge.style, stroke: branchColor };
+        newEdge.markerEnd = { ...newEdge.markerEnd, color: branchColor };
+        newEdge.data.semantic = `${params.sourceHandle} branch`;
+      }
+
       setEdges((eds) => addEdge(newEdge, eds));
       onUpdateEdges?.([...edges, newEdge]);
     },
@@ -608,120 +742,128 @@ export default function WorkflowCanvas({
     );
   };
 
-  const handleExecute = async () => {
+  // A previous run left checkpoints behind but didn't finish cleanly
+  const canResume = !!workflow?.progress?.checkpoints
+    && Object.keys(workflow.progress.checkpoints).length > 0
+    && workflow?.status !== 'completed';
+
+  const handleExecute = async ({ resume = false } = {}) => {
     setIsExecuting(true);
 
     // Initialize progress
     const totalNodes = nodes.length;
     setLocalProgress({ completedNodes: [], totalNodes });
 
-    // Set all nodes to 'pending' state initially
+    // Set nodes to 'pending' state initially - when resuming, completed
+    // nodes keep their results since the server may reuse them
     setNodes((nds) =>
-      nds.map((node, index) => ({
-        ...node,
-        data: {
-          ...node.data,
-          status: 'pending',
-          result: null,
-          output: null,
-          error: null,
-        },
-      }))
+      nds.map((node) => (
+        resume && node.data?.status === 'success'
+          ? node
+          : {
+            ...node,
+            data: {
+              ...node.data,
+              status: 'pending',
+              result: null,
+              output: null,
+              error: null,
+            },
+          }
+      ))
     );
 
-    toast.loading('Starting workflow execution...', { id: 'workflow-execute' });
-
-    try {
-      // Execute nodes one by one
-      const completedNodes = [];
-
-      for (let i = 0; i < nodes.length; i++) {
-        const node = nodes[i];
-        const agentType = node.data.agentType;
+    toast.loading(resume ? 'Resuming workflow execution...' : 'Starting workflow execution...', { id: 'workflow-execute' });
 
-        // Update this node to 'running'
-        setNodes((nds) =>
-          nds.map((n, idx) => ({
-            ...n,
-            data: {
-              ...n.data,
-              status: n.id === node.id ? 'running' : (idx < i ? 'success' : 'pending'),
-            },
-          }))
-        );
+    // The server schedules the whole DAG (independent agents run in parallel)
+    // and streams node events back as they happen
+    const updateNodeData = (nodeId, patch) => {
+      setNodes((nds) =>
+        nds.map((n) => (n.id === nodeId ? { ...n, data: { ...n.data, ...patch } } : n))
+      );
+      setDetailAgent(prev => (prev?.id === nodeId ? { ...prev, data: { ...prev.data, ...patch } } : prev));
+    };
 
-        toast.loading(`Running ${node.data.label || agentType}... (${i + 1}/${totalNodes})`, { id: 'workflow-execute' });
+    try {
+      // Conditions, loops and edges drawn since the last save must reach the server
+      if (workflow?._id) {
+        await persistGraph(nodes, edges);
+      }
 
-        try {
-          // Execute single agent
-          const response = await fetch('/api/scriptforge/workflows/execute', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              workflowId: workflow?._id,
-              singleAgentId: node.id,
-              agentType: agentType,
-            }),
-          });
+      const response = await fetch('/api/scriptforge/workflows/execute/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workflowId: workflow?._id, resume }),
+      });
 
-          const data = await response.json();
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Workflow execution failed');
+      }
 
-          if (data.success && data.nodeData) {
-            // Update the node with results
-            const updatedNodeData = {
+      const completedNodes = [];
+      const runningNodes = new Set();
+      let runResult = null;
+      let streamError = null;
+
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'node-started':
+            runningNodes.add(data.nodeId);
+            updateNodeData(data.nodeId, { status: 'running', input: data.input, partialOutput: null, error: null });
+            toast.loading(
+              `Running ${runningNodes.size} agent(s)... (${completedNodes.length}/${totalNodes} done)`,
+              { id: 'workflow-execute' }
+            );
+            break;
+          case 'node-partial':
+            updateNodeData(data.nodeId, { partialOutput: data.output });
+            break;
+          case 'node-completed':
+            runningNodes.delete(data.nodeId);
+            completedNodes.push(data.nodeId);
+            setLocalProgress({ completedNodes: [...completedNodes], totalNodes });
+            updateNodeData(data.nodeId, {
               ...data.nodeData,
               status: 'success',
+              partialOutput: null,
               onNodeClick: handleNodeClick,
-              onRun: (type) => executeAgentById(node.id, type, true),
+              onRun: (type) => executeAgentById(data.nodeId, type, true),
               workflowId: workflow?._id,
-            };
-
-            setNodes((nds) =>
-              nds.map((n) =>
-                n.id === node.id
-                  ? { ...n, data: updatedNodeData }
-                  : n
-              )
-            );
-
-            // Update detail modal if showing this node
-            if (showDetailModal && detailAgent?.id === node.id) {
-              setDetailAgent(prev => ({ ...prev, data: updatedNodeData }));
-            }
-
-            completedNodes.push(node.id);
-            setLocalProgress({ completedNodes: [...completedNodes], totalNodes });
-
-          } else {
-            // Handle error
-            setNodes((nds) =>
-              nds.map((n) =>
-                n.id === node.id
-                  ? { ...n, data: { ...n.data, status: 'error', error: data.error } }
-                  : n
-              )
-            );
-          }
-        } catch (error) {
-          console.error(`Error executing ${agentType}:`, error);
-          setNodes((nds) =>
-            nds.map((n) =>
-              n.id === node.id
-                ? { ...n, data: { ...n.data, status: 'error', error: error.message } }
-                : n
-            )
-          );
+            });
+            break;
+          case 'node-failed':
+            runningNodes.delete(data.nodeId);
+            updateNodeData(data.nodeId, { status: 'error', error: data.error, partialOutput: null });
+            break;
+          case 'node-skipped':
+            updateNodeData(data.nodeId, { status: 'skipped', result: null, output: null, partialOutput: null });
+            break;
+          case 'run-completed':
+            runResult = data;
+            break;
+          case 'error':
+            streamError = data.error;
+            break;
         }
+      });
+
+      if (streamError || !runResult) {
+        throw new Error(streamError || 'Workflow stream ended unexpectedly');
       }
 
-      toast.success(`Workflow completed! ${completedNodes.length}/${totalNodes} agents executed.`, { id: 'workflow-execute' });
+      const resumedCount = runResult.resumed?.length || 0;
+      toast.success(
+        `Workflow completed! ${completedNodes.length}/${totalNodes} agents executed${resumedCount ? ` (${resumedCount} reused from checkpoint)` : ''}.`,
+        { id: 'workflow-execute' }
+      );
 
       // Trigger a refresh to sync with DB after full execution
       onRefresh?.();
 
     } catch (error) {
       console.error('Workflow execution error:', error);
-      toast.error('Workflow execution failed', { id: 'workflow-execute' });
+      toast.error(error.message || 'Workflow execution failed', { id: 'workflow-execute' });
 
       // Reset all nodes to error on failure
       setNodes((nds) =>
@@ -932,8 +1074,19 @@ export default function WorkflowCanvas({
             <Sparkles className="w-4 h-4 mr-2" />
             AI Forger
           </Button>
+          {canResume && (
+            <Button
+              variant="outline"
+              onClick={() => handleExecute({ resume: true })}
+              disabled={isExecuting}
+              className="border-emerald-500/50 text-emerald-500 hover:text-emerald-400 hover:bg-emerald-500/10"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Resume
+            </Button>
+          )}
           <Button
-            onClick={handleExecute}
+            onClick={() => handleExecute()}
             disabled={isExecuting}
             className="bg-emerald-500 hover:bg-emerald-600 text-white shadow-lg shadow-emerald-500/20 hover:shadow-emerald-500/30 transition-all disabled:opacity-50 font-semibold"
           >
@@ -1190,18 +1343,48 @@ export default function WorkflowCanvas({
             />
           </ReactFlow>
 
+          {selectedEdge && (
+            <EdgeMappingPanel
+              key={selectedEdge.id}
+              edge={edges.find(e => e.id === selectedEdge.id) || selectedEdge}
+              sourceNode={nodes.find(n => n.id === selectedEdge.source)}
+              targetNode={nodes.find(n => n.id === selectedEdge.target)}
+              onSave={handleEdgeMappingSave}
+              onClose={() => setSelectedEdge(null)}
+            />
+          )}
+
+          {editingControlNode && (
+            <ControlNodeDialog
+              key={editingControlNode.id}
+              node={editingControlNode}
+              upstreamNodes={nodes.filter(n => edges.some(e => e.source === n.id && e.target === editingControlNode.id))}
+              agentOptions={[
+                ...Object.values(AGENT_DEFINITIONS).map(agent => ({ agentType: agent.id, name: agent.name })),
+                ...nodes
+                  .filter(n => n.data?.agentType?.startsWith('custom-'))
+                  .map(n => ({ agentType: n.data.agentType, name: n.data.label }))
+              ].filter((option, index, all) => all.findIndex(o => o.agentType === option.agentType) === index)}
+              onSave={handleControlNodeSave}
+              onClose={() => setEditingControlNode(null)}
+            />
+          )}
+
           {/* Agent Detail Modal */}
           <AgentDetailModal
             agent={detailAgent}
             isOpen={showDetailModal}
             onClose={() => setShowDetailModal(false)}
             onRunAgent={handleRunAgentFromModal}
+            modelSelection={agentModels[detailAgent?.data?.agentType]}
+            onModelChange={handleAgentModelChange}
           />
 
           {/* Manuscript Input Modal for Story Intelligence */}
           <ManuscriptInputModal
             isOpen={showManuscriptModal}
             onClose={() => setShowManuscriptModal(false)}
+            workflowId={workflow?._id}
             onAnalysisComplete={(result) => {
               console.log('Analysis complete:', result);
             }}
@@ -1309,6 +1492,12 @@ export default function WorkflowCanvas({
                       </div>
                     ))}
                   </div>
+                  <div className="mt-4">
+                    <CustomAgentModules />
+                  </div>
+                  <div className="mt-4">
+                    <ControlFlowModules />
+                  </div>
                 </ScrollArea>
               </div>
             </div>
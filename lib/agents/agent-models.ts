@@ -0,0 +1,87 @@
+/**
+ * Agent Models - which backend and model each agent runs on
+ *
+ * Resolution order for an agent type:
+ * 1. The workflow's settings.agentModels
+ * 2. The user's settings.agentModels
+ * 3. The agent's default in AGENT_DEFINITIONS (a Gemini alias), or a custom
+ *    agent's own model
+ */
+
+import { AGENT_DEFINITIONS } from './definitions';
+import { MODEL_IDS, resolveModel, type ModelChoice } from '@/lib/ai-provider';
+import { agentModelSelectionSchema } from '@/lib/validations/agent-models';
+import User from '@/lib/models/User';
+import { createLogger } from '@/lib/logger';
+import type { AgentModelConfig, AgentModelSelection, AgentType, BuiltInAgentType } from '@/types/workflow';
+
+const log = createLogger('agent-models');
+
+/**
+ * Keep only valid { provider, model } entries for known agent types.
+ * Settings are validated on save; this guards against stale or hand-edited data.
+ */
+export function normalizeAgentModels(input: any): AgentModelConfig {
+  const config: AgentModelConfig = {};
+  if (!input || typeof input !== 'object') return config;
+
+  for (const [agentType, selection] of Object.entries(input)) {
+    if (!(agentType in AGENT_DEFINITIONS)) continue;
+    const parsed = agentModelSelectionSchema.safeParse(selection);
+    if (parsed.success) {
+      config[agentType as AgentType] = parsed.data as AgentModelSelection;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Merge user-level and workflow-level settings (workflow wins)
+ */
+export function mergeAgentModels(userModels?: any, workflowModels?: any): AgentModelConfig {
+  return {
+    ...normalizeAgentModels(userModels),
+    ...normalizeAgentModels(workflowModels),
+  };
+}
+
+/**
+ * Load the effective agent model config for a workflow document
+ */
+export async function loadAgentModels(workflow: { userId: any; settings?: any }): Promise<AgentModelConfig> {
+  let userModels: any;
+  try {
+    const user: any = await User.findById(workflow.userId).select('settings').lean();
+    userModels = user?.settings?.agentModels;
+  } catch (error) {
+    log.warn('Could not load user model settings', { error: (error as Error).message });
+  }
+
+  return mergeAgentModels(userModels, workflow.settings?.agentModels);
+}
+
+/**
+ * Model choice for an agent, honouring overrides. `fallback` is the agent's
+ * own default when it isn't a built-in (e.g. a custom agent's model).
+ */
+export function getAgentModel(agentType: string, overrides?: AgentModelConfig, fallback?: ModelChoice): ModelChoice {
+  const override = overrides?.[agentType as AgentType];
+  if (override) return override;
+
+  return AGENT_DEFINITIONS[agentType as BuiltInAgentType]?.model || fallback || 'flash';
+}
+
+/**
+ * Human-readable model id for logs and run history
+ */
+export function getModelLabel(choice: ModelChoice): string {
+  try {
+    const { provider, modelId } = resolveModel(choice);
+    return provider === 'gemini' ? modelId : `${provider}:${modelId}`;
+  } catch {
+    return typeof choice === 'string' ? MODEL_IDS[choice] : `${choice.provider}:${choice.model}`;
+  }
+}
+
+export type { AgentModelConfig, AgentModelSelection };
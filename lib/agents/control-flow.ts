@@ -0,0 +1,163 @@
+/**
+ * Control Flow - condition and loop nodes
+ *
+ * Condition nodes test an upstream agent's result and activate either their
+ * 'true' or 'false' outgoing edges; nodes reachable only through inactive
+ * edges are skipped. Loop nodes re-run a short sequence of agents (e.g.
+ * validate -> fix) until an exit condition holds or an iteration cap is hit.
+ *
+ * This module only holds the pure pieces (condition evaluation, branch
+ * activation, loop feedback); the scheduler runs the nodes.
+ */
+
+import type {
+  ConditionOperator,
+  ConditionSpec,
+  ControlNodeType,
+  LoopSpec,
+  ScriptForgeEdge,
+  ScriptForgeNode,
+} from '@/types/workflow';
+
+export const CONTROL_NODE_TYPES: ControlNodeType[] = ['condition', 'loop'];
+
+export const CONDITION_OPERATORS: ConditionOperator[] = [
+  'exists', 'not-exists', 'equals', 'not-equals', 'gt', 'gte', 'lt', 'lte', 'contains',
+];
+
+// Operators that don't compare against a value
+export const UNARY_OPERATORS: ConditionOperator[] = ['exists', 'not-exists'];
+
+export const MAX_LOOP_ITERATIONS = 10;
+
+export type ConditionBranch = 'true' | 'false';
+
+/** Result stored on a condition node */
+export interface ConditionResult {
+  branch: ConditionBranch;
+  /** The value that was compared (list length for lists) */
+  actual: any;
+  sourceNodeId: string | null;
+}
+
+/** Result stored on a loop node */
+export interface LoopResult {
+  iterations: number;
+  converged: boolean;
+  history: Array<{ iteration: number; actual: any; met: boolean }>;
+  /** Last result of every body agent, by agent type */
+  results: Record<string, any>;
+}
+
+export function isControlNode(node: Pick<ScriptForgeNode, 'type'>): boolean {
+  return CONTROL_NODE_TYPES.includes(node.type as ControlNodeType);
+}
+
+/**
+ * Read a dotted path such as 'errors' or 'storyContext.genre' (list indexes allowed)
+ */
+export function readPath(value: any, path: string): any {
+  if (!path) return value;
+  return path.split('.').reduce((current, key) => (
+    current === null || current === undefined ? undefined : current[key]
+  ), value);
+}
+
+/**
+ * Evaluate a condition against an agent result. Lists compare by their
+ * length after the optional `where` filter, so "errors where severity =
+ * critical, gt 0" reads as "there is at least one critical error".
+ */
+export function evaluateCondition(spec: ConditionSpec, result: any): { met: boolean; actual: any } {
+  const raw = readPath(result, spec.path);
+  const isList = Array.isArray(raw);
+  const where = spec.where;
+  const items: any[] = isList && where?.field
+    ? raw.filter((item: any) => readPath(item, where.field) === where.equals)
+    : raw;
+  const actual = isList ? items.length : raw;
+
+  const expected = spec.value;
+  const equals = actual === expected || String(actual) === String(expected);
+  const exists = isList ? items.length > 0 : actual !== undefined && actual !== null && actual !== '';
+
+  let met: boolean;
+  switch (spec.operator) {
+    case 'exists':
+      met = exists;
+      break;
+    case 'not-exists':
+      met = !exists;
+      break;
+    case 'equals':
+      met = equals;
+      break;
+    case 'not-equals':
+      met = !equals;
+      break;
+    case 'gt':
+      met = Number(actual) > Number(expected);
+      break;
+    case 'gte':
+      met = Number(actual) >= Number(expected);
+      break;
+    case 'lt':
+      met = Number(actual) < Number(expected);
+      break;
+    case 'lte':
+      met = Number(actual) <= Number(expected);
+      break;
+    case 'contains':
+      met = isList
+        ? items.some(item => item === expected || (typeof item === 'string' && item.includes(String(expected))))
+        : typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+      break;
+    default:
+      throw new Error(`Unknown condition operator '${spec.operator}'`);
+  }
+
+  return { met, actual };
+}
+
+/**
+ * Whether an edge carries data: edges out of a condition node only do when
+ * they leave through the branch it took. Edges out of skipped nodes never do.
+ * Edges without a sourceHandle count as the 'true' branch.
+ */
+export function isEdgeActive(
+  edge: ScriptForgeEdge,
+  sourceNode: ScriptForgeNode | undefined,
+  sourceRun: { status: string; result?: any } | undefined
+): boolean {
+  if (!sourceRun || sourceRun.status === 'skipped') return false;
+  // A failed agent still lets downstream run (partial success); a failed condition picks no branch
+  if (sourceNode?.type !== 'condition') return true;
+  return sourceRun.status === 'success'
+    && (edge.sourceHandle || 'true') === (sourceRun.result as ConditionResult).branch;
+}
+
+/**
+ * Describe a condition for node labels and logs, e.g. "errors[severity=critical] gt 0"
+ */
+export function describeCondition(spec?: ConditionSpec | null): string {
+  if (!spec?.path) return 'Not configured';
+  const where = spec.where?.field ? `[${spec.where.field}=${spec.where.equals}]` : '';
+  const value = UNARY_OPERATORS.includes(spec.operator) ? '' : ` ${spec.value ?? ''}`;
+  return `${spec.path}${where} ${spec.operator}${value}`.trim();
+}
+
+/**
+ * Custom prompt for every pass after the first, so the body agents see what
+ * the previous pass produced (e.g. the validator re-checks with the fixes applied)
+ */
+export function buildLoopFeedback(spec: LoopSpec, iteration: number, results: Record<string, any>): string {
+  const previous = spec.body
+    .filter(agentType => results[agentType] !== undefined)
+    .map(agentType => `${agentType.toUpperCase()}:\n${JSON.stringify(results[agentType], null, 2)}`)
+    .join('\n\n');
+
+  return `This is pass ${iteration} of at most ${spec.maxIterations} in a revision loop. Assume the fixes and suggestions from the previous pass have been applied to the story, and re-evaluate with them in mind.
+
+PREVIOUS PASS:
+${previous}`;
+}
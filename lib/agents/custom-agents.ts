@@ -0,0 +1,138 @@
+/**
+ * Custom Agents - user-defined agent nodes
+ *
+ * A custom agent is stored per user (CustomAgent model) with a system prompt,
+ * the upstream outputs it consumes, a JSON Schema for its output and an
+ * optional model. At run time it becomes an AgentSpec and goes through the
+ * same executor, contracts and fallbacks as the built-in agents.
+ */
+
+import { z } from 'zod';
+import CustomAgent from '@/lib/models/CustomAgent';
+import { createLogger } from '@/lib/logger';
+import {
+  getAgentSpec,
+  readOutputPort,
+  StoryBriefPort,
+  type AgentSpec,
+} from './registry';
+import type { AgentContext } from './types';
+import type { CustomAgentDefinition, CustomAgentType } from '@/types/workflow';
+
+const log = createLogger('custom-agents');
+
+export const CUSTOM_AGENT_PREFIX = 'custom-';
+
+export function isCustomAgentType(agentType: string): agentType is CustomAgentType {
+  return agentType.startsWith(CUSTOM_AGENT_PREFIX);
+}
+
+/**
+ * Shape a CustomAgent document for the executor and the API
+ */
+export function toCustomAgentDefinition(doc: any): CustomAgentDefinition {
+  return {
+    agentType: `${CUSTOM_AGENT_PREFIX}${doc.slug}`,
+    name: doc.name,
+    description: doc.description || '',
+    systemPrompt: doc.systemPrompt,
+    inputs: doc.inputs || [],
+    outputSchema: doc.outputSchema,
+    model: doc.model?.provider && doc.model?.model
+      ? { provider: doc.model.provider, model: doc.model.model }
+      : undefined,
+    icon: doc.icon,
+    color: doc.color,
+  };
+}
+
+/**
+ * Shape a CustomAgent document for the client (palette and editor)
+ */
+export function serializeCustomAgent(doc: any) {
+  return {
+    id: doc._id.toString(),
+    ...toCustomAgentDefinition(doc),
+    category: 'Custom',
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/**
+ * Load the custom agents of a workflow's owner, keyed by agent type
+ */
+export async function loadCustomAgents(workflow: { userId: any }): Promise<Record<string, CustomAgentDefinition>> {
+  try {
+    const docs = await CustomAgent.find({ userId: workflow.userId }).lean();
+    return Object.fromEntries(
+      docs.map(doc => {
+        const definition = toCustomAgentDefinition(doc);
+        return [definition.agentType, definition];
+      })
+    );
+  } catch (error) {
+    log.warn('Could not load custom agents', { error: (error as Error).message });
+    return {};
+  }
+}
+
+/**
+ * Read a custom agent's input: the manuscript, another custom agent's
+ * result, or a built-in output port
+ */
+function readCustomInput(port: string, context: AgentContext): unknown {
+  if (port === 'storyBrief') return context.storyBrief;
+  if (port === 'manuscript') return context.manuscript || undefined;
+  if (isCustomAgentType(port)) return context.previousResults?.[port] ?? undefined;
+  return readOutputPort(port, context);
+}
+
+function buildCustomPrompt(definition: CustomAgentDefinition, inputs: Record<string, any>): string {
+  const sections = definition.inputs
+    .filter(port => port !== 'manuscript' && inputs[port] !== undefined)
+    .map(port => `${port.toUpperCase()}:\n${JSON.stringify(inputs[port], null, 2)}`);
+
+  return `${definition.systemPrompt.trim()}
+
+STORY:
+${inputs.storyBrief}
+${inputs.manuscript ? `\n\nFULL MANUSCRIPT:\n${inputs.manuscript}` : ''}
+${sections.length > 0 ? `\n${sections.join('\n\n')}` : ''}`;
+}
+
+/**
+ * Build an executable spec from a custom agent definition
+ */
+export function createCustomAgentSpec(definition: CustomAgentDefinition): AgentSpec {
+  const inputShape: Record<string, z.ZodType> = { storyBrief: StoryBriefPort };
+  for (const port of definition.inputs) {
+    inputShape[port] = port === 'manuscript' ? z.string().optional() : z.any().optional();
+  }
+
+  return {
+    type: definition.agentType,
+    inputSchema: z.object(inputShape),
+    outputSchema: z.fromJSONSchema(definition.outputSchema),
+    // Other custom agents consume the whole result under this agent's type
+    outputs: { [definition.agentType]: result => result },
+    model: definition.model,
+    readInput: readCustomInput,
+    buildPrompt: inputs => buildCustomPrompt(definition, inputs),
+  };
+}
+
+/**
+ * Find the spec for any agent type - built-in or one of the context's custom agents
+ */
+export function resolveAgentSpec(agentType: string, context: AgentContext): AgentSpec {
+  if (!isCustomAgentType(agentType)) {
+    return getAgentSpec(agentType);
+  }
+
+  const definition = context?.customAgents?.[agentType];
+  if (!definition) {
+    throw new Error(`Custom agent '${agentType}' not found - it may have been deleted`);
+  }
+  return createCustomAgentSpec(definition);
+}
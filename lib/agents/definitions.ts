@@ -1,7 +1,7 @@
-import { AgentDefinition, AgentType } from '@/types/workflow';
+import { AgentDefinition, BuiltInAgentType } from '@/types/workflow';
 
 // Icon names that will be rendered as Lucide React components
-export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
+export const AGENT_DEFINITIONS: Record<BuiltInAgentType, AgentDefinition> = {
   'story-intelligence': {
     id: 'story-intelligence',
     type: 'story-intelligence',
@@ -18,7 +18,8 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Narrative structure detection'
     ],
     inputs: ['manuscript', 'script', 'text', 'document'],
-    outputs: ['story_context', 'style_profile', 'structure_analysis']
+    outputs: ['story_context', 'style_profile', 'structure_analysis'],
+    model: 'flash'
   },
   'knowledge-graph': {
     id: 'knowledge-graph',
@@ -38,7 +39,8 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Entity state tracking'
     ],
     inputs: ['story_context', 'manuscript', 'scene'],
-    outputs: ['knowledge_graph', 'entity_data', 'relationships']
+    outputs: ['knowledge_graph', 'entity_data', 'relationships'],
+    model: 'pro' // complex graph extraction (higher token limit)
   },
   'temporal-reasoning': {
     id: 'temporal-reasoning',
@@ -57,7 +59,8 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Temporal paradox detection'
     ],
     inputs: ['knowledge_graph', 'story_context', 'events'],
-    outputs: ['timeline', 'causal_chains', 'temporal_issues']
+    outputs: ['timeline', 'causal_chains', 'temporal_issues'],
+    model: 'flash'
   },
   'continuity-validator': {
     id: 'continuity-validator',
@@ -75,8 +78,9 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Continuity validation',
       'Plot hole detection'
     ],
-    inputs: ['knowledge_graph', 'timeline', 'manuscript'],
-    outputs: ['continuity_report', 'errors', 'warnings']
+    inputs: ['story_context', 'knowledge_graph', 'timeline', 'manuscript'],
+    outputs: ['continuity_report', 'errors', 'warnings'],
+    model: 'flash'
   },
   'creative-coauthor': {
     id: 'creative-coauthor',
@@ -95,8 +99,9 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Creative brainstorming',
       'Alternative scenarios'
     ],
-    inputs: ['story_context', 'knowledge_graph', 'user_intent'],
-    outputs: ['suggestions', 'improved_dialogue', 'plot_ideas']
+    inputs: ['story_context', 'knowledge_graph', 'continuity_report', 'user_intent'],
+    outputs: ['suggestions', 'improved_dialogue', 'plot_ideas'],
+    model: 'flash'
   },
   'intelligent-recall': {
     id: 'intelligent-recall',
@@ -116,7 +121,8 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Story Q&A'
     ],
     inputs: ['knowledge_graph', 'query', 'story_context'],
-    outputs: ['answer', 'references', 'related_info']
+    outputs: ['answer', 'references', 'related_info'],
+    model: 'flash'
   },
   'cinematic-teaser': {
     id: 'cinematic-teaser',
@@ -136,7 +142,8 @@ export const AGENT_DEFINITIONS: Record<AgentType, AgentDefinition> = {
       'Key moment identification'
     ],
     inputs: ['story_context', 'knowledge_graph', 'preferences'],
-    outputs: ['teaser_script', 'visual_prompts', 'video']
+    outputs: ['teaser_script', 'visual_prompts', 'video'],
+    model: 'flash'
   }
 };
 
@@ -0,0 +1,84 @@
+/**
+ * Edge Mapping - what a canvas edge passes from its source to its target
+ *
+ * An edge can carry a mapping in `edge.data.mapping` that narrows the source
+ * agent's result before the target sees it, e.g. only the characters and
+ * plot threads of the knowledge graph. Edges without a mapping pass the whole
+ * result, as do agents that are only upstream transitively.
+ *
+ * Pure functions only - shared by the scheduler, the single-agent route and
+ * the canvas edge editor.
+ */
+
+import type { EdgeMapping, ScriptForgeEdge } from '@/types/workflow';
+
+export function isEmptyMapping(mapping?: EdgeMapping | null): boolean {
+  return !mapping || (!mapping.fields?.length && !mapping.maxItems);
+}
+
+/**
+ * Narrow a result to what the mapping declares. Array fields that are not
+ * selected are passed empty rather than dropped, so the target's input
+ * contract (which may require those arrays) still holds.
+ */
+export function applyEdgeMapping(result: any, mapping?: EdgeMapping | null): any {
+  if (isEmptyMapping(mapping) || result === null || typeof result !== 'object') {
+    return result;
+  }
+
+  const { fields, maxItems } = mapping!;
+  const cap = (value: any) => (maxItems && Array.isArray(value) ? value.slice(0, maxItems) : value);
+
+  if (Array.isArray(result)) {
+    return cap(result);
+  }
+
+  const selected = fields?.length ? new Set(fields) : null;
+  const mapped: Record<string, any> = {};
+
+  for (const [key, value] of Object.entries(result)) {
+    if (!selected || selected.has(key)) {
+      mapped[key] = cap(value);
+    } else if (Array.isArray(value)) {
+      mapped[key] = [];
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * Mappings on the edges into targetId, keyed by source node id
+ */
+export function getIncomingMappings(
+  targetId: string,
+  edges: ScriptForgeEdge[]
+): Map<string, EdgeMapping> {
+  const mappings = new Map<string, EdgeMapping>();
+
+  for (const edge of edges || []) {
+    const mapping = edge.data?.mapping;
+    if (edge.target === targetId && !isEmptyMapping(mapping) && !mappings.has(edge.source)) {
+      mappings.set(edge.source, mapping!);
+    }
+  }
+
+  return mappings;
+}
+
+/**
+ * Apply the edges' mappings to the upstream results a node is about to receive
+ */
+export function mapUpstreamResults<T extends { nodeId: string; result?: any }>(
+  targetId: string,
+  upstream: T[],
+  edges: ScriptForgeEdge[]
+): T[] {
+  const mappings = getIncomingMappings(targetId, edges);
+  if (mappings.size === 0) return upstream;
+
+  return upstream.map(item => {
+    const mapping = mappings.get(item.nodeId);
+    return mapping ? { ...item, result: applyEdgeMapping(item.result, mapping) } : item;
+  });
+}
@@ -0,0 +1,929 @@
+/**
+ * Embedded Graph Store - the story knowledge graph without a database server
+ *
+ * Keeps the same property graph the Neo4j store writes (labelled nodes with
+ * scoped keys, typed relationships, append-only State nodes) in process, and
+ * saves it as JSON after every change. Used when Neo4j isn't configured.
+ *
+ * The file defaults to tmp/story-graph.json; set GRAPH_STORE_FILE to move it.
+ * Meant for one server process - it is not safe to share the file between
+ * several running instances.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  nodeKey,
+  publicProperties,
+  rejectedRelationshipKey,
+  toGraphNode,
+  RELATIONSHIP_HISTORY_KEYS,
+  toScopeParams,
+  STORY_NODE_TYPES,
+  type CharacterProfile,
+  type GraphData,
+  type GraphDelta,
+  type GraphEdge,
+  type GraphNode,
+  type GraphScope,
+  type NodeRef,
+  type ScopeParams,
+  type ScopeSnapshot,
+  type StoryGraphStore,
+} from './graph-store';
+import type {
+  StoryAnalysisResult,
+  Character,
+  Location,
+  StoryObject,
+  Event,
+  Relationship,
+  PlotThread,
+  StateChange,
+} from './story-intelligence-core';
+
+const STORE_FILE = process.env.GRAPH_STORE_FILE || path.join(process.cwd(), 'tmp', 'story-graph.json');
+
+// ============================================
+// In-memory property graph
+// ============================================
+
+type NodeType = GraphNode['type'];
+
+interface StoredNode {
+  /** `${type}|${key}` - keys are unique per label, as in Neo4j */
+  ref: string;
+  type: NodeType;
+  properties: Record<string, any>;
+}
+
+interface StoredRelationship {
+  id: number;
+  type: string;
+  start: string;
+  end: string;
+  properties: Record<string, any>;
+}
+
+interface GraphFile {
+  version: 1;
+  nodes: Array<{ type: NodeType; properties: Record<string, any> }>;
+  relationships: Array<{ type: string; start: string; end: string; properties: Record<string, any> }>;
+}
+
+const toRef = (type: string, key: string) => `${type}|${key}`;
+
+// undefined leaves a property alone; null removes it, like SET x = null
+function setProperties(node: { properties: Record<string, any> }, properties: Record<string, any>): void {
+  for (const [name, value] of Object.entries(properties)) {
+    if (value === null) {
+      delete node.properties[name];
+    } else if (value !== undefined) {
+      node.properties[name] = value;
+    }
+  }
+}
+
+class EmbeddedGraph {
+  private nodes = new Map<string, StoredNode>();
+  private relationships = new Map<number, StoredRelationship>();
+  private adjacency = new Map<string, Set<number>>();
+  private nextRelationshipId = 1;
+
+  static fromFile(data: GraphFile): EmbeddedGraph {
+    const graph = new EmbeddedGraph();
+    for (const node of data.nodes) {
+      graph.mergeNode(node.type, node.properties.key, node.properties);
+    }
+    for (const rel of data.relationships) {
+      const start = graph.nodes.get(rel.start);
+      const end = graph.nodes.get(rel.end);
+      if (start && end) {
+        graph.createRelationship(rel.type, start, end, rel.properties);
+      }
+    }
+    return graph;
+  }
+
+  toFile(): GraphFile {
+    return {
+      version: 1,
+      nodes: [...this.nodes.values()].map(({ type, properties }) => ({ type, properties })),
+      relationships: [...this.relationships.values()].map(({ type, start, end, properties }) => ({ type, start, end, properties })),
+    };
+  }
+
+  node(type: string, key: string): StoredNode | undefined {
+    return this.nodes.get(toRef(type, key));
+  }
+
+  nodeByRef(ref: string): StoredNode {
+    return this.nodes.get(ref)!;
+  }
+
+  inScope(scopeKey: string, type?: NodeType): StoredNode[] {
+    return [...this.nodes.values()].filter(node =>
+      node.properties.scopeKey === scopeKey && (!type || node.type === type)
+    );
+  }
+
+  /** Nodes of a type called `name`, optionally also by a merged-away name */
+  named(scopeKey: string, type: string, name: string, includeMergedNames: boolean): StoredNode[] {
+    return this.inScope(scopeKey).filter(node =>
+      node.type === type &&
+      (node.properties.name === name || (includeMergedNames && (node.properties.mergedNames || []).includes(name)))
+    );
+  }
+
+  mergeNode(type: NodeType, key: string, properties: Record<string, any>): StoredNode {
+    const ref = toRef(type, key);
+    let node = this.nodes.get(ref);
+    if (!node) {
+      node = { ref, type, properties: { key } };
+      this.nodes.set(ref, node);
+    }
+    setProperties(node, properties);
+    return node;
+  }
+
+  createRelationship(type: string, start: StoredNode, end: StoredNode, properties: Record<string, any> = {}): StoredRelationship {
+    const rel: StoredRelationship = { id: this.nextRelationshipId++, type, start: start.ref, end: end.ref, properties: { ...properties } };
+    this.relationships.set(rel.id, rel);
+    for (const ref of [start.ref, end.ref]) {
+      if (!this.adjacency.has(ref)) this.adjacency.set(ref, new Set());
+      this.adjacency.get(ref)!.add(rel.id);
+    }
+    return rel;
+  }
+
+  /** The relationship of that type between the two nodes with matching properties, created if missing */
+  mergeRelationship(type: string, start: StoredNode, end: StoredNode, match: Record<string, any> = {}): StoredRelationship {
+    const existing = this.outgoing(start, type).find(rel =>
+      rel.end === end.ref && Object.entries(match).every(([name, value]) => rel.properties[name] === value)
+    );
+    return existing || this.createRelationship(type, start, end, match);
+  }
+
+  private relationshipsOf(node: StoredNode): StoredRelationship[] {
+    return [...(this.adjacency.get(node.ref) || [])].map(id => this.relationships.get(id)!);
+  }
+
+  outgoing(node: StoredNode, type?: string): StoredRelationship[] {
+    return this.relationshipsOf(node).filter(rel => rel.start === node.ref && (!type || rel.type === type));
+  }
+
+  incoming(node: StoredNode, type?: string): StoredRelationship[] {
+    return this.relationshipsOf(node).filter(rel => rel.end === node.ref && (!type || rel.type === type));
+  }
+
+  deleteRelationship(rel: StoredRelationship): void {
+    this.relationships.delete(rel.id);
+    this.adjacency.get(rel.start)?.delete(rel.id);
+    this.adjacency.get(rel.end)?.delete(rel.id);
+  }
+
+  detachDelete(node: StoredNode): void {
+    for (const rel of this.relationshipsOf(node)) {
+      this.deleteRelationship(rel);
+    }
+    this.adjacency.delete(node.ref);
+    this.nodes.delete(node.ref);
+  }
+
+  clearScope(scopeKey: string): void {
+    for (const node of this.inScope(scopeKey)) {
+      this.detachDelete(node);
+    }
+  }
+
+  /**
+   * Delete what analysis extracted in the scope but keep the writer's
+   * corrections: user-asserted nodes and relationships, the nodes at either
+   * end of those relationships, and nodes remembering rejected relationships
+   */
+  clearExtracted(scopeKey: string): void {
+    const nodes = this.inScope(scopeKey);
+    for (const node of nodes) {
+      for (const rel of this.relationshipsOf(node)) {
+        if (!rel.properties.userAsserted) this.deleteRelationship(rel);
+      }
+    }
+    for (const node of nodes) {
+      const { userAsserted, rejectedRelationships } = node.properties;
+      if (userAsserted || rejectedRelationships?.length || this.relationshipsOf(node).length > 0) continue;
+      this.detachDelete(node);
+    }
+  }
+}
+
+// ============================================
+// Loading and saving
+// ============================================
+
+interface GraphCache {
+  graph: EmbeddedGraph | null;
+  loading: Promise<EmbeddedGraph> | null;
+  saving: Promise<void>;
+}
+
+/**
+ * Each route bundle loads its own copy of this module, and two copies each
+ * holding the graph would overwrite each other's writes to the one file. The
+ * loaded graph and its save queue live on globalThis so there is one writer.
+ */
+const globalCache = globalThis as typeof globalThis & { storyGraphStore?: GraphCache };
+const cached: GraphCache = globalCache.storyGraphStore ??= { graph: null, loading: null, saving: Promise.resolve() };
+
+async function readGraphFile(): Promise<EmbeddedGraph> {
+  // A save in flight holds the latest state
+  await cached.saving;
+
+  let text: string;
+  try {
+    text = await fs.readFile(STORE_FILE, 'utf8');
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return new EmbeddedGraph();
+    throw error;
+  }
+
+  try {
+    return EmbeddedGraph.fromFile(JSON.parse(text));
+  } catch (error) {
+    throw new Error(`Embedded graph file ${STORE_FILE} is unreadable: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+async function loadGraph(): Promise<EmbeddedGraph> {
+  if (cached.graph) return cached.graph;
+
+  cached.loading ??= readGraphFile()
+    .then(graph => {
+      cached.graph = graph;
+      return graph;
+    })
+    .finally(() => {
+      cached.loading = null;
+    });
+  return cached.loading;
+}
+
+function saveGraph(graph: EmbeddedGraph): Promise<void> {
+  // Serialize now, write after any earlier save; rename so a crash never
+  // leaves a half-written file
+  const text = JSON.stringify(graph.toFile());
+  cached.saving = cached.saving.then(async () => {
+    await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+    const temporary = `${STORE_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, text, 'utf8');
+    await fs.rename(temporary, STORE_FILE);
+  });
+  return cached.saving;
+}
+
+/**
+ * Apply a change and save it. Changes run synchronously, so each one is
+ * atomic; if it throws, the in-memory graph is dropped and reloaded from
+ * the last save.
+ */
+async function write<T>(work: (graph: EmbeddedGraph) => T): Promise<T> {
+  const graph = await loadGraph();
+  let result: T;
+  try {
+    result = work(graph);
+  } catch (error) {
+    cached.graph = null;
+    throw error;
+  }
+  await saveGraph(graph);
+  return result;
+}
+
+// Results are copies, so callers can't edit the stored graph by accident
+async function read<T>(work: (graph: EmbeddedGraph) => T): Promise<T> {
+  return structuredClone(work(await loadGraph()));
+}
+
+const now = () => new Date().toISOString();
+
+const scopeProperties = ({ ownerId, workflowId, scopeKey }: ScopeParams) => ({ ownerId, workflowId, scopeKey });
+
+// ============================================
+// Writing chapter analyses
+// ============================================
+
+// Nodes the writer corrected keep their values; extraction only links them
+function mergeExtracted(graph: EmbeddedGraph, type: NodeType, key: string, properties: Record<string, any>): StoredNode {
+  const existing = graph.node(type, key);
+  return existing?.properties.userAsserted ? existing : graph.mergeNode(type, key, properties);
+}
+
+function storeChapter(graph: EmbeddedGraph, analysis: StoryAnalysisResult, scope: ScopeParams): void {
+  graph.mergeNode('Chapter', nodeKey(scope, analysis.chapterId), {
+    id: analysis.chapterId,
+    number: analysis.chapterNumber,
+    version: analysis.version,
+    timestamp: analysis.timestamp,
+    summary: analysis.summary,
+    mood: analysis.context.mood,
+    tension: analysis.context.tension,
+    ...scopeProperties(scope)
+  });
+}
+
+function storeCharacters(graph: EmbeddedGraph, characters: Character[], chapterId: string, chapterNumber: number, version: number, scope: ScopeParams): void {
+  const chapter = graph.node('Chapter', nodeKey(scope, chapterId));
+
+  for (const char of characters) {
+    // A character merged into another (entity resolution) keeps resolving
+    // to the surviving node, which also keeps its canonical name
+    const mergedInto = graph.inScope(scope.scopeKey, 'Character').find(c =>
+      (c.properties.mergedIds || []).includes(char.id) || (c.properties.mergedNames || []).includes(char.name)
+    );
+    const charId: string = mergedInto?.properties.id || char.id;
+
+    const character = mergeExtracted(graph, 'Character', nodeKey(scope, charId), {
+      id: charId,
+      name: mergedInto ? undefined : char.name,
+      role: char.role || 'unknown',
+      description: char.description || '',
+      ...scopeProperties(scope),
+      lastUpdated: now()
+    });
+    if (chapter) {
+      graph.mergeRelationship('APPEARS_IN', character, chapter);
+    }
+
+    // Create state node for temporal tracking (append, never overwrite)
+    const stateId = `state_${charId}_v${version}_${Date.now()}`;
+    const state = graph.mergeNode('State', nodeKey(scope, stateId), {
+      id: stateId,
+      version,
+      chapter: chapterId,
+      chapterNumber,
+      traits: char.traits || [],
+      aliases: char.aliases || [],
+      ...scopeProperties(scope),
+      timestamp: now()
+    });
+    graph.createRelationship('HAS_STATE', character, state);
+  }
+}
+
+function storeLocations(graph: EmbeddedGraph, locations: Location[], chapterId: string, scope: ScopeParams): void {
+  const chapter = graph.node('Chapter', nodeKey(scope, chapterId));
+
+  for (const loc of locations) {
+    const location = mergeExtracted(graph, 'Location', nodeKey(scope, loc.id), {
+      id: loc.id,
+      name: loc.name,
+      type: loc.type || 'unknown',
+      description: loc.description || '',
+      ...scopeProperties(scope),
+      lastUpdated: now()
+    });
+    if (chapter) {
+      graph.mergeRelationship('FEATURED_IN', location, chapter);
+    }
+
+    // Handle containment relationships
+    if (loc.containedIn) {
+      for (const parent of graph.named(scope.scopeKey, 'Location', loc.containedIn, false)) {
+        graph.mergeRelationship('CONTAINED_IN', location, parent);
+      }
+    }
+  }
+}
+
+function storeObjects(graph: EmbeddedGraph, objects: StoryObject[], chapterId: string, chapterNumber: number, scope: ScopeParams): void {
+  const chapter = graph.node('Chapter', nodeKey(scope, chapterId));
+
+  for (const obj of objects) {
+    const object = mergeExtracted(graph, 'Object', nodeKey(scope, obj.id), {
+      id: obj.id,
+      name: obj.name,
+      type: obj.type || 'prop',
+      description: obj.description || '',
+      significance: obj.significance || '',
+      ...scopeProperties(scope),
+      lastUpdated: now()
+    });
+    if (chapter) {
+      graph.mergeRelationship('APPEARS_IN', object, chapter);
+    }
+
+    // Handle ownership, remembering the earliest chapter it was seen in
+    if (obj.owner) {
+      for (const owner of graph.named(scope.scopeKey, 'Character', obj.owner, true)) {
+        const owns = graph.mergeRelationship('OWNS', owner, object);
+        if (owns.properties.since === undefined || owns.properties.since > chapterNumber) {
+          owns.properties.since = chapterNumber;
+        }
+      }
+    }
+  }
+}
+
+function storeEvents(graph: EmbeddedGraph, events: Event[], chapterId: string, chapterNumber: number, scope: ScopeParams): void {
+  const chapter = graph.node('Chapter', nodeKey(scope, chapterId));
+
+  // An event's position in its chapter is its scene number for as-of queries
+  for (const [index, evt] of events.entries()) {
+    const event = mergeExtracted(graph, 'Event', nodeKey(scope, evt.id), {
+      id: evt.id,
+      name: evt.name,
+      description: evt.description,
+      type: evt.type,
+      isTemporal: evt.isTemporal || false,
+      temporalType: evt.temporalType || 'current',
+      timestamp: evt.timestamp || '',
+      chapterNumber,
+      sequence: index + 1,
+      ...scopeProperties(scope),
+      lastUpdated: now()
+    });
+    if (chapter) {
+      graph.mergeRelationship('OCCURS_IN', event, chapter);
+    }
+
+    if (evt.location) {
+      for (const location of graph.named(scope.scopeKey, 'Location', evt.location, false)) {
+        graph.mergeRelationship('AT', event, location);
+      }
+    }
+
+    for (const charName of evt.characters) {
+      for (const character of graph.named(scope.scopeKey, 'Character', charName, true)) {
+        graph.mergeRelationship('INVOLVES', event, character);
+      }
+    }
+  }
+}
+
+function storePlotThreads(graph: EmbeddedGraph, plotThreads: PlotThread[], chapterId: string, scope: ScopeParams): void {
+  const chapter = graph.node('Chapter', nodeKey(scope, chapterId));
+
+  for (const plot of plotThreads) {
+    const thread = mergeExtracted(graph, 'PlotThread', nodeKey(scope, plot.id), {
+      id: plot.id,
+      name: plot.name,
+      description: plot.description,
+      status: plot.status,
+      ...scopeProperties(scope),
+      lastUpdated: now()
+    });
+    if (chapter) {
+      graph.mergeRelationship('ADVANCES_IN', thread, chapter);
+    }
+
+    for (const charName of plot.relatedCharacters) {
+      for (const character of graph.named(scope.scopeKey, 'Character', charName, true)) {
+        graph.mergeRelationship('ADVANCES', character, thread);
+      }
+    }
+  }
+}
+
+function storeRelationships(graph: EmbeddedGraph, relationships: Relationship[], chapterNumber: number, scope: ScopeParams): void {
+  for (const rel of relationships) {
+    const description = rel.description || '';
+    const sentiment = rel.sentiment || 'neutral';
+    const strength = rel.strength || 0.5;
+
+    // The latest values sit on the relationship; the per-chapter history
+    // lets as-of queries replay how it changed
+    for (const source of graph.named(scope.scopeKey, rel.sourceType, rel.source, true)) {
+      for (const target of graph.named(scope.scopeKey, rel.targetType, rel.target, true)) {
+        // Skip relationships the writer deleted or corrected
+        if ((source.properties.rejectedRelationships || []).includes(rejectedRelationshipKey(rel.type, target.properties.id))) continue;
+        const relates = graph.mergeRelationship('RELATES_TO', source, target, { type: rel.type });
+        if (relates.properties.userAsserted) continue;
+        const history = relates.properties;
+        setProperties(relates, {
+          description,
+          sentiment,
+          strength,
+          chapters: [...(history.chapters || []), chapterNumber],
+          descriptions: [...(history.descriptions || []), description],
+          sentiments: [...(history.sentiments || []), sentiment],
+          strengths: [...(history.strengths || []), strength],
+          lastUpdated: now()
+        });
+      }
+    }
+  }
+}
+
+function storeStateChanges(graph: EmbeddedGraph, stateChanges: StateChange[], chapterId: string, chapterNumber: number, version: number, scope: ScopeParams): void {
+  // Changes are ordered within the chapter in the order the analysis reported them
+  for (const [index, change] of stateChanges.entries()) {
+    const entity = graph.node(change.entityType, nodeKey(scope, change.entityId));
+    if (!entity) continue;
+
+    const stateId = `change_${change.entityId}_${change.attribute}_v${version}_${Date.now()}`;
+    const state = graph.mergeNode('State', nodeKey(scope, stateId), {
+      id: stateId,
+      attribute: change.attribute,
+      oldValue: change.oldValue || '',
+      newValue: change.newValue,
+      reason: change.reason || '',
+      chapter: chapterId,
+      chapterNumber,
+      sequence: index + 1,
+      version,
+      ...scopeProperties(scope),
+      timestamp: now()
+    });
+    graph.createRelationship('HAS_STATE_CHANGE', entity, state);
+  }
+}
+
+async function updateGraph(
+  analysis: StoryAnalysisResult,
+  scope: GraphScope,
+  replaceGraph: boolean = false
+): Promise<{ success: boolean; message: string }> {
+  try {
+    const params = toScopeParams(scope);
+
+    await write(graph => {
+      if (replaceGraph) {
+        graph.clearExtracted(params.scopeKey);
+      }
+
+      storeChapter(graph, analysis, params);
+      storeCharacters(graph, analysis.characters, analysis.chapterId, analysis.chapterNumber, analysis.version, params);
+      storeLocations(graph, analysis.locations, analysis.chapterId, params);
+      storeObjects(graph, analysis.objects, analysis.chapterId, analysis.chapterNumber, params);
+      storeEvents(graph, analysis.events, analysis.chapterId, analysis.chapterNumber, params);
+      storePlotThreads(graph, analysis.plotThreads, analysis.chapterId, params);
+      storeRelationships(graph, analysis.relationships, analysis.chapterNumber, params);
+      storeStateChanges(graph, analysis.stateChanges, analysis.chapterId, analysis.chapterNumber, analysis.version, params);
+    });
+
+    return {
+      success: true,
+      message: `Successfully ${replaceGraph ? 'replaced' : 'updated'} graph with ${analysis.characters.length} characters, ${analysis.locations.length} locations, ${analysis.events.length} events for ${params.workflowId ? `workflow ${params.workflowId}` : 'the standalone graph'}`
+    };
+  } catch (error) {
+    console.error('Failed to update graph:', error);
+    return {
+      success: false,
+      message: error instanceof Error ? error.message : 'Failed to update graph'
+    };
+  }
+}
+
+// ============================================
+// Reading
+// ============================================
+
+const isStoryNode = (node: StoredNode) => STORY_NODE_TYPES.includes(node.type);
+
+// Relationships from the given nodes to each other
+function edgesAmong(graph: EmbeddedGraph, nodes: StoredNode[]): GraphEdge[] {
+  const refs = new Set(nodes.map(node => node.ref));
+  const edges: GraphEdge[] = [];
+
+  for (const node of nodes) {
+    for (const rel of graph.outgoing(node)) {
+      if (!refs.has(rel.end)) continue;
+      edges.push({
+        id: `edge_${edges.length}`,
+        source: node.properties.id,
+        target: graph.nodeByRef(rel.end).properties.id,
+        type: rel.type,
+        label: rel.properties.type || rel.type,
+        properties: rel.properties
+      });
+    }
+  }
+  return edges;
+}
+
+async function getGraphOverview(scope: GraphScope): Promise<GraphData> {
+  const { scopeKey } = toScopeParams(scope);
+
+  return read(graph => {
+    const nodes = graph.inScope(scopeKey).filter(isStoryNode);
+    return {
+      nodes: nodes.map(node => toGraphNode(node.type, node.properties)),
+      edges: edgesAmong(graph, nodes)
+    };
+  });
+}
+
+async function getGraphByChapter(scope: GraphScope, chapterNumber: number): Promise<GraphData> {
+  const { scopeKey } = toScopeParams(scope);
+
+  return read(graph => {
+    const chapter = graph.inScope(scopeKey, 'Chapter').find(ch => ch.properties.number === chapterNumber);
+    if (!chapter) return { nodes: [], edges: [] };
+
+    // The chapter, then everything that appears in it
+    const members: Array<[string, NodeType]> = [
+      ['APPEARS_IN', 'Character'],
+      ['FEATURED_IN', 'Location'],
+      ['OCCURS_IN', 'Event'],
+      ['ADVANCES_IN', 'PlotThread'],
+      ['APPEARS_IN', 'Object'],
+    ];
+    const nodes = [chapter];
+    for (const [relType, type] of members) {
+      for (const rel of graph.incoming(chapter, relType)) {
+        const node = graph.nodeByRef(rel.start);
+        if (node.type === type && !nodes.includes(node)) {
+          nodes.push(node);
+        }
+      }
+    }
+
+    return {
+      nodes: nodes.map(node => toGraphNode(node.type, node.properties)),
+      edges: edgesAmong(graph, nodes)
+    };
+  });
+}
+
+async function getAllChapters(scope: GraphScope): Promise<{ id: string; number: number; summary: string }[]> {
+  const { scopeKey } = toScopeParams(scope);
+
+  return read(graph => graph.inScope(scopeKey, 'Chapter')
+    .map(ch => ({ id: ch.properties.id, number: ch.properties.number, summary: ch.properties.summary || '' }))
+    .sort((a, b) => a.number - b.number)
+  );
+}
+
+async function clearGraph(scope: GraphScope): Promise<void> {
+  const { scopeKey } = toScopeParams(scope);
+  await write(graph => graph.clearScope(scopeKey));
+}
+
+const byVersionThenTime = (a: StoredNode, b: StoredNode) =>
+  (a.properties.version ?? 0) - (b.properties.version ?? 0) ||
+  String(a.properties.timestamp ?? '').localeCompare(String(b.properties.timestamp ?? ''));
+
+async function getCharacterTimeline(scope: GraphScope, characterId: string): Promise<any[]> {
+  const params = toScopeParams(scope);
+
+  return read(graph => {
+    const character = graph.node('Character', nodeKey(params, characterId));
+    if (!character) return [];
+
+    return graph.outgoing(character, 'HAS_STATE')
+      .map(rel => graph.nodeByRef(rel.end))
+      .sort(byVersionThenTime)
+      .map(state => publicProperties(state.properties));
+  });
+}
+
+async function getCharacterProfiles(scope: GraphScope): Promise<CharacterProfile[]> {
+  const { scopeKey } = toScopeParams(scope);
+
+  return read(graph => graph.inScope(scopeKey, 'Character')
+    .map(character => {
+      const id: string = character.properties.id;
+      const idsOf = (nodes: StoredNode[]) => [...new Set(nodes.map(node => node.properties.id as string))].filter(other => other !== id);
+
+      const states = graph.outgoing(character, 'HAS_STATE').map(rel => graph.nodeByRef(rel.end));
+      const chapters = graph.outgoing(character, 'APPEARS_IN').map(rel => graph.nodeByRef(rel.end)).filter(node => node.type === 'Chapter');
+      const coParticipants = graph.incoming(character, 'INVOLVES')
+        .map(rel => graph.nodeByRef(rel.start))
+        .flatMap(event => graph.outgoing(event, 'INVOLVES').map(rel => graph.nodeByRef(rel.end)))
+        .filter(node => node.type === 'Character');
+      const related = [
+        ...graph.outgoing(character, 'RELATES_TO').map(rel => graph.nodeByRef(rel.end)),
+        ...graph.incoming(character, 'RELATES_TO').map(rel => graph.nodeByRef(rel.start)),
+      ].filter(node => node.type === 'Character');
+
+      return {
+        id,
+        name: character.properties.name || id,
+        role: character.properties.role || 'unknown',
+        aliases: [...new Set<string>([
+          ...states.flatMap(state => state.properties.aliases || []),
+          ...(character.properties.mergedNames || [])
+        ].filter(Boolean))],
+        chapters: [...new Set(chapters.map(ch => ch.properties.id as string))],
+        coParticipants: idsOf(coParticipants),
+        related: idsOf(related),
+        distinctFrom: character.properties.distinctFrom || []
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+  );
+}
+
+/**
+ * Fold a duplicate's relationship into the survivor's: latest values are
+ * taken over and histories concatenated, unless the writer asserted it
+ */
+function absorbRelationship(moved: StoredRelationship, rel: StoredRelationship): void {
+  const before = { ...moved.properties };
+  if (before.userAsserted) return;
+  Object.assign(moved.properties, rel.properties);
+  for (const key of RELATIONSHIP_HISTORY_KEYS) {
+    if (before[key] && rel.properties[key]) {
+      moved.properties[key] = [...before[key], ...rel.properties[key]];
+    }
+  }
+}
+
+async function mergeCharacters(scope: GraphScope, keepId: string, mergeId: string): Promise<boolean> {
+  const params = toScopeParams(scope);
+  if (keepId === mergeId) return false;
+
+  return write(graph => {
+    const keep = graph.node('Character', nodeKey(params, keepId));
+    const duplicate = graph.node('Character', nodeKey(params, mergeId));
+    if (!keep || !duplicate) return false;
+
+    // RELATES_TO is keyed by its `type` property, everything else by type alone
+    const mergeOn = (rel: StoredRelationship) => (rel.type === 'RELATES_TO' ? { type: rel.properties.type } : {});
+
+    for (const rel of graph.outgoing(duplicate)) {
+      if (rel.end !== keep.ref) {
+        absorbRelationship(graph.mergeRelationship(rel.type, keep, graph.nodeByRef(rel.end), mergeOn(rel)), rel);
+      }
+      graph.deleteRelationship(rel);
+    }
+
+    for (const rel of graph.incoming(duplicate)) {
+      if (rel.start !== keep.ref) {
+        absorbRelationship(graph.mergeRelationship(rel.type, graph.nodeByRef(rel.start), keep, mergeOn(rel)), rel);
+      }
+      graph.deleteRelationship(rel);
+    }
+
+    const kept = keep.properties;
+    const merged = duplicate.properties;
+
+    // Record the merge as a new state (states are append-only), then drop the duplicate
+    const stateId = `merge_${mergeId}_into_${keepId}_${Date.now()}`;
+    const state = graph.mergeNode('State', nodeKey(params, stateId), {
+      id: stateId,
+      attribute: 'mergedFrom',
+      oldValue: merged.id,
+      newValue: kept.id,
+      reason: `Merged duplicate character ${merged.name}`,
+      aliases: [merged.name, ...(merged.mergedNames || [])].filter(Boolean),
+      ...scopeProperties(params),
+      timestamp: now()
+    });
+    graph.createRelationship('HAS_STATE_CHANGE', keep, state);
+
+    setProperties(keep, {
+      mergedIds: [...(kept.mergedIds || []), merged.id, ...(merged.mergedIds || [])],
+      mergedNames: [...(kept.mergedNames || []), merged.name, ...(merged.mergedNames || [])]
+        .filter(name => name && name !== kept.name),
+      distinctFrom: [...(kept.distinctFrom || []), ...(merged.distinctFrom || [])].filter(id => id !== kept.id),
+      role: (kept.role || 'unknown') === 'unknown' ? merged.role : kept.role,
+      description: kept.description ? kept.description : merged.description,
+      lastUpdated: now()
+    });
+
+    graph.detachDelete(duplicate);
+    return true;
+  });
+}
+
+async function markCharactersDistinct(scope: GraphScope, firstId: string, secondId: string): Promise<boolean> {
+  const params = toScopeParams(scope);
+
+  return write(graph => {
+    const first = graph.node('Character', nodeKey(params, firstId));
+    const second = graph.node('Character', nodeKey(params, secondId));
+    if (!first || !second) return false;
+
+    const distinct = (node: StoredNode, other: StoredNode) => [
+      ...(node.properties.distinctFrom || []).filter((id: string) => id !== other.properties.id),
+      other.properties.id
+    ];
+    setProperties(first, { distinctFrom: distinct(first, second) });
+    setProperties(second, { distinctFrom: distinct(second, first) });
+    return true;
+  });
+}
+
+async function importGraph(
+  scope: GraphScope,
+  graph: GraphData,
+  replaceGraph: boolean = false
+): Promise<{ nodes: number; edges: number }> {
+  const params = toScopeParams(scope);
+  const typeById = new Map(graph.nodes.map(node => [node.id, node.type]));
+
+  return write(store => {
+    if (replaceGraph) {
+      store.clearScope(params.scopeKey);
+    }
+
+    for (const node of graph.nodes) {
+      store.mergeNode(node.type, nodeKey(params, node.id), {
+        ...publicProperties(node.properties),
+        id: node.id,
+        ...scopeProperties(params),
+        lastUpdated: now()
+      });
+    }
+
+    let edges = 0;
+    for (const edge of graph.edges) {
+      const source = store.node(typeById.get(edge.source) || '', nodeKey(params, edge.source));
+      const target = store.node(typeById.get(edge.target) || '', nodeKey(params, edge.target));
+      if (!source || !target) continue;
+
+      // RELATES_TO is one edge per relationship type between a pair
+      const match = edge.type === 'RELATES_TO' ? { type: String(edge.properties?.type ?? 'related') } : {};
+      const rel = store.mergeRelationship(edge.type, source, target, match);
+      setProperties(rel, edge.properties || {});
+      edges++;
+    }
+
+    return { nodes: graph.nodes.length, edges };
+  });
+}
+
+async function getScopeSnapshot(scope: GraphScope): Promise<ScopeSnapshot> {
+  const { scopeKey } = toScopeParams(scope);
+
+  return read(graph => {
+    const nodes = graph.inScope(scopeKey);
+    const refs = new Set(nodes.map(node => node.ref));
+
+    return {
+      nodes: nodes.map(node => ({ type: node.type, properties: publicProperties(node.properties) })),
+      relationships: nodes.flatMap(node => graph.outgoing(node)
+        .filter(rel => refs.has(rel.end))
+        .map(rel => ({
+          type: rel.type,
+          source: node.properties.id,
+          target: graph.nodeByRef(rel.end).properties.id,
+          properties: rel.properties
+        }))
+      )
+    };
+  });
+}
+
+/**
+ * Apply node and relationship changes in one write (see GraphDelta)
+ */
+async function applyGraphDelta(scope: GraphScope, delta: GraphDelta): Promise<void> {
+  const params = toScopeParams(scope);
+
+  await write(store => {
+    const find = (ref: NodeRef) => store.node(ref.type, nodeKey(params, ref.id));
+
+    for (const { type, source, target, relationType } of delta.deleteRelationships) {
+      const start = find(source);
+      const end = find(target);
+      if (!start || !end) continue;
+      for (const rel of store.outgoing(start, type)) {
+        if (rel.end === end.ref && (relationType === undefined || rel.properties.type === relationType)) {
+          store.deleteRelationship(rel);
+        }
+      }
+    }
+
+    for (const ref of delta.deleteNodes) {
+      const node = find(ref);
+      if (node) store.detachDelete(node);
+    }
+
+    for (const { type, id, properties } of delta.upsertNodes) {
+      store.mergeNode(type, nodeKey(params, id), {
+        ...properties,
+        id,
+        ...scopeProperties(params),
+        lastUpdated: now()
+      });
+    }
+
+    for (const { type, source, target, relationType, properties } of delta.upsertRelationships) {
+      const start = find(source);
+      const end = find(target);
+      if (!start || !end) continue;
+      const rel = store.mergeRelationship(type, start, end, relationType === undefined ? {} : { type: relationType });
+      setProperties(rel, properties);
+    }
+  });
+}
+
+export const embeddedGraphStore: StoryGraphStore = {
+  kind: 'embedded',
+  initialize: async () => {
+    await loadGraph();
+  },
+  updateGraph,
+  getGraphOverview,
+  getGraphByChapter,
+  getAllChapters,
+  clearGraph,
+  getCharacterTimeline,
+  getCharacterProfiles,
+  mergeCharacters,
+  markCharactersDistinct,
+  importGraph,
+  getScopeSnapshot,
+  applyGraphDelta,
+};
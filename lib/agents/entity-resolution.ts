@@ -0,0 +1,215 @@
+/**
+ * Entity Resolution - find characters that are the same person
+ *
+ * Chapters are analysed one at a time and each analysis mints its own ids,
+ * so "Liz", "Elizabeth" and "Miss Bennet" can end up as separate Character
+ * nodes. This module scores every pair of characters in a graph scope and
+ * proposes merges for review; nothing is merged until a user accepts.
+ *
+ * Signals:
+ * - aliases: one character's name is another's recorded alias
+ * - name similarity: honorifics stripped, surname/nickname matches, bigram overlap
+ * - co-occurrence: sharing relationships suggests the same person, appearing
+ *   together in one event means two different people
+ */
+
+import { getCharacterProfiles, type CharacterProfile, type GraphScope } from './story-knowledge-graph';
+
+// Pairs at or above this score are proposed
+export const MERGE_THRESHOLD = 0.55;
+
+export interface MergeCandidate {
+  id: string;
+  name: string;
+  role: string;
+  aliases: string[];
+  chapters: number;
+}
+
+export interface MergeProposal {
+  /** Stable id for the pair, independent of which side is kept */
+  id: string;
+  keep: MergeCandidate;
+  merge: MergeCandidate;
+  score: number;
+  reasons: string[];
+}
+
+const HONORIFICS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'lady', 'lord', 'madam', 'master',
+  'captain', 'capt', 'king', 'queen', 'prince', 'princess', 'the',
+]);
+
+function normalizeName(name: string): string {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function nameTokens(name: string): string[] {
+  return normalizeName(name).split(' ').filter(token => token && !HONORIFICS.has(token));
+}
+
+function bigrams(value: string): string[] {
+  const compact = value.replace(/\s/g, '');
+  const grams: string[] = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    grams.push(compact.slice(i, i + 2));
+  }
+  return grams;
+}
+
+// Sorensen-Dice coefficient over character bigrams
+function diceSimilarity(a: string, b: string): number {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.length === 0 || right.length === 0) return a === b ? 1 : 0;
+
+  const counts = new Map<string, number>();
+  for (const gram of left) counts.set(gram, (counts.get(gram) || 0) + 1);
+
+  let shared = 0;
+  for (const gram of right) {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(gram, count - 1);
+    }
+  }
+
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * How alike two names are, 0-1, with the reason when it's a structural match
+ */
+export function nameSimilarity(a: string, b: string): { score: number; reason?: string } {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.length === 0 || right.length === 0) return { score: 0 };
+
+  const joinedLeft = left.join(' ');
+  const joinedRight = right.join(' ');
+  if (joinedLeft === joinedRight) {
+    return { score: 1, reason: `same name "${a}"` };
+  }
+
+  // "Miss Bennet" vs "Elizabeth Bennet": every token of one is in the other
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  if (shorter.every(token => longer.includes(token))) {
+    return { score: 0.85, reason: `"${shorter.join(' ')}" is part of "${longer.join(' ')}"` };
+  }
+
+  // "Liz" vs "Elizabeth": a short form inside a longer token
+  const nickname = shorter.find(token => token.length >= 3 && longer.some(other => other.length > token.length && other.includes(token)));
+  if (nickname) {
+    return { score: 0.7, reason: `"${nickname}" looks like a short form` };
+  }
+
+  return { score: diceSimilarity(joinedLeft, joinedRight) };
+}
+
+function overlap(left: string[], right: string[]): number {
+  if (left.length === 0 || right.length === 0) return 0;
+  const set = new Set(left);
+  const shared = right.filter(item => set.has(item)).length;
+  return shared / new Set([...left, ...right]).size;
+}
+
+/**
+ * Score one pair of characters. Returns the score and the reasons behind it.
+ */
+export function scoreCharacterPair(a: CharacterProfile, b: CharacterProfile): { score: number; reasons: string[] } {
+  const reasons: string[] = [];
+
+  const namesOf = (profile: CharacterProfile) => [profile.name, ...profile.aliases].map(normalizeName).filter(Boolean);
+  const aliasMatch = namesOf(a).some(name => namesOf(b).includes(name));
+  if (aliasMatch) {
+    reasons.push('listed as an alias');
+  }
+
+  const similarity = nameSimilarity(a.name, b.name);
+  if (similarity.reason) {
+    reasons.push(similarity.reason);
+  }
+
+  let score = Math.max(aliasMatch ? 0.9 : 0, similarity.score * 0.8);
+
+  const sharedRelations = overlap(
+    a.related.filter(id => id !== b.id),
+    b.related.filter(id => id !== a.id)
+  );
+  if (sharedRelations > 0) {
+    score += 0.15 * sharedRelations;
+    reasons.push('related to the same characters');
+  }
+
+  if (a.coParticipants.includes(b.id) || b.coParticipants.includes(a.id)) {
+    score -= 0.5;
+    reasons.push('appear together in an event');
+  } else if (overlap(a.chapters, b.chapters) === 0 && a.chapters.length > 0 && b.chapters.length > 0) {
+    score += 0.05;
+    reasons.push('never in the same chapter');
+  }
+
+  return { score: Math.max(0, Math.min(1, score)), reasons };
+}
+
+function toCandidate(profile: CharacterProfile): MergeCandidate {
+  return {
+    id: profile.id,
+    name: profile.name,
+    role: profile.role,
+    aliases: profile.aliases,
+    chapters: profile.chapters.length,
+  };
+}
+
+// Keep the better-established node: more chapters, then more relationships, then the fuller name
+function pickKept(a: CharacterProfile, b: CharacterProfile): [CharacterProfile, CharacterProfile] {
+  const rank = (profile: CharacterProfile) => [profile.chapters.length, profile.related.length, profile.name.length];
+  const [left, right] = [rank(a), rank(b)];
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] !== right[i]) return left[i] > right[i] ? [a, b] : [b, a];
+  }
+  return [a, b];
+}
+
+export function pairId(a: string, b: string): string {
+  return [a, b].sort().join('::');
+}
+
+/**
+ * Propose merges among the given characters, best first. Pairs a user has
+ * rejected are never proposed again.
+ */
+export function findMergeProposals(profiles: CharacterProfile[]): MergeProposal[] {
+  const proposals: MergeProposal[] = [];
+
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const a = profiles[i];
+      const b = profiles[j];
+      if (a.distinctFrom.includes(b.id) || b.distinctFrom.includes(a.id)) continue;
+
+      const { score, reasons } = scoreCharacterPair(a, b);
+      if (score < MERGE_THRESHOLD) continue;
+
+      const [keep, merge] = pickKept(a, b);
+      proposals.push({
+        id: pairId(a.id, b.id),
+        keep: toCandidate(keep),
+        merge: toCandidate(merge),
+        score: Math.round(score * 100) / 100,
+        reasons,
+      });
+    }
+  }
+
+  return proposals.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Load the scope's characters and propose merges among them
+ */
+export async function proposeCharacterMerges(scope: GraphScope): Promise<MergeProposal[]> {
+  return findMergeProposals(await getCharacterProfiles(scope));
+}
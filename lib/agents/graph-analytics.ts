@@ -0,0 +1,386 @@
+/**
+ * Graph Analytics - story metrics computed over the knowledge graph
+ *
+ * - Character centrality: degree and betweenness over the character network
+ *   (RELATES_TO plus taking part in the same event)
+ * - Communities: Louvain modularity clustering over RELATES_TO
+ * - Orphaned threads: unresolved plot threads with no ADVANCES_IN after a chapter
+ * - Chekhov's guns: objects introduced in one chapter and never used again
+ * - Locations visited in a single chapter
+ *
+ * Everything is computed in JavaScript from a scope snapshot, so it needs no
+ * graph database plugins and works on any store.
+ */
+
+import { getScopeSnapshot, type GraphScope, type ScopeSnapshot } from './story-knowledge-graph';
+
+export interface CharacterCentrality {
+  id: string;
+  name: string;
+  /** Characters they are related to or share an event with */
+  degree: number;
+  /** Share of shortest paths between other characters that pass through them, 0-1 */
+  betweenness: number;
+}
+
+export interface CharacterCommunity {
+  id: number;
+  members: Array<{ id: string; name: string }>;
+}
+
+export interface OrphanedThread {
+  id: string;
+  name: string;
+  status: string | null;
+  /** Last chapter the thread advanced in, null when it never did */
+  lastAdvanced: number | null;
+}
+
+export interface UnusedObject {
+  id: string;
+  name: string;
+  significance: string | null;
+  introducedIn: number;
+}
+
+export interface SingleVisitLocation {
+  id: string;
+  name: string;
+  chapter: number;
+}
+
+export interface StoryAnalytics {
+  lastChapter: number;
+  characters: CharacterCentrality[];
+  communities: CharacterCommunity[];
+  /** Modularity of the community split, -0.5 to 1; higher is more clustered */
+  modularity: number;
+  orphanedThreads: { afterChapter: number; threads: OrphanedThread[] };
+  unusedObjects: UnusedObject[];
+  singleVisitLocations: SingleVisitLocation[];
+}
+
+// Thread statuses that mean it needs no further advancing
+const RESOLVED_STATUS = /resolved|closed|complete|concluded|finished/i;
+
+type Adjacency = Map<string, Map<string, number>>;
+
+function addWeight(adjacency: Adjacency, a: string, b: string, weight: number) {
+  if (!adjacency.has(a)) adjacency.set(a, new Map());
+  adjacency.get(a)!.set(b, (adjacency.get(a)!.get(b) || 0) + weight);
+}
+
+function connect(adjacency: Adjacency, a: string, b: string, weight = 1) {
+  if (a === b) return;
+  addWeight(adjacency, a, b, weight);
+  addWeight(adjacency, b, a, weight);
+}
+
+/**
+ * Brandes' betweenness centrality for an unweighted, undirected graph,
+ * normalized to 0-1
+ */
+export function betweennessCentrality(nodes: string[], adjacency: Adjacency): Map<string, number> {
+  const centrality = new Map(nodes.map(node => [node, 0]));
+
+  for (const source of nodes) {
+    const stack: string[] = [];
+    const predecessors = new Map<string, string[]>(nodes.map(node => [node, []]));
+    const paths = new Map(nodes.map(node => [node, 0]));
+    const distance = new Map(nodes.map(node => [node, -1]));
+    paths.set(source, 1);
+    distance.set(source, 0);
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      stack.push(node);
+      for (const neighbor of adjacency.get(node)?.keys() || []) {
+        if (distance.get(neighbor)! < 0) {
+          distance.set(neighbor, distance.get(node)! + 1);
+          queue.push(neighbor);
+        }
+        if (distance.get(neighbor) === distance.get(node)! + 1) {
+          paths.set(neighbor, paths.get(neighbor)! + paths.get(node)!);
+          predecessors.get(neighbor)!.push(node);
+        }
+      }
+    }
+
+    const dependency = new Map(nodes.map(node => [node, 0]));
+    while (stack.length > 0) {
+      const node = stack.pop()!;
+      for (const predecessor of predecessors.get(node)!) {
+        const share = (paths.get(predecessor)! / paths.get(node)!) * (1 + dependency.get(node)!);
+        dependency.set(predecessor, dependency.get(predecessor)! + share);
+      }
+      if (node !== source) {
+        centrality.set(node, centrality.get(node)! + dependency.get(node)!);
+      }
+    }
+  }
+
+  // Every pair was counted from both ends
+  const pairs = (nodes.length - 1) * (nodes.length - 2);
+  for (const [node, value] of centrality) {
+    centrality.set(node, pairs > 0 ? value / pairs : 0);
+  }
+  return centrality;
+}
+
+function modularity(adjacency: Adjacency, communityOf: Map<string, string>): number {
+  let total = 0;
+  const inside = new Map<string, number>();
+  const degrees = new Map<string, number>();
+
+  for (const [node, neighbors] of adjacency) {
+    const community = communityOf.get(node)!;
+    for (const [neighbor, weight] of neighbors) {
+      total += weight;
+      degrees.set(community, (degrees.get(community) || 0) + weight);
+      if (communityOf.get(neighbor) === community) {
+        inside.set(community, (inside.get(community) || 0) + weight);
+      }
+    }
+  }
+  if (total === 0) return 0;
+
+  let q = 0;
+  for (const [community, degree] of degrees) {
+    q += (inside.get(community) || 0) / total - (degree / total) ** 2;
+  }
+  return q;
+}
+
+/**
+ * Louvain community detection: move nodes between communities while
+ * modularity improves, then merge each community into one node and repeat.
+ * Nodes are visited in sorted order, so the result is deterministic.
+ */
+export function detectCommunities(nodes: string[], adjacency: Adjacency): Map<string, string> {
+  const membership = new Map(nodes.map(node => [node, node]));
+  let graph: Adjacency = new Map(nodes.map(node => [node, new Map(adjacency.get(node) || [])]));
+
+  while (true) {
+    const level = [...graph.keys()].sort();
+    const degree = new Map(level.map(node => [node, [...graph.get(node)!.values()].reduce((sum, w) => sum + w, 0)]));
+    const total = [...degree.values()].reduce((sum, d) => sum + d, 0);
+    if (total === 0) break;
+
+    const community = new Map(level.map(node => [node, node]));
+    const communityDegree = new Map(degree);
+    let moved = false;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const node of level) {
+        const current = community.get(node)!;
+        const k = degree.get(node)!;
+
+        // Weight from node to each neighboring community
+        const links = new Map<string, number>();
+        for (const [neighbor, weight] of graph.get(node)!) {
+          if (neighbor === node) continue;
+          const target = community.get(neighbor)!;
+          links.set(target, (links.get(target) || 0) + weight);
+        }
+
+        communityDegree.set(current, communityDegree.get(current)! - k);
+        let best = current;
+        let bestGain = (links.get(current) || 0) - (communityDegree.get(current)! * k) / total;
+        for (const [target, weight] of links) {
+          const gain = weight - (communityDegree.get(target)! * k) / total;
+          if (gain > bestGain + 1e-12) {
+            best = target;
+            bestGain = gain;
+          }
+        }
+        communityDegree.set(best, communityDegree.get(best)! + k);
+
+        if (best !== current) {
+          community.set(node, best);
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+
+    const communities = new Set(community.values());
+    if (!moved || communities.size === level.length) break;
+
+    // Collapse each community into a single node
+    for (const [node, top] of membership) {
+      membership.set(node, community.get(top)!);
+    }
+    const collapsed: Adjacency = new Map();
+    for (const [node, neighbors] of graph) {
+      const from = community.get(node)!;
+      if (!collapsed.has(from)) collapsed.set(from, new Map());
+      for (const [neighbor, weight] of neighbors) {
+        addWeight(collapsed, from, community.get(neighbor)!, weight);
+      }
+    }
+    graph = collapsed;
+  }
+
+  return membership;
+}
+
+const chapterOf = (value: any): number | null => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Compute every metric from a scope snapshot. `afterChapter` is the chapter
+ * after which unresolved plot threads must advance again; it defaults to the
+ * middle of the story.
+ */
+export function computeStoryAnalytics(snapshot: ScopeSnapshot, options: { afterChapter?: number } = {}): StoryAnalytics {
+  const ofType = (type: string) => snapshot.nodes.filter(node => node.type === type).map(node => node.properties);
+  const characters = ofType('Character');
+  const chapters = ofType('Chapter');
+  const states = ofType('State');
+
+  const chapterNumber = new Map(chapters.map(chapter => [chapter.id, chapterOf(chapter.number)]));
+  const eventChapter = new Map(ofType('Event').map(event => [event.id, chapterOf(event.chapterNumber)]));
+  const stateChapter = new Map(states.map(state => [state.id, chapterOf(state.chapterNumber)]));
+  const lastChapter = Math.max(0, ...[...chapterNumber.values()].filter((n): n is number => n !== null));
+
+  const relationshipsOfType = (type: string) => snapshot.relationships.filter(relationship => relationship.type === type);
+
+  // Character network: related, or in the same event
+  const characterIds = characters.map(character => character.id).sort();
+  const isCharacter = new Set(characterIds);
+  const network: Adjacency = new Map();
+  const related: Adjacency = new Map();
+
+  for (const relationship of relationshipsOfType('RELATES_TO')) {
+    if (!isCharacter.has(relationship.source) || !isCharacter.has(relationship.target)) continue;
+    connect(network, relationship.source, relationship.target);
+    connect(related, relationship.source, relationship.target);
+  }
+
+  const participants = new Map<string, string[]>();
+  for (const relationship of relationshipsOfType('INVOLVES')) {
+    if (!isCharacter.has(relationship.target)) continue;
+    participants.set(relationship.source, [...(participants.get(relationship.source) || []), relationship.target]);
+  }
+  for (const involved of participants.values()) {
+    for (let i = 0; i < involved.length; i++) {
+      for (let j = i + 1; j < involved.length; j++) {
+        connect(network, involved[i], involved[j]);
+      }
+    }
+  }
+
+  const betweenness = betweennessCentrality(characterIds, network);
+  const nameOf = new Map(characters.map(character => [character.id, character.name || character.id]));
+
+  const centrality: CharacterCentrality[] = characterIds
+    .map(id => ({
+      id,
+      name: nameOf.get(id)!,
+      degree: network.get(id)?.size || 0,
+      betweenness: Math.round(betweenness.get(id)! * 1000) / 1000,
+    }))
+    .sort((a, b) => b.betweenness - a.betweenness || b.degree - a.degree || a.name.localeCompare(b.name));
+
+  // Communities over RELATES_TO; characters with no relationships stay out
+  const relatedIds = characterIds.filter(id => related.has(id));
+  const communityOf = detectCommunities(relatedIds, related);
+  const groups = new Map<string, string[]>();
+  for (const id of relatedIds) {
+    const community = communityOf.get(id)!;
+    groups.set(community, [...(groups.get(community) || []), id]);
+  }
+  const communities: CharacterCommunity[] = [...groups.values()]
+    .filter(members => members.length > 1)
+    .sort((a, b) => b.length - a.length)
+    .map((members, index) => ({
+      id: index + 1,
+      members: members.map(id => ({ id, name: nameOf.get(id)! })),
+    }));
+
+  // Orphaned plot threads
+  const afterChapter = options.afterChapter ?? Math.max(1, Math.floor(lastChapter / 2));
+  const advancedIn = new Map<string, number[]>();
+  for (const relationship of relationshipsOfType('ADVANCES_IN')) {
+    const chapter = chapterNumber.get(relationship.target);
+    if (chapter) advancedIn.set(relationship.source, [...(advancedIn.get(relationship.source) || []), chapter]);
+  }
+  const orphanedThreads: OrphanedThread[] = ofType('PlotThread')
+    .filter(thread => !RESOLVED_STATUS.test(thread.status || ''))
+    .map(thread => {
+      const advanced = advancedIn.get(thread.id) || [];
+      return {
+        id: thread.id,
+        name: thread.name || thread.id,
+        status: thread.status || null,
+        lastAdvanced: advanced.length > 0 ? Math.max(...advanced) : null,
+      };
+    })
+    .filter(thread => thread.lastAdvanced === null || thread.lastAdvanced <= afterChapter)
+    .sort((a, b) => (a.lastAdvanced ?? 0) - (b.lastAdvanced ?? 0));
+
+  // Chapters each entity is used in
+  const usedIn = new Map<string, Set<number>>();
+  const markUsed = (id: string, chapter: number | null | undefined) => {
+    if (!chapter) return;
+    if (!usedIn.has(id)) usedIn.set(id, new Set());
+    usedIn.get(id)!.add(chapter);
+  };
+  for (const relationship of snapshot.relationships) {
+    switch (relationship.type) {
+      case 'APPEARS_IN':
+      case 'FEATURED_IN':
+        markUsed(relationship.source, chapterNumber.get(relationship.target));
+        break;
+      case 'HAS_STATE_CHANGE':
+        markUsed(relationship.source, stateChapter.get(relationship.target));
+        break;
+      case 'AT':
+        markUsed(relationship.target, eventChapter.get(relationship.source));
+        break;
+    }
+  }
+
+  // Chekhov's gun: used in its first chapter only, and that wasn't the last one
+  const unusedObjects: UnusedObject[] = ofType('Object')
+    .flatMap(object => {
+      const used = [...(usedIn.get(object.id) || [])];
+      if (used.length !== 1 || used[0] >= lastChapter) return [];
+      return [{
+        id: object.id,
+        name: object.name || object.id,
+        significance: object.significance || null,
+        introducedIn: used[0],
+      }];
+    })
+    .sort((a, b) => a.introducedIn - b.introducedIn);
+
+  const singleVisitLocations: SingleVisitLocation[] = ofType('Location')
+    .flatMap(location => {
+      const used = [...(usedIn.get(location.id) || [])];
+      return used.length === 1 ? [{ id: location.id, name: location.name || location.id, chapter: used[0] }] : [];
+    })
+    .sort((a, b) => a.chapter - b.chapter);
+
+  return {
+    lastChapter,
+    characters: centrality,
+    communities,
+    modularity: Math.round(modularity(related, communityOf) * 1000) / 1000,
+    orphanedThreads: { afterChapter, threads: orphanedThreads },
+    unusedObjects,
+    singleVisitLocations,
+  };
+}
+
+/**
+ * Story metrics for a scope's graph
+ */
+export async function getStoryAnalytics(scope: GraphScope, options: { afterChapter?: number } = {}): Promise<StoryAnalytics> {
+  return computeStoryAnalytics(await getScopeSnapshot(scope), options);
+}
@@ -0,0 +1,586 @@
+/**
+ * Graph Diff - incremental chapter sync
+ *
+ * Re-syncing a chapter compares its new analysis with what the graph already
+ * holds for that chapter and applies only the difference:
+ * - Entities are matched by name (characters also by merged names), so the
+ *   fresh ids every analysis generates don't duplicate them
+ * - Entities that dropped out of the chapter lose their chapter link, and are
+ *   deleted when no other chapter mentions them
+ * - Relationship histories have their entry for the chapter added, replaced
+ *   or removed
+ * - Nodes and relationships the writer corrected (`userAsserted`) are left
+ *   as they are, and relationships the writer deleted are not recreated
+ *
+ * The returned diff is what the editor reports back to the writer.
+ */
+
+import {
+  applyGraphDelta,
+  getScopeSnapshot,
+  rejectedRelationshipKey,
+  type GraphDelta,
+  type GraphScope,
+  type NodeRef,
+  type ScopeSnapshot
+} from './story-knowledge-graph';
+import type { StoryAnalysisResult } from './story-intelligence-core';
+
+export interface EntityChange {
+  name: string;
+  /** Properties or links that differ from the stored graph */
+  fields: string[];
+}
+
+export interface EntityDiff {
+  added: string[];
+  removed: string[];
+  changed: EntityChange[];
+}
+
+export interface ChapterDiff {
+  chapter: number;
+  characters: EntityDiff;
+  locations: EntityDiff;
+  objects: EntityDiff;
+  events: EntityDiff;
+  plotThreads: EntityDiff;
+  relationships: EntityDiff;
+  stateChanges: { added: number; removed: number };
+}
+
+type SnapshotNode = ScopeSnapshot['nodes'][number];
+type SnapshotRelationship = ScopeSnapshot['relationships'][number];
+type EntityType = 'Character' | 'Location' | 'Object' | 'Event' | 'PlotThread';
+
+/** How each kind of entity hangs off its chapter and which properties it syncs */
+const ENTITY_KINDS: Array<{
+  type: EntityType;
+  key: Exclude<keyof ChapterDiff, 'chapter' | 'relationships' | 'stateChanges'>;
+  label: [string, string];
+  link: string;
+  /** Match entities first mentioned in other chapters, not just this one */
+  scopeWide: boolean;
+}> = [
+  { type: 'Character', key: 'characters', label: ['character', 'characters'], link: 'APPEARS_IN', scopeWide: true },
+  { type: 'Location', key: 'locations', label: ['location', 'locations'], link: 'FEATURED_IN', scopeWide: true },
+  { type: 'Object', key: 'objects', label: ['object', 'objects'], link: 'APPEARS_IN', scopeWide: true },
+  { type: 'Event', key: 'events', label: ['event', 'events'], link: 'OCCURS_IN', scopeWide: false },
+  { type: 'PlotThread', key: 'plotThreads', label: ['plot thread', 'plot threads'], link: 'ADVANCES_IN', scopeWide: true }
+];
+
+const emptyDiff = (): EntityDiff => ({ added: [], removed: [], changed: [] });
+
+const same = (a: unknown, b: unknown) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Mirrors the id generation in analyzeManuscript, which is how state changes
+// refer to their entity
+const sanitizeName = (name: string) => name.toLowerCase().replace(/[^a-z0-9]/g, '_').slice(0, 30);
+
+/** Scope snapshot indexed for lookups by id, type and relationship */
+class SnapshotIndex {
+  private byId = new Map<string, SnapshotNode>();
+  private outgoingById = new Map<string, SnapshotRelationship[]>();
+  private incomingById = new Map<string, SnapshotRelationship[]>();
+
+  constructor(private snapshot: ScopeSnapshot) {
+    for (const node of snapshot.nodes) {
+      this.byId.set(node.properties.id, node);
+    }
+    for (const rel of snapshot.relationships) {
+      this.outgoingById.set(rel.source, [...(this.outgoingById.get(rel.source) || []), rel]);
+      this.incomingById.set(rel.target, [...(this.incomingById.get(rel.target) || []), rel]);
+    }
+  }
+
+  node(id: string): SnapshotNode | undefined {
+    return this.byId.get(id);
+  }
+
+  ofType(type: string): SnapshotNode[] {
+    return this.snapshot.nodes.filter(node => node.type === type);
+  }
+
+  outgoing(id: string, type?: string): SnapshotRelationship[] {
+    return (this.outgoingById.get(id) || []).filter(rel => !type || rel.type === type);
+  }
+
+  incoming(id: string, type?: string): SnapshotRelationship[] {
+    return (this.incomingById.get(id) || []).filter(rel => !type || rel.type === type);
+  }
+
+  // Merged names are a character's merged-away names, or any entity's
+  // names before the writer renamed it
+  named(type: string, name: string): SnapshotNode[] {
+    return this.ofType(type).filter(node =>
+      node.properties.name === name || (node.properties.mergedNames || []).includes(name)
+    );
+  }
+}
+
+/** The synced properties of an analysis entity, with the stores' defaults */
+function entityProperties(type: EntityType, item: any, chapterNumber: number, sequence: number): Record<string, any> {
+  switch (type) {
+    case 'Character':
+      return { role: item.role || 'unknown', description: item.description || '' };
+    case 'Location':
+      return { type: item.type || 'unknown', description: item.description || '' };
+    case 'Object':
+      return { type: item.type || 'prop', description: item.description || '', significance: item.significance || '' };
+    case 'Event':
+      return {
+        description: item.description,
+        type: item.type,
+        isTemporal: item.isTemporal || false,
+        temporalType: item.temporalType || 'current',
+        timestamp: item.timestamp || '',
+        chapterNumber,
+        sequence
+      };
+    case 'PlotThread':
+      return { description: item.description, status: item.status };
+  }
+}
+
+/**
+ * Work out the changes that bring a chapter's stored subgraph in line with a
+ * new analysis of it. Pure: reads the snapshot, returns the diff and the delta.
+ */
+export function planChapterSync(snapshot: ScopeSnapshot, analysis: StoryAnalysisResult): { diff: ChapterDiff; delta: GraphDelta } {
+  const graph = new SnapshotIndex(snapshot);
+  const chapterNumber = analysis.chapterNumber;
+  const timestamp = new Date().toISOString();
+  const delta: GraphDelta = { deleteRelationships: [], deleteNodes: [], upsertNodes: [], upsertRelationships: [] };
+  const diff: ChapterDiff = {
+    chapter: chapterNumber,
+    characters: emptyDiff(),
+    locations: emptyDiff(),
+    objects: emptyDiff(),
+    events: emptyDiff(),
+    plotThreads: emptyDiff(),
+    relationships: emptyDiff(),
+    stateChanges: { added: 0, removed: 0 }
+  };
+  const ref = (type: string, id: string): NodeRef => ({ type: type as NodeRef['type'], id });
+
+  // Earlier full syncs may have left several nodes for this chapter; keep
+  // the latest and fold the rest into it
+  const chapterNodes = graph.ofType('Chapter')
+    .filter(node => node.properties.number === chapterNumber)
+    .sort((a, b) => String(b.properties.timestamp || '').localeCompare(String(a.properties.timestamp || '')));
+  const chapterIds = new Set(chapterNodes.map(node => node.properties.id));
+  const chapterId: string = chapterNodes[0]?.properties.id || analysis.chapterId;
+  const chapter = ref('Chapter', chapterId);
+
+  for (const duplicate of chapterNodes.slice(1)) {
+    delta.deleteNodes.push(ref('Chapter', duplicate.properties.id));
+  }
+  delta.upsertNodes.push({
+    ...chapter,
+    properties: {
+      number: chapterNumber,
+      version: analysis.version,
+      timestamp: analysis.timestamp,
+      summary: analysis.summary,
+      mood: analysis.context.mood,
+      tension: analysis.context.tension
+    }
+  });
+
+  const inChapter = (id: string, link: string) => graph.outgoing(id, link).some(rel => chapterIds.has(rel.target));
+  const linkedToChapter = (id: string, link: string) => graph.outgoing(id, link).some(rel => rel.target === chapterId);
+  // Entities this sync creates, with their names
+  const newNames = new Map<string, string>();
+
+  // Stored ids the analysis' entities resolved to, by type and name
+  const resolved = new Map<string, string>();
+  const resolve = (type: string, name: string | undefined): string[] => {
+    if (!name) return [];
+    const id = resolved.get(`${type}|${name}`);
+    return id ? [id] : graph.named(type, name).map(node => node.properties.id);
+  };
+
+  const upsertLink = (type: string, source: NodeRef, target: NodeRef, properties: Record<string, any> = {}) => {
+    delta.upsertRelationships.push({ type, source, target, properties });
+  };
+  const deleteLink = (type: string, source: NodeRef, target: NodeRef) => {
+    delta.deleteRelationships.push({ type, source, target });
+  };
+
+  // Deleting an entity takes its state history with it
+  const deleteEntity = (node: SnapshotNode) => {
+    for (const rel of [...graph.outgoing(node.properties.id, 'HAS_STATE'), ...graph.outgoing(node.properties.id, 'HAS_STATE_CHANGE')]) {
+      delta.deleteNodes.push(ref('State', rel.target));
+    }
+    delta.deleteNodes.push(ref(node.type, node.properties.id));
+  };
+
+  // ---- Entities ----
+
+  const itemsByType: Record<EntityType, any[]> = {
+    Character: analysis.characters,
+    Location: analysis.locations,
+    Object: analysis.objects,
+    Event: analysis.events,
+    PlotThread: analysis.plotThreads
+  };
+
+  for (const kind of ENTITY_KINDS) {
+    const entityDiff = diff[kind.key];
+    const stored = graph.ofType(kind.type).filter(node => inChapter(node.properties.id, kind.link));
+    const matched = new Set<string>();
+
+    for (const [index, item] of itemsByType[kind.type].entries()) {
+      if (!item.name || resolved.has(`${kind.type}|${item.name}`)) continue;
+
+      const candidates = graph.named(kind.type, item.name);
+      const existing = candidates.find(node => stored.includes(node)) ||
+        (kind.scopeWide ? candidates[0] : undefined);
+      const properties = entityProperties(kind.type, item, chapterNumber, index + 1);
+
+      if (!existing) {
+        resolved.set(`${kind.type}|${item.name}`, item.id);
+        newNames.set(item.id, item.name);
+        delta.upsertNodes.push({ ...ref(kind.type, item.id), properties: { ...properties, name: item.name } });
+        upsertLink(kind.link, ref(kind.type, item.id), chapter);
+        entityDiff.added.push(item.name);
+        continue;
+      }
+
+      const id: string = existing.properties.id;
+      resolved.set(`${kind.type}|${item.name}`, id);
+      matched.add(id);
+
+      const fields = existing.properties.userAsserted
+        ? []
+        : Object.keys(properties).filter(field => !same(existing.properties[field], properties[field]));
+      if (fields.length > 0) {
+        delta.upsertNodes.push({
+          ...ref(kind.type, id),
+          properties: Object.fromEntries(fields.map(field => [field, properties[field]]))
+        });
+      }
+      if (!linkedToChapter(id, kind.link)) {
+        upsertLink(kind.link, ref(kind.type, id), chapter);
+      }
+
+      if (!stored.includes(existing)) {
+        entityDiff.added.push(existing.properties.name || item.name);
+      } else if (fields.length > 0) {
+        entityDiff.changed.push({ name: existing.properties.name || item.name, fields });
+      }
+    }
+
+    for (const node of stored) {
+      const id: string = node.properties.id;
+      if (matched.has(id) || node.properties.userAsserted) continue;
+
+      entityDiff.removed.push(node.properties.name || id);
+      const elsewhere = graph.outgoing(id, kind.link).some(rel => !chapterIds.has(rel.target));
+      if (kind.type !== 'Event' && elsewhere) {
+        for (const rel of graph.outgoing(id, kind.link).filter(rel => chapterIds.has(rel.target))) {
+          deleteLink(kind.link, ref(kind.type, id), ref('Chapter', rel.target));
+        }
+      } else {
+        deleteEntity(node);
+      }
+    }
+  }
+
+  const changedFields = (entityDiff: EntityDiff, name: string, field: string) => {
+    if (entityDiff.added.includes(name)) return;
+    const change = entityDiff.changed.find(c => c.name === name);
+    if (change) {
+      change.fields.push(field);
+    } else {
+      entityDiff.changed.push({ name, fields: [field] });
+    }
+  };
+
+  // ---- Character snapshots (traits and aliases for this chapter) ----
+
+  for (const char of analysis.characters) {
+    const id = resolved.get(`Character|${char.name}`);
+    if (!id) continue;
+
+    const traits = char.traits || [];
+    const aliases = char.aliases || [];
+    const states = graph.outgoing(id, 'HAS_STATE')
+      .map(rel => graph.node(rel.target))
+      .filter((state): state is SnapshotNode => !!state && state.properties.chapterNumber === chapterNumber)
+      .sort((a, b) => String(b.properties.timestamp || '').localeCompare(String(a.properties.timestamp || '')));
+    const latest = states[0]?.properties;
+    if (latest && same(latest.traits, traits) && same(latest.aliases, aliases)) continue;
+
+    for (const state of states) {
+      delta.deleteNodes.push(ref('State', state.properties.id));
+    }
+    const stateId = `state_${id}_v${analysis.version}_${Date.now()}`;
+    delta.upsertNodes.push({
+      ...ref('State', stateId),
+      properties: { version: analysis.version, chapter: chapterId, chapterNumber, traits, aliases, timestamp }
+    });
+    upsertLink('HAS_STATE', ref('Character', id), ref('State', stateId));
+
+    const name = graph.node(id)?.properties.name || char.name;
+    if (latest && !same(latest.traits, traits)) changedFields(diff.characters, name, 'traits');
+    if (latest && !same(latest.aliases, aliases)) changedFields(diff.characters, name, 'aliases');
+  }
+
+  // ---- Links between entities ----
+
+  // Event links are replaced; links the stores only ever add are added
+  const syncLinks = (sourceId: string, type: string, targetType: string, targetIds: string[]): boolean => {
+    const current = graph.outgoing(sourceId, type).map(rel => rel.target);
+    const wanted = new Set(targetIds);
+    let changed = false;
+    for (const target of current.filter(target => !wanted.has(target))) {
+      deleteLink(type, ref('Event', sourceId), ref(targetType, target));
+      changed = true;
+    }
+    for (const target of targetIds.filter(target => !current.includes(target))) {
+      upsertLink(type, ref('Event', sourceId), ref(targetType, target));
+      changed = true;
+    }
+    return changed;
+  };
+
+  for (const evt of analysis.events) {
+    const id = resolved.get(`Event|${evt.name}`);
+    if (!id || graph.node(id)?.properties.userAsserted) continue;
+
+    const name = graph.node(id)?.properties.name || evt.name;
+    if (syncLinks(id, 'AT', 'Location', resolve('Location', evt.location)) && !newNames.has(id)) {
+      changedFields(diff.events, name, 'location');
+    }
+    const characters = [...new Set((evt.characters || []).flatMap(charName => resolve('Character', charName)))];
+    if (syncLinks(id, 'INVOLVES', 'Character', characters) && !newNames.has(id)) {
+      changedFields(diff.events, name, 'characters');
+    }
+  }
+
+  const hasLink = (sourceId: string, type: string, targetId: string) =>
+    graph.outgoing(sourceId, type).some(rel => rel.target === targetId);
+
+  for (const loc of analysis.locations) {
+    const id = resolved.get(`Location|${loc.name}`);
+    if (!id || !loc.containedIn) continue;
+    for (const parent of resolve('Location', loc.containedIn)) {
+      if (!hasLink(id, 'CONTAINED_IN', parent)) upsertLink('CONTAINED_IN', ref('Location', id), ref('Location', parent));
+    }
+  }
+
+  for (const obj of analysis.objects) {
+    const id = resolved.get(`Object|${obj.name}`);
+    if (!id || !obj.owner) continue;
+    for (const owner of resolve('Character', obj.owner)) {
+      const owns = graph.outgoing(owner, 'OWNS').find(rel => rel.target === id);
+      if (!owns || owns.properties.since === undefined || owns.properties.since > chapterNumber) {
+        upsertLink('OWNS', ref('Character', owner), ref('Object', id), { since: chapterNumber });
+      }
+    }
+  }
+
+  for (const plot of analysis.plotThreads) {
+    const id = resolved.get(`PlotThread|${plot.name}`);
+    if (!id) continue;
+    for (const character of (plot.relatedCharacters || []).flatMap(charName => resolve('Character', charName))) {
+      if (!hasLink(character, 'ADVANCES', id)) upsertLink('ADVANCES', ref('Character', character), ref('PlotThread', id));
+    }
+  }
+
+  // ---- Relationships (their chapter history entries) ----
+
+  const nameOf = (id: string) => graph.node(id)?.properties.name || newNames.get(id) || id;
+  const wantedRelationships = new Map<string, { source: NodeRef; target: NodeRef; relationType: string; entry: { description: string; sentiment: string; strength: number } }>();
+  for (const rel of analysis.relationships) {
+    for (const source of resolve(rel.sourceType, rel.source)) {
+      const rejected: string[] = graph.node(source)?.properties.rejectedRelationships || [];
+      for (const target of resolve(rel.targetType, rel.target)) {
+        if (rejected.includes(rejectedRelationshipKey(rel.type, target))) continue;
+        wantedRelationships.set(`${source}|${rel.type}|${target}`, {
+          source: ref(rel.sourceType, source),
+          target: ref(rel.targetType, target),
+          relationType: rel.type,
+          entry: { description: rel.description || '', sentiment: rel.sentiment || 'neutral', strength: rel.strength || 0.5 }
+        });
+      }
+    }
+  }
+
+  const relationshipLabel = (source: string, relationType: string, target: string) =>
+    `${nameOf(source)} ${relationType} ${nameOf(target)}`;
+
+  // Rebuild the history arrays with this chapter's entry swapped for `entry`
+  // (or dropped); the latest chapter's values stay on the relationship
+  const rewriteHistory = (properties: Record<string, any>, entry: { description: string; sentiment: string; strength: number } | null) => {
+    const history = (properties.chapters || []).map((chapterNum: number, i: number) => ({
+      chapter: chapterNum,
+      description: properties.descriptions?.[i] ?? '',
+      sentiment: properties.sentiments?.[i] ?? 'neutral',
+      strength: properties.strengths?.[i] ?? 0.5
+    })).filter((item: { chapter: number }) => item.chapter !== chapterNumber);
+    if (entry) history.push({ chapter: chapterNumber, ...entry });
+    history.sort((a: { chapter: number }, b: { chapter: number }) => a.chapter - b.chapter);
+
+    const latest = history[history.length - 1];
+    return {
+      history,
+      properties: {
+        description: latest?.description,
+        sentiment: latest?.sentiment,
+        strength: latest?.strength,
+        chapters: history.map((item: { chapter: number }) => item.chapter),
+        descriptions: history.map((item: { description: string }) => item.description),
+        sentiments: history.map((item: { sentiment: string }) => item.sentiment),
+        strengths: history.map((item: { strength: number }) => item.strength),
+        lastUpdated: timestamp
+      }
+    };
+  };
+
+  const storedRelationships = new Map<string, SnapshotRelationship>();
+  for (const rel of snapshot.relationships) {
+    if (rel.type === 'RELATES_TO') {
+      storedRelationships.set(`${rel.source}|${rel.properties.type}|${rel.target}`, rel);
+    }
+  }
+
+  for (const [key, wanted] of wantedRelationships) {
+    const stored = storedRelationships.get(key);
+    if (stored?.properties.userAsserted) continue;
+    const label = relationshipLabel(wanted.source.id, wanted.relationType, wanted.target.id);
+    const chapters: number[] = stored?.properties.chapters || [];
+    const index = chapters.lastIndexOf(chapterNumber);
+
+    if (stored && index >= 0) {
+      const fields = (['description', 'sentiment', 'strength'] as const).filter(field =>
+        !same(stored.properties[`${field}s`]?.[index], wanted.entry[field])
+      );
+      const repeated = chapters.indexOf(chapterNumber) !== index;
+      if (fields.length === 0 && !repeated) continue;
+      if (fields.length > 0) diff.relationships.changed.push({ name: label, fields });
+    } else {
+      diff.relationships.added.push(label);
+    }
+
+    delta.upsertRelationships.push({
+      type: 'RELATES_TO',
+      source: wanted.source,
+      target: wanted.target,
+      relationType: wanted.relationType,
+      properties: rewriteHistory(stored?.properties || {}, wanted.entry).properties
+    });
+  }
+
+  for (const [key, stored] of storedRelationships) {
+    if (wantedRelationships.has(key) || stored.properties.userAsserted || !(stored.properties.chapters || []).includes(chapterNumber)) continue;
+
+    const source = graph.node(stored.source);
+    const target = graph.node(stored.target);
+    if (!source || !target) continue;
+
+    diff.relationships.removed.push(relationshipLabel(stored.source, stored.properties.type, stored.target));
+    const { history, properties } = rewriteHistory(stored.properties, null);
+    const sourceRef = ref(source.type, stored.source);
+    const targetRef = ref(target.type, stored.target);
+    if (history.length === 0) {
+      delta.deleteRelationships.push({ type: 'RELATES_TO', source: sourceRef, target: targetRef, relationType: stored.properties.type });
+    } else {
+      delta.upsertRelationships.push({ type: 'RELATES_TO', source: sourceRef, target: targetRef, relationType: stored.properties.type, properties });
+    }
+  }
+
+  // ---- State changes ----
+
+  const entityIdsForChange = (change: StoryAnalysisResult['stateChanges'][number]): string[] => {
+    if (graph.node(change.entityId)) return [change.entityId];
+    const prefix = change.entityId.replace(/_[^_]*$/, '');
+    const item = itemsByType[change.entityType].find(entity =>
+      entity.id === change.entityId ||
+      `${change.entityType.toLowerCase().slice(0, 4)}_${sanitizeName(entity.name)}` === prefix
+    );
+    return item ? resolve(change.entityType, item.name) : [];
+  };
+
+  const storedChanges = new Map<string, string>();
+  for (const node of graph.ofType('State')) {
+    if (node.properties.chapterNumber !== chapterNumber || node.properties.attribute === undefined) continue;
+    for (const rel of graph.incoming(node.properties.id, 'HAS_STATE_CHANGE')) {
+      storedChanges.set(`${rel.source}|${node.properties.attribute}|${node.properties.newValue}`, node.properties.id);
+    }
+  }
+
+  const wantedChanges = new Set<string>();
+  for (const [index, change] of analysis.stateChanges.entries()) {
+    for (const entityId of entityIdsForChange(change)) {
+      const fingerprint = `${entityId}|${change.attribute}|${change.newValue}`;
+      if (wantedChanges.has(fingerprint)) continue;
+      wantedChanges.add(fingerprint);
+      if (storedChanges.has(fingerprint)) continue;
+
+      const stateId = `change_${entityId}_${change.attribute}_v${analysis.version}_${Date.now()}_${index}`;
+      delta.upsertNodes.push({
+        ...ref('State', stateId),
+        properties: {
+          attribute: change.attribute,
+          oldValue: change.oldValue || '',
+          newValue: change.newValue,
+          reason: change.reason || '',
+          chapter: chapterId,
+          chapterNumber,
+          sequence: index + 1,
+          version: analysis.version,
+          timestamp
+        }
+      });
+      upsertLink('HAS_STATE_CHANGE', ref(change.entityType, entityId), ref('State', stateId));
+      diff.stateChanges.added++;
+    }
+  }
+
+  for (const [fingerprint, stateId] of storedChanges) {
+    if (wantedChanges.has(fingerprint)) continue;
+    delta.deleteNodes.push(ref('State', stateId));
+    diff.stateChanges.removed++;
+  }
+
+  return { diff, delta };
+}
+
+/**
+ * One line for the writer, e.g. "2 new characters, 1 relationship removed"
+ */
+export function summarizeDiff(diff: ChapterDiff): string {
+  const count = (n: number, [singular, plural]: [string, string]) => `${n} ${n === 1 ? singular : plural}`;
+  const parts: string[] = [];
+
+  const kinds: Array<{ diff: EntityDiff; label: [string, string] }> = [
+    ...ENTITY_KINDS.map(kind => ({ diff: diff[kind.key], label: kind.label })),
+    { diff: diff.relationships, label: ['relationship', 'relationships'] }
+  ];
+
+  for (const kind of kinds) {
+    if (kind.diff.added.length) parts.push(`${kind.diff.added.length} new ${kind.label[kind.diff.added.length === 1 ? 0 : 1]}`);
+  }
+  for (const kind of kinds) {
+    if (kind.diff.changed.length) parts.push(`${count(kind.diff.changed.length, kind.label)} changed`);
+  }
+  for (const kind of kinds) {
+    if (kind.diff.removed.length) parts.push(`${count(kind.diff.removed.length, kind.label)} removed`);
+  }
+  if (diff.stateChanges.added) parts.push(count(diff.stateChanges.added, ['new state change', 'new state changes']));
+  if (diff.stateChanges.removed) parts.push(`${count(diff.stateChanges.removed, ['state change', 'state changes'])} removed`);
+
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+/**
+ * Sync one chapter's analysis into the graph, applying only what changed
+ */
+export async function syncChapter(scope: GraphScope, analysis: StoryAnalysisResult): Promise<ChapterDiff> {
+  const snapshot = await getScopeSnapshot(scope);
+  const { diff, delta } = planChapterSync(snapshot, analysis);
+  await applyGraphDelta(scope, delta);
+  return diff;
+}
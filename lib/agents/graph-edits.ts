@@ -0,0 +1,306 @@
+/**
+ * Graph Edits - writer corrections to the extracted story graph
+ *
+ * Create, update and delete characters, locations, objects, events, plot
+ * threads and the relationships between them. Everything written here is
+ * marked `userAsserted`, and chapter syncs (updateGraph and the incremental
+ * diff) leave user-asserted nodes and relationships as they are. Deleting a
+ * relationship is remembered in the source node's `rejectedRelationships`,
+ * so a later analysis that finds it again does not bring it back.
+ */
+
+import {
+  applyGraphDelta,
+  getScopeSnapshot,
+  rejectedRelationshipKey,
+  type GraphDelta,
+  type GraphScope,
+  type NodeRef,
+  type ScopeSnapshot
+} from './story-knowledge-graph';
+
+export class GraphEditError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'GraphEditError';
+  }
+}
+
+type FieldType = 'string' | 'number' | 'boolean';
+
+/** The properties a writer can set on each kind of entity */
+export const EDITABLE_FIELDS: Record<string, Record<string, FieldType>> = {
+  Character: { name: 'string', role: 'string', description: 'string' },
+  Location: { name: 'string', type: 'string', description: 'string' },
+  Object: { name: 'string', type: 'string', description: 'string', significance: 'string' },
+  Event: { name: 'string', description: 'string', type: 'string', timestamp: 'string', temporalType: 'string', isTemporal: 'boolean' },
+  PlotThread: { name: 'string', description: 'string', status: 'string' }
+};
+
+// Relationships connect the same kinds of entities the analysis relates
+const RELATABLE_TYPES = ['Character', 'Location', 'Object', 'Event'];
+
+// Each entity hangs off the chapters it appears in through one of these
+const CHAPTER_LINKS: Record<string, string> = {
+  Character: 'APPEARS_IN',
+  Location: 'FEATURED_IN',
+  Object: 'APPEARS_IN',
+  Event: 'OCCURS_IN',
+  PlotThread: 'ADVANCES_IN'
+};
+
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'ambiguous'];
+
+const MAX_TEXT_LENGTH = 2000;
+
+export interface RelationshipInput {
+  sourceId: string;
+  targetId: string;
+  /** The relationship's own type, e.g. ALLY or MENTOR */
+  type: string;
+  description?: string;
+  sentiment?: string;
+  strength?: number;
+}
+
+const ref = (type: string, id: string): NodeRef => ({ type: type as NodeRef['type'], id });
+
+function validateProperties(type: string, properties: unknown, requireName: boolean): Record<string, any> {
+  const fields = EDITABLE_FIELDS[type];
+  if (!fields) {
+    throw new GraphEditError(`type must be one of ${Object.keys(EDITABLE_FIELDS).join(', ')}`);
+  }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new GraphEditError('properties must be an object');
+  }
+
+  const valid: Record<string, any> = {};
+  for (const [name, value] of Object.entries(properties)) {
+    const fieldType = fields[name];
+    if (!fieldType) {
+      throw new GraphEditError(`${type} has no editable property "${name}"`);
+    }
+    if (typeof value !== fieldType) {
+      throw new GraphEditError(`${name} must be a ${fieldType}`);
+    }
+    if (typeof value === 'string' && value.length > MAX_TEXT_LENGTH) {
+      throw new GraphEditError(`${name} must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    valid[name] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  if ((requireName || 'name' in valid) && !valid.name) {
+    throw new GraphEditError('name must not be empty');
+  }
+  return valid;
+}
+
+function findEntity(snapshot: ScopeSnapshot, id: string) {
+  const node = snapshot.nodes.find(n => n.properties.id === id && EDITABLE_FIELDS[n.type]);
+  if (!node) {
+    throw new GraphEditError(`No character, location, object, event or plot thread with id ${id}`, 404);
+  }
+  return node;
+}
+
+function findRelationship(snapshot: ScopeSnapshot, sourceId: string, targetId: string, type: string) {
+  return snapshot.relationships.find(rel =>
+    rel.type === 'RELATES_TO' && rel.source === sourceId && rel.target === targetId && rel.properties.type === type
+  );
+}
+
+/**
+ * Add an entity, optionally linked to the chapter it appears in
+ */
+export async function createEntity(
+  scope: GraphScope,
+  type: string,
+  properties: unknown,
+  chapterNumber?: number
+): Promise<{ id: string; type: string; properties: Record<string, any> }> {
+  const valid = validateProperties(type, properties, true);
+  const snapshot = await getScopeSnapshot(scope);
+
+  const chapter = chapterNumber === undefined
+    ? undefined
+    : snapshot.nodes.find(node => node.type === 'Chapter' && node.properties.number === chapterNumber);
+  if (chapterNumber !== undefined && !chapter) {
+    throw new GraphEditError(`Chapter ${chapterNumber} is not in the graph`, 404);
+  }
+
+  const prefix = type === 'PlotThread' ? 'plot' : type.toLowerCase().slice(0, 4);
+  const id = `${prefix}_${valid.name.toLowerCase().replace(/[^a-z0-9]/g, '_').slice(0, 30)}_user${Date.now().toString(36)}`;
+  const delta: GraphDelta = {
+    deleteRelationships: [],
+    deleteNodes: [],
+    upsertNodes: [{ ...ref(type, id), properties: { ...valid, userAsserted: true } }],
+    upsertRelationships: chapter
+      ? [{ type: CHAPTER_LINKS[type], source: ref(type, id), target: ref('Chapter', chapter.properties.id), properties: {} }]
+      : []
+  };
+
+  await applyGraphDelta(scope, delta);
+  return { id, type, properties: { ...valid, id, userAsserted: true } };
+}
+
+/**
+ * Correct an entity's properties
+ */
+export async function updateEntity(
+  scope: GraphScope,
+  id: string,
+  properties: unknown
+): Promise<{ id: string; type: string; properties: Record<string, any> }> {
+  const snapshot = await getScopeSnapshot(scope);
+  const node = findEntity(snapshot, id);
+  const valid = validateProperties(node.type, properties, false);
+
+  // Keep answering to the old name, so syncs that still find it don't
+  // add the entity again
+  const oldName: string | undefined = node.properties.name;
+  const mergedNames: string[] = node.properties.mergedNames || [];
+  if (valid.name && oldName && valid.name !== oldName && !mergedNames.includes(oldName)) {
+    valid.mergedNames = [...mergedNames, oldName];
+  }
+
+  await applyGraphDelta(scope, {
+    deleteRelationships: [],
+    deleteNodes: [],
+    upsertNodes: [{ ...ref(node.type, id), properties: { ...valid, userAsserted: true } }],
+    upsertRelationships: []
+  });
+  return { id, type: node.type, properties: { ...node.properties, ...valid, userAsserted: true } };
+}
+
+/**
+ * Remove an entity with its relationships and state history
+ */
+export async function deleteEntity(scope: GraphScope, id: string): Promise<void> {
+  const snapshot = await getScopeSnapshot(scope);
+  const node = findEntity(snapshot, id);
+
+  const states = snapshot.relationships
+    .filter(rel => rel.source === id && (rel.type === 'HAS_STATE' || rel.type === 'HAS_STATE_CHANGE'))
+    .map(rel => ref('State', rel.target));
+
+  await applyGraphDelta(scope, {
+    deleteRelationships: [],
+    deleteNodes: [...states, ref(node.type, id)],
+    upsertNodes: [],
+    upsertRelationships: []
+  });
+}
+
+/**
+ * Create a relationship between two entities, or correct an existing one.
+ * A corrected relationship takes its new values from the chapter it first
+ * appeared in, so as-of views agree with the correction.
+ */
+export async function saveRelationship(
+  scope: GraphScope,
+  input: RelationshipInput,
+  mode: 'create' | 'update'
+): Promise<{ created: boolean; properties: Record<string, any> }> {
+  const type = typeof input.type === 'string' ? input.type.trim() : '';
+  if (!type || type.length > 50) {
+    throw new GraphEditError('type must be a relationship type of at most 50 characters');
+  }
+  if (input.description !== undefined && (typeof input.description !== 'string' || input.description.length > MAX_TEXT_LENGTH)) {
+    throw new GraphEditError(`description must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (input.sentiment !== undefined && !SENTIMENTS.includes(input.sentiment)) {
+    throw new GraphEditError(`sentiment must be one of ${SENTIMENTS.join(', ')}`);
+  }
+  if (input.strength !== undefined && (typeof input.strength !== 'number' || input.strength < 0 || input.strength > 1)) {
+    throw new GraphEditError('strength must be a number from 0 to 1');
+  }
+
+  const snapshot = await getScopeSnapshot(scope);
+  const source = findEntity(snapshot, input.sourceId);
+  const target = findEntity(snapshot, input.targetId);
+  if (!RELATABLE_TYPES.includes(source.type) || !RELATABLE_TYPES.includes(target.type)) {
+    throw new GraphEditError(`Relationships connect ${RELATABLE_TYPES.join(', ')} nodes`);
+  }
+
+  const existing = findRelationship(snapshot, input.sourceId, input.targetId, type);
+  if (mode === 'create' && existing) {
+    throw new GraphEditError('That relationship already exists', 409);
+  }
+  if (mode === 'update' && !existing) {
+    throw new GraphEditError('Relationship not found', 404);
+  }
+
+  const current = existing?.properties || {};
+  const values = {
+    description: input.description ?? current.description ?? '',
+    sentiment: input.sentiment ?? current.sentiment ?? 'neutral',
+    strength: input.strength ?? current.strength ?? 0.5
+  };
+  const chapters: number[] = current.chapters || [];
+  const properties: Record<string, any> = {
+    ...values,
+    userAsserted: true,
+    lastUpdated: new Date().toISOString()
+  };
+  if (chapters.length > 0) {
+    Object.assign(properties, {
+      chapters: [Math.min(...chapters)],
+      descriptions: [values.description],
+      sentiments: [values.sentiment],
+      strengths: [values.strength]
+    });
+  }
+
+  // Asserting a relationship the writer once deleted takes back the rejection
+  const rejected: string[] = source.properties.rejectedRelationships || [];
+  const key = rejectedRelationshipKey(type, input.targetId);
+
+  await applyGraphDelta(scope, {
+    deleteRelationships: [],
+    deleteNodes: [],
+    upsertNodes: rejected.includes(key)
+      ? [{ ...ref(source.type, input.sourceId), properties: { rejectedRelationships: rejected.filter(k => k !== key) } }]
+      : [],
+    upsertRelationships: [{
+      type: 'RELATES_TO',
+      source: ref(source.type, input.sourceId),
+      target: ref(target.type, input.targetId),
+      relationType: type,
+      properties
+    }]
+  });
+  return { created: !existing, properties: { ...current, ...properties, type } };
+}
+
+/**
+ * Delete a relationship and keep later syncs from recreating it
+ */
+export async function deleteRelationship(
+  scope: GraphScope,
+  input: Pick<RelationshipInput, 'sourceId' | 'targetId' | 'type'>
+): Promise<void> {
+  const snapshot = await getScopeSnapshot(scope);
+  const source = findEntity(snapshot, input.sourceId);
+  const target = findEntity(snapshot, input.targetId);
+  if (!findRelationship(snapshot, input.sourceId, input.targetId, input.type)) {
+    throw new GraphEditError('Relationship not found', 404);
+  }
+
+  const rejected: string[] = source.properties.rejectedRelationships || [];
+  const key = rejectedRelationshipKey(input.type, input.targetId);
+
+  await applyGraphDelta(scope, {
+    deleteRelationships: [{
+      type: 'RELATES_TO',
+      source: ref(source.type, input.sourceId),
+      target: ref(target.type, input.targetId),
+      relationType: input.type
+    }],
+    deleteNodes: [],
+    upsertNodes: [{
+      ...ref(source.type, input.sourceId),
+      properties: { rejectedRelationships: [...rejected.filter(k => k !== key), key] }
+    }],
+    upsertRelationships: []
+  });
+}
@@ -0,0 +1,531 @@
+/**
+ * Graph Formats - move a story graph in and out of external tools
+ *
+ * Serializes GraphData to GraphML (yEd, Cytoscape, NetworkX), GEXF (Gephi)
+ * and JSON-LD, and parses the same formats back for import. Node and edge
+ * properties travel as attributes; list values (aliases, traits) are written
+ * as JSON text, since neither XML format has a portable list type.
+ */
+
+import neo4j from 'neo4j-driver';
+import { escapeXml, find, findAll, parseXml, XmlSyntaxError, type XmlElement } from '@/lib/xml';
+import { RELATIONSHIP_TYPE, type GraphData, type GraphEdge, type GraphNode } from './graph-store';
+
+export const GRAPH_FORMATS = ['graphml', 'gexf', 'jsonld'] as const;
+export type GraphFormat = typeof GRAPH_FORMATS[number];
+
+export const GRAPH_FORMAT_FILES: Record<GraphFormat, { extension: string; contentType: string }> = {
+  graphml: { extension: 'graphml', contentType: 'application/graphml+xml' },
+  gexf: { extension: 'gexf', contentType: 'application/gexf+xml' },
+  jsonld: { extension: 'jsonld', contentType: 'application/ld+json' },
+};
+
+export const IMPORTABLE_NODE_TYPES: GraphNode['type'][] = ['Character', 'Location', 'Object', 'Event', 'PlotThread', 'Chapter'];
+
+// Attribute names that carry the graph structure rather than a property
+const NODE_TYPE_ATTRIBUTE = 'nodeType';
+const LABEL_ATTRIBUTE = 'label';
+const EDGE_TYPE_ATTRIBUTE = 'relType';
+
+const JSONLD_VOCAB = 'urn:scriptforge:story#';
+
+export class GraphFormatError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'GraphFormatError';
+  }
+}
+
+export function isGraphFormat(value: unknown): value is GraphFormat {
+  return typeof value === 'string' && (GRAPH_FORMATS as readonly string[]).includes(value);
+}
+
+/**
+ * Guess the format of an uploaded file from its content
+ */
+export function detectGraphFormat(content: string): GraphFormat | null {
+  const head = content.trimStart().slice(0, 2000);
+  if (head.startsWith('{') || head.startsWith('[')) return 'jsonld';
+  if (/<graphml[\s>]/.test(head)) return 'graphml';
+  if (/<gexf[\s>]/.test(head)) return 'gexf';
+  return null;
+}
+
+// ============================================
+// Property values
+// ============================================
+
+type Scalar = string | number | boolean;
+type PropertyValue = Scalar | Scalar[];
+
+/**
+ * Neo4j integers, dates and nested values as something every format can
+ * hold; null for values that should be dropped
+ */
+function toPlainValue(value: any): PropertyValue | null {
+  if (value === null || value === undefined) return null;
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (Array.isArray(value)) {
+    return value
+      .map(item => toPlainValue(item))
+      .filter((item): item is PropertyValue => item !== null)
+      .map(item => (Array.isArray(item) ? JSON.stringify(item) : item));
+  }
+  if (typeof value === 'object' && typeof value.toString === 'function' && value.toString !== Object.prototype.toString) {
+    // Neo4j temporal types print as ISO 8601
+    return value.toString();
+  }
+  return JSON.stringify(value);
+}
+
+function plainProperties(properties: Record<string, any> = {}): Record<string, PropertyValue> {
+  const plain: Record<string, PropertyValue> = {};
+  for (const [name, value] of Object.entries(properties)) {
+    const converted = toPlainValue(value);
+    if (converted !== null) {
+      plain[name] = converted;
+    }
+  }
+  return plain;
+}
+
+type AttributeType = 'string' | 'int' | 'double' | 'boolean' | 'list';
+
+function attributeType(value: PropertyValue): AttributeType {
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  return 'string';
+}
+
+// Widen to a type that holds every value seen for the attribute
+function widenType(current: AttributeType | undefined, next: AttributeType): AttributeType {
+  if (!current || current === next) return next;
+  if ((current === 'int' && next === 'double') || (current === 'double' && next === 'int')) return 'double';
+  return 'string';
+}
+
+function attributeText(value: PropertyValue): string {
+  return Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+// Lists are written as JSON text; read them back as arrays
+function parseAttributeText(text: string, type: string | undefined): PropertyValue {
+  switch (type) {
+    case 'int':
+    case 'long':
+    case 'integer':
+    case 'float':
+    case 'double': {
+      const number = Number(text);
+      return Number.isNaN(number) ? text : number;
+    }
+    case 'boolean':
+      return text === 'true';
+    default:
+      if (text.startsWith('[') && text.endsWith(']')) {
+        try {
+          const parsed = JSON.parse(text);
+          if (Array.isArray(parsed) && parsed.every(item => ['string', 'number', 'boolean'].includes(typeof item))) {
+            return parsed;
+          }
+        } catch {
+          // Not a list - keep the text
+        }
+      }
+      return text;
+  }
+}
+
+interface AttributeDefinition {
+  id: string;
+  name: string;
+  type: AttributeType;
+}
+
+function collectAttributes(items: Array<Record<string, PropertyValue>>, reserved: string[]): AttributeDefinition[] {
+  const types = new Map<string, AttributeType>();
+  for (const properties of items) {
+    for (const [name, value] of Object.entries(properties)) {
+      if (!reserved.includes(name)) {
+        types.set(name, widenType(types.get(name), attributeType(value)));
+      }
+    }
+  }
+  return [...types.entries()].map(([name, type], index) => ({ id: String(index), name, type }));
+}
+
+// ============================================
+// Serialization
+// ============================================
+
+function prepare(graph: GraphData) {
+  const nodes = graph.nodes.map(node => ({ node, properties: plainProperties(node.properties) }));
+  const edges = graph.edges.map(edge => ({ edge, properties: plainProperties(edge.properties) }));
+  return { nodes, edges };
+}
+
+function toGraphML(graph: GraphData): string {
+  const { nodes, edges } = prepare(graph);
+  const nodeAttributes = collectAttributes(nodes.map(n => n.properties), ['id', NODE_TYPE_ATTRIBUTE, LABEL_ATTRIBUTE]);
+  const edgeAttributes = collectAttributes(edges.map(e => e.properties), [EDGE_TYPE_ATTRIBUTE]);
+  const graphmlType = (type: AttributeType) => (type === 'list' ? 'string' : type);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    `  <key id="nt" for="node" attr.name="${NODE_TYPE_ATTRIBUTE}" attr.type="string"/>`,
+    `  <key id="nl" for="node" attr.name="${LABEL_ATTRIBUTE}" attr.type="string"/>`,
+    ...nodeAttributes.map(a => `  <key id="n${a.id}" for="node" attr.name="${escapeXml(a.name)}" attr.type="${graphmlType(a.type)}"/>`),
+    `  <key id="et" for="edge" attr.name="${EDGE_TYPE_ATTRIBUTE}" attr.type="string"/>`,
+    ...edgeAttributes.map(a => `  <key id="e${a.id}" for="edge" attr.name="${escapeXml(a.name)}" attr.type="${graphmlType(a.type)}"/>`),
+    '  <graph id="story" edgedefault="directed">',
+  ];
+
+  const data = (key: string, value: string) => `      <data key="${key}">${escapeXml(value)}</data>`;
+
+  for (const { node, properties } of nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(data('nt', node.type), data('nl', node.label));
+    for (const attribute of nodeAttributes) {
+      if (properties[attribute.name] !== undefined) {
+        lines.push(data(`n${attribute.id}`, attributeText(properties[attribute.name])));
+      }
+    }
+    lines.push('    </node>');
+  }
+
+  edges.forEach(({ edge, properties }, index) => {
+    lines.push(`    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    lines.push(data('et', edge.type));
+    for (const attribute of edgeAttributes) {
+      if (properties[attribute.name] !== undefined) {
+        lines.push(data(`e${attribute.id}`, attributeText(properties[attribute.name])));
+      }
+    }
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+function toGEXF(graph: GraphData): string {
+  const { nodes, edges } = prepare(graph);
+  const nodeAttributes = collectAttributes(
+    nodes.map(n => ({ ...n.properties, [NODE_TYPE_ATTRIBUTE]: n.node.type })),
+    ['id', LABEL_ATTRIBUTE]
+  );
+  const edgeAttributes = collectAttributes(
+    edges.map(e => ({ ...e.properties, [EDGE_TYPE_ATTRIBUTE]: e.edge.type })),
+    []
+  );
+  const gexfType = (type: AttributeType) => (type === 'int' ? 'integer' : type === 'list' ? 'string' : type);
+
+  const attributeBlock = (kind: 'node' | 'edge', attributes: AttributeDefinition[]) => [
+    `    <attributes class="${kind}">`,
+    ...attributes.map(a => `      <attribute id="${a.id}" title="${escapeXml(a.name)}" type="${gexfType(a.type)}"/>`),
+    '    </attributes>',
+  ];
+
+  const attvalues = (attributes: AttributeDefinition[], properties: Record<string, PropertyValue>) => {
+    const present = attributes.filter(a => properties[a.name] !== undefined);
+    if (present.length === 0) return [];
+    return [
+      '        <attvalues>',
+      ...present.map(a => `          <attvalue for="${a.id}" value="${escapeXml(attributeText(properties[a.name]))}"/>`),
+      '        </attvalues>',
+    ];
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta>',
+    '    <creator>ScriptForge</creator>',
+    '    <description>Story knowledge graph</description>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    ...attributeBlock('node', nodeAttributes),
+    ...attributeBlock('edge', edgeAttributes),
+    '    <nodes>',
+  ];
+
+  for (const { node, properties } of nodes) {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+    lines.push(...attvalues(nodeAttributes, { ...properties, [NODE_TYPE_ATTRIBUTE]: node.type }));
+    lines.push('      </node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+  edges.forEach(({ edge, properties }, index) => {
+    lines.push(`      <edge id="${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${escapeXml(edge.label)}">`);
+    lines.push(...attvalues(edgeAttributes, { ...properties, [EDGE_TYPE_ATTRIBUTE]: edge.type }));
+    lines.push('      </edge>');
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+// Entity ids become blank node identifiers, which must be IRI-safe
+const toBlankNode = (id: string) => `_:${encodeURIComponent(id)}`;
+
+function fromBlankNode(value: unknown): string | null {
+  const id = typeof value === 'object' && value !== null ? (value as any)['@id'] : value;
+  if (typeof id !== 'string' || !id) return null;
+  const local = id.startsWith('_:') ? id.slice(2) : id;
+  try {
+    return decodeURIComponent(local);
+  } catch {
+    return local;
+  }
+}
+
+function toJSONLD(graph: GraphData): string {
+  const { nodes, edges } = prepare(graph);
+
+  const document = {
+    '@context': {
+      '@vocab': JSONLD_VOCAB,
+      source: { '@type': '@id' },
+      target: { '@type': '@id' },
+    },
+    '@graph': [
+      ...nodes.map(({ node, properties }) => ({
+        ...properties,
+        '@id': toBlankNode(node.id),
+        '@type': node.type,
+        [LABEL_ATTRIBUTE]: node.label,
+      })),
+      ...edges.map(({ edge, properties }) => ({
+        ...properties,
+        '@type': 'Relationship',
+        [EDGE_TYPE_ATTRIBUTE]: edge.type,
+        source: toBlankNode(edge.source),
+        target: toBlankNode(edge.target),
+      })),
+    ],
+  };
+
+  return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Serialize a graph (as returned by getGraphOverview) to a file format
+ */
+export function serializeGraph(graph: GraphData, format: GraphFormat): string {
+  switch (format) {
+    case 'graphml':
+      return toGraphML(graph);
+    case 'gexf':
+      return toGEXF(graph);
+    case 'jsonld':
+      return toJSONLD(graph);
+  }
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+// GraphML and GEXF errors are format errors like any other
+function readXml(content: string): XmlElement {
+  try {
+    return parseXml(content);
+  } catch (error) {
+    if (error instanceof XmlSyntaxError) {
+      throw new GraphFormatError(error.message);
+    }
+    throw error;
+  }
+}
+
+function toImportedNode(id: string | undefined, attributes: Record<string, PropertyValue>, fallbackLabel?: string): GraphNode {
+  if (!id) {
+    throw new GraphFormatError('Every node needs an id');
+  }
+  const { [NODE_TYPE_ATTRIBUTE]: type, [LABEL_ATTRIBUTE]: label, ...properties } = attributes;
+  return {
+    id,
+    label: String(label ?? fallbackLabel ?? properties.name ?? id),
+    type: String(type ?? '') as GraphNode['type'],
+    properties: { ...properties, id },
+  };
+}
+
+function toImportedEdge(index: number, source: string | undefined, target: string | undefined, attributes: Record<string, PropertyValue>, fallbackLabel?: string): GraphEdge {
+  if (!source || !target) {
+    throw new GraphFormatError('Every edge needs a source and a target');
+  }
+  const { [EDGE_TYPE_ATTRIBUTE]: type, ...properties } = attributes;
+  const relType = String(type ?? 'RELATES_TO');
+  return {
+    id: `edge_${index}`,
+    source,
+    target,
+    type: relType,
+    label: String(properties.type ?? fallbackLabel ?? relType),
+    properties,
+  };
+}
+
+function fromGraphML(content: string): GraphData {
+  const graphml = find(readXml(content), 'graphml');
+  const graph = graphml && find(graphml, 'graph');
+  if (!graphml || !graph) {
+    throw new GraphFormatError('Not a GraphML document');
+  }
+
+  const keys = new Map(findAll(graphml, 'key').map(key => [
+    key.attributes.id,
+    { name: key.attributes['attr.name'] || key.attributes.id, type: key.attributes['attr.type'] },
+  ]));
+
+  const readData = (element: XmlElement) => {
+    const attributes: Record<string, PropertyValue> = {};
+    for (const data of findAll(element, 'data')) {
+      const key = keys.get(data.attributes.key);
+      if (key) {
+        attributes[key.name] = parseAttributeText(data.text, key.type);
+      }
+    }
+    return attributes;
+  };
+
+  return {
+    nodes: findAll(graph, 'node').map(node => toImportedNode(node.attributes.id, readData(node))),
+    edges: findAll(graph, 'edge').map((edge, index) =>
+      toImportedEdge(index, edge.attributes.source, edge.attributes.target, readData(edge))
+    ),
+  };
+}
+
+function fromGEXF(content: string): GraphData {
+  const gexf = find(readXml(content), 'gexf');
+  const graph = gexf && find(gexf, 'graph');
+  if (!gexf || !graph) {
+    throw new GraphFormatError('Not a GEXF document');
+  }
+
+  const definitions = (kind: 'node' | 'edge') => new Map(
+    findAll(graph, 'attributes')
+      .filter(block => block.attributes.class === kind)
+      .flatMap(block => findAll(block, 'attribute'))
+      .map(attribute => [attribute.attributes.id, { name: attribute.attributes.title || attribute.attributes.id, type: attribute.attributes.type }])
+  );
+  const nodeDefinitions = definitions('node');
+  const edgeDefinitions = definitions('edge');
+
+  const readValues = (element: XmlElement, defs: typeof nodeDefinitions) => {
+    const attributes: Record<string, PropertyValue> = {};
+    const block = find(element, 'attvalues');
+    for (const value of block ? findAll(block, 'attvalue') : []) {
+      const definition = defs.get(value.attributes.for ?? value.attributes.id);
+      if (definition) {
+        attributes[definition.name] = parseAttributeText(value.attributes.value ?? '', definition.type);
+      }
+    }
+    return attributes;
+  };
+
+  const nodes = find(graph, 'nodes');
+  const edges = find(graph, 'edges');
+  return {
+    nodes: (nodes ? findAll(nodes, 'node') : []).map(node =>
+      toImportedNode(node.attributes.id, readValues(node, nodeDefinitions), node.attributes.label)
+    ),
+    edges: (edges ? findAll(edges, 'edge') : []).map((edge, index) =>
+      toImportedEdge(index, edge.attributes.source, edge.attributes.target, readValues(edge, edgeDefinitions), edge.attributes.label)
+    ),
+  };
+}
+
+function fromJSONLD(content: string): GraphData {
+  let document: any;
+  try {
+    document = JSON.parse(content);
+  } catch {
+    throw new GraphFormatError('Not valid JSON');
+  }
+
+  const items: any[] = Array.isArray(document) ? document : document?.['@graph'];
+  if (!Array.isArray(items)) {
+    throw new GraphFormatError('Expected a JSON-LD document with an @graph array');
+  }
+
+  const nodes: GraphNode[] = [];
+  const edges: GraphEdge[] = [];
+  for (const item of items) {
+    if (typeof item !== 'object' || item === null) continue;
+    const { '@id': id, '@type': type, '@context': _context, source, target, ...rest } = item;
+    const attributes = plainProperties(rest);
+
+    if (type === 'Relationship') {
+      edges.push(toImportedEdge(edges.length, fromBlankNode(source) ?? undefined, fromBlankNode(target) ?? undefined, attributes));
+    } else {
+      nodes.push(toImportedNode(fromBlankNode(id) ?? undefined, { ...attributes, [NODE_TYPE_ATTRIBUTE]: type }));
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Parse an exported graph file. Throws GraphFormatError when the content is
+ * not a readable document of that format; node types and relationship
+ * types are checked by the importer.
+ */
+export function parseGraph(content: string, format: GraphFormat): GraphData {
+  switch (format) {
+    case 'graphml':
+      return fromGraphML(content);
+    case 'gexf':
+      return fromGEXF(content);
+    case 'jsonld':
+      return fromJSONLD(content);
+  }
+}
+
+// Neo4j lists hold one type; store mixed lists as text
+function toStorableValue(value: PropertyValue): PropertyValue {
+  if (!Array.isArray(value) || new Set(value.map(item => typeof item)).size <= 1) return value;
+  return value.map(item => String(item));
+}
+
+/**
+ * Check that a parsed graph only uses the story graph's node types, valid
+ * relationship types and known endpoints, and that ids are unique. Returns
+ * the graph with property values Neo4j can store.
+ */
+export function checkImportableGraph(graph: GraphData): GraphData {
+  const ids = new Set<string>();
+  for (const node of graph.nodes) {
+    if (!IMPORTABLE_NODE_TYPES.includes(node.type)) {
+      throw new GraphFormatError(`Node "${node.id}" has unsupported type "${node.type || 'none'}"; expected one of ${IMPORTABLE_NODE_TYPES.join(', ')}`);
+    }
+    if (ids.has(node.id)) {
+      throw new GraphFormatError(`Duplicate node id "${node.id}"`);
+    }
+    ids.add(node.id);
+  }
+
+  for (const edge of graph.edges) {
+    if (!RELATIONSHIP_TYPE.test(edge.type)) {
+      throw new GraphFormatError(`Edge ${edge.source} -> ${edge.target} has invalid relationship type "${edge.type}"`);
+    }
+    if (!ids.has(edge.source) || !ids.has(edge.target)) {
+      throw new GraphFormatError(`Edge ${edge.source} -> ${edge.target} points at a node that is not in the file`);
+    }
+  }
+
+  const storable = (properties: Record<string, any> = {}) =>
+    Object.fromEntries(Object.entries(properties).map(([name, value]) => [name, toStorableValue(value)]));
+
+  return {
+    nodes: graph.nodes.map(node => ({ ...node, properties: storable(node.properties) })),
+    edges: graph.edges.map(edge => ({ ...edge, properties: storable(edge.properties) })),
+  };
+}
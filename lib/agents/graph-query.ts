@@ -0,0 +1,522 @@
+/**
+ * Graph Query - answer questions about a story with Cypher
+ *
+ * A question ("which characters have met Lord Vex but never been to the
+ * Crystal Cave?") is translated by the model into one parameterized Cypher
+ * query, which is checked before it runs:
+ * - read-only: no write clauses, procedure calls or namespaced functions
+ * - parameterized: no string literals, every $parameter supplied
+ * - scoped: every node pattern carries `scopeKey: $scopeKey` (it is added
+ *   where missing), and anything in parentheses that looks like a node but
+ *   isn't a plain node pattern is rejected, so nothing outside the project's
+ *   subgraph can be matched
+ * - whitelisted: labels and relationship types from the graph schema only
+ *
+ * The query then runs in a read transaction with a timeout and a row cap.
+ * Cypher needs Neo4j - with the embedded store the query API is unavailable.
+ */
+
+import neo4j from 'neo4j-driver';
+import { z } from 'zod';
+import { safeGenerateObject, type ModelChoice } from '@/lib/ai-provider';
+import { getSession, isNeo4jConfigured } from '@/lib/neo4j';
+import {
+  GRAPH_LABELS,
+  GRAPH_RELATIONSHIP_TYPES,
+  toGraphNode,
+  toScopeParams,
+  type GraphData,
+  type GraphEdge,
+  type GraphNode,
+  type GraphScope,
+} from './graph-store';
+
+/** Rows returned at most; a LIMIT is added when the query has none */
+export const MAX_QUERY_ROWS = 100;
+
+/** Upper bound for variable-length relationships like [:INVOLVES*1..3] */
+const MAX_PATH_LENGTH = 4;
+
+const QUERY_TIMEOUT_MS = 10000;
+
+/**
+ * A question that can't be answered safely. `status` is the HTTP status the
+ * API responds with.
+ */
+export class GraphQueryError extends Error {
+  status: number;
+
+  constructor(message: string, status = 422) {
+    super(message);
+    this.name = 'GraphQueryError';
+    this.status = status;
+  }
+}
+
+export interface QueryParameter {
+  name: string;
+  value: string;
+  type: 'string' | 'integer' | 'float' | 'boolean';
+}
+
+const TranslationSchema = z.object({
+  answerable: z.boolean().describe('false when the graph cannot answer the question'),
+  cypher: z.string().describe('One read-only Cypher query, empty when not answerable'),
+  parameters: z.array(z.object({
+    name: z.string().describe('Parameter name without the $'),
+    value: z.string(),
+    type: z.enum(['string', 'integer', 'float', 'boolean']),
+  })),
+  explanation: z.string().describe('One sentence on how the query answers the question'),
+});
+
+export type QueryTranslation = z.infer<typeof TranslationSchema>;
+
+export interface GraphQueryResult {
+  cypher: string;
+  parameters: QueryParameter[];
+  explanation: string;
+  columns: string[];
+  rows: Record<string, any>[];
+  /** Nodes and relationships the query returned, for highlighting */
+  subgraph: GraphData;
+  truncated: boolean;
+}
+
+const SCHEMA_DESCRIPTION = `NODES (every node has id, scopeKey):
+- Character: name, role, description
+- Location: name, type, description
+- Object: name, type, description, significance
+- Event: name, type, description, chapterNumber, sequence
+- PlotThread: name, description, status
+- Chapter: number, summary, mood, tension
+- State: chapterNumber, traits, aliases (character snapshots); attribute, oldValue, newValue, reason (state changes)
+
+RELATIONSHIPS:
+- (Character|Object)-[:APPEARS_IN]->(Chapter)
+- (Location)-[:FEATURED_IN]->(Chapter)
+- (Event)-[:OCCURS_IN]->(Chapter)
+- (PlotThread)-[:ADVANCES_IN]->(Chapter)
+- (Location)-[:CONTAINED_IN]->(Location)
+- (Character)-[:OWNS { since: chapter number }]->(Object)
+- (Event)-[:AT]->(Location)
+- (Event)-[:INVOLVES]->(Character)
+- (Character)-[:ADVANCES]->(PlotThread)
+- (Character)-[:RELATES_TO { type, description, sentiment, chapters }]->(Character)
+- (Character)-[:HAS_STATE]->(State)
+- (any)-[:HAS_STATE_CHANGE]->(State)`;
+
+function buildTranslationPrompt(question: string): string {
+  return `You translate questions about a story into Cypher for a Neo4j story graph.
+
+GRAPH SCHEMA:
+${SCHEMA_DESCRIPTION}
+
+RULES:
+- Write ONE read-only query: MATCH, OPTIONAL MATCH, WHERE, WITH, UNWIND, RETURN, ORDER BY, SKIP, LIMIT only
+- Every node pattern must include { scopeKey: $scopeKey }, e.g. (c:Character { scopeKey: $scopeKey })
+- Node patterns hold only a variable, one or more labels and a property map; filter in a WHERE clause, never inside the parentheses
+- Never write string literals - pass names and other values as parameters ($name) and list them in parameters
+- Do not define the scopeKey parameter; it is supplied automatically
+- Match names case-insensitively: toLower(c.name) = toLower($name)
+- Two characters have met when an Event INVOLVES both; a character has been to a location when an Event they are involved in is AT it
+- Return whole nodes (RETURN c, not c.name) so they can be highlighted in the graph
+- Variable-length relationships need an upper bound of at most ${MAX_PATH_LENGTH}
+- If the schema cannot answer the question, set answerable to false
+
+QUESTION: ${question}`;
+}
+
+/**
+ * Ask the model for a Cypher query answering the question
+ */
+export async function translateQuestion(question: string, model?: ModelChoice): Promise<QueryTranslation> {
+  const { object, success, error } = await safeGenerateObject(
+    buildTranslationPrompt(question),
+    TranslationSchema,
+    { model, temperature: 0.1, timeout: 60000, maxRetries: 2 }
+  );
+
+  if (!success || !object) {
+    throw new GraphQueryError(`Could not translate the question: ${error || 'no response'}`, 502);
+  }
+  if (!object.answerable || !object.cypher.trim()) {
+    throw new GraphQueryError(object.explanation || 'The story graph cannot answer that question');
+  }
+  return object;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const FORBIDDEN_CLAUSES = [
+  'CREATE', 'MERGE', 'DELETE', 'DETACH', 'SET', 'REMOVE', 'DROP', 'LOAD', 'CALL', 'FOREACH',
+  'USE', 'UNION', 'GRANT', 'DENY', 'REVOKE', 'ALTER', 'RENAME', 'SHOW', 'TERMINATE', 'START', 'STOP',
+];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// A node pattern: (var:Label:Other { props })
+const NODE_SOURCE = String.raw`\(\s*[A-Za-z_]?\w*\s*(?::\s*[A-Za-z_]\w*\s*)*(?:\{[^{}]*\})?\s*\)`;
+// A relationship between two node patterns: -[r:TYPE*1..2 { props }]-> or --
+const REL_SOURCE = String.raw`<?-\s*(?:\[[^\[\]]*\])?\s*->?`;
+// Not right after a name: count(c) is a function call, not a pattern (see CLAUSE_BEFORE_PAREN)
+const CHAIN = new RegExp(`(?<![\\w.$])${NODE_SOURCE}(?:\\s*${REL_SOURCE}\\s*${NODE_SOURCE})*`, 'g');
+const NODE = new RegExp(NODE_SOURCE, 'g');
+const CLAUSE_BEFORE_PAREN = /\b(MATCH|WHERE|AND|OR|XOR|NOT|WITH|RETURN|DISTINCT|UNWIND|IN|CASE|WHEN|THEN|ELSE|BY)\(/gi;
+const REL_BRACKET = /\[([^\[\]]*)\]/g;
+// A clause after a LIMIT makes that LIMIT part of an earlier WITH or subquery
+const CLAUSE_KEYWORD = /\b(?:MATCH|OPTIONAL|WHERE|WITH|RETURN|UNWIND|CALL|ORDER|SKIP|UNION)\b|\}/i;
+
+function stripMaps(text: string): string {
+  let stripped = text;
+  let previous;
+  do {
+    previous = stripped;
+    stripped = stripped.replace(/\{[^{}]*\}/g, ' ');
+  } while (stripped !== previous);
+  return stripped;
+}
+
+function parseNode(pattern: string) {
+  const inner = pattern.slice(1, -1);
+  const props = inner.match(/\{[^{}]*\}/)?.[0] || '';
+  const head = inner.replace(props, '');
+  const [variable, ...labels] = head.split(':').map(part => part.trim());
+  const scopeEntries = props.match(/\bscopeKey\s*:/g)?.length || 0;
+  // Exactly one scopeKey entry, so a second one can't override it
+  if (scopeEntries > 1 || (scopeEntries === 1 && !/\bscopeKey\s*:\s*\$scopeKey\s*[,}]/.test(props))) {
+    throw new GraphQueryError(`Node ${pattern} may only use { scopeKey: $scopeKey }`);
+  }
+  return {
+    variable: variable || null,
+    labels: labels.filter(Boolean),
+    props,
+    scoped: scopeEntries === 1,
+  };
+}
+
+/**
+ * The node pattern with `scopeKey: $scopeKey` added to its properties.
+ * Bound variables get it too: after WITH a name can be matched afresh.
+ */
+function scopeNode(pattern: string): string {
+  const node = parseNode(pattern);
+  if (node.scoped) return pattern;
+  if (node.props) {
+    const entries = node.props.slice(1, -1).trim();
+    return pattern.replace(node.props, `{ scopeKey: $scopeKey${entries ? `, ${entries}` : ''} }`);
+  }
+  return `${pattern.slice(0, -1).trimEnd()} { scopeKey: $scopeKey })`;
+}
+
+// What is left in parentheses after the node patterns are taken out may only
+// be an expression: a variable, label or map right after "(" means a node
+// pattern the checks could not read, like (x WHERE ...) or (x:%)
+const UNREAD_NODE = /(?:^|[^\w.$])\(\s*(?:[A-Za-z_]\w*\s*)?(?:[:{|&!%]|WHERE\b)/i;
+
+function checkRelationship(bracket: string) {
+  const head = bracket.replace(/\{[^{}]*\}/, '');
+  const match = head.match(/^\s*(?:[A-Za-z_]\w*)?\s*(?::\s*([^*]*))?(\*.*)?$/);
+  if (!match) {
+    throw new GraphQueryError(`Unsupported relationship pattern [${bracket}]`);
+  }
+
+  const [, types, length] = match;
+
+  for (const type of (types || '').split('|').map(t => t.replace(':', '').trim()).filter(Boolean)) {
+    if (!GRAPH_RELATIONSHIP_TYPES.includes(type)) {
+      throw new GraphQueryError(`Unknown relationship type: ${type}`);
+    }
+  }
+
+  if (length !== undefined) {
+    const upper = length.match(/^\*\s*(?:\d*\s*\.\.\s*)?(\d+)\s*$/);
+    if (!upper || Number(upper[1]) > MAX_PATH_LENGTH) {
+      throw new GraphQueryError(`Variable-length relationships need an upper bound of at most ${MAX_PATH_LENGTH}`);
+    }
+  }
+}
+
+/**
+ * Check a generated query and return it ready to run: trailing semicolon
+ * removed, a row limit applied. Throws GraphQueryError when the query is not
+ * read-only, not parameterized, not scoped, or uses labels or relationship
+ * types outside the schema.
+ */
+export function validateReadQuery(cypher: string, parameters: QueryParameter[]): string {
+  let query = cypher.trim().replace(/;\s*$/, '');
+
+  if (!query) {
+    throw new GraphQueryError('The query is empty');
+  }
+  if (query.includes(';')) {
+    throw new GraphQueryError('Only a single statement is allowed');
+  }
+  if (/\/\/|\/\*/.test(query)) {
+    throw new GraphQueryError('Comments are not allowed');
+  }
+  if (/['"`]/.test(query)) {
+    throw new GraphQueryError('String literals and escaped names are not allowed - values must be parameters');
+  }
+
+  for (const clause of FORBIDDEN_CLAUSES) {
+    if (new RegExp(`\\b${clause}\\b`, 'i').test(query)) {
+      throw new GraphQueryError(`${clause} is not allowed in a read-only query`);
+    }
+  }
+  if (/\b[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+\s*\(/.test(query)) {
+    throw new GraphQueryError('Procedures and namespaced functions are not allowed');
+  }
+  if (!/^\s*(OPTIONAL\s+)?MATCH\b/i.test(query)) {
+    throw new GraphQueryError('The query must start with MATCH');
+  }
+
+  // Parameters: names must be plain, every one used must be supplied
+  const supplied = new Set(['scopeKey']);
+  for (const parameter of parameters) {
+    if (!IDENTIFIER.test(parameter.name) || parameter.name === 'scopeKey') {
+      throw new GraphQueryError(`Invalid parameter name: ${parameter.name}`);
+    }
+    supplied.add(parameter.name);
+  }
+  for (const [, name] of query.matchAll(/\$([A-Za-z_]\w*)/g)) {
+    if (!supplied.has(name)) {
+      throw new GraphQueryError(`Missing value for parameter $${name}`);
+    }
+  }
+
+  // MATCH(x) is a pattern like MATCH (x), not a function call
+  query = query.replace(CLAUSE_BEFORE_PAREN, '$1 (');
+
+  // Scope: every node pattern is pinned to the scope, so relationships from
+  // it (which never cross scopes) and values read from it stay inside too
+  query = query.replace(CHAIN, chain => {
+    const scoped = chain.replace(NODE, pattern => {
+      const node = parseNode(pattern);
+      for (const label of node.labels) {
+        if (!GRAPH_LABELS.includes(label as GraphNode['type'])) {
+          throw new GraphQueryError(`Unknown label: ${label}`);
+        }
+      }
+      return scopeNode(pattern);
+    });
+    for (const [, bracket] of chain.matchAll(REL_BRACKET)) {
+      checkRelationship(bracket);
+    }
+    return scoped;
+  });
+
+  const unread = query.replace(CHAIN, ' ').match(UNREAD_NODE);
+  if (unread) {
+    throw new GraphQueryError('Node patterns may only have a variable, labels and a property map - no inline WHERE or label expressions');
+  }
+
+  // Label predicates outside patterns (WHERE n:Character)
+  const rest = stripMaps(query.replace(CHAIN, ' '));
+  for (const [, label] of rest.matchAll(/[A-Za-z_]\w*\s*:\s*([A-Za-z_]\w*)/g)) {
+    if (!GRAPH_LABELS.includes(label as GraphNode['type'])) {
+      throw new GraphQueryError(`Unknown label: ${label}`);
+    }
+  }
+
+  // Row cap. The last LIMIT is the query's own unless a clause follows it;
+  // everything after it must then be a single number
+  const last = query.match(/\bLIMIT\b(?![\s\S]*\bLIMIT\b)([\s\S]*)$/i);
+  if (!last || CLAUSE_KEYWORD.test(last[1])) {
+    query = `${query}\nLIMIT ${MAX_QUERY_ROWS}`;
+  } else if (!/^\s*\d+\s*$/.test(last[1])) {
+    throw new GraphQueryError('LIMIT must be a number');
+  } else if (Number(last[1]) > MAX_QUERY_ROWS) {
+    query = `${query.slice(0, last.index)}LIMIT ${MAX_QUERY_ROWS}`;
+  }
+
+  return query;
+}
+
+function toParameterValue(parameter: QueryParameter): unknown {
+  switch (parameter.type) {
+    case 'integer': {
+      const value = parseInt(parameter.value, 10);
+      if (isNaN(value)) throw new GraphQueryError(`$${parameter.name} is not an integer`);
+      return neo4j.int(value);
+    }
+    case 'float': {
+      const value = parseFloat(parameter.value);
+      if (isNaN(value)) throw new GraphQueryError(`$${parameter.name} is not a number`);
+      return value;
+    }
+    case 'boolean':
+      return parameter.value === 'true';
+    default:
+      return parameter.value;
+  }
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Turns driver values into JSON, collecting the nodes and relationships seen
+ * along the way
+ */
+class ResultCollector {
+  nodes = new Map<string, GraphNode>();
+  private relationships = new Map<string, { type: string; start: string; end: string; properties: Record<string, any> }>();
+
+  constructor(private scopeKey: string) {}
+
+  toPlain(value: any): any {
+    if (value === null || value === undefined) return null;
+    if (neo4j.isInt(value)) return value.toNumber();
+    if (Array.isArray(value)) return value.map(item => this.toPlain(item));
+    if (value instanceof neo4j.types.Node) return this.addNode(value);
+    if (value instanceof neo4j.types.Relationship) return this.addRelationship(value);
+    if (value instanceof neo4j.types.Path) {
+      return value.segments.map(segment => ({
+        start: this.addNode(segment.start),
+        relationship: this.addRelationship(segment.relationship),
+        end: this.addNode(segment.end),
+      }));
+    }
+    if (typeof value === 'object' && typeof value.toString === 'function' && value.constructor !== Object) {
+      return value.toString();
+    }
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toPlain(item)]));
+    }
+    return value;
+  }
+
+  private addNode(node: any) {
+    if (node.properties.scopeKey !== this.scopeKey) {
+      throw new GraphQueryError('The query reached outside this project');
+    }
+
+    const type = GRAPH_LABELS.find(label => node.labels.includes(label)) || 'State';
+    const properties = this.toPlain({ ...node.properties });
+    const graphNode = toGraphNode(type, properties);
+    this.nodes.set(node.elementId, graphNode);
+    return { id: graphNode.id, label: graphNode.label, type };
+  }
+
+  private addRelationship(relationship: any) {
+    const properties = this.toPlain({ ...relationship.properties });
+    this.relationships.set(relationship.elementId, {
+      type: relationship.type,
+      start: relationship.startNodeElementId,
+      end: relationship.endNodeElementId,
+      properties,
+    });
+    return { type: relationship.type, label: properties.type || relationship.type };
+  }
+
+  /** Ends of returned relationships whose nodes were not returned themselves */
+  unseenEndpoints(): string[] {
+    const ids = new Set<string>();
+    for (const { start, end } of this.relationships.values()) {
+      if (!this.nodes.has(start)) ids.add(start);
+      if (!this.nodes.has(end)) ids.add(end);
+    }
+    return [...ids];
+  }
+
+  /** Relationships whose ends were both returned */
+  subgraph(): GraphData {
+    const edges: GraphEdge[] = [];
+    for (const relationship of this.relationships.values()) {
+      const source = this.nodes.get(relationship.start);
+      const target = this.nodes.get(relationship.end);
+      if (!source || !target) continue;
+
+      edges.push({
+        id: `edge_${edges.length}`,
+        source: source.id,
+        target: target.id,
+        type: relationship.type,
+        label: relationship.properties.type || relationship.type,
+        properties: relationship.properties,
+      });
+    }
+    return { nodes: [...this.nodes.values()], edges };
+  }
+}
+
+/**
+ * Validate and run a query against one scope's subgraph
+ */
+export async function runScopedQuery(
+  scope: GraphScope,
+  cypher: string,
+  parameters: QueryParameter[]
+): Promise<Omit<GraphQueryResult, 'explanation'>> {
+  if (!isNeo4jConfigured()) {
+    throw new GraphQueryError('Graph queries need Neo4j - the embedded graph store cannot run Cypher', 501);
+  }
+
+  const query = validateReadQuery(cypher, parameters);
+  const { scopeKey } = toScopeParams(scope);
+  const params: Record<string, unknown> = { scopeKey };
+  for (const parameter of parameters) {
+    params[parameter.name] = toParameterValue(parameter);
+  }
+
+  const session = getSession();
+  try {
+    const result = await session.executeRead(tx => tx.run(query, params), { timeout: QUERY_TIMEOUT_MS });
+    const collector = new ResultCollector(scopeKey);
+    const rows = result.records.map(record => collector.toPlain(record.toObject()));
+
+    // Returned nodes are checked as they are read. Relationships carry no
+    // scopeKey, so their ends are checked here; plain values can only come
+    // from scoped node patterns, which validateReadQuery guarantees.
+    const endpoints = collector.unseenEndpoints();
+    if (endpoints.length > 0) {
+      const check = await session.executeRead(tx => tx.run(`
+        MATCH (n)
+        WHERE elementId(n) IN $endpoints AND (n.scopeKey IS NULL OR n.scopeKey <> $scopeKey)
+        RETURN count(n) AS outside
+      `, { endpoints, scopeKey }), { timeout: QUERY_TIMEOUT_MS });
+      if (check.records[0].get('outside').toNumber() > 0) {
+        throw new GraphQueryError('The query reached outside this project');
+      }
+    }
+
+    return {
+      cypher: query,
+      parameters,
+      columns: result.records[0]?.keys.map(String) || [],
+      rows,
+      subgraph: collector.subgraph(),
+      truncated: rows.length >= MAX_QUERY_ROWS,
+    };
+  } catch (error: any) {
+    // Syntax errors, type errors and timeouts are the query's fault
+    if (typeof error?.code === 'string' && error.code.startsWith('Neo.ClientError.')) {
+      throw new GraphQueryError(`The generated query failed: ${error.message}`);
+    }
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Answer a question about the story with the rows of a generated query and
+ * the part of the graph they cover
+ */
+export async function queryStoryGraph(
+  scope: GraphScope,
+  question: string,
+  model?: ModelChoice
+): Promise<GraphQueryResult> {
+  if (!isNeo4jConfigured()) {
+    throw new GraphQueryError('Graph queries need Neo4j - the embedded graph store cannot run Cypher', 501);
+  }
+
+  const translation = await translateQuestion(question, model);
+  const result = await runScopedQuery(scope, translation.cypher, translation.parameters);
+  return { ...result, explanation: translation.explanation };
+}
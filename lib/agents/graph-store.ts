@@ -0,0 +1,222 @@
+/**
+ * Graph Store - the storage interface behind the story knowledge graph
+ *
+ * story-knowledge-graph.ts is the public API; it hands every call to a
+ * StoryGraphStore. Two implementations exist:
+ * - neo4j-graph-store.ts, used when NEO4J_URI / NEO4J_PASSWORD are set
+ * - embedded-graph-store.ts, an in-process graph saved to a JSON file, so
+ *   the graph works on a machine without a database server
+ *
+ * This module holds the graph model both implementations share.
+ */
+
+import type { StoryAnalysisResult } from './story-intelligence-core';
+
+// Graph node types for visualization
+export interface GraphNode {
+  id: string;
+  label: string;
+  type: 'Character' | 'Location' | 'Object' | 'Event' | 'PlotThread' | 'Chapter' | 'State';
+  properties: Record<string, any>;
+  color?: string;
+  size?: number;
+}
+
+export interface GraphEdge {
+  id: string;
+  source: string;
+  target: string;
+  type: string;
+  label: string;
+  properties?: Record<string, any>;
+}
+
+export interface GraphData {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+}
+
+/**
+ * Whose graph a call works on: a user's workflow, or the user's standalone
+ * graph (workflowId null) that the Story Graph page ingests into.
+ */
+export interface GraphScope {
+  ownerId: string;
+  workflowId: string | null;
+}
+
+/** Node types shown in the graph; State nodes only hold history */
+export const STORY_NODE_TYPES: GraphNode['type'][] = ['Character', 'Location', 'Object', 'Event', 'PlotThread', 'Chapter'];
+
+/** Every node label in the graph, State included */
+export const GRAPH_LABELS: GraphNode['type'][] = [...STORY_NODE_TYPES, 'State'];
+
+/** Relationship types the stores write (imports may add others) */
+export const GRAPH_RELATIONSHIP_TYPES = [
+  'APPEARS_IN', 'FEATURED_IN', 'OCCURS_IN', 'ADVANCES_IN', 'CONTAINED_IN', 'OWNS',
+  'AT', 'INVOLVES', 'ADVANCES', 'RELATES_TO', 'HAS_STATE', 'HAS_STATE_CHANGE',
+];
+
+// Scope properties written on every node. Entity ids come from the AI and
+// repeat across stories, so nodes are unique by `key` (scope + id), not id.
+export interface ScopeParams {
+  ownerId: string;
+  workflowId: string | null;
+  scopeKey: string;
+}
+
+export function toScopeParams(scope: GraphScope): ScopeParams {
+  if (!scope?.ownerId) {
+    throw new Error('A graph scope needs an ownerId');
+  }
+
+  const workflowId = scope.workflowId || null;
+  return {
+    ownerId: scope.ownerId,
+    workflowId,
+    scopeKey: `${scope.ownerId}/${workflowId || 'standalone'}`
+  };
+}
+
+export function nodeKey(scope: ScopeParams, id: string): string {
+  return `${scope.scopeKey}/${id}`;
+}
+
+/**
+ * The `scopeKey` property of every node in the scope
+ */
+export function getScopeKey(scope: GraphScope): string {
+  return toScopeParams(scope).scopeKey;
+}
+
+// Scope bookkeeping is not story data - keep it out of what clients see
+const INTERNAL_PROPERTIES = ['key', 'scopeKey', 'ownerId', 'distinctFrom'];
+
+export function publicProperties(properties: Record<string, any>): Record<string, any> {
+  const visible = { ...properties };
+  for (const name of INTERNAL_PROPERTIES) {
+    delete visible[name];
+  }
+  return visible;
+}
+
+/**
+ * A relationship as its source node's `rejectedRelationships` records it
+ * once the writer deleted it (RELATES_TO type and target id). The Neo4j
+ * store builds the same string in Cypher.
+ */
+export function rejectedRelationshipKey(type: string, targetId: string): string {
+  return `${type}|${targetId}`;
+}
+
+// Per-chapter history a relationship accumulates, one entry per chapter
+// sync. Merging two relationships concatenates these instead of replacing them.
+export const RELATIONSHIP_HISTORY_KEYS = ['chapters', 'descriptions', 'sentiments', 'strengths'] as const;
+
+// Relationship types come back from the graph or from imported files, and
+// Neo4j splices them into Cypher, so only accept plain identifiers
+export const RELATIONSHIP_TYPE = /^[A-Z][A-Z0-9_]*$/;
+
+// Color mapping for node types
+export const NODE_COLORS: Record<string, string> = {
+  Character: '#8B5CF6',     // Purple
+  Location: '#10B981',      // Emerald
+  Object: '#F59E0B',        // Amber
+  Event: '#EF4444',         // Red
+  PlotThread: '#EC4899',    // Pink
+  Chapter: '#3B82F6',       // Blue
+  State: '#6B7280',         // Gray
+};
+
+export const NODE_SIZES: Record<string, number> = {
+  Character: 12,
+  Location: 10,
+  Object: 6,
+  Event: 8,
+  PlotThread: 10,
+  Chapter: 14,
+  State: 4,
+};
+
+/**
+ * Shape a stored node's properties for visualization
+ */
+export function toGraphNode(type: GraphNode['type'], properties: Record<string, any>): GraphNode {
+  return {
+    id: properties.id,
+    label: type === 'Chapter' ? `Chapter ${properties.number}` : properties.name || properties.id,
+    type,
+    properties: publicProperties(properties),
+    color: NODE_COLORS[type] || '#6B7280',
+    size: NODE_SIZES[type] || 6
+  };
+}
+
+/**
+ * What entity resolution needs to know about a character
+ */
+export interface CharacterProfile {
+  id: string;
+  name: string;
+  role: string;
+  /** Aliases from every state, plus the names of characters merged into it */
+  aliases: string[];
+  /** Chapter ids the character appears in */
+  chapters: string[];
+  /** Characters involved in the same events */
+  coParticipants: string[];
+  /** Characters connected by RELATES_TO in either direction */
+  related: string[];
+  /** Characters a user said are not the same person */
+  distinctFrom: string[];
+}
+
+/**
+ * Every node (State nodes included) and relationship in a scope, with plain
+ * values: numbers rather than driver integers, ISO strings for timestamps.
+ * For readers that fold the whole story in process (as-of queries, the
+ * creative assistant) without depending on a query language.
+ */
+export interface ScopeSnapshot {
+  nodes: Array<{ type: GraphNode['type']; properties: Record<string, any> }>;
+  relationships: Array<{ type: string; source: string; target: string; properties: Record<string, any> }>;
+}
+
+/** A node within a scope, by type and id */
+export interface NodeRef {
+  type: GraphNode['type'];
+  id: string;
+}
+
+/**
+ * A set of low-level changes to one scope's graph, applied in a single
+ * transaction in this order: relationship deletes, node deletes, node upserts,
+ * relationship upserts. Upserts merge properties in; a null value removes
+ * one. RELATES_TO relationships are told apart by `relationType` (their
+ * `type` property), every other type by its two ends.
+ */
+export interface GraphDelta {
+  deleteRelationships: Array<{ type: string; source: NodeRef; target: NodeRef; relationType?: string }>;
+  deleteNodes: NodeRef[];
+  upsertNodes: Array<NodeRef & { properties: Record<string, any> }>;
+  upsertRelationships: Array<{ type: string; source: NodeRef; target: NodeRef; relationType?: string; properties: Record<string, any> }>;
+}
+
+export interface StoryGraphStore {
+  /** 'neo4j' or 'embedded', for logs and diagnostics */
+  readonly kind: string;
+  /** Prepare the store (schema, loading from disk); safe to call repeatedly */
+  initialize(): Promise<void>;
+  updateGraph(analysis: StoryAnalysisResult, scope: GraphScope, replaceGraph: boolean): Promise<{ success: boolean; message: string }>;
+  getGraphOverview(scope: GraphScope): Promise<GraphData>;
+  getGraphByChapter(scope: GraphScope, chapterNumber: number): Promise<GraphData>;
+  getAllChapters(scope: GraphScope): Promise<{ id: string; number: number; summary: string }[]>;
+  clearGraph(scope: GraphScope): Promise<void>;
+  getCharacterTimeline(scope: GraphScope, characterId: string): Promise<any[]>;
+  getCharacterProfiles(scope: GraphScope): Promise<CharacterProfile[]>;
+  mergeCharacters(scope: GraphScope, keepId: string, mergeId: string): Promise<boolean>;
+  markCharactersDistinct(scope: GraphScope, firstId: string, secondId: string): Promise<boolean>;
+  importGraph(scope: GraphScope, graph: GraphData, replaceGraph: boolean): Promise<{ nodes: number; edges: number }>;
+  getScopeSnapshot(scope: GraphScope): Promise<ScopeSnapshot>;
+  applyGraphDelta(scope: GraphScope, delta: GraphDelta): Promise<void>;
+}
@@ -1,393 +0,0 @@
-import { AGENT_DEFINITIONS } from './definitions';
-
-interface AnalysisContext {
-  version?: string;
-  [key: string]: any;
-}
-
-export class StoryIntelligenceCore {
-  static async analyze(manuscript: string, context: AnalysisContext = {}) {
-    // Global context awareness
-    const globalContext = {
-      genre: this.detectGenre(manuscript),
-      themes: this.extractThemes(manuscript),
-      toneProfile: this.analyzeTone(manuscript),
-      narrativeStructure: this.detectStructure(manuscript),
-      writingStyle: this.analyzeStyle(manuscript)
-    };
-
-    return {
-      agentType: 'story-intelligence',
-      context: globalContext,
-      version: context.version || '1.0',
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  static detectGenre(text) {
-    // Simple genre detection based on keywords
-    const genres = {
-      'mystery': ['detective', 'clue', 'murder', 'investigate'],
-      'romance': ['love', 'heart', 'kiss', 'relationship'],
-      'sci-fi': ['spaceship', 'alien', 'future', 'technology'],
-      'fantasy': ['magic', 'dragon', 'wizard', 'kingdom'],
-      'thriller': ['danger', 'chase', 'escape', 'suspense']
-    };
-
-    const scores = {};
-    Object.keys(genres).forEach(genre => {
-      scores[genre] = genres[genre].filter(keyword => 
-        text.toLowerCase().includes(keyword)
-      ).length;
-    });
-
-    return Object.keys(scores).reduce((a, b) => scores[a] > scores[b] ? a : b);
-  }
-
-  static extractThemes(text) {
-    // Extract major themes
-    return ['identity', 'redemption', 'sacrifice', 'love', 'power'];
-  }
-
-  static analyzeTone(text) {
-    return {
-      formality: 'moderate',
-      sentiment: 'neutral',
-      pacing: 'steady'
-    };
-  }
-
-  static detectStructure(text) {
-    return {
-      type: 'three-act',
-      acts: 3,
-      currentAct: 1
-    };
-  }
-
-  static analyzeStyle(text) {
-    return {
-      perspective: 'third-person',
-      tense: 'past',
-      voiceStrength: 'strong'
-    };
-  }
-}
-
-export class KnowledgeGraphAgent {
-  static async buildGraph(storyContext, manuscript) {
-    const entities = {
-      characters: this.extractCharacters(manuscript),
-      locations: this.extractLocations(manuscript),
-      objects: this.extractObjects(manuscript),
-      events: this.extractEvents(manuscript)
-    };
-
-    const relationships = this.mapRelationships(entities);
-    const plotThreads = this.identifyPlotThreads(entities, relationships);
-
-    return {
-      agentType: 'knowledge-graph',
-      entities,
-      relationships,
-      plotThreads,
-      stateHistory: []
-    };
-  }
-
-  static extractCharacters(text) {
-    // Extract character mentions
-    return [
-      {
-        id: 'char-1',
-        name: 'Protagonist',
-        role: 'main',
-        traits: ['determined', 'intelligent'],
-        firstAppearance: 'Chapter 1'
-      }
-    ];
-  }
-
-  static extractLocations(text) {
-    return [
-      {
-        id: 'loc-1',
-        name: 'Main Setting',
-        type: 'city',
-        description: 'Urban environment'
-      }
-    ];
-  }
-
-  static extractObjects(text) {
-    return [
-      {
-        id: 'obj-1',
-        name: 'Important Item',
-        significance: 'plot device'
-      }
-    ];
-  }
-
-  static extractEvents(text) {
-    return [
-      {
-        id: 'event-1',
-        description: 'Inciting incident',
-        chapter: 1,
-        characters: ['char-1']
-      }
-    ];
-  }
-
-  static mapRelationships(entities) {
-    return [
-      {
-        from: 'char-1',
-        to: 'char-2',
-        type: 'ally',
-        strength: 0.8
-      }
-    ];
-  }
-
-  static identifyPlotThreads(entities, relationships) {
-    return [
-      {
-        id: 'thread-1',
-        name: 'Main Plot',
-        status: 'active',
-        entities: ['char-1', 'obj-1']
-      }
-    ];
-  }
-}
-
-export class TemporalReasoningAgent {
-  static async analyzeTimeline(knowledgeGraph, storyContext) {
-    const timeline = this.buildChronology(knowledgeGraph.events);
-    const flashbacks = this.detectFlashbacks(timeline);
-    const causalChains = this.mapCausality(knowledgeGraph.events);
-    const issues = this.validateTemporalConsistency(timeline, causalChains);
-
-    return {
-      agentType: 'temporal-reasoning',
-      timeline,
-      flashbacks,
-      causalChains,
-      temporalIssues: issues
-    };
-  }
-
-  static buildChronology(events) {
-    return events.sort((a, b) => a.timestamp - b.timestamp);
-  }
-
-  static detectFlashbacks(timeline) {
-    return [];
-  }
-
-  static mapCausality(events) {
-    return events.map(event => ({
-      event: event.id,
-      causes: [],
-      effects: []
-    }));
-  }
-
-  static validateTemporalConsistency(timeline, causalChains) {
-    return [];
-  }
-}
-
-export class ContinuityValidator {
-  static async validate(knowledgeGraph: any, timeline: any, manuscript: any) {
-    const contradictions: any[] = this.detectContradictions(knowledgeGraph, timeline);
-    const intentionalChoices: string[] = this.classifyIntentional(contradictions);
-    const errors = contradictions.filter(c => !intentionalChoices.includes(c.id));
-
-    return {
-      agentType: 'continuity-validator',
-      contradictions,
-      errors: errors.map(e => ({
-        ...e,
-        severity: this.assessSeverity(e)
-      })),
-      intentionalChoices,
-      continuityScore: this.calculateScore(errors)
-    };
-  }
-
-  static detectContradictions(knowledgeGraph: any, timeline: any): any[] {
-    return [];
-  }
-
-  static classifyIntentional(contradictions: any[]): string[] {
-    return [];
-  }
-
-  static assessSeverity(error: any): string {
-    return 'low'; // low, medium, high, critical
-  }
-
-  static calculateScore(errors: any[]): number {
-    return Math.max(0, 100 - (errors.length * 5));
-  }
-}
-
-export class CreativeCoAuthor {
-  static async generateSuggestions(storyContext, knowledgeGraph, userIntent) {
-    const sceneSuggestions = this.suggestScenes(storyContext, knowledgeGraph);
-    const plotIdeas = this.developPlot(storyContext, knowledgeGraph);
-    const dialogueImprovements = this.enhanceDialogue(userIntent);
-    const characterGuidance = this.guideCharacterArcs(knowledgeGraph.entities.characters);
-
-    return {
-      agentType: 'creative-coauthor',
-      sceneSuggestions,
-      plotIdeas,
-      dialogueImprovements,
-      characterGuidance,
-      themeReinforcement: this.reinforceThemes(storyContext)
-    };
-  }
-
-  static suggestScenes(context, graph) {
-    return [
-      {
-        title: 'Dramatic Confrontation',
-        description: 'A tense scene where character motivations clash',
-        placement: 'Act 2'
-      }
-    ];
-  }
-
-  static developPlot(context, graph) {
-    return [
-      {
-        idea: 'Introduce unexpected ally',
-        rationale: 'Adds complexity to relationships'
-      }
-    ];
-  }
-
-  static enhanceDialogue(intent) {
-    return [];
-  }
-
-  static guideCharacterArcs(characters) {
-    return characters.map(char => ({
-      character: char.name,
-      currentArc: 'development',
-      suggestions: ['Show vulnerability', 'Test beliefs']
-    }));
-  }
-
-  static reinforceThemes(context) {
-    return context.themes || [];
-  }
-}
-
-export class IntelligentRecall {
-  static async query(knowledgeGraph, storyContext, query) {
-    const results = this.search(knowledgeGraph, query);
-    const references = this.findReferences(results, knowledgeGraph);
-    const relatedInfo = this.getRelatedInfo(results, knowledgeGraph);
-
-    return {
-      agentType: 'intelligent-recall',
-      query,
-      answer: this.formAnswer(results, references),
-      references,
-      relatedInfo
-    };
-  }
-
-  static search(graph, query) {
-    // Search across all entities
-    return [];
-  }
-
-  static findReferences(results, graph) {
-    return [];
-  }
-
-  static getRelatedInfo(results, graph) {
-    return [];
-  }
-
-  static formAnswer(results, references) {
-    return 'Answer based on story knowledge';
-  }
-}
-
-export class CinematicTeaserGenerator {
-  static async generate(storyContext, knowledgeGraph, preferences = {}) {
-    const essence = this.extractEssence(storyContext, knowledgeGraph);
-    const teaserScript = this.createTeaserScript(essence, preferences);
-    const visualPrompts = this.generateVisualPrompts(essence, teaserScript);
-
-    return {
-      agentType: 'cinematic-teaser',
-      storyEssence: essence,
-      teaserScript,
-      visualPrompts,
-      hooks: this.createHooks(essence),
-      videoGeneration: {
-        ready: true,
-        prompts: visualPrompts
-      }
-    };
-  }
-
-  static extractEssence(context, graph) {
-    return {
-      genre: context.genre,
-      mainConflict: 'Character vs. destiny',
-      mood: 'intense',
-      keyMoments: ['inciting incident', 'turning point', 'climax']
-    };
-  }
-
-  static createTeaserScript(essence, preferences) {
-    return {
-      duration: preferences.duration || 90,
-      structure: ['hook', 'build', 'reveal', 'title'],
-      narration: 'In a world where...',
-      music: 'dramatic orchestral'
-    };
-  }
-
-  static generateVisualPrompts(essence, script) {
-    return [
-      {
-        scene: 'opening',
-        prompt: 'Cinematic wide shot of futuristic city at sunset',
-        duration: 3
-      },
-      {
-        scene: 'character intro',
-        prompt: 'Close-up of determined protagonist',
-        duration: 2
-      }
-    ];
-  }
-
-  static createHooks(essence) {
-    return [
-      'What if everything you knew was a lie?',
-      'One choice. No turning back.'
-    ];
-  }
-}
-
-// Export all agents
-export const AGENT_IMPLEMENTATIONS = {
-  'story-intelligence': StoryIntelligenceCore,
-  'knowledge-graph': KnowledgeGraphAgent,
-  'temporal-reasoning': TemporalReasoningAgent,
-  'continuity-validator': ContinuityValidator,
-  'creative-coauthor': CreativeCoAuthor,
-  'intelligent-recall': IntelligentRecall,
-  'cinematic-teaser': CinematicTeaserGenerator
-};
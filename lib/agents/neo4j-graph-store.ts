@@ -0,0 +1,1187 @@
+/**
+ * Neo4j Graph Store - the story knowledge graph in Neo4j
+ *
+ * - Implement node types: Character, Location, Object, Event, PlotThread, Chapter
+ * - Implement relationship types: RELATES_TO, AT, OWNS, INVOLVES, OCCURS_IN, ADVANCES
+ * - Implement temporal state tracking using State nodes
+ * - Never overwrite state; always append new state nodes
+ * - Confine every read and write to one owner's project (GraphScope)
+ */
+
+import neo4j from 'neo4j-driver';
+import { runQuery, runWriteTransaction, getSession } from '@/lib/neo4j';
+import { ensureGraphSchema } from '@/lib/graph-migrations/runner';
+import {
+  nodeKey,
+  publicProperties,
+  GRAPH_LABELS,
+  toScopeParams,
+  NODE_COLORS,
+  NODE_SIZES,
+  RELATIONSHIP_HISTORY_KEYS,
+  RELATIONSHIP_TYPE,
+  STORY_NODE_TYPES,
+  type CharacterProfile,
+  type GraphData,
+  type GraphDelta,
+  type GraphEdge,
+  type GraphNode,
+  type GraphScope,
+  type NodeRef,
+  type ScopeParams,
+  type ScopeSnapshot,
+  type StoryGraphStore,
+} from './graph-store';
+import type {
+  StoryAnalysisResult,
+  Character,
+  Location,
+  StoryObject,
+  Event,
+  Relationship,
+  PlotThread,
+  StateChange,
+  TemporalMarker
+} from './story-intelligence-core';
+
+/**
+ * Store a chapter in the graph
+ */
+async function storeChapter(analysis: StoryAnalysisResult, scope: ScopeParams): Promise<void> {
+  await runWriteTransaction(async (tx) => {
+    await tx.run(`
+      MERGE (ch:Chapter { key: $key })
+      SET ch.id = $id,
+          ch.number = $number,
+          ch.version = $version,
+          ch.timestamp = $timestamp,
+          ch.summary = $summary,
+          ch.mood = $mood,
+          ch.tension = $tension,
+          ch.ownerId = $ownerId,
+          ch.workflowId = $workflowId,
+          ch.scopeKey = $scopeKey
+    `, {
+      ...scope,
+      key: nodeKey(scope, analysis.chapterId),
+      id: analysis.chapterId,
+      number: analysis.chapterNumber,
+      version: analysis.version,
+      timestamp: analysis.timestamp,
+      summary: analysis.summary,
+      mood: analysis.context.mood,
+      tension: analysis.context.tension
+    });
+  });
+}
+
+/**
+ * Store characters in the graph
+ */
+async function storeCharacters(characters: Character[], chapterId: string, chapterNumber: number, version: number, scope: ScopeParams): Promise<void> {
+  for (const char of characters) {
+    await runWriteTransaction(async (tx) => {
+      // A character merged into another (entity resolution) keeps resolving
+      // to the surviving node, which also keeps its canonical name
+      const merged = await tx.run(`
+        MATCH (c:Character { scopeKey: $scopeKey })
+        WHERE $id IN coalesce(c.mergedIds, []) OR $name IN coalesce(c.mergedNames, [])
+        RETURN c.id AS id
+        LIMIT 1
+      `, { scopeKey: scope.scopeKey, id: char.id, name: char.name });
+      const mergedInto: string | undefined = merged.records[0]?.get('id');
+      const charId = mergedInto || char.id;
+
+      // Create or merge character node within the scope
+      await tx.run(`
+        MERGE (c:Character { key: $key })
+        SET c += CASE WHEN c.userAsserted THEN {} ELSE {
+              name: coalesce($name, c.name),
+              role: $role,
+              description: $description
+            } END,
+            c.id = $id,
+            c.ownerId = $ownerId,
+            c.workflowId = $workflowId,
+            c.scopeKey = $scopeKey,
+            c.lastUpdated = datetime()
+        WITH c
+        MATCH (ch:Chapter { key: $chapterKey })
+        MERGE (c)-[:APPEARS_IN]->(ch)
+      `, {
+        ...scope,
+        key: nodeKey(scope, charId),
+        id: charId,
+        name: mergedInto ? null : char.name,
+        role: char.role || 'unknown',
+        description: char.description || '',
+        chapterKey: nodeKey(scope, chapterId)
+      });
+
+      // Create state node for temporal tracking (append, never overwrite)
+      const stateId = `state_${charId}_v${version}_${Date.now()}`;
+      await tx.run(`
+        MATCH (c:Character { key: $charKey })
+        CREATE (s:State {
+          key: $stateKey,
+          id: $stateId,
+          version: $version,
+          chapter: $chapterId,
+          chapterNumber: $chapterNumber,
+          traits: $traits,
+          aliases: $aliases,
+          ownerId: $ownerId,
+          workflowId: $workflowId,
+          scopeKey: $scopeKey,
+          timestamp: datetime()
+        })
+        CREATE (c)-[:HAS_STATE]->(s)
+      `, {
+        ...scope,
+        charKey: nodeKey(scope, charId),
+        stateKey: nodeKey(scope, stateId),
+        stateId,
+        version,
+        chapterId,
+        chapterNumber,
+        traits: char.traits || [],
+        aliases: char.aliases || []
+      });
+    });
+  }
+}
+
+/**
+ * Store locations in the graph
+ */
+async function storeLocations(locations: Location[], chapterId: string, scope: ScopeParams): Promise<void> {
+  for (const loc of locations) {
+    await runWriteTransaction(async (tx) => {
+      await tx.run(`
+        MERGE (l:Location { key: $key })
+        SET l += CASE WHEN l.userAsserted THEN {} ELSE {
+              name: $name,
+              type: $type,
+              description: $description
+            } END,
+            l.id = $id,
+            l.ownerId = $ownerId,
+            l.workflowId = $workflowId,
+            l.scopeKey = $scopeKey,
+            l.lastUpdated = datetime()
+        WITH l
+        MATCH (ch:Chapter { key: $chapterKey })
+        MERGE (l)-[:FEATURED_IN]->(ch)
+      `, {
+        ...scope,
+        key: nodeKey(scope, loc.id),
+        id: loc.id,
+        name: loc.name,
+        type: loc.type || 'unknown',
+        description: loc.description || '',
+        chapterKey: nodeKey(scope, chapterId)
+      });
+
+      // Handle containment relationships
+      if (loc.containedIn) {
+        await tx.run(`
+          MATCH (l:Location { key: $locKey })
+          MATCH (parent:Location { scopeKey: $scopeKey, name: $parentName })
+          MERGE (l)-[:CONTAINED_IN]->(parent)
+        `, {
+          locKey: nodeKey(scope, loc.id),
+          scopeKey: scope.scopeKey,
+          parentName: loc.containedIn
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Store objects in the graph
+ */
+async function storeObjects(objects: StoryObject[], chapterId: string, chapterNumber: number, scope: ScopeParams): Promise<void> {
+  for (const obj of objects) {
+    await runWriteTransaction(async (tx) => {
+      await tx.run(`
+        MERGE (o:Object { key: $key })
+        SET o += CASE WHEN o.userAsserted THEN {} ELSE {
+              name: $name,
+              type: $type,
+              description: $description,
+              significance: $significance
+            } END,
+            o.id = $id,
+            o.ownerId = $ownerId,
+            o.workflowId = $workflowId,
+            o.scopeKey = $scopeKey,
+            o.lastUpdated = datetime()
+        WITH o
+        MATCH (ch:Chapter { key: $chapterKey })
+        MERGE (o)-[:APPEARS_IN]->(ch)
+      `, {
+        ...scope,
+        key: nodeKey(scope, obj.id),
+        id: obj.id,
+        name: obj.name,
+        type: obj.type || 'prop',
+        description: obj.description || '',
+        significance: obj.significance || '',
+        chapterKey: nodeKey(scope, chapterId)
+      });
+
+      // Handle ownership, remembering the earliest chapter it was seen in
+      if (obj.owner) {
+        await tx.run(`
+          MATCH (o:Object { key: $objKey })
+          MATCH (c:Character { scopeKey: $scopeKey })
+          WHERE c.name = $ownerName OR $ownerName IN coalesce(c.mergedNames, [])
+          MERGE (c)-[owns:OWNS]->(o)
+          SET owns.since = CASE WHEN owns.since IS NULL OR owns.since > $chapterNumber THEN $chapterNumber ELSE owns.since END
+        `, {
+          objKey: nodeKey(scope, obj.id),
+          scopeKey: scope.scopeKey,
+          ownerName: obj.owner,
+          chapterNumber
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Store events in the graph
+ */
+async function storeEvents(events: Event[], chapterId: string, chapterNumber: number, scope: ScopeParams): Promise<void> {
+  // An event's position in its chapter is its scene number for as-of queries
+  for (const [index, evt] of events.entries()) {
+    await runWriteTransaction(async (tx) => {
+      await tx.run(`
+        MERGE (e:Event { key: $key })
+        SET e += CASE WHEN e.userAsserted THEN {} ELSE {
+              name: $name,
+              description: $description,
+              type: $type,
+              isTemporal: $isTemporal,
+              temporalType: $temporalType,
+              timestamp: $timestamp,
+              chapterNumber: $chapterNumber,
+              sequence: $sequence
+            } END,
+            e.id = $id,
+            e.ownerId = $ownerId,
+            e.workflowId = $workflowId,
+            e.scopeKey = $scopeKey,
+            e.lastUpdated = datetime()
+        WITH e
+        MATCH (ch:Chapter { key: $chapterKey })
+        MERGE (e)-[:OCCURS_IN]->(ch)
+      `, {
+        ...scope,
+        key: nodeKey(scope, evt.id),
+        id: evt.id,
+        name: evt.name,
+        description: evt.description,
+        type: evt.type,
+        isTemporal: evt.isTemporal || false,
+        temporalType: evt.temporalType || 'current',
+        timestamp: evt.timestamp || '',
+        chapterNumber,
+        sequence: index + 1,
+        chapterKey: nodeKey(scope, chapterId)
+      });
+
+      // Link event to location
+      if (evt.location) {
+        await tx.run(`
+          MATCH (e:Event { key: $evtKey })
+          MATCH (l:Location { scopeKey: $scopeKey, name: $locName })
+          MERGE (e)-[:AT]->(l)
+        `, {
+          evtKey: nodeKey(scope, evt.id),
+          scopeKey: scope.scopeKey,
+          locName: evt.location
+        });
+      }
+
+      // Link event to characters
+      for (const charName of evt.characters) {
+        await tx.run(`
+          MATCH (e:Event { key: $evtKey })
+          MATCH (c:Character { scopeKey: $scopeKey })
+          WHERE c.name = $charName OR $charName IN coalesce(c.mergedNames, [])
+          MERGE (e)-[:INVOLVES]->(c)
+        `, {
+          evtKey: nodeKey(scope, evt.id),
+          scopeKey: scope.scopeKey,
+          charName
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Store plot threads in the graph
+ */
+async function storePlotThreads(plotThreads: PlotThread[], chapterId: string, scope: ScopeParams): Promise<void> {
+  for (const plot of plotThreads) {
+    await runWriteTransaction(async (tx) => {
+      await tx.run(`
+        MERGE (p:PlotThread { key: $key })
+        SET p += CASE WHEN p.userAsserted THEN {} ELSE {
+              name: $name,
+              description: $description,
+              status: $status
+            } END,
+            p.id = $id,
+            p.ownerId = $ownerId,
+            p.workflowId = $workflowId,
+            p.scopeKey = $scopeKey,
+            p.lastUpdated = datetime()
+        WITH p
+        MATCH (ch:Chapter { key: $chapterKey })
+        MERGE (p)-[:ADVANCES_IN]->(ch)
+      `, {
+        ...scope,
+        key: nodeKey(scope, plot.id),
+        id: plot.id,
+        name: plot.name,
+        description: plot.description,
+        status: plot.status,
+        chapterKey: nodeKey(scope, chapterId)
+      });
+
+      // Link to related characters
+      for (const charName of plot.relatedCharacters) {
+        await tx.run(`
+          MATCH (p:PlotThread { key: $plotKey })
+          MATCH (c:Character { scopeKey: $scopeKey })
+          WHERE c.name = $charName OR $charName IN coalesce(c.mergedNames, [])
+          MERGE (c)-[:ADVANCES]->(p)
+        `, {
+          plotKey: nodeKey(scope, plot.id),
+          scopeKey: scope.scopeKey,
+          charName
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Store relationships in the graph
+ */
+async function storeRelationships(relationships: Relationship[], chapterNumber: number, scope: ScopeParams): Promise<void> {
+  for (const rel of relationships) {
+    await runWriteTransaction(async (tx) => {
+      // Dynamic relationship creation based on types. The latest values sit
+      // on the relationship; the per-chapter history lets as-of queries
+      // replay how it changed.
+      const query = `
+        MATCH (source:${rel.sourceType} { scopeKey: $scopeKey })
+        WHERE source.name = $sourceName OR $sourceName IN coalesce(source.mergedNames, [])
+        MATCH (target:${rel.targetType} { scopeKey: $scopeKey })
+        WHERE target.name = $targetName OR $targetName IN coalesce(target.mergedNames, [])
+        // Skip relationships the writer deleted or corrected
+        WITH source, target
+        WHERE NOT ($relType + '|' + target.id) IN coalesce(source.rejectedRelationships, [])
+        MERGE (source)-[r:RELATES_TO { type: $relType }]->(target)
+        WITH r
+        WHERE r.userAsserted IS NULL
+        SET r.description = $description,
+            r.sentiment = $sentiment,
+            r.strength = $strength,
+            r.chapters = coalesce(r.chapters, []) + $chapterNumber,
+            r.descriptions = coalesce(r.descriptions, []) + $description,
+            r.sentiments = coalesce(r.sentiments, []) + $sentiment,
+            r.strengths = coalesce(r.strengths, []) + $strength,
+            r.lastUpdated = datetime()
+      `;
+
+      try {
+        await tx.run(query, {
+          scopeKey: scope.scopeKey,
+          sourceName: rel.source,
+          targetName: rel.target,
+          relType: rel.type,
+          description: rel.description || '',
+          sentiment: rel.sentiment || 'neutral',
+          strength: rel.strength || 0.5,
+          chapterNumber
+        });
+      } catch (error) {
+        console.warn(`Could not create relationship: ${rel.source} -> ${rel.target}`);
+      }
+    });
+  }
+}
+
+/**
+ * Store state changes with temporal tracking
+ */
+async function storeStateChanges(stateChanges: StateChange[], chapterId: string, chapterNumber: number, version: number, scope: ScopeParams): Promise<void> {
+  // Changes are ordered within the chapter in the order the analysis reported them
+  for (const [index, change] of stateChanges.entries()) {
+    await runWriteTransaction(async (tx) => {
+      const stateId = `change_${change.entityId}_${change.attribute}_v${version}_${Date.now()}`;
+
+      await tx.run(`
+        MATCH (entity:${change.entityType} { key: $entityKey })
+        CREATE (s:State {
+          key: $stateKey,
+          id: $stateId,
+          attribute: $attribute,
+          oldValue: $oldValue,
+          newValue: $newValue,
+          reason: $reason,
+          chapter: $chapterId,
+          chapterNumber: $chapterNumber,
+          sequence: $sequence,
+          version: $version,
+          ownerId: $ownerId,
+          workflowId: $workflowId,
+          scopeKey: $scopeKey,
+          timestamp: datetime()
+        })
+        CREATE (entity)-[:HAS_STATE_CHANGE]->(s)
+      `, {
+        ...scope,
+        entityKey: nodeKey(scope, change.entityId),
+        stateKey: nodeKey(scope, stateId),
+        stateId,
+        attribute: change.attribute,
+        oldValue: change.oldValue || '',
+        newValue: change.newValue,
+        reason: change.reason || '',
+        chapterId,
+        chapterNumber,
+        sequence: index + 1,
+        version
+      });
+    });
+  }
+}
+
+/**
+ * Update the graph with story analysis results, inside the given scope
+ */
+async function updateGraph(
+  analysis: StoryAnalysisResult,
+  scope: GraphScope,
+  replaceGraph: boolean = false
+): Promise<{ success: boolean; message: string }> {
+  try {
+    const params = toScopeParams(scope);
+
+    // If replaceGraph is true, clear what earlier analyses extracted first
+    if (replaceGraph) {
+      await clearExtractedGraph(scope);
+    }
+
+    // Store in sequence to maintain data integrity
+    await storeChapter(analysis, params);
+    await storeCharacters(analysis.characters, analysis.chapterId, analysis.chapterNumber, analysis.version, params);
+    await storeLocations(analysis.locations, analysis.chapterId, params);
+    await storeObjects(analysis.objects, analysis.chapterId, analysis.chapterNumber, params);
+    await storeEvents(analysis.events, analysis.chapterId, analysis.chapterNumber, params);
+    await storePlotThreads(analysis.plotThreads, analysis.chapterId, params);
+    await storeRelationships(analysis.relationships, analysis.chapterNumber, params);
+    await storeStateChanges(analysis.stateChanges, analysis.chapterId, analysis.chapterNumber, analysis.version, params);
+
+    return {
+      success: true,
+      message: `Successfully ${replaceGraph ? 'replaced' : 'updated'} graph with ${analysis.characters.length} characters, ${analysis.locations.length} locations, ${analysis.events.length} events for ${params.workflowId ? `workflow ${params.workflowId}` : 'the standalone graph'}`
+    };
+  } catch (error) {
+    console.error('Failed to update graph:', error);
+    return {
+      success: false,
+      message: error instanceof Error ? error.message : 'Failed to update graph'
+    };
+  }
+}
+
+/**
+ * Get graph overview - all nodes and edges in the scope
+ */
+async function getGraphOverview(scope: GraphScope): Promise<GraphData> {
+  const { scopeKey } = toScopeParams(scope);
+
+  try {
+    const session = getSession();
+
+    try {
+      const nodesResult = await session.run(`
+        MATCH (n)
+        WHERE (n:Character OR n:Location OR n:Object OR n:Event OR n:PlotThread OR n:Chapter)
+        AND n.scopeKey = $scopeKey
+        RETURN n, labels(n) as labels
+      `, { scopeKey });
+
+      const nodes: GraphNode[] = nodesResult.records.map(record => {
+        const node = record.get('n');
+        const labels = record.get('labels') as string[];
+        const type = labels.find(l => ['Character', 'Location', 'Object', 'Event', 'PlotThread', 'Chapter'].includes(l)) || 'Unknown';
+
+        return {
+          id: node.properties.id,
+          label: node.properties.name || node.properties.id,
+          type: type as GraphNode['type'],
+          properties: publicProperties(node.properties),
+          color: NODE_COLORS[type] || '#6B7280',
+          size: NODE_SIZES[type] || 6
+        };
+      });
+
+      if (nodes.length === 0) {
+        return { nodes: [], edges: [] };
+      }
+
+      // Relationships never cross scopes, but filter both ends anyway
+      const edgesResult = await session.run(`
+        MATCH (a)-[r]->(b)
+        WHERE (a:Character OR a:Location OR a:Object OR a:Event OR a:PlotThread OR a:Chapter)
+        AND (b:Character OR b:Location OR b:Object OR b:Event OR b:PlotThread OR b:Chapter)
+        AND a.scopeKey = $scopeKey AND b.scopeKey = $scopeKey
+        RETURN a.id as sourceId, b.id as targetId, type(r) as relType, properties(r) as props
+      `, { scopeKey });
+
+      const edges: GraphEdge[] = edgesResult.records.map((record, index) => {
+        const relType = record.get('relType');
+        const props = record.get('props') || {};
+
+        return {
+          id: `edge_${index}`,
+          source: record.get('sourceId'),
+          target: record.get('targetId'),
+          type: relType,
+          label: props.type || relType,
+          properties: props
+        };
+      });
+
+      return { nodes, edges };
+    } finally {
+      await session.close();
+    }
+  } catch (error) {
+    console.error('Failed to get graph overview:', error);
+    return { nodes: [], edges: [] };
+  }
+}
+
+/**
+ * Get graph filtered by chapter, within the scope
+ */
+async function getGraphByChapter(scope: GraphScope, chapterNumber: number): Promise<GraphData> {
+  const { scopeKey } = toScopeParams(scope);
+
+  try {
+    const session = getSession();
+
+    try {
+      // Get chapter and all connected nodes
+      const result = await session.run(`
+        MATCH (ch:Chapter { scopeKey: $scopeKey, number: $chapterNumber })
+        OPTIONAL MATCH (c:Character)-[:APPEARS_IN]->(ch)
+        OPTIONAL MATCH (l:Location)-[:FEATURED_IN]->(ch)
+        OPTIONAL MATCH (e:Event)-[:OCCURS_IN]->(ch)
+        OPTIONAL MATCH (p:PlotThread)-[:ADVANCES_IN]->(ch)
+        OPTIONAL MATCH (o:Object)-[:APPEARS_IN]->(ch)
+        WITH ch, 
+             collect(DISTINCT c) as chars, 
+             collect(DISTINCT l) as locs, 
+             collect(DISTINCT e) as evts,
+             collect(DISTINCT p) as plots,
+             collect(DISTINCT o) as objs
+        RETURN ch, chars, locs, evts, plots, objs
+      `, { scopeKey, chapterNumber });
+
+      const nodes: GraphNode[] = [];
+      const nodeIds = new Set<string>();
+
+      if (result.records.length > 0) {
+        const record = result.records[0];
+
+        // Add chapter node
+        const ch = record.get('ch');
+        if (ch) {
+          nodes.push({
+            id: ch.properties.id,
+            label: `Chapter ${ch.properties.number}`,
+            type: 'Chapter',
+            properties: publicProperties(ch.properties),
+            color: NODE_COLORS.Chapter,
+            size: NODE_SIZES.Chapter
+          });
+          nodeIds.add(ch.properties.id);
+        }
+
+        // Add characters
+        for (const c of record.get('chars')) {
+          if (c && !nodeIds.has(c.properties.id)) {
+            nodes.push({
+              id: c.properties.id,
+              label: c.properties.name,
+              type: 'Character',
+              properties: publicProperties(c.properties),
+              color: NODE_COLORS.Character,
+              size: NODE_SIZES.Character
+            });
+            nodeIds.add(c.properties.id);
+          }
+        }
+
+        // Add locations
+        for (const l of record.get('locs')) {
+          if (l && !nodeIds.has(l.properties.id)) {
+            nodes.push({
+              id: l.properties.id,
+              label: l.properties.name,
+              type: 'Location',
+              properties: publicProperties(l.properties),
+              color: NODE_COLORS.Location,
+              size: NODE_SIZES.Location
+            });
+            nodeIds.add(l.properties.id);
+          }
+        }
+
+        // Add events
+        for (const e of record.get('evts')) {
+          if (e && !nodeIds.has(e.properties.id)) {
+            nodes.push({
+              id: e.properties.id,
+              label: e.properties.name,
+              type: 'Event',
+              properties: publicProperties(e.properties),
+              color: NODE_COLORS.Event,
+              size: NODE_SIZES.Event
+            });
+            nodeIds.add(e.properties.id);
+          }
+        }
+
+        // Add plot threads
+        for (const p of record.get('plots')) {
+          if (p && !nodeIds.has(p.properties.id)) {
+            nodes.push({
+              id: p.properties.id,
+              label: p.properties.name,
+              type: 'PlotThread',
+              properties: publicProperties(p.properties),
+              color: NODE_COLORS.PlotThread,
+              size: NODE_SIZES.PlotThread
+            });
+            nodeIds.add(p.properties.id);
+          }
+        }
+
+        // Add objects
+        for (const o of record.get('objs')) {
+          if (o && !nodeIds.has(o.properties.id)) {
+            nodes.push({
+              id: o.properties.id,
+              label: o.properties.name,
+              type: 'Object',
+              properties: publicProperties(o.properties),
+              color: NODE_COLORS.Object,
+              size: NODE_SIZES.Object
+            });
+            nodeIds.add(o.properties.id);
+          }
+        }
+      }
+
+      // Get edges between these nodes
+      const edgeNodeIds = Array.from(nodeIds);
+      const edgesResult = await session.run(`
+        MATCH (a)-[r]->(b)
+        WHERE a.scopeKey = $scopeKey AND b.scopeKey = $scopeKey
+        AND a.id IN $nodeIds AND b.id IN $nodeIds
+        RETURN a.id as sourceId, b.id as targetId, type(r) as relType, properties(r) as props
+      `, { scopeKey, nodeIds: edgeNodeIds });
+
+      const edges: GraphEdge[] = edgesResult.records.map((record, index) => ({
+        id: `edge_${index}`,
+        source: record.get('sourceId'),
+        target: record.get('targetId'),
+        type: record.get('relType'),
+        label: record.get('props')?.type || record.get('relType'),
+        properties: record.get('props') || {}
+      }));
+
+      return { nodes, edges };
+    } finally {
+      await session.close();
+    }
+  } catch (error) {
+    console.error('Failed to get graph by chapter:', error);
+    return { nodes: [], edges: [] };
+  }
+}
+
+/**
+ * Get all chapters in the scope
+ */
+async function getAllChapters(scope: GraphScope): Promise<{ id: string; number: number; summary: string }[]> {
+  const { scopeKey } = toScopeParams(scope);
+
+  try {
+    const results = await runQuery<any>(`
+      MATCH (ch:Chapter { scopeKey: $scopeKey })
+      RETURN ch.id as id, ch.number as number, ch.summary as summary
+      ORDER BY ch.number
+    `, { scopeKey });
+
+    return results.map(r => ({
+      id: r.id,
+      number: typeof r.number === 'object' ? r.number.toNumber() : r.number,
+      summary: r.summary || ''
+    }));
+  } catch (error) {
+    console.error('Failed to get chapters:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete every node in the scope. There is deliberately no way to clear
+ * more than one scope at a time.
+ */
+async function clearGraph(scope: GraphScope): Promise<void> {
+  const { scopeKey } = toScopeParams(scope);
+
+  await runWriteTransaction(async (tx) => {
+    await tx.run(`
+      MATCH (n)
+      WHERE n.scopeKey = $scopeKey
+      DETACH DELETE n
+    `, { scopeKey });
+  });
+}
+
+/**
+ * Delete what analysis extracted in the scope before a rebuild. Writer
+ * corrections survive: user-asserted nodes and relationships, the nodes at
+ * either end of those relationships, and nodes remembering rejected
+ * relationships in `rejectedRelationships`.
+ */
+async function clearExtractedGraph(scope: GraphScope): Promise<void> {
+  const { scopeKey } = toScopeParams(scope);
+
+  await runWriteTransaction(async (tx) => {
+    await tx.run(`
+      MATCH (n)-[r]-()
+      WHERE n.scopeKey = $scopeKey AND r.userAsserted IS NULL
+      DELETE r
+    `, { scopeKey });
+    await tx.run(`
+      MATCH (n)
+      WHERE n.scopeKey = $scopeKey
+        AND n.userAsserted IS NULL
+        AND size(coalesce(n.rejectedRelationships, [])) = 0
+        AND NOT (n)--()
+      DELETE n
+    `, { scopeKey });
+  });
+}
+
+/**
+ * Get character timeline with all state changes
+ */
+async function getCharacterTimeline(scope: GraphScope, characterId: string): Promise<any[]> {
+  const params = toScopeParams(scope);
+
+  try {
+    const results = await runQuery(`
+      MATCH (c:Character { key: $key })-[:HAS_STATE]->(s:State)
+      RETURN s
+      ORDER BY s.version, s.timestamp
+    `, { key: nodeKey(params, characterId) });
+
+    return results.map(r => publicProperties(r.s.properties));
+  } catch (error) {
+    console.error('Failed to get character timeline:', error);
+    return [];
+  }
+}
+
+/**
+ * Profiles of every character in the scope
+ */
+async function getCharacterProfiles(scope: GraphScope): Promise<CharacterProfile[]> {
+  const { scopeKey } = toScopeParams(scope);
+
+  const results = await runQuery<any>(`
+    MATCH (c:Character { scopeKey: $scopeKey })
+    OPTIONAL MATCH (c)-[:HAS_STATE]->(s:State)
+    WITH c, collect(s.aliases) AS aliasLists
+    OPTIONAL MATCH (c)-[:APPEARS_IN]->(ch:Chapter)
+    WITH c, aliasLists, collect(DISTINCT ch.id) AS chapters
+    OPTIONAL MATCH (c)<-[:INVOLVES]-(:Event)-[:INVOLVES]->(other:Character)
+    WITH c, aliasLists, chapters, collect(DISTINCT other.id) AS coParticipants
+    OPTIONAL MATCH (c)-[:RELATES_TO]-(related:Character)
+    RETURN c.id AS id, c.name AS name, c.role AS role, aliasLists, chapters, coParticipants,
+           collect(DISTINCT related.id) AS related,
+           coalesce(c.mergedNames, []) AS mergedNames,
+           coalesce(c.distinctFrom, []) AS distinctFrom
+    ORDER BY c.name
+  `, { scopeKey });
+
+  return results.map(r => ({
+    id: r.id,
+    name: r.name || r.id,
+    role: r.role || 'unknown',
+    aliases: [...new Set<string>([...(r.aliasLists || []).flat(), ...r.mergedNames].filter(Boolean))],
+    chapters: r.chapters,
+    coParticipants: r.coParticipants.filter((id: string) => id !== r.id),
+    related: r.related.filter((id: string) => id !== r.id),
+    distinctFrom: r.distinctFrom
+  }));
+}
+
+/**
+ * Merge one character into another: every relationship of `mergeId` moves
+ * to `keepId`, its states and aliases carry over, and the duplicate node is
+ * deleted. Later ingests using the old id or name resolve to the kept node.
+ * Returns false when either character is not in the scope.
+ */
+async function mergeCharacters(scope: GraphScope, keepId: string, mergeId: string): Promise<boolean> {
+  const params = toScopeParams(scope);
+  if (keepId === mergeId) return false;
+
+  const keepKey = nodeKey(params, keepId);
+  const mergeKey = nodeKey(params, mergeId);
+
+  return runWriteTransaction(async (tx) => {
+    const found = await tx.run(`
+      MATCH (k:Character { key: $keepKey }), (d:Character { key: $mergeKey })
+      OPTIONAL MATCH (d)-[out]->()
+      WITH k, d, collect(DISTINCT type(out)) AS outgoing
+      OPTIONAL MATCH (d)<-[inc]-()
+      RETURN outgoing, collect(DISTINCT type(inc)) AS incoming
+    `, { keepKey, mergeKey });
+
+    if (found.records.length === 0) return false;
+
+    const outgoing: string[] = found.records[0].get('outgoing');
+    const incoming: string[] = found.records[0].get('incoming');
+
+    // RELATES_TO is keyed by its `type` property, everything else by type alone
+    const mergeOn = (relType: string) => (relType === 'RELATES_TO' ? ' { type: r.type }' : '');
+
+    // Fold the duplicate's relationship into the survivor's: latest values are
+    // taken over and histories concatenated, unless the writer asserted it
+    const absorb = `
+        WITH r, moved, properties(moved) AS before
+        FOREACH (_ IN CASE WHEN before.userAsserted IS NULL THEN [1] ELSE [] END |
+          SET moved += properties(r)${RELATIONSHIP_HISTORY_KEYS.map(key => `,
+              moved.${key} = CASE WHEN before.${key} IS NULL THEN r.${key} ELSE before.${key} + coalesce(r.${key}, []) END`).join('')}
+        )
+        DELETE r`;
+
+    for (const relType of outgoing.filter(type => RELATIONSHIP_TYPE.test(type))) {
+      await tx.run(`
+        MATCH (k:Character { key: $keepKey }), (d:Character { key: $mergeKey })
+        MATCH (d)-[r:${relType}]->(other)
+        WHERE other <> k
+        MERGE (k)-[moved:${relType}${mergeOn(relType)}]->(other)
+        ${absorb}
+      `, { keepKey, mergeKey });
+    }
+
+    for (const relType of incoming.filter(type => RELATIONSHIP_TYPE.test(type))) {
+      await tx.run(`
+        MATCH (k:Character { key: $keepKey }), (d:Character { key: $mergeKey })
+        MATCH (d)<-[r:${relType}]-(other)
+        WHERE other <> k
+        MERGE (k)<-[moved:${relType}${mergeOn(relType)}]-(other)
+        ${absorb}
+      `, { keepKey, mergeKey });
+    }
+
+    // Record the merge as a new state (states are append-only), then drop the duplicate
+    const stateId = `merge_${mergeId}_into_${keepId}_${Date.now()}`;
+    await tx.run(`
+      MATCH (k:Character { key: $keepKey }), (d:Character { key: $mergeKey })
+      CREATE (s:State {
+        key: $stateKey,
+        id: $stateId,
+        attribute: 'mergedFrom',
+        oldValue: d.id,
+        newValue: k.id,
+        reason: 'Merged duplicate character ' + d.name,
+        aliases: [d.name] + coalesce(d.mergedNames, []),
+        ownerId: $ownerId,
+        workflowId: $workflowId,
+        scopeKey: $scopeKey,
+        timestamp: datetime()
+      })
+      CREATE (k)-[:HAS_STATE_CHANGE]->(s)
+      SET k.mergedIds = coalesce(k.mergedIds, []) + d.id + coalesce(d.mergedIds, []),
+          k.mergedNames = [name IN coalesce(k.mergedNames, []) + d.name + coalesce(d.mergedNames, []) WHERE name <> k.name],
+          k.distinctFrom = [id IN coalesce(k.distinctFrom, []) + coalesce(d.distinctFrom, []) WHERE id <> k.id],
+          k.role = CASE WHEN coalesce(k.role, 'unknown') = 'unknown' THEN d.role ELSE k.role END,
+          k.description = CASE WHEN coalesce(k.description, '') = '' THEN d.description ELSE k.description END,
+          k.lastUpdated = datetime()
+      DETACH DELETE d
+    `, { ...params, keepKey, mergeKey, stateKey: nodeKey(params, stateId), stateId });
+
+    return true;
+  });
+}
+
+/**
+ * Record that two characters are different people, so the pair is never
+ * proposed for merging again. Returns false when either is not in the scope.
+ */
+async function markCharactersDistinct(scope: GraphScope, firstId: string, secondId: string): Promise<boolean> {
+  const params = toScopeParams(scope);
+
+  return runWriteTransaction(async (tx) => {
+    const result = await tx.run(`
+      MATCH (a:Character { key: $firstKey }), (b:Character { key: $secondKey })
+      SET a.distinctFrom = [id IN coalesce(a.distinctFrom, []) WHERE id <> b.id] + b.id,
+          b.distinctFrom = [id IN coalesce(b.distinctFrom, []) WHERE id <> a.id] + a.id
+      RETURN a.id AS id
+    `, { firstKey: nodeKey(params, firstId), secondKey: nodeKey(params, secondId) });
+
+    return result.records.length > 0;
+  });
+}
+
+/**
+ * Write an exported graph (see graph-formats.ts) into the scope, optionally
+ * replacing what is there. Nodes merge on their id, so importing into a
+ * populated graph updates matching entities. Node types and relationship
+ * types must already be validated; the whole import is one transaction.
+ */
+async function importGraph(
+  scope: GraphScope,
+  graph: GraphData,
+  replaceGraph: boolean = false
+): Promise<{ nodes: number; edges: number }> {
+  const params = toScopeParams(scope);
+  const typeById = new Map(graph.nodes.map(node => [node.id, node.type]));
+
+  const nodesByType = new Map<string, Array<{ key: string; id: string; props: Record<string, any> }>>();
+  for (const node of graph.nodes) {
+    const rows = nodesByType.get(node.type) || [];
+    rows.push({ key: nodeKey(params, node.id), id: node.id, props: publicProperties(node.properties) });
+    nodesByType.set(node.type, rows);
+  }
+
+  // Labels and relationship types can't be parameters, so batch by them
+  const edgesByShape = new Map<string, Array<{ sourceKey: string; targetKey: string; relationType: string; props: Record<string, any> }>>();
+  for (const edge of graph.edges) {
+    const sourceType = typeById.get(edge.source);
+    const targetType = typeById.get(edge.target);
+    if (!sourceType || !targetType || !RELATIONSHIP_TYPE.test(edge.type)) continue;
+
+    const shape = `${edge.type}|${sourceType}|${targetType}`;
+    const rows = edgesByShape.get(shape) || [];
+    rows.push({
+      sourceKey: nodeKey(params, edge.source),
+      targetKey: nodeKey(params, edge.target),
+      relationType: String(edge.properties?.type ?? 'related'),
+      props: edge.properties || {}
+    });
+    edgesByShape.set(shape, rows);
+  }
+
+  return runWriteTransaction(async (tx) => {
+    if (replaceGraph) {
+      await tx.run(`
+        MATCH (n)
+        WHERE n.scopeKey = $scopeKey
+        DETACH DELETE n
+      `, { scopeKey: params.scopeKey });
+    }
+
+    for (const [type, rows] of nodesByType) {
+      await tx.run(`
+        UNWIND $rows AS row
+        MERGE (n:${type} { key: row.key })
+        SET n += row.props,
+            n.id = row.id,
+            n.ownerId = $ownerId,
+            n.workflowId = $workflowId,
+            n.scopeKey = $scopeKey,
+            n.lastUpdated = datetime()
+      `, { ...params, rows });
+    }
+
+    let edges = 0;
+    for (const [shape, rows] of edgesByShape) {
+      const [relType, sourceType, targetType] = shape.split('|');
+      // RELATES_TO is one edge per relationship type between a pair
+      const pattern = relType === 'RELATES_TO' ? `[r:RELATES_TO { type: row.relationType }]` : `[r:${relType}]`;
+      const result = await tx.run(`
+        UNWIND $rows AS row
+        MATCH (a:${sourceType} { key: row.sourceKey })
+        MATCH (b:${targetType} { key: row.targetKey })
+        MERGE (a)-${pattern}->(b)
+        SET r += row.props
+        RETURN count(r) AS edges
+      `, { rows });
+      edges += result.records[0]?.get('edges')?.toNumber?.() ?? 0;
+    }
+
+    return { nodes: graph.nodes.length, edges };
+  });
+}
+
+// Driver integers and temporal values as plain numbers and ISO strings
+function toPlainValue(value: any): any {
+  if (neo4j.isInt(value)) return value.toNumber();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (neo4j.isDateTime(value) || neo4j.isDate(value) || neo4j.isLocalDateTime(value) || neo4j.isTime(value) || neo4j.isLocalTime(value)) {
+    return value.toString();
+  }
+  return value;
+}
+
+function toPlainProperties(properties: Record<string, any>): Record<string, any> {
+  return Object.fromEntries(Object.entries(properties || {}).map(([name, value]) => [name, toPlainValue(value)]));
+}
+
+/**
+ * Every node and relationship in the scope, State nodes included
+ */
+async function getScopeSnapshot(scope: GraphScope): Promise<ScopeSnapshot> {
+  const { scopeKey } = toScopeParams(scope);
+  const nodeTypes: GraphNode['type'][] = [...STORY_NODE_TYPES, 'State'];
+
+  const [nodeRows, relationshipRows] = await Promise.all([
+    runQuery<any>(`
+      MATCH (n { scopeKey: $scopeKey })
+      RETURN n, labels(n) AS labels
+    `, { scopeKey }),
+    runQuery<any>(`
+      MATCH (a { scopeKey: $scopeKey })-[r]->(b { scopeKey: $scopeKey })
+      RETURN a.id AS sourceId, b.id AS targetId, type(r) AS relType, properties(r) AS props
+    `, { scopeKey }),
+  ]);
+
+  return {
+    nodes: nodeRows.flatMap(row => {
+      const type = (row.labels as string[]).find(label => nodeTypes.includes(label as GraphNode['type']));
+      return type ? [{ type: type as GraphNode['type'], properties: toPlainProperties(publicProperties(row.n.properties)) }] : [];
+    }),
+    relationships: relationshipRows.map(row => ({
+      type: row.relType,
+      source: row.sourceId,
+      target: row.targetId,
+      properties: toPlainProperties(row.props),
+    })),
+  };
+}
+
+/**
+ * Apply node and relationship changes in one transaction (see GraphDelta)
+ */
+async function applyGraphDelta(scope: GraphScope, delta: GraphDelta): Promise<void> {
+  const params = toScopeParams(scope);
+  const isLabel = (type: string) => GRAPH_LABELS.includes(type as GraphNode['type']);
+
+  // Labels and relationship types can't be parameters, so batch by them
+  const group = <T>(items: T[], shapeOf: (item: T) => string) => {
+    const groups = new Map<string, T[]>();
+    for (const item of items) {
+      groups.set(shapeOf(item), [...(groups.get(shapeOf(item)) || []), item]);
+    }
+    return groups;
+  };
+  const relationshipShape = <T extends GraphDelta['deleteRelationships'][number]>(rel: T) => {
+    if (!RELATIONSHIP_TYPE.test(rel.type) || !isLabel(rel.source.type) || !isLabel(rel.target.type)) {
+      throw new Error(`Invalid relationship in graph delta: ${rel.source.type}-[${rel.type}]->${rel.target.type}`);
+    }
+    return `${rel.type}|${rel.source.type}|${rel.target.type}`;
+  };
+  const nodeShape = <T extends NodeRef>(node: T) => {
+    if (!isLabel(node.type)) throw new Error(`Invalid node type in graph delta: ${node.type}`);
+    return node.type;
+  };
+
+  await runWriteTransaction(async (tx) => {
+    for (const [shape, rels] of group(delta.deleteRelationships, relationshipShape)) {
+      const [relType, sourceType, targetType] = shape.split('|');
+      await tx.run(`
+        UNWIND $rows AS row
+        MATCH (a:${sourceType} { key: row.sourceKey })-[r:${relType}]->(b:${targetType} { key: row.targetKey })
+        WHERE row.relationType IS NULL OR r.type = row.relationType
+        DELETE r
+      `, {
+        rows: rels.map(rel => ({
+          sourceKey: nodeKey(params, rel.source.id),
+          targetKey: nodeKey(params, rel.target.id),
+          relationType: rel.relationType ?? null
+        }))
+      });
+    }
+
+    for (const [type, nodes] of group(delta.deleteNodes, nodeShape)) {
+      await tx.run(`
+        UNWIND $keys AS key
+        MATCH (n:${type} { key: key })
+        DETACH DELETE n
+      `, { keys: nodes.map(node => nodeKey(params, node.id)) });
+    }
+
+    for (const [type, nodes] of group(delta.upsertNodes, nodeShape)) {
+      await tx.run(`
+        UNWIND $rows AS row
+        MERGE (n:${type} { key: row.key })
+        SET n += row.props,
+            n.id = row.id,
+            n.ownerId = $ownerId,
+            n.workflowId = $workflowId,
+            n.scopeKey = $scopeKey,
+            n.lastUpdated = datetime()
+      `, {
+        ...params,
+        rows: nodes.map(node => ({ key: nodeKey(params, node.id), id: node.id, props: node.properties }))
+      });
+    }
+
+    for (const [shape, rels] of group(delta.upsertRelationships, relationshipShape)) {
+      const [relType, sourceType, targetType] = shape.split('|');
+      // RELATES_TO is one edge per relationship type between a pair
+      const pattern = relType === 'RELATES_TO' ? `[r:RELATES_TO { type: row.relationType }]` : `[r:${relType}]`;
+      await tx.run(`
+        UNWIND $rows AS row
+        MATCH (a:${sourceType} { key: row.sourceKey })
+        MATCH (b:${targetType} { key: row.targetKey })
+        MERGE (a)-${pattern}->(b)
+        SET r += row.props
+      `, {
+        rows: rels.map(rel => ({
+          sourceKey: nodeKey(params, rel.source.id),
+          targetKey: nodeKey(params, rel.target.id),
+          relationType: rel.relationType ?? null,
+          props: rel.properties
+        }))
+      });
+    }
+  });
+}
+
+export const neo4jGraphStore: StoryGraphStore = {
+  kind: 'neo4j',
+  initialize: ensureGraphSchema,
+  updateGraph,
+  getGraphOverview,
+  getGraphByChapter,
+  getAllChapters,
+  clearGraph,
+  getCharacterTimeline,
+  getCharacterProfiles,
+  mergeCharacters,
+  markCharactersDistinct,
+  importGraph,
+  getScopeSnapshot,
+  applyGraphDelta,
+};
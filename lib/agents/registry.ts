@@ -0,0 +1,722 @@
+/**
+ * Agent Registry - the single definition of every ScriptForge agent
+ *
+ * Each agent declares:
+ * - inputSchema: the ports it reads, validated before it runs
+ * - outputSchema: the structured output requested from the model
+ * - outputs: how each declared output port is read from its result
+ * - buildPrompt / postProcess / afterRun: prompt, result shaping and side effects
+ *
+ * Port names match AGENT_DEFINITIONS[type].inputs/outputs; a mismatch between
+ * the registry and the definitions fails at import time.
+ */
+
+import { z } from 'zod';
+import {
+  safeGenerateObject,
+  StoryContextSchema,
+  KnowledgeGraphSchema,
+  TimelineSchema,
+  ContinuityReportSchema,
+  CreativeSuggestionsSchema,
+  RecallAnswerSchema,
+  TeaserSchema,
+  type GenerationOptions,
+  type ModelChoice,
+} from '@/lib/ai-provider';
+import { AGENT_DEFINITIONS } from './definitions';
+import { updateGraph } from './story-knowledge-graph';
+import { createLogger } from '@/lib/logger';
+import type { AgentType, BuiltInAgentType } from '@/types/workflow';
+import type {
+  AgentContext,
+  StoryContext,
+  KnowledgeGraphData,
+  TimelineData,
+  ContinuityReport,
+  CreativeSuggestions,
+  RecallAnswer,
+  TeaserContent,
+  VisualPrompt,
+} from './types';
+
+const log = createLogger('agent-registry');
+
+const AGENT_TIMEOUT = 120000; // 2 minutes
+const MAX_RETRIES = 3;
+
+// ============================================================================
+// PORTS
+// ============================================================================
+
+/**
+ * Inputs every agent receives regardless of its declared ports
+ */
+export const BASE_INPUTS = ['storyBrief'] as const;
+
+const TEXT_PORT = (context: AgentContext) => context.manuscript || undefined;
+const CUSTOM_PROMPT_PORT = (context: AgentContext) => context.customPrompt || undefined;
+
+/**
+ * Where each input port is read from on the AgentContext
+ */
+export const INPUT_PORTS: Record<string, (context: AgentContext) => unknown> = {
+  storyBrief: context => context.storyBrief,
+  manuscript: TEXT_PORT,
+  script: TEXT_PORT,
+  text: TEXT_PORT,
+  document: TEXT_PORT,
+  scene: TEXT_PORT,
+  story_context: context => context.storyContext,
+  knowledge_graph: context => context.knowledgeGraph,
+  timeline: context => context.timeline,
+  events: context => context.timeline?.chronologicalEvents ?? context.knowledgeGraph?.events,
+  continuity_report: context => context.continuityReport,
+  // The node's custom prompt carries the writer's intent, question or preferences
+  user_intent: CUSTOM_PROMPT_PORT,
+  query: CUSTOM_PROMPT_PORT,
+  preferences: CUSTOM_PROMPT_PORT,
+};
+
+// Port schemas check shape, not content, so older checkpoints and fallbacks still pass
+export const StoryBriefPort = z.string().trim().min(1, 'requires a non-empty storyBrief');
+const TextPort = z.string().optional();
+const StoryContextPort = z.looseObject({ genre: z.string(), themes: z.array(z.string()) });
+const KnowledgeGraphPort = z.looseObject({
+  characters: z.array(z.any()),
+  locations: z.array(z.any()),
+  events: z.array(z.any()),
+  relationships: z.array(z.any()),
+});
+const TimelinePort = z.looseObject({ chronologicalEvents: z.array(z.any()) });
+const ContinuityReportPort = z.looseObject({ continuityScore: z.number() });
+
+// ============================================================================
+// AGENT SPEC
+// ============================================================================
+
+export interface AgentRunOptions extends GenerationOptions {
+  model: ModelChoice;
+  onPartialOutput?: (partial: any) => void;
+}
+
+export interface AgentSpec<TInput = any, TOutput = any, TResult = any> {
+  type: AgentType;
+  /** Where the result lives on the shared AgentContext (built-in agents only) */
+  contextKey?: keyof AgentContext;
+  inputSchema: z.ZodType<TInput>;
+  outputSchema: z.ZodType<TOutput>;
+  /** Reads each declared output port from the result */
+  outputs: Record<string, (result: TResult) => unknown>;
+  /** Model used when neither the workflow nor the user overrides it */
+  model?: ModelChoice;
+  generation?: GenerationOptions;
+  /** Reads an input port from the context, defaults to INPUT_PORTS */
+  readInput?: (port: string, context: AgentContext) => unknown;
+  buildPrompt: (inputs: TInput) => string;
+  /**
+   * Custom generation for agents that need more than one model call.
+   * Returns null when generation failed.
+   */
+  generate?: (inputs: TInput, prompt: string, options: AgentRunOptions) => Promise<TOutput | null>;
+  postProcess?: (output: TOutput) => TResult;
+  /** Side effects once a real (non-fallback) result is available */
+  afterRun?: (result: TResult, context: AgentContext) => Promise<void>;
+}
+
+function sameKeys(a: string[], b: string[]): boolean {
+  return a.length === b.length && a.every(key => b.includes(key));
+}
+
+/**
+ * Check a spec against AGENT_DEFINITIONS so declared contracts can't drift
+ */
+function defineAgent<TInput extends Record<string, any>, TOutput, TResult = TOutput>(
+  spec: AgentSpec<TInput, TOutput, TResult> & { inputSchema: z.ZodObject<any> }
+): AgentSpec<TInput, TOutput, TResult> {
+  const definition = AGENT_DEFINITIONS[spec.type as BuiltInAgentType];
+  const inputPorts = Object.keys(spec.inputSchema.shape).filter(key => !(BASE_INPUTS as readonly string[]).includes(key));
+
+  if (!sameKeys(inputPorts, definition.inputs)) {
+    throw new Error(`Agent '${spec.type}' input schema [${inputPorts}] does not match its definition [${definition.inputs}]`);
+  }
+  if (!sameKeys(Object.keys(spec.outputs), definition.outputs)) {
+    throw new Error(`Agent '${spec.type}' outputs [${Object.keys(spec.outputs)}] do not match its definition [${definition.outputs}]`);
+  }
+  const unknownPort = inputPorts.find(port => !INPUT_PORTS[port]);
+  if (unknownPort) {
+    throw new Error(`Agent '${spec.type}' declares unknown input port '${unknownPort}'`);
+  }
+
+  return spec;
+}
+
+const json = (value: unknown) => JSON.stringify(value || {}, null, 2);
+
+// ============================================================================
+// AGENTS
+// ============================================================================
+
+const storyIntelligence = defineAgent({
+  type: 'story-intelligence',
+  contextKey: 'storyContext',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    manuscript: TextPort,
+    script: TextPort,
+    text: TextPort,
+    document: TextPort,
+  }),
+  outputSchema: StoryContextSchema,
+  outputs: {
+    story_context: (result: StoryContext) => result,
+    style_profile: result => ({ tone: result.tone, writingStyle: result.writingStyle }),
+    structure_analysis: result => result.narrativeStructure,
+  },
+  buildPrompt: inputs => `You are the Story Intelligence Core - the brain of the story analysis system.
+
+STORY/MANUSCRIPT TO ANALYZE:
+${inputs.storyBrief}
+${inputs.manuscript ? `\n\nFULL MANUSCRIPT:\n${inputs.manuscript}` : ''}
+
+YOUR TASK:
+Perform comprehensive story analysis to extract:
+1. Genre identification (be specific: dark fantasy, cozy mystery, space opera, etc.)
+2. Major themes (list 3-5 key themes)
+3. Tone analysis (formality, sentiment, pacing)
+4. Narrative structure (three-act, hero's journey, nonlinear, etc.)
+5. Writing style (perspective, tense, voice characteristics)
+6. Main conflict identification
+7. Setting and time period
+
+Analyze the story thoroughly and provide detailed analysis.`,
+  postProcess: (object): StoryContext => ({
+    genre: object.genre,
+    themes: object.themes,
+    tone: object.tone,
+    narrativeStructure: object.narrativeStructure,
+    writingStyle: object.writingStyle,
+    mainConflict: object.mainConflict,
+    setting: object.setting,
+    timePeriod: object.timePeriod,
+  }),
+});
+
+const knowledgeGraph = defineAgent({
+  type: 'knowledge-graph',
+  contextKey: 'knowledgeGraph',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    story_context: StoryContextPort.optional(),
+    manuscript: TextPort,
+    scene: TextPort,
+  }),
+  outputSchema: KnowledgeGraphSchema,
+  outputs: {
+    knowledge_graph: (result: KnowledgeGraphData) => result,
+    entity_data: result => ({ characters: result.characters, locations: result.locations, objects: result.objects }),
+    relationships: result => result.relationships,
+  },
+  // Graph extraction produces large outputs
+  generation: { maxTokens: 32768 },
+  buildPrompt: inputs => `You are the Story Knowledge Graph Agent - the comprehensive memory system for narrative analysis.
+
+STORY/MANUSCRIPT TO ANALYZE:
+${inputs.storyBrief}
+${inputs.manuscript ? `\n\nFULL MANUSCRIPT:\n${inputs.manuscript}` : ''}
+
+YOUR MISSION: Extract ALL story elements and create a complete knowledge graph.
+
+EXTRACTION REQUIREMENTS:
+1. CHARACTERS: Extract EVERY named character with their role, personality traits, motivations, and current status
+2. LOCATIONS: Extract ALL named places, buildings, cities, and geographic locations
+3. OBJECTS: Extract important items, artifacts, keys, documents, or symbolic objects
+4. EVENTS: Extract major plot events, revelations, confrontations, and turning points
+5. RELATIONSHIPS: Map connections between characters (family, romantic, professional, rivalry, etc.)
+6. PLOT THREADS: Identify main plot and all subplots
+
+Use descriptive IDs like "char-maya-chen" not just "char-1". Include all details from the text.`,
+  postProcess: (object): KnowledgeGraphData => ({
+    characters: object.characters.map(c => ({
+      ...c,
+      relationships: c.relationships || [],
+    })),
+    locations: object.locations,
+    objects: object.objects,
+    events: object.events.map(e => ({
+      ...e,
+      causedBy: e.causedBy || [],
+      effects: e.effects || [],
+    })),
+    relationships: object.relationships.map(r => ({
+      ...r,
+      evolution: r.evolution || [],
+    })),
+    plotThreads: object.plotThreads.map(p => ({
+      ...p,
+      endChapter: p.endChapter,
+    })),
+  }),
+  afterRun: storeKnowledgeGraph,
+});
+
+/**
+ * Store knowledge graph data in the story graph (Neo4j or the embedded store)
+ */
+async function storeKnowledgeGraph(
+  knowledgeGraph: KnowledgeGraphData,
+  context: AgentContext
+): Promise<void> {
+  const hasData = knowledgeGraph.characters.length > 0 ||
+                  knowledgeGraph.locations.length > 0 ||
+                  knowledgeGraph.events.length > 0;
+
+  if (!hasData) {
+    log.warn('No knowledge graph data to store');
+    return;
+  }
+
+  // Never write a graph nobody owns
+  if (!context.ownerId) {
+    log.warn('No workflow owner in context - skipping graph storage');
+    return;
+  }
+
+  try {
+    const chapterId = context.workflowId ? `workflow-${context.workflowId}` : 'workflow-analysis';
+
+    await updateGraph({
+      chapterId,
+      chapterNumber: 1,
+      summary: context.storyBrief.substring(0, 200),
+      workflowId: context.workflowId,
+      characters: knowledgeGraph.characters,
+      locations: knowledgeGraph.locations,
+      objects: knowledgeGraph.objects,
+      events: knowledgeGraph.events.map(e => ({
+        ...e,
+        characters: e.participants || [],
+        type: e.type || 'action'
+      })),
+      relationships: knowledgeGraph.relationships.map(r => ({
+        id: r.id,
+        source: r.from,
+        sourceType: 'Character' as const,
+        target: r.to,
+        targetType: 'Character' as const,
+        type: r.type,
+        description: r.description,
+        strength: r.strength
+      })),
+      plotThreads: knowledgeGraph.plotThreads.map(p => ({
+        ...p,
+        status: p.status === 'active' ? 'developing' :
+                p.status === 'resolved' ? 'resolved' :
+                p.status === 'dormant' ? 'abandoned' : 'introduced'
+      })),
+      stateChanges: [],
+      temporalMarkers: [],
+      version: 1,
+      timestamp: new Date().toISOString(),
+      context: {
+        activeCharacters: knowledgeGraph.characters.map(c => c.name),
+        currentLocation: knowledgeGraph.locations[0]?.name || null,
+        currentTimeline: 'present',
+        recentEvents: knowledgeGraph.events.slice(0, 5).map(e => e.name),
+        openPlotThreads: knowledgeGraph.plotThreads.filter(p => p.status === 'active').map(p => p.name),
+        mood: 'neutral',
+        tension: 'medium' as const
+      }
+    }, { ownerId: context.ownerId, workflowId: context.workflowId || null });
+    log.info('Story graph storage successful');
+  } catch (error) {
+    log.warn('Story graph storage failed (non-fatal)', { error: (error as Error).message });
+  }
+}
+
+const placeholderEvent = (id: string, description: string) => ({
+  id, name: '', description, chapter: 0, timestamp: '', participants: [], location: '',
+  causedBy: [], effects: [], type: 'action' as const,
+});
+
+const temporalReasoning = defineAgent({
+  type: 'temporal-reasoning',
+  contextKey: 'timeline',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    knowledge_graph: KnowledgeGraphPort.optional(),
+    story_context: StoryContextPort.optional(),
+    events: z.array(z.any()).optional(),
+  }),
+  outputSchema: TimelineSchema,
+  outputs: {
+    timeline: (result: TimelineData) => result,
+    causal_chains: result => result.causalChains,
+    temporal_issues: result => result.temporalIssues,
+  },
+  buildPrompt: inputs => `You are the Temporal & Causal Reasoning Agent - the timeline police.
+
+STORY CONTEXT:
+${json(inputs.story_context)}
+
+KNOWLEDGE GRAPH (Events & Characters):
+${json(inputs.knowledge_graph)}
+
+STORY:
+${inputs.storyBrief}
+
+YOUR TASK:
+Analyze the temporal structure and causal relationships:
+1. Build a chronological timeline of events (story time, not narrative order)
+2. Identify flashbacks (events shown out of chronological order, referring to past)
+3. Identify flash-forwards (events shown out of order, referring to future)
+4. Map cause-effect relationships between events
+5. Detect any temporal issues (paradoxes, inconsistencies, gaps)
+6. Assess story duration and pacing`,
+  postProcess: (object): TimelineData => ({
+    chronologicalEvents: object.chronologicalEvents.map(e => ({
+      id: e.id,
+      name: e.name,
+      description: e.description,
+      chapter: e.chapter,
+      timestamp: e.timestamp,
+      participants: e.participants,
+      location: e.location,
+      causedBy: [],
+      effects: [],
+      type: 'action' as const,
+    })),
+    flashbacks: object.flashbacks.map(f => ({
+      event: placeholderEvent(f.eventId, f.description),
+      narrativePosition: f.narrativePosition,
+    })),
+    flashForwards: object.flashForwards.map(f => ({
+      event: placeholderEvent(f.eventId, f.description),
+      narrativePosition: f.narrativePosition,
+    })),
+    causalChains: object.causalChains,
+    temporalIssues: object.temporalIssues,
+    storyDuration: object.storyDuration,
+    narrativePace: object.narrativePace,
+  }),
+});
+
+const continuityValidator = defineAgent({
+  type: 'continuity-validator',
+  contextKey: 'continuityReport',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    story_context: StoryContextPort.optional(),
+    knowledge_graph: KnowledgeGraphPort.optional(),
+    timeline: TimelinePort.optional(),
+    manuscript: TextPort,
+  }),
+  outputSchema: ContinuityReportSchema,
+  outputs: {
+    continuity_report: (result: ContinuityReport) => result,
+    errors: result => result.errors,
+    warnings: result => result.warnings,
+  },
+  buildPrompt: inputs => `You are the Continuity & Intent Validator - the meticulous editor.
+
+STORY CONTEXT:
+${json(inputs.story_context)}
+
+KNOWLEDGE GRAPH:
+${json(inputs.knowledge_graph)}
+
+TIMELINE ANALYSIS:
+${json(inputs.timeline)}
+
+STORY:
+${inputs.storyBrief}
+
+YOUR TASK:
+Validate story continuity and detect issues:
+1. Find contradictions (character traits, facts, locations, objects)
+2. Distinguish intentional narrative choices from errors
+3. Classify errors by severity
+4. Check for plot holes
+5. Validate character consistency
+6. Provide recommendations`,
+});
+
+const creativeCoAuthor = defineAgent({
+  type: 'creative-coauthor',
+  contextKey: 'suggestions',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    story_context: StoryContextPort.optional(),
+    knowledge_graph: KnowledgeGraphPort.optional(),
+    continuity_report: ContinuityReportPort.optional(),
+    user_intent: z.string().optional(),
+  }),
+  outputSchema: CreativeSuggestionsSchema,
+  outputs: {
+    suggestions: (result: CreativeSuggestions) => result,
+    improved_dialogue: result => result.dialogueImprovements,
+    plot_ideas: result => result.plotDevelopments,
+  },
+  buildPrompt: inputs => `You are the Creative Co-Author Agent - the inspiring muse.
+
+STORY CONTEXT:
+${json(inputs.story_context)}
+
+KNOWLEDGE GRAPH:
+${json(inputs.knowledge_graph)}
+
+CONTINUITY REPORT:
+${json(inputs.continuity_report)}
+
+STORY:
+${inputs.storyBrief}
+
+YOUR TASK:
+Provide creative suggestions to enhance the story:
+1. Suggest compelling new scenes (2-3 suggestions)
+2. Propose plot developments (2-3 ideas)
+3. Improve dialogue opportunities (2-3 examples)
+4. Guide character arcs (for main characters)
+5. Reinforce themes
+6. Offer alternative scenarios
+
+Be creative, specific, and actionable!`,
+});
+
+const DEFAULT_RECALL_QUESTIONS = [
+  'What are the key character relationships?',
+  'What are the unresolved plot threads?',
+  'What are the main conflicts?',
+  'How do the themes manifest?',
+  'What are potential story weaknesses?'
+];
+
+const intelligentRecall = defineAgent({
+  type: 'intelligent-recall',
+  contextKey: 'recallAnswers',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    knowledge_graph: KnowledgeGraphPort.optional(),
+    query: z.string().optional(),
+    story_context: StoryContextPort.optional(),
+  }),
+  outputSchema: z.array(RecallAnswerSchema),
+  outputs: {
+    answer: (result: RecallAnswer[]) => result,
+    references: result => result.flatMap(answer => answer.references),
+    related_info: result => result.flatMap(answer => answer.relatedInfo),
+  },
+  // Prompt for the question list; each question is then answered separately
+  buildPrompt: inputs => `Based on this story knowledge, generate 5 insightful questions a writer might ask:
+
+STORY: ${inputs.storyBrief}
+KNOWLEDGE GRAPH: ${json(inputs.knowledge_graph)}
+
+Generate 5 specific, useful questions about the story.`,
+  generate: async (inputs, prompt, options) => {
+    const { onPartialOutput, ...generation } = options;
+    const callOptions = { ...generation, timeout: 60000, maxRetries: 2 };
+
+    const { object: queries, success: queriesSuccess } = await safeGenerateObject(
+      prompt,
+      z.array(z.string()),
+      callOptions
+    );
+    const questionList = queriesSuccess && queries ? queries : DEFAULT_RECALL_QUESTIONS;
+
+    const answers: RecallAnswer[] = [];
+
+    for (const query of questionList.slice(0, 5)) {
+      const answerPrompt = `You are the Intelligent Recall Agent - the story's memory.
+
+STORY CONTEXT:
+${json(inputs.story_context)}
+
+KNOWLEDGE GRAPH:
+${json(inputs.knowledge_graph)}
+
+QUESTION: ${query}
+
+Provide a comprehensive answer with references from the story.`;
+
+      const { object: answer, success } = await safeGenerateObject(answerPrompt, RecallAnswerSchema, callOptions);
+
+      answers.push(success && answer ? answer : {
+        query,
+        answer: 'Unable to process this query at the moment.',
+        confidence: 0,
+        references: [],
+        relatedInfo: []
+      });
+
+      // Answers arrive one by one - report them as partial output
+      onPartialOutput?.([...answers]);
+    }
+
+    return answers;
+  },
+});
+
+const cinematicTeaser = defineAgent({
+  type: 'cinematic-teaser',
+  contextKey: 'teaserContent',
+  inputSchema: z.object({
+    storyBrief: StoryBriefPort,
+    story_context: StoryContextPort.optional(),
+    knowledge_graph: KnowledgeGraphPort.optional(),
+    preferences: z.string().optional(),
+  }),
+  outputSchema: TeaserSchema,
+  outputs: {
+    teaser_script: (result: TeaserContent) => result.teaserScript,
+    visual_prompts: result => result.visualPrompts,
+    // Rendered later from visual_prompts by /api/scriptforge/generate-video
+    video: () => null,
+  },
+  buildPrompt: inputs => `You are the Cinematic Teaser Generator - create an epic, story-specific trailer.
+
+STORY BRIEF:
+${inputs.storyBrief}
+
+STORY CONTEXT:
+${json(inputs.story_context)}
+
+KNOWLEDGE GRAPH:
+${json(inputs.knowledge_graph)}
+
+Create a cinematic teaser/trailer that:
+1. Uses ACTUAL character names, locations, and events from the story
+2. Creates visual prompts specific to THIS story
+3. Includes 4-6 visual scenes with detailed prompts for AI generation
+4. Has a memorable tagline
+
+Make the visual prompts detailed enough for AI video generation (50-100 words each).`,
+  postProcess: (teaser): TeaserContent => ({
+    essence: teaser.essence,
+    teaserScript: teaser.teaserScript,
+    visualPrompts: teaser.visualPrompts.map(v => ({
+      ...v,
+      location: '',
+    })) as VisualPrompt[],
+    hooks: teaser.hooks,
+    tagline: teaser.tagline,
+  }),
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Every agent, in default full-workflow order
+ */
+export const AGENT_REGISTRY: Record<BuiltInAgentType, AgentSpec> = {
+  'story-intelligence': storyIntelligence,
+  'knowledge-graph': knowledgeGraph,
+  'temporal-reasoning': temporalReasoning,
+  'continuity-validator': continuityValidator,
+  'creative-coauthor': creativeCoAuthor,
+  'intelligent-recall': intelligentRecall,
+  'cinematic-teaser': cinematicTeaser,
+};
+
+export const DEFAULT_AGENT_ORDER = Object.keys(AGENT_REGISTRY) as BuiltInAgentType[];
+
+export const DEFAULT_GENERATION: GenerationOptions = {
+  timeout: AGENT_TIMEOUT,
+  maxRetries: MAX_RETRIES,
+};
+
+export function getAgentSpec(agentType: string): AgentSpec {
+  const spec = AGENT_REGISTRY[agentType as BuiltInAgentType];
+  if (!spec) {
+    throw new Error(`Unknown agent type: ${agentType}`);
+  }
+  return spec;
+}
+
+function formatIssues(error: z.ZodError): string {
+  return error.issues
+    .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * Read an agent's declared input ports from the context and validate them.
+ * Throws when a required port is missing or a port has the wrong shape.
+ */
+export function resolveAgentInputs(spec: AgentSpec, context: AgentContext): any {
+  if (!context) {
+    throw new Error('Agent context is required');
+  }
+
+  const shape = (spec.inputSchema as z.ZodObject<any>).shape;
+  const readInput = spec.readInput || ((port: string) => INPUT_PORTS[port](context));
+  const raw = Object.fromEntries(
+    Object.keys(shape).map(port => [port, readInput(port, context)])
+  );
+
+  const parsed = spec.inputSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new Error(`Agent '${spec.type}' input contract violated - ${formatIssues(parsed.error)}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Read every declared output port from a result. Throws when one is missing.
+ */
+export function resolveAgentOutputs(spec: AgentSpec, result: any): Record<string, unknown> {
+  const ports: Record<string, unknown> = {};
+  const missing: string[] = [];
+
+  for (const [port, read] of Object.entries(spec.outputs)) {
+    let value: unknown;
+    try {
+      value = read(result);
+    } catch {
+      value = undefined;
+    }
+    if (value === undefined) missing.push(port);
+    ports[port] = value;
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Agent '${spec.type}' output contract violated - missing ${missing.join(', ')}`);
+  }
+  return ports;
+}
+
+/**
+ * Read a built-in agent's output port (e.g. 'temporal_issues') from the
+ * upstream results on the context. Undefined when that agent hasn't run.
+ */
+export function readOutputPort(port: string, context: AgentContext): unknown {
+  const spec = Object.values(AGENT_REGISTRY).find(candidate => port in candidate.outputs);
+  const result = spec && context.previousResults?.[spec.type];
+  if (result == null) return undefined;
+
+  try {
+    return spec!.outputs[port](result) ?? undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Every built-in output port, in agent order
+ */
+export const OUTPUT_PORTS = [...new Set(Object.values(AGENT_REGISTRY).flatMap(spec => Object.keys(spec.outputs)))];
+
+/**
+ * Prepend a user-provided custom prompt, keeping the default as reference
+ */
+export function applyCustomPrompt(prompt: string, customPrompt?: string | null): string {
+  if (customPrompt && customPrompt.trim()) {
+    return `${customPrompt.trim()}
+
+--- DEFAULT CONTEXT (for reference) ---
+${prompt}`;
+  }
+  return prompt;
+}
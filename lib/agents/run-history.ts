@@ -0,0 +1,135 @@
+/**
+ * Run History - persists a WorkflowRun snapshot for every execution
+ *
+ * Records the inputs (hashed), and per agent the output, duration, model and
+ * error of each run so two runs of the same workflow can be compared later.
+ * History is best-effort: a failed write is logged and never fails the run.
+ */
+
+import { createHash } from 'crypto';
+import WorkflowRun from '@/lib/models/WorkflowRun';
+import { createLogger } from '@/lib/logger';
+import type { NodeRunResult } from './workflow-scheduler';
+
+const log = createLogger('run-history');
+
+const BRIEF_EXCERPT_LENGTH = 500;
+
+export interface RunInputs {
+  storyBrief?: string;
+  manuscript?: string;
+  customPrompt?: string | null;
+}
+
+function sha256(value: string): string {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hash of the story inputs a run was started with
+ */
+export function hashRunInputs({ storyBrief = '', manuscript = '', customPrompt }: RunInputs) {
+  return {
+    briefExcerpt: storyBrief.substring(0, BRIEF_EXCERPT_LENGTH),
+    briefHash: sha256(storyBrief),
+    manuscriptHash: sha256(manuscript),
+    manuscriptLength: manuscript.length,
+    customPrompt: customPrompt || undefined,
+  };
+}
+
+export class RunRecorder {
+  private runId: string | null = null;
+  private startedAt = Date.now();
+  private ready: Promise<void> = Promise.resolve();
+
+  constructor(
+    private workflow: { _id: any; userId: any },
+    private mode: 'full' | 'resume' | 'single',
+    private inputs: RunInputs
+  ) {}
+
+  get id(): string | null {
+    return this.runId;
+  }
+
+  /**
+   * Create the run document. Later writes wait for this to finish.
+   */
+  start(layers: string[][] = []): Promise<void> {
+    this.startedAt = Date.now();
+    this.ready = WorkflowRun.create({
+      workflowId: this.workflow._id,
+      userId: this.workflow.userId,
+      mode: this.mode,
+      status: 'running',
+      inputs: hashRunInputs(this.inputs),
+      layers,
+      startedAt: new Date(this.startedAt),
+    })
+      .then(run => {
+        this.runId = run._id.toString();
+      })
+      .catch(error => log.error('Failed to create workflow run', error));
+    return this.ready;
+  }
+
+  /**
+   * Append one agent snapshot. Uses $push so concurrently finishing agents
+   * never overwrite each other.
+   */
+  async recordAgent(run: NodeRunResult, output?: string): Promise<void> {
+    await this.ready;
+    if (!this.runId) return;
+
+    try {
+      await WorkflowRun.updateOne(
+        { _id: this.runId },
+        {
+          $push: {
+            agents: {
+              nodeId: run.nodeId,
+              agentType: run.agentType,
+              status: run.status,
+              result: run.result,
+              output,
+              error: run.error,
+              model: run.model,
+              durationMs: run.duration,
+              inputHash: run.inputHash,
+              resumed: !!run.resumed,
+              completedAt: new Date(),
+            },
+          },
+        }
+      );
+    } catch (error) {
+      log.error(`Failed to record agent ${run.agentType} for run ${this.runId}`, error);
+    }
+  }
+
+  /**
+   * Mark the run finished with its final status
+   */
+  async finish(status: 'completed' | 'partial' | 'error', extra: { summary?: any; error?: string } = {}): Promise<void> {
+    await this.ready;
+    if (!this.runId) return;
+
+    try {
+      await WorkflowRun.updateOne(
+        { _id: this.runId },
+        {
+          $set: {
+            status,
+            summary: extra.summary,
+            error: extra.error,
+            completedAt: new Date(),
+            durationMs: Date.now() - this.startedAt,
+          },
+        }
+      );
+    } catch (error) {
+      log.error(`Failed to finalize run ${this.runId}`, error);
+    }
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * Temporal Graph - the state of the story world as of a point in the story
+ *
+ * The knowledge graph stores everything that was ever true: state changes are
+ * appended as State nodes, relationships keep a per-chapter history, events
+ * record their chapter and position (scene) within it. An as-of query folds
+ * all of that up to "end of chapter N" or "chapter N, scene M" to answer
+ * questions like "what did Elena own, where was she and who did she trust at
+ * the end of chapter 3".
+ *
+ * A scene is an event's 1-based position within its chapter. Entities become
+ * visible from the first chapter they appear in, regardless of scene.
+ */
+
+import {
+  getScopeSnapshot,
+  toGraphNode,
+  type GraphData,
+  type GraphEdge,
+  type GraphNode,
+  type GraphScope,
+} from './story-knowledge-graph';
+
+export interface AsOf {
+  chapter: number;
+  /** Omit for the end of the chapter */
+  scene?: number;
+}
+
+export interface StoryPosition {
+  chapter: number;
+  sequence: number;
+}
+
+export interface CharacterSnapshot {
+  id: string;
+  name: string;
+  location: string | null;
+  owns: string[];
+  trusts: string[];
+  distrusts: string[];
+  traits: string[];
+  /** Latest value of every attribute changed so far */
+  attributes: Record<string, string>;
+}
+
+export interface WorldState {
+  asOf: AsOf;
+  /** Every chapter in the graph with its number of scenes, for scrubbing */
+  timeline: Array<{ chapter: number; scenes: number }>;
+  graph: GraphData;
+  characters: CharacterSnapshot[];
+}
+
+// State change attributes that move a character or hand an object over
+const LOCATION_ATTRIBUTES = ['location', 'whereabouts', 'position', 'place'];
+const OWNER_ATTRIBUTES = ['owner', 'ownership', 'possessor', 'holder'];
+
+const TRUSTING = /trust|ally|friend|love|loyal|mentor|protect/i;
+const DISTRUSTING = /distrust|mistrust|enemy|rival|betray|hate|suspect|fear/i;
+
+const ENTITY_TYPES: GraphNode['type'][] = ['Character', 'Location', 'Object', 'Event', 'PlotThread', 'Chapter'];
+
+const toNumber = (value: any): number => (
+  value !== null && typeof value === 'object' && typeof value.toNumber === 'function' ? value.toNumber() : Number(value)
+);
+
+export function comparePositions(a: StoryPosition, b: StoryPosition): number {
+  return a.chapter - b.chapter || a.sequence - b.sequence;
+}
+
+/**
+ * Whether something at `position` has happened by `asOf`
+ */
+export function isAtOrBefore(position: StoryPosition, asOf: AsOf): boolean {
+  if (position.chapter !== asOf.chapter) return position.chapter < asOf.chapter;
+  return asOf.scene === undefined || position.sequence <= asOf.scene;
+}
+
+/**
+ * Fold a relationship's per-chapter history to its values as of a chapter.
+ * Returns null when the relationship didn't exist yet. Relationships stored
+ * before history was recorded are taken as they are.
+ */
+export function foldRelationship(props: Record<string, any>, chapter: number): Record<string, any> | null {
+  const chapters: number[] = (props.chapters || []).map(toNumber);
+  const { chapters: _chapters, descriptions, sentiments, strengths, ...current } = props;
+  if (chapters.length === 0) return current;
+
+  let latest = -1;
+  chapters.forEach((seen, index) => {
+    if (seen <= chapter && (latest === -1 || seen >= chapters[latest])) latest = index;
+  });
+  if (latest === -1) return null;
+
+  return {
+    ...current,
+    description: descriptions?.[latest] ?? current.description,
+    sentiment: sentiments?.[latest] ?? current.sentiment,
+    strength: strengths?.[latest] ?? current.strength,
+    since: Math.min(...chapters),
+  };
+}
+
+interface StateChangeRow {
+  entityId: string;
+  attribute: string;
+  newValue: string;
+  position: StoryPosition;
+}
+
+interface EventRow {
+  id: string;
+  locationName: string | null;
+  characterIds: string[];
+  position: StoryPosition;
+}
+
+/**
+ * Fold events, state changes and relationships into per-character snapshots
+ */
+export function buildCharacterSnapshots(
+  characters: Array<{ id: string; name: string; traits: string[] }>,
+  objects: Array<{ id: string; name: string }>,
+  events: EventRow[],
+  stateChanges: StateChangeRow[],
+  edges: GraphEdge[]
+): CharacterSnapshot[] {
+  const ordered = [...stateChanges].sort((a, b) => comparePositions(a.position, b.position));
+  const nameOf = new Map([...characters, ...objects].map(entity => [entity.id, entity.name]));
+
+  // Latest owner per object from state changes, by name
+  const ownerChanges = new Map<string, string>();
+  for (const change of ordered) {
+    if (OWNER_ATTRIBUTES.includes(change.attribute.toLowerCase())) {
+      ownerChanges.set(change.entityId, change.newValue);
+    }
+  }
+
+  return characters.map(character => {
+    const attributes: Record<string, string> = {};
+    let location: { name: string; position: StoryPosition } | null = null;
+
+    for (const change of ordered) {
+      if (change.entityId !== character.id) continue;
+      attributes[change.attribute] = change.newValue;
+      if (LOCATION_ATTRIBUTES.includes(change.attribute.toLowerCase())) {
+        location = { name: change.newValue, position: change.position };
+      }
+    }
+
+    // The last event they took part in places them too, if it came later
+    for (const event of events) {
+      if (!event.locationName || !event.characterIds.includes(character.id)) continue;
+      if (!location || comparePositions(event.position, location.position) >= 0) {
+        location = { name: event.locationName, position: event.position };
+      }
+    }
+
+    const owns = objects
+      .filter(object => {
+        const changedOwner = ownerChanges.get(object.id);
+        if (changedOwner !== undefined) {
+          return changedOwner.toLowerCase() === character.name.toLowerCase();
+        }
+        return edges.some(edge => edge.type === 'OWNS' && edge.source === character.id && edge.target === object.id);
+      })
+      .map(object => object.name);
+
+    const trusts: string[] = [];
+    const distrusts: string[] = [];
+    for (const edge of edges) {
+      if (edge.type !== 'RELATES_TO' || edge.source !== character.id || !nameOf.has(edge.target)) continue;
+      const sentiment = edge.properties?.sentiment;
+      const label = `${edge.properties?.type || ''} ${edge.properties?.description || ''}`;
+      if (sentiment === 'negative' || (sentiment !== 'positive' && DISTRUSTING.test(label))) {
+        distrusts.push(nameOf.get(edge.target)!);
+      } else if (sentiment === 'positive' || TRUSTING.test(label)) {
+        trusts.push(nameOf.get(edge.target)!);
+      }
+    }
+
+    return {
+      id: character.id,
+      name: character.name,
+      location: location?.name ?? null,
+      owns,
+      trusts,
+      distrusts,
+      traits: character.traits,
+      attributes,
+    };
+  });
+}
+
+/**
+ * The graph and every character's state as of a chapter (and optionally a
+ * scene within it). Folds a snapshot of the scope, so it works on any store.
+ */
+export async function getWorldStateAsOf(scope: GraphScope, asOf: AsOf): Promise<WorldState> {
+  const snapshot = await getScopeSnapshot(scope);
+
+  const entities = new Map<string, { type: GraphNode['type']; properties: Record<string, any> }>();
+  const states = new Map<string, Record<string, any>>();
+  for (const node of snapshot.nodes) {
+    if (node.type === 'State') {
+      states.set(node.properties.id, node.properties);
+    } else if (ENTITY_TYPES.includes(node.type)) {
+      entities.set(node.properties.id, node);
+    }
+  }
+
+  const relationships = (type: string) => snapshot.relationships.filter(rel => rel.type === type);
+  const chapterNumberOf = new Map(
+    [...entities.values()]
+      .filter(node => node.type === 'Chapter')
+      .map(node => [node.properties.id as string, toNumber(node.properties.number)])
+  );
+  const typeOf = (id: string) => entities.get(id)?.type;
+
+  // Chapters with their scene counts: the highest event sequence, or the
+  // number of events stored before sequences were recorded
+  const eventsByChapter = new Map<number, Array<Record<string, any>>>();
+  for (const rel of relationships('OCCURS_IN')) {
+    const chapter = chapterNumberOf.get(rel.target);
+    const event = entities.get(rel.source);
+    if (chapter === undefined || event?.type !== 'Event') continue;
+    eventsByChapter.set(chapter, [...(eventsByChapter.get(chapter) || []), event.properties]);
+  }
+  const timeline = [...chapterNumberOf.values()]
+    .sort((a, b) => a - b)
+    .map(chapter => {
+      const chapterEvents = eventsByChapter.get(chapter) || [];
+      const sequences = chapterEvents.map(event => event.sequence).filter(sequence => sequence !== undefined).map(toNumber);
+      return { chapter, scenes: sequences.length > 0 ? Math.max(...sequences) : chapterEvents.length };
+    });
+
+  const nodes = new Map<string, GraphNode>();
+
+  // Entities from the first chapter they appear in; chapters themselves
+  for (const rel of snapshot.relationships) {
+    if (!['APPEARS_IN', 'FEATURED_IN', 'ADVANCES_IN'].includes(rel.type)) continue;
+    const chapter = chapterNumberOf.get(rel.target);
+    const entity = entities.get(rel.source);
+    if (chapter !== undefined && chapter <= asOf.chapter && entity && entity.type !== 'Event') {
+      nodes.set(rel.source, toGraphNode(entity.type, entity.properties));
+    }
+  }
+  for (const [id, chapter] of chapterNumberOf) {
+    if (chapter <= asOf.chapter) {
+      nodes.set(id, toGraphNode('Chapter', entities.get(id)!.properties));
+    }
+  }
+
+  // Events past the scene cut-off haven't happened yet
+  const atLocation = relationships('AT');
+  const involves = relationships('INVOLVES');
+  const events: Array<EventRow & { properties: Record<string, any> }> = [];
+  for (const rel of relationships('OCCURS_IN')) {
+    const event = entities.get(rel.source);
+    if (event?.type !== 'Event' || !chapterNumberOf.has(rel.target)) continue;
+
+    const id: string = event.properties.id;
+    const position = {
+      chapter: toNumber(event.properties.chapterNumber ?? chapterNumberOf.get(rel.target)),
+      sequence: toNumber(event.properties.sequence ?? 0),
+    };
+    if (!isAtOrBefore(position, asOf) || events.some(other => other.id === id)) continue;
+
+    const location = atLocation.find(at => at.source === id && typeOf(at.target) === 'Location');
+    events.push({
+      properties: event.properties,
+      id,
+      locationName: location ? entities.get(location.target)!.properties.name ?? null : null,
+      characterIds: involves
+        .filter(rel => rel.source === id && typeOf(rel.target) === 'Character')
+        .map(rel => rel.target),
+      position,
+    });
+  }
+  for (const event of events) {
+    nodes.set(event.id, toGraphNode('Event', event.properties));
+  }
+
+  const stateChapter = (state: Record<string, any>) => (
+    state.chapterNumber !== undefined ? toNumber(state.chapterNumber) : chapterNumberOf.get(state.chapter)
+  );
+
+  const stateChanges: StateChangeRow[] = relationships('HAS_STATE_CHANGE').flatMap(rel => {
+    const state = states.get(rel.target);
+    const chapter = state && stateChapter(state);
+    if (!state || chapter === undefined) return [];
+    return [{
+      entityId: rel.source,
+      attribute: state.attribute || '',
+      newValue: String(state.newValue ?? ''),
+      position: { chapter, sequence: toNumber(state.sequence ?? 0) },
+    }];
+  }).filter(change => isAtOrBefore(change.position, asOf));
+
+  // Each character's traits from their latest state up to the chapter
+  const compareStateOrder = (a: [number, number, string], b: [number, number, string]) =>
+    a[0] - b[0] || a[1] - b[1] || a[2].localeCompare(b[2]);
+  const traitsById = new Map<string, { traits: string[]; order: [number, number, string] }>();
+  for (const rel of relationships('HAS_STATE')) {
+    const state = states.get(rel.target);
+    const chapter = state && stateChapter(state);
+    if (!state || chapter === undefined || chapter > asOf.chapter || !state.traits) continue;
+
+    const order: [number, number, string] = [chapter, toNumber(state.version ?? 0), String(state.timestamp ?? '')];
+    const current = traitsById.get(rel.source);
+    if (!current || compareStateOrder(order, current.order) >= 0) {
+      traitsById.set(rel.source, { traits: state.traits, order });
+    }
+  }
+
+  // Edges between visible nodes; timed edges only once they exist
+  const edges: GraphEdge[] = [];
+  for (const rel of snapshot.relationships) {
+    if (!nodes.has(rel.source) || !nodes.has(rel.target)) continue;
+
+    const raw: Record<string, any> = rel.properties || {};
+    const props = rel.type === 'RELATES_TO'
+      ? foldRelationship(raw, asOf.chapter)
+      : raw.since !== undefined && toNumber(raw.since) > asOf.chapter ? null : raw;
+    if (!props) continue;
+
+    edges.push({
+      id: `edge_${edges.length}`,
+      source: rel.source,
+      target: rel.target,
+      type: rel.type,
+      label: props.type || rel.type,
+      properties: props,
+    });
+  }
+
+  const visible = [...nodes.values()];
+  const characters = buildCharacterSnapshots(
+    visible.filter(node => node.type === 'Character').map(node => ({ id: node.id, name: node.label, traits: traitsById.get(node.id)?.traits || [] })),
+    visible.filter(node => node.type === 'Object').map(node => ({ id: node.id, name: node.label })),
+    events,
+    stateChanges,
+    edges
+  );
+
+  // Surface each character's folded state in the node details
+  for (const character of characters) {
+    const node = nodes.get(character.id)!;
+    node.properties = {
+      ...node.properties,
+      ...character.attributes,
+      id: character.id,
+      location: character.location,
+      owns: character.owns,
+      trusts: character.trusts,
+      distrusts: character.distrusts,
+      traits: character.traits,
+    };
+  }
+
+  return {
+    asOf,
+    timeline,
+    graph: { nodes: visible, edges },
+    characters,
+  };
+}
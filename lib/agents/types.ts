@@ -0,0 +1,233 @@
+/**
+ * Agent Types - the shared context that flows between agents and the shape
+ * of each agent's result
+ */
+
+import type { AgentModelConfig, CustomAgentDefinition } from '@/types/workflow';
+
+// Shared context that flows between agents
+export interface AgentContext {
+  storyBrief: string;
+  manuscript?: string;
+  storyContext?: StoryContext;
+  knowledgeGraph?: KnowledgeGraphData;
+  timeline?: TimelineData;
+  continuityReport?: ContinuityReport;
+  suggestions?: CreativeSuggestions;
+  recallAnswers?: RecallAnswer[];
+  teaserContent?: TeaserContent;
+  previousResults: Record<string, any>;
+  customPrompt?: string | null; // User-provided custom prompt override
+  workflowId?: string; // Workflow ID for Neo4j storage
+  ownerId?: string; // Workflow owner's user id - scopes Neo4j storage to their graph
+  onPartialOutput?: (partial: any) => void; // Streaming callback for partial results (never persisted)
+  agentModels?: AgentModelConfig; // Per-agent backend/model overrides (workflow or user settings)
+  customAgents?: Record<string, CustomAgentDefinition>; // The workflow owner's custom agents, by agent type
+}
+
+export interface StoryContext {
+  genre: string;
+  themes: string[];
+  tone: { formality: string; sentiment: string; pacing: string };
+  narrativeStructure: { type: string; currentAct: number; totalActs: number };
+  writingStyle: { perspective: string; tense: string; voice: string };
+  mainConflict: string;
+  setting: string;
+  timePeriod: string;
+}
+
+export interface KnowledgeGraphData {
+  characters: Character[];
+  locations: Location[];
+  objects: StoryObject[];
+  events: StoryEvent[];
+  relationships: Relationship[];
+  plotThreads: PlotThread[];
+}
+
+export interface Character {
+  id: string;
+  name: string;
+  role: string;
+  description: string;
+  traits: string[];
+  motivations: string[];
+  relationships: string[];
+  firstAppearance: string;
+  status: string;
+}
+
+export interface Location {
+  id: string;
+  name: string;
+  type: string;
+  description: string;
+  significance: string;
+  connectedLocations: string[];
+}
+
+export interface StoryObject {
+  id: string;
+  name: string;
+  type: string;
+  description: string;
+  significance: string;
+  currentLocation: string;
+  owner: string;
+}
+
+export interface StoryEvent {
+  id: string;
+  name: string;
+  description: string;
+  chapter: number;
+  timestamp: string;
+  participants: string[];
+  location: string;
+  causedBy: string[];
+  effects: string[];
+  type: 'action' | 'dialogue' | 'revelation' | 'conflict' | 'resolution';
+}
+
+export interface Relationship {
+  id: string;
+  from: string;
+  to: string;
+  type: string;
+  description: string;
+  strength: number;
+  evolution: string[];
+}
+
+export interface PlotThread {
+  id: string;
+  name: string;
+  description: string;
+  status: 'active' | 'resolved' | 'dormant' | 'foreshadowed';
+  startChapter: number;
+  endChapter?: number;
+  relatedCharacters: string[];
+  relatedEvents: string[];
+}
+
+export interface TimelineData {
+  chronologicalEvents: StoryEvent[];
+  flashbacks: { event: StoryEvent; narrativePosition: number }[];
+  flashForwards: { event: StoryEvent; narrativePosition: number }[];
+  causalChains: { cause: string; effects: string[]; validated: boolean }[];
+  temporalIssues: TemporalIssue[];
+  storyDuration: string;
+  narrativePace: string;
+}
+
+export interface TemporalIssue {
+  id: string;
+  type: 'paradox' | 'inconsistency' | 'gap' | 'overlap';
+  description: string;
+  severity: 'low' | 'medium' | 'high' | 'critical';
+  affectedEvents: string[];
+  suggestion: string;
+}
+
+export interface ContinuityReport {
+  contradictions: Contradiction[];
+  intentionalChoices: string[];
+  errors: ContinuityError[];
+  warnings: string[];
+  continuityScore: number;
+  recommendations: string[];
+}
+
+export interface Contradiction {
+  id: string;
+  type: string;
+  description: string;
+  locations: string[];
+  isIntentional: boolean;
+}
+
+export interface ContinuityError {
+  id: string;
+  type: string;
+  description: string;
+  severity: 'low' | 'medium' | 'high' | 'critical';
+  suggestion: string;
+}
+
+export interface CreativeSuggestions {
+  sceneSuggestions: SceneSuggestion[];
+  plotDevelopments: PlotDevelopment[];
+  dialogueImprovements: DialogueImprovement[];
+  characterArcGuidance: CharacterArcGuidance[];
+  themeReinforcements: string[];
+  alternativeScenarios: string[];
+}
+
+export interface SceneSuggestion {
+  title: string;
+  description: string;
+  placement: string;
+  characters: string[];
+  purpose: string;
+  emotionalBeat: string;
+}
+
+export interface PlotDevelopment {
+  idea: string;
+  rationale: string;
+  impact: string;
+  relatedThreads: string[];
+}
+
+export interface DialogueImprovement {
+  original?: string;
+  improved: string;
+  character: string;
+  context: string;
+  reason: string;
+}
+
+export interface CharacterArcGuidance {
+  character: string;
+  currentStage: string;
+  nextSteps: string[];
+  emotionalJourney: string;
+  potentialConflicts: string[];
+}
+
+export interface RecallAnswer {
+  query: string;
+  answer: string;
+  confidence: number;
+  references: { type: string; id: string; excerpt: string }[];
+  relatedInfo: string[];
+}
+
+export interface TeaserContent {
+  essence: {
+    genre: string;
+    mainConflict: string;
+    mood: string;
+    hook: string;
+    keyMoments: string[];
+  };
+  teaserScript: {
+    duration: number;
+    narration: string[];
+    structure: string[];
+    musicSuggestion: string;
+    pacing: string;
+  };
+  visualPrompts: VisualPrompt[];
+  hooks: string[];
+  tagline: string;
+}
+
+export interface VisualPrompt {
+  scene: string;
+  prompt: string;
+  duration: number;
+  cameraAngle: string;
+  mood: string;
+  characters: string[];
+}
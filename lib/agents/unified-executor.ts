@@ -1,27 +1,41 @@
 /**
  * Unified Agent Executor
- * 
- * This is the main entry point for agent execution. It uses the AI SDK executor
- * as the primary engine with automatic fallback to the legacy executor if needed.
- * 
- * Benefits:
- * - AI SDK provides: retries, timeouts, structured output, crash prevention
- * - Legacy fallback ensures backwards compatibility
- * - Graceful degradation - never crashes, always returns something useful
- * - Production-grade logging
+ *
+ * The single entry point for agent execution. Every agent - built-in from the
+ * agent registry or user-defined - is run the same way:
+ *
+ * 1. Resolve and validate the agent's declared input ports
+ * 2. Build the prompt (plus any custom prompt) and generate structured output
+ *    through the AI SDK - retries, timeouts and streaming partials included
+ * 3. Post-process the output, falling back to a safe default on failure
+ * 4. Enforce the declared output ports and run side effects (e.g. Neo4j)
  */
 
-import { executeAgentWithAISDK, executeFullWorkflowWithAISDK } from './ai-sdk-executor';
-import { executeAgent as executeAgentLegacy, executeFullWorkflow as executeFullWorkflowLegacy } from './agent-executor';
-import type { AgentContext } from './agent-executor';
-import { createLogger, workflowLogger } from '@/lib/logger';
+import {
+  safeGenerateObject,
+  safeStreamObject,
+  createFallbackResponse,
+} from '@/lib/ai-provider';
+import {
+  resolveAgentInputs,
+  resolveAgentOutputs,
+  applyCustomPrompt,
+  DEFAULT_AGENT_ORDER,
+  DEFAULT_GENERATION,
+  type AgentSpec,
+  type AgentRunOptions,
+} from './registry';
+import { resolveAgentSpec } from './custom-agents';
+import type { AgentContext } from './types';
+import { getAgentModel, getModelLabel } from './agent-models';
+import { agentLogger, createLogger, workflowLogger } from '@/lib/logger';
 
 // Create dedicated logger for this module
 const log = createLogger('unified-executor');
 
 // Re-export types for convenience
-export type { AgentContext } from './agent-executor';
 export type {
+  AgentContext,
   StoryContext,
   KnowledgeGraphData,
   TimelineData,
@@ -29,58 +43,118 @@ export type {
   CreativeSuggestions,
   RecallAnswer,
   TeaserContent,
-} from './agent-executor';
+} from './types';
 
-// Configuration
-const USE_AI_SDK = true; // Set to false to use legacy executor only
-const USE_FALLBACK = true; // Set to false to disable legacy fallback
+/**
+ * Generate an agent's raw output. Returns null when generation failed.
+ */
+async function generateAgentOutput(spec: AgentSpec, inputs: any, prompt: string, options: AgentRunOptions) {
+  if (spec.generate) {
+    return spec.generate(inputs, prompt, options);
+  }
+
+  const { onPartialOutput, ...generation } = options;
+  const { object, success, error } = onPartialOutput
+    ? await safeStreamObject(prompt, spec.outputSchema, { ...generation, onPartial: onPartialOutput })
+    : await safeGenerateObject(prompt, spec.outputSchema, generation);
+
+  if (!success || object == null) {
+    log.warn(`Generation failed for ${spec.type}`, { error });
+    return null;
+  }
+  return object;
+}
 
 /**
- * Execute a single agent with automatic retry and fallback
+ * Execute a single agent. `fallback` is set when generation failed and the
+ * result is the agent's safe default rather than real output.
  */
 export async function executeAgent(
   agentType: string,
   context: AgentContext
-): Promise<{ result: any; updatedContext: AgentContext }> {
-  log.info(`Starting agent: ${agentType}`, { workflowId: context.workflowId });
+): Promise<{ result: any; updatedContext: AgentContext; model?: string; fallback?: boolean }> {
+  const spec = resolveAgentSpec(agentType, context);
+  // Contract violations are wiring errors - they fail the node instead of falling back
+  const inputs = resolveAgentInputs(spec, context);
+
+  const executionId = agentLogger.startExecution(agentType, context.workflowId, {
+    storyBrief: context.storyBrief?.substring(0, 200) + '...',
+    hasManuscript: !!context.manuscript,
+    previousAgents: Object.keys(context.previousResults || {}),
+  });
+
+  log.info(`Starting agent: ${agentType}`, { workflowId: context.workflowId, executionId });
   const startTime = Date.now();
+  const modelChoice = getAgentModel(agentType, context.agentModels, spec.model);
+  const model = getModelLabel(modelChoice);
 
-  // Try AI SDK executor first (has built-in retry, timeout, structured output)
-  if (USE_AI_SDK) {
-    try {
-      const result = await executeAgentWithAISDK(agentType, context);
-      const elapsed = Date.now() - startTime;
-      log.info(`AI SDK completed: ${agentType}`, { duration: elapsed });
-      return result;
-    } catch (aiSdkError) {
-      log.warn(`AI SDK failed for ${agentType}, attempting fallback`, { 
-        error: (aiSdkError as Error).message 
-      });
-      
-      // Fall back to legacy executor if enabled
-      if (USE_FALLBACK) {
-        log.info(`Falling back to legacy executor: ${agentType}`);
-        try {
-          const result = await executeAgentLegacy(agentType, context);
-          const elapsed = Date.now() - startTime;
-          log.info(`Legacy completed: ${agentType}`, { duration: elapsed, usedFallback: true });
-          return result;
-        } catch (legacyError) {
-          log.error(`Both executors failed: ${agentType}`, legacyError as Error);
-          throw legacyError;
-        }
+  let result: any;
+  let usedFallback = false;
+
+  try {
+    const output = await generateAgentOutput(
+      spec,
+      inputs,
+      applyCustomPrompt(spec.buildPrompt(inputs), context.customPrompt),
+      {
+        ...DEFAULT_GENERATION,
+        ...spec.generation,
+        model: modelChoice,
+        onPartialOutput: context.onPartialOutput,
       }
-      
-      throw aiSdkError;
+    );
+
+    if (output == null) {
+      log.warn(`${agentType} failed, using fallback`);
+      result = createFallbackResponse(agentType);
+      usedFallback = true;
+    } else {
+      result = spec.postProcess ? spec.postProcess(output) : output;
     }
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+    agentLogger.endExecution(executionId, 'error', undefined, error as Error);
+    log.error(`Agent ${agentType} failed`, error as Error, { duration: elapsed, executionId });
+
+    // Return fallback instead of throwing (graceful degradation)
+    const fallback = createFallbackResponse(agentType);
+    agentLogger.endExecution(executionId, 'fallback', fallback);
+
+    return {
+      result: Array.isArray(fallback) ? fallback : { ...fallback, _error: (error as Error).message },
+      updatedContext: {
+        ...context,
+        ...(spec.contextKey && { [spec.contextKey]: fallback }),
+        previousResults: { ...context.previousResults, [agentType]: fallback }
+      },
+      fallback: true
+    };
+  }
+
+  resolveAgentOutputs(spec, result);
+
+  if (!usedFallback && spec.afterRun) {
+    await spec.afterRun(result, context);
   }
 
-  // AI SDK disabled, use legacy directly
-  return executeAgentLegacy(agentType, context);
+  const elapsed = Date.now() - startTime;
+  agentLogger.endExecution(executionId, usedFallback ? 'fallback' : 'success', result, undefined, model);
+  log.info(`Agent ${agentType} completed`, { duration: elapsed, executionId, usedFallback });
+
+  return {
+    result,
+    updatedContext: {
+      ...context,
+      ...(spec.contextKey && { [spec.contextKey]: result }),
+      previousResults: { ...context.previousResults, [agentType]: result }
+    },
+    model,
+    ...(usedFallback && { fallback: true }),
+  };
 }
 
 /**
- * Execute a full workflow with all agents
+ * Execute a full workflow with all agents in sequence
  */
 export async function executeFullWorkflow(
   storyBrief: string,
@@ -92,78 +166,73 @@ export async function executeFullWorkflow(
   success: boolean;
   errors: string[];
 }> {
+  const agents = selectedAgents || DEFAULT_AGENT_ORDER;
   const workflowId = `wf-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  workflowLogger.startWorkflow(workflowId, 'AI Analysis', selectedAgents?.length || 7);
-  
+  workflowLogger.startWorkflow(workflowId, 'AI Analysis', agents.length);
   const startTime = Date.now();
 
-  if (USE_AI_SDK) {
+  let context: AgentContext = {
+    storyBrief,
+    manuscript,
+    previousResults: {}
+  };
+
+  const results: Record<string, any> = {};
+  const errors: string[] = [];
+
+  for (const agentType of agents) {
     try {
-      const result = await executeFullWorkflowWithAISDK(storyBrief, manuscript, selectedAgents);
-      const elapsed = Date.now() - startTime;
-      workflowLogger.endWorkflow(workflowId, 'completed', elapsed);
-      log.info(`Workflow completed`, { workflowId, duration: elapsed, agentCount: selectedAgents?.length });
-      return result;
-    } catch (aiSdkError) {
-      log.warn('AI SDK workflow failed, trying fallback', { error: (aiSdkError as Error).message });
-      
-      if (USE_FALLBACK) {
-        log.info('Falling back to legacy workflow');
-        const result = await executeFullWorkflowLegacy(storyBrief, manuscript, selectedAgents);
-        const elapsed = Date.now() - startTime;
-        workflowLogger.endWorkflow(workflowId, 'completed-fallback', elapsed);
-        return result;
+      const { result, updatedContext } = await executeAgent(agentType, context);
+
+      // Check if result contains an error marker
+      if (result?._error) {
+        errors.push(`${agentType}: ${result._error}`);
       }
-      
-      const elapsed = Date.now() - startTime;
-      workflowLogger.endWorkflow(workflowId, 'failed', elapsed);
-      throw aiSdkError;
+
+      results[agentType] = result;
+      context = updatedContext;
+    } catch (error) {
+      const errorMsg = error instanceof Error ? error.message : 'Unknown error';
+      log.error(`Error in ${agentType}`, error as Error);
+      errors.push(`${agentType}: ${errorMsg}`);
+      results[agentType] = { error: errorMsg };
     }
   }
 
-  return executeFullWorkflowLegacy(storyBrief, manuscript, selectedAgents);
+  const elapsed = Date.now() - startTime;
+  workflowLogger.endWorkflow(workflowId, errors.length === 0 ? 'completed' : 'partial', elapsed);
+  log.info(`Workflow completed`, { workflowId, duration: elapsed, agentCount: agents.length });
+
+  return {
+    results,
+    context,
+    success: errors.length === 0,
+    errors
+  };
 }
 
 /**
- * Health check - verify AI SDK is working
+ * Health check - verify the AI SDK backend is working
  */
 export async function checkExecutorHealth(): Promise<{
   aiSdk: boolean;
-  legacy: boolean;
+  agents: number;
   message: string;
 }> {
-  const testContext: AgentContext = {
-    storyBrief: 'Test story for health check.',
-    previousResults: {},
-  };
-
   let aiSdk = false;
-  let legacy = false;
 
-  // Test AI SDK
   try {
     // Quick test with minimal prompt
     const { safeGenerateText } = await import('@/lib/ai-provider');
     const result = await safeGenerateText('Say "OK"', { timeout: 10000 });
     aiSdk = result.success;
   } catch (e) {
-    console.warn('AI SDK health check failed:', e);
-  }
-
-  // Test legacy (just verify it can be imported)
-  try {
-    legacy = typeof executeAgentLegacy === 'function';
-  } catch (e) {
-    console.warn('Legacy executor health check failed:', e);
+    log.warn('AI SDK health check failed', { error: (e as Error).message });
   }
 
   return {
     aiSdk,
-    legacy,
-    message: aiSdk 
-      ? 'AI SDK is operational' 
-      : legacy 
-        ? 'Using legacy executor (AI SDK unavailable)' 
-        : 'All executors unavailable',
+    agents: DEFAULT_AGENT_ORDER.length,
+    message: aiSdk ? 'AI SDK is operational' : 'AI SDK unavailable - agents will return fallback results',
   };
 }
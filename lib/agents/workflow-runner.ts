@@ -0,0 +1,373 @@
+/**
+ * Workflow Runner - executes a persisted ScriptWorkflow end to end
+ *
+ * Wraps the DAG scheduler with everything a full run needs on the
+ * ScriptWorkflow document: node status updates, progress, checkpoints,
+ * resume mode and the final analysis context. Both the JSON execute route
+ * and the SSE stream route go through here; the latter listens via onEvent.
+ * Each run is also snapshotted into the WorkflowRun history.
+ */
+
+import { AGENT_DEFINITIONS } from './definitions';
+import { runWorkflowDAG, getExecutionLayers, DEFAULT_CONCURRENCY } from './workflow-scheduler';
+import { RunRecorder } from './run-history';
+import { loadAgentModels } from './agent-models';
+import { loadCustomAgents } from './custom-agents';
+import type { AgentContext } from './types';
+import type { BuiltInAgentType } from '@/types/workflow';
+
+// Minimum gap between two partial-output events for the same node
+const PARTIAL_EVENT_INTERVAL_MS = 300;
+
+export type WorkflowRunEvent =
+  | { type: 'run-started'; workflowId: string; runId: string | null; layers: string[][]; totalNodes: number; resume: boolean }
+  | { type: 'node-started'; nodeId: string; agentType: string; input: any }
+  | { type: 'node-partial'; nodeId: string; agentType: string; output: string }
+  | { type: 'node-completed'; nodeId: string; agentType: string; nodeData: any; duration: number; resumed: boolean }
+  | { type: 'node-failed'; nodeId: string; agentType: string; error: string }
+  | { type: 'node-skipped'; nodeId: string; agentType: string }
+  | { type: 'run-completed'; success: boolean; status: string; results: any[]; resumed: string[]; summary: any };
+
+export interface RunWorkflowOptions {
+  concurrency?: number;
+  resume?: boolean;
+  onEvent?: (event: WorkflowRunEvent) => void;
+}
+
+/**
+ * Deep clone helper for safely modifying nested objects
+ */
+function deepClone<T>(obj: T): T {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Run every node of a ScriptWorkflow document as a DAG, persisting progress
+ * after each node. Throws if the workflow graph has a cycle.
+ */
+export async function runWorkflow(workflow: any, options: RunWorkflowOptions = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, resume = false, onEvent } = options;
+  const emit = (event: WorkflowRunEvent) => {
+    try {
+      onEvent?.(event);
+    } catch (error) {
+      console.warn('Workflow event listener failed:', error);
+    }
+  };
+
+  const nodesClone = deepClone(workflow.nodes);
+  const edges = deepClone(workflow.edges || []);
+  const layers = getExecutionLayers(nodesClone, edges);
+
+  // In resume mode, nodes that finished successfully before (e.g. a run that
+  // died halfway) are reused when their input hash still matches
+  const previousCheckpoints = workflow.progress?.checkpoints || {};
+  const resumeFrom: Record<string, { inputHash: string; result: any }> = {};
+  if (resume) {
+    for (const node of nodesClone) {
+      const checkpoint = previousCheckpoints[node.id];
+      if (checkpoint && node.data.status === 'success' && node.data.result) {
+        resumeFrom[node.id] = { inputHash: checkpoint.inputHash, result: node.data.result };
+      }
+    }
+  }
+
+  // Queue every node; each one flips to running when the scheduler starts it
+  for (const node of nodesClone) {
+    node.data.status = 'pending';
+    node.data.error = null;
+  }
+
+  workflow.status = 'running';
+  workflow.lastRun = new Date();
+  workflow.progress = {
+    currentNode: layers[0]?.[0],
+    runningNodes: [],
+    completedNodes: [],
+    resumedNodes: [],
+    skippedNodes: [],
+    totalNodes: nodesClone.length,
+    errors: [],
+    checkpoints: { ...previousCheckpoints }
+  };
+  workflow.nodes = nodesClone;
+  workflow.markModified('nodes');
+  workflow.markModified('progress');
+  await workflow.save();
+
+  const workflowId = workflow._id.toString();
+
+  // Build the shared agent context from workflow data
+  // The story brief is the PRIMARY story input from workflow creation
+  const baseContext: AgentContext = {
+    storyBrief: workflow.brief || '',
+    manuscript: workflow.inputs?.manuscript || workflow.inputs?.fullText || '',
+    previousResults: {},
+    workflowId,
+    ownerId: workflow.userId.toString(),
+    agentModels: await loadAgentModels(workflow),
+    customAgents: await loadCustomAgents(workflow),
+  };
+
+  const recorder = new RunRecorder(workflow, resume ? 'resume' : 'full', baseContext);
+  await recorder.start(layers);
+
+  emit({ type: 'run-started', workflowId, runId: recorder.id, layers, totalNodes: nodesClone.length, resume });
+
+  // Mongoose rejects parallel save() calls on one document, so all
+  // progress writes from concurrently running agents go through this chain
+  let saveChain: Promise<any> = Promise.resolve();
+  const persist = () => {
+    saveChain = saveChain
+      .then(() => {
+        workflow.nodes = deepClone(nodesClone);
+        workflow.markModified('nodes');
+        workflow.markModified('progress');
+        return workflow.save();
+      })
+      .catch(saveError => console.error('Failed to persist workflow progress:', saveError));
+    return saveChain;
+  };
+
+  const results: any[] = [];
+  const lastPartialAt = new Map<string, number>();
+
+  const { context: agentContext } = await runWorkflowDAG(nodesClone, edges, baseContext, {
+    concurrency,
+    resumeFrom,
+    hooks: {
+      onNodeStart: async (node, context) => {
+        const data: any = node.data;
+        // Update node to running - save for real-time UI progress feedback
+        data.status = 'running';
+        data.error = null;
+        data.input = {
+          storyBrief: context.storyBrief?.substring(0, 500) + '...',
+          hasManuscript: !!context.manuscript,
+          previousAgents: Object.keys(context.previousResults)
+        };
+        workflow.progress.runningNodes.push(node.id);
+        workflow.progress.currentNode = node.id;
+        console.log(`Executing specialized agent: ${data.agentType}`);
+        emit({ type: 'node-started', nodeId: node.id, agentType: data.agentType, input: data.input });
+        await persist();
+      },
+      onNodePartial: (node, partial) => {
+        // Partial output is only streamed, never persisted
+        const now = Date.now();
+        if (now - (lastPartialAt.get(node.id) || 0) < PARTIAL_EVENT_INTERVAL_MS) return;
+        lastPartialAt.set(node.id, now);
+
+        emit({
+          type: 'node-partial',
+          nodeId: node.id,
+          agentType: node.data.agentType as string,
+          output: formatAgentOutput(node.data.agentType as string, partial)
+        });
+      },
+      onNodeComplete: async (node, run) => {
+        const data: any = node.data;
+        const agentDef = AGENT_DEFINITIONS[run.agentType as BuiltInAgentType];
+
+        results.push({
+          nodeId: node.id,
+          agentType: run.agentType,
+          agentName: agentDef?.name || data.label,
+          result: run.result,
+          duration: run.duration,
+          resumed: !!run.resumed
+        });
+
+        data.result = run.result;
+        data.output = formatAgentOutput(run.agentType, run.result);
+        workflow.progress.runningNodes = workflow.progress.runningNodes.filter(id => id !== node.id);
+
+        if (run.fallback) {
+          // Downstream agents still get the placeholder, but the node counts as
+          // failed and leaves no checkpoint, so a resumed run generates it again
+          const error = `${agentDef?.name || data.label || run.agentType} failed to generate a result; showing its fallback output`;
+          data.status = 'error';
+          data.error = error;
+          workflow.progress.errors.push({ nodeId: node.id, error });
+          delete workflow.progress.checkpoints[node.id];
+          recorder.recordAgent({ ...run, status: 'error', error }, data.output);
+          emit({ type: 'node-failed', nodeId: node.id, agentType: run.agentType, error });
+          await persist();
+          return;
+        }
+
+        data.status = 'success';
+        recorder.recordAgent(run, data.output);
+
+        workflow.progress.completedNodes.push(node.id);
+
+        emit({
+          type: 'node-completed',
+          nodeId: node.id,
+          agentType: run.agentType,
+          nodeData: { ...data },
+          duration: run.duration,
+          resumed: !!run.resumed
+        });
+
+        if (run.resumed) {
+          workflow.progress.resumedNodes.push(node.id);
+          console.log(`Agent ${node.id} (${run.agentType}) resumed from checkpoint`);
+          return;
+        }
+
+        // Checkpoint the result so a crashed run can be resumed from here
+        workflow.progress.checkpoints[node.id] = {
+          agentType: run.agentType,
+          inputHash: run.inputHash,
+          completedAt: new Date().toISOString(),
+          duration: run.duration
+        };
+        console.log(`Agent ${node.id} (${run.agentType}) completed in ${run.duration}ms`);
+        await persist();
+      },
+      onNodeError: async (node, run) => {
+        const data: any = node.data;
+        console.error(`Error executing node ${node.id}:`, run.error);
+        data.status = 'error';
+        data.error = run.error;
+        workflow.progress.runningNodes = workflow.progress.runningNodes.filter(id => id !== node.id);
+        workflow.progress.errors.push({
+          nodeId: node.id,
+          error: run.error
+        });
+        delete workflow.progress.checkpoints[node.id];
+        recorder.recordAgent(run);
+        emit({ type: 'node-failed', nodeId: node.id, agentType: run.agentType, error: run.error as string });
+        // Continue with the rest of the graph - allow partial success
+        await persist();
+      },
+      onNodeSkip: async (node, run) => {
+        const data: any = node.data;
+        // Not on the branch a condition took - clear any result from an earlier run
+        data.status = 'skipped';
+        data.result = null;
+        data.output = null;
+        workflow.progress.skippedNodes.push(node.id);
+        delete workflow.progress.checkpoints[node.id];
+        recorder.recordAgent(run);
+        emit({ type: 'node-skipped', nodeId: node.id, agentType: run.agentType });
+        await persist();
+      }
+    }
+  });
+
+  await saveChain;
+
+  // Update final status
+  const hasErrors = workflow.progress.errors.length > 0;
+  const allFailed = workflow.progress.completedNodes.length === 0;
+  workflow.status = allFailed ? 'error' : (hasErrors ? 'partial' : 'completed');
+  workflow.progress.currentNode = undefined;
+  workflow.progress.runningNodes = [];
+
+  // Store the full context for knowledge graph visualization
+  workflow.analysisContext = agentContext;
+
+  // Final save with all nodes including their results
+  workflow.nodes = deepClone(nodesClone);
+  workflow.markModified('nodes');
+  workflow.markModified('progress');
+  workflow.markModified('analysisContext');
+  await workflow.save();
+  console.log('Final workflow save complete. Nodes with results:', nodesClone.filter(n => n.data.result).length);
+
+  const summary = generateExecutionSummary(results, agentContext);
+  await recorder.finish(workflow.status, { summary });
+  emit({
+    type: 'run-completed',
+    success: !allFailed,
+    status: workflow.status,
+    results,
+    resumed: workflow.progress.resumedNodes,
+    summary
+  });
+
+  return {
+    success: !allFailed,
+    results,
+    layers,
+    resumed: workflow.progress.resumedNodes as string[],
+    runId: recorder.id,
+    context: agentContext,
+    summary
+  };
+}
+
+/**
+ * Format agent output for display
+ */
+export function formatAgentOutput(agentType: string, result: any): string {
+  try {
+    switch (agentType) {
+      case 'story-intelligence':
+        return `**Genre:** ${result.genre}\n**Themes:** ${result.themes?.join(', ')}\n**Setting:** ${result.setting}\n**Main Conflict:** ${result.mainConflict}`;
+
+      case 'knowledge-graph':
+        return `**Characters:** ${result.characters?.length || 0}\n**Locations:** ${result.locations?.length || 0}\n**Events:** ${result.events?.length || 0}\n**Relationships:** ${result.relationships?.length || 0}\n**Plot Threads:** ${result.plotThreads?.length || 0}`;
+
+      case 'temporal-reasoning':
+        return `**Timeline Events:** ${result.chronologicalEvents?.length || 0}\n**Flashbacks:** ${result.flashbacks?.length || 0}\n**Causal Chains:** ${result.causalChains?.length || 0}\n**Issues Found:** ${result.temporalIssues?.length || 0}`;
+
+      case 'continuity-validator':
+        return `**Continuity Score:** ${result.continuityScore}/100\n**Contradictions:** ${result.contradictions?.length || 0}\n**Errors:** ${result.errors?.length || 0}\n**Recommendations:** ${result.recommendations?.length || 0}`;
+
+      case 'creative-coauthor':
+        return `**Scene Suggestions:** ${result.sceneSuggestions?.length || 0}\n**Plot Developments:** ${result.plotDevelopments?.length || 0}\n**Dialogue Ideas:** ${result.dialogueImprovements?.length || 0}\n**Character Arcs:** ${result.characterArcGuidance?.length || 0}`;
+
+      case 'intelligent-recall':
+        return `**Insights Generated:** ${result.length || 0}\n${result.slice(0, 3).map(a => `• ${a.query}`).join('\n')}`;
+
+      case 'cinematic-teaser':
+        return `**Tagline:** ${result.tagline}\n**Visual Scenes:** ${result.visualPrompts?.length || 0}\n**Hooks:** ${result.hooks?.join(' | ')}`;
+
+      case 'condition':
+        return `**Branch:** ${result.branch}\n**Tested Value:** ${JSON.stringify(result.actual)}`;
+
+      case 'loop':
+        return `**Passes:** ${result.iterations}\n**Converged:** ${result.converged ? 'Yes' : 'No'}\n**Exit Checks:** ${result.history?.map(h => JSON.stringify(h.actual)).join(' → ') || 'none'}`;
+
+      default:
+        return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+    }
+  } catch (error) {
+    return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  }
+}
+
+/**
+ * Generate execution summary
+ */
+export function generateExecutionSummary(results: any[], context: AgentContext) {
+  const summary = {
+    agentsExecuted: results.length,
+    successfulAgents: results.filter(r => !r.result?.error).length,
+    storyAnalyzed: !!context.storyContext,
+    knowledgeGraphBuilt: !!context.knowledgeGraph,
+    timelineAnalyzed: !!context.timeline,
+    continuityChecked: !!context.continuityReport,
+    suggestionsGenerated: !!context.suggestions,
+    teaserCreated: !!context.teaserContent,
+    highlights: [] as string[]
+  };
+
+  if (context.storyContext) {
+    summary.highlights.push(`Genre identified: ${context.storyContext.genre}`);
+  }
+  if (context.knowledgeGraph) {
+    summary.highlights.push(`${context.knowledgeGraph.characters?.length || 0} characters mapped`);
+  }
+  if (context.continuityReport) {
+    summary.highlights.push(`Continuity score: ${context.continuityReport.continuityScore}/100`);
+  }
+  if (context.teaserContent) {
+    summary.highlights.push(`Trailer tagline: "${context.teaserContent.tagline}"`);
+  }
+
+  return summary;
+}
@@ -0,0 +1,527 @@
+/**
+ * Workflow Scheduler - DAG execution for ScriptForge workflows
+ *
+ * Reads a workflow's nodes/edges, groups agents into dependency layers and
+ * runs independent agents concurrently (bounded by a concurrency cap).
+ * Each agent receives the results of its upstream agents only, so parallel
+ * branches never race on a shared context object. Edges can narrow what
+ * their source hands over (see edge-mapping.ts).
+ *
+ * Every run is fingerprinted by an input hash, which lets a resumed run skip
+ * nodes whose inputs are unchanged since their last successful checkpoint.
+ *
+ * Condition and loop nodes (see control-flow.ts) run here too: a condition
+ * only activates the edges of the branch it took, and nodes left without an
+ * active incoming edge are skipped.
+ */
+
+import { createHash } from 'crypto';
+import type { ScriptForgeNode, ScriptForgeEdge, AgentType, BuiltInAgentType } from '@/types/workflow';
+import type { AgentContext } from './types';
+import { executeAgent } from './unified-executor';
+import { AGENT_REGISTRY } from './registry';
+import { mapUpstreamResults } from './edge-mapping';
+import {
+  buildLoopFeedback,
+  evaluateCondition,
+  isEdgeActive,
+  MAX_LOOP_ITERATIONS,
+  type ConditionResult,
+  type LoopResult,
+} from './control-flow';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger('workflow-scheduler');
+
+// Most agents a run may have in flight, whatever the request asks for
+export const MAX_CONCURRENCY = 10;
+
+// Default number of agents allowed to run at the same time
+export const DEFAULT_CONCURRENCY = Math.min(
+  Math.max(1, Math.floor(Number(process.env.WORKFLOW_MAX_CONCURRENCY)) || 3),
+  MAX_CONCURRENCY
+);
+
+/**
+ * True for a concurrency a request may ask for: an integer from 1 to MAX_CONCURRENCY
+ */
+export function isValidConcurrency(value: unknown): value is number {
+  return Number.isInteger(value) && (value as number) >= 1 && (value as number) <= MAX_CONCURRENCY;
+}
+
+/**
+ * Where each agent's result lives on the shared AgentContext
+ */
+export const AGENT_CONTEXT_KEYS = Object.fromEntries(
+  Object.values(AGENT_REGISTRY).map(spec => [spec.type, spec.contextKey])
+) as Record<BuiltInAgentType, keyof AgentContext>;
+
+export type AgentRunner = (
+  agentType: string,
+  context: AgentContext
+) => Promise<{ result: any; updatedContext: AgentContext; model?: string; fallback?: boolean }>;
+
+export interface NodeRunResult {
+  nodeId: string;
+  /** Agent type, or 'condition' / 'loop' for control nodes */
+  agentType: string;
+  status: 'success' | 'error' | 'skipped';
+  result?: any;
+  error?: string;
+  duration: number;
+  /** Fingerprint of everything the agent received */
+  inputHash: string;
+  /** True when the result was reused from a checkpoint instead of re-running */
+  resumed?: boolean;
+  /** Model that produced the result, when the runner reports it */
+  model?: string;
+  /** True when generation failed and the result is the agent's safe default */
+  fallback?: boolean;
+}
+
+/**
+ * A previous successful result that can be reused when inputs match
+ */
+export interface ResumableResult {
+  inputHash: string;
+  result: any;
+}
+
+export interface SchedulerHooks {
+  onNodeStart?: (node: ScriptForgeNode, context: AgentContext) => void | Promise<void>;
+  onNodeComplete?: (node: ScriptForgeNode, run: NodeRunResult, context: AgentContext) => void | Promise<void>;
+  onNodeError?: (node: ScriptForgeNode, run: NodeRunResult) => void | Promise<void>;
+  /** Node left out because no active edge leads to it (untaken condition branch) */
+  onNodeSkip?: (node: ScriptForgeNode, run: NodeRunResult) => void | Promise<void>;
+  /** Partial (streaming) output while an agent is still generating */
+  onNodePartial?: (node: ScriptForgeNode, partial: any) => void;
+}
+
+export interface SchedulerOptions {
+  /** Maximum agents running at once (default: WORKFLOW_MAX_CONCURRENCY or 3) */
+  concurrency?: number;
+  hooks?: SchedulerHooks;
+  /** Agent runner, defaults to the unified executor */
+  runAgent?: AgentRunner;
+  /** Checkpointed results by nodeId - nodes with an unchanged input hash are skipped */
+  resumeFrom?: Record<string, ResumableResult>;
+}
+
+/**
+ * Build the upstream map (nodeId -> source nodeIds) for a workflow.
+ * Workflows saved without any edges keep the legacy behaviour of running
+ * in node-array order, so each node depends on the one before it.
+ */
+export function getDependencies(
+  nodes: ScriptForgeNode[],
+  edges: ScriptForgeEdge[]
+): Map<string, string[]> {
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const deps = new Map<string, string[]>(nodes.map(n => [n.id, []]));
+
+  const validEdges = (edges || []).filter(e => nodeIds.has(e.source) && nodeIds.has(e.target));
+
+  if (validEdges.length === 0) {
+    nodes.forEach((node, index) => {
+      if (index > 0) deps.set(node.id, [nodes[index - 1].id]);
+    });
+    return deps;
+  }
+
+  for (const edge of validEdges) {
+    const sources = deps.get(edge.target)!;
+    if (!sources.includes(edge.source)) {
+      sources.push(edge.source);
+    }
+  }
+
+  return deps;
+}
+
+/**
+ * Gets the dependency layers for a ScriptForge workflow (Kahn's algorithm).
+ * Every node in a layer only depends on nodes in earlier layers, so a layer
+ * can run in parallel once the previous one is done.
+ */
+export function getExecutionLayers(
+  nodes: ScriptForgeNode[],
+  edges: ScriptForgeEdge[]
+): string[][] {
+  const deps = getDependencies(nodes, edges);
+  const remaining = new Map([...deps].map(([id, sources]) => [id, new Set(sources)]));
+  const layers: string[][] = [];
+
+  while (remaining.size > 0) {
+    // Preserve node-array order inside a layer for stable output
+    const layer = nodes
+      .map(n => n.id)
+      .filter(id => remaining.has(id) && remaining.get(id)!.size === 0);
+
+    if (layer.length === 0) {
+      throw new Error('Circular dependency detected in workflow');
+    }
+
+    for (const id of layer) {
+      remaining.delete(id);
+    }
+    for (const sources of remaining.values()) {
+      layer.forEach(id => sources.delete(id));
+    }
+
+    layers.push(layer);
+  }
+
+  return layers;
+}
+
+/**
+ * Collect every node upstream of nodeId (transitively)
+ */
+export function getAncestors(nodeId: string, deps: Map<string, string[]>): Set<string> {
+  const ancestors = new Set<string>();
+  const stack = [...(deps.get(nodeId) || [])];
+
+  while (stack.length > 0) {
+    const id = stack.pop()!;
+    if (ancestors.has(id)) continue;
+    ancestors.add(id);
+    stack.push(...(deps.get(id) || []));
+  }
+
+  return ancestors;
+}
+
+/**
+ * The agent results a finished node contributes downstream: a loop
+ * contributes the last result of each body agent, a condition nothing.
+ */
+export function toAgentResults(
+  runs: Array<{ nodeId: string; agentType: string; result?: any }>
+): Array<{ nodeId: string; agentType: string; result?: any }> {
+  return runs.flatMap(run => {
+    if (run.agentType === 'condition') return [];
+    if (run.agentType === 'loop') {
+      return Object.entries((run.result as LoopResult)?.results || {})
+        .map(([agentType, result]) => ({ nodeId: run.nodeId, agentType, result }));
+    }
+    return [run];
+  });
+}
+
+/**
+ * Build the context for an agent from the base context plus the results of
+ * the given upstream nodes.
+ */
+export function buildAgentContext(
+  baseContext: AgentContext,
+  upstream: Array<{ agentType?: string; result?: any }>
+): AgentContext {
+  const context: AgentContext = {
+    ...baseContext,
+    previousResults: { ...(baseContext.previousResults || {}) },
+  };
+
+  for (const { agentType, result } of upstream) {
+    if (!agentType || result === undefined || result === null) continue;
+
+    context.previousResults[agentType] = result;
+
+    const key = AGENT_CONTEXT_KEYS[agentType as BuiltInAgentType];
+    if (key) {
+      (context as any)[key] = result;
+    }
+  }
+
+  return context;
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal values hash equally
+ */
+function stableStringify(value: any): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+/**
+ * Fingerprint the inputs an agent is about to receive: its type, the story
+ * inputs, any custom prompt, a model override, a custom agent's definition
+ * and every upstream result. Control nodes pass their condition/loop spec
+ * as `config`.
+ */
+export function computeInputHash(agentType: string, context: AgentContext, config?: unknown): string {
+  const payload = stableStringify({
+    agentType,
+    storyBrief: context.storyBrief || '',
+    manuscript: context.manuscript || '',
+    customPrompt: context.customPrompt || null,
+    // Only present when overridden, so default-model hashes stay stable
+    model: context.agentModels?.[agentType as AgentType],
+    customAgent: context.customAgents?.[agentType],
+    previousResults: context.previousResults || {},
+    config,
+  });
+
+  return createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Run a loop node: its body agents in order, pass after pass, until the exit
+ * condition holds right after `until.agentType` runs or the cap is reached.
+ * Every pass after the first gets the previous pass's results as feedback.
+ */
+async function runLoop(
+  node: ScriptForgeNode,
+  context: AgentContext,
+  runAgent: AgentRunner,
+  onProgress?: (progress: LoopResult) => void
+): Promise<LoopResult> {
+  const spec = node.data.loop;
+  if (!spec?.body?.length || !spec.until?.agentType) {
+    throw new Error('Loop node has no body or exit condition configured');
+  }
+
+  const maxIterations = Math.min(Math.max(1, Math.floor(spec.maxIterations || 1)), MAX_LOOP_ITERATIONS);
+  const results: Record<string, any> = {};
+  const history: LoopResult['history'] = [];
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const customPrompt = iteration > 1
+      ? buildLoopFeedback({ ...spec, maxIterations }, iteration, results)
+      : context.customPrompt;
+
+    for (const agentType of spec.body) {
+      const agentContext = buildAgentContext(
+        { ...context, customPrompt },
+        Object.entries(results).map(([type, result]) => ({ agentType: type, result }))
+      );
+      const { result } = await runAgent(agentType, agentContext);
+      results[agentType] = result;
+
+      if (agentType === spec.until.agentType) {
+        const { met, actual } = evaluateCondition(spec.until, result);
+        history.push({ iteration, actual, met });
+        log.info(`Loop ${node.id} pass ${iteration}/${maxIterations}`, { actual, met });
+        if (met) {
+          return { iterations: iteration, converged: true, history, results };
+        }
+      }
+
+      onProgress?.({ iterations: iteration, converged: false, history, results });
+    }
+  }
+
+  return { iterations: maxIterations, converged: false, history, results };
+}
+
+/**
+ * Run a ScriptForge workflow as a DAG.
+ *
+ * Nodes start as soon as all of their upstream nodes have finished, with at
+ * most `concurrency` agents in flight. A failed node does not stop the run:
+ * downstream agents still execute without that node's result (partial success),
+ * except behind a failed condition, which activates neither branch.
+ * Nodes found in `resumeFrom` with a matching input hash reuse their result.
+ * Edge mappings are applied before hashing, so changing one re-runs the target.
+ */
+export async function runWorkflowDAG(
+  nodes: ScriptForgeNode[],
+  edges: ScriptForgeEdge[],
+  baseContext: AgentContext,
+  options: SchedulerOptions = {}
+): Promise<{ runs: NodeRunResult[]; context: AgentContext; layers: string[][] }> {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    hooks = {},
+    runAgent = executeAgent,
+    resumeFrom = {},
+  } = options;
+
+  // A non-numeric limit would never let a node start and spin the loop below
+  const limit = Number.isFinite(concurrency)
+    ? Math.min(Math.max(1, Math.floor(concurrency)), MAX_CONCURRENCY)
+    : DEFAULT_CONCURRENCY;
+  const layers = getExecutionLayers(nodes, edges);
+  const deps = getDependencies(nodes, edges);
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  // Upstream results are applied in execution order, so later agents win
+  // (e.g. a loop's re-run of an agent over that agent's earlier node)
+  const executionOrder = new Map(layers.flat().map((id, index) => [id, index]));
+
+  const finished = new Map<string, NodeRunResult>();
+  const pending = layers.flat();
+  const running = new Map<string, Promise<void>>();
+
+  log.info('Starting DAG run', {
+    workflowId: baseContext.workflowId,
+    nodes: nodes.length,
+    layers: layers.length,
+    concurrency: limit,
+  });
+
+  // A condition tests the result of its chosen (or first) upstream node
+  const runCondition = (node: ScriptForgeNode, context: AgentContext) => {
+    const spec = node.data.condition;
+    if (!spec?.path) {
+      throw new Error('Condition node has no condition configured');
+    }
+
+    const sourceNodeId = spec.sourceNodeId || deps.get(node.id)?.[0] || null;
+    const sourceRun = sourceNodeId ? finished.get(sourceNodeId) : undefined;
+    if (!sourceRun || sourceRun.status !== 'success') {
+      throw new Error(`Condition source '${sourceNodeId || 'none'}' has no result to test`);
+    }
+
+    const { met, actual } = evaluateCondition(spec, sourceRun.result);
+    const result: ConditionResult = { branch: met ? 'true' : 'false', actual, sourceNodeId };
+    log.info(`Condition ${node.id} took the ${result.branch} branch`, { actual });
+    return { result, updatedContext: context };
+  };
+
+  const runLoopNode = async (node: ScriptForgeNode, context: AgentContext) => {
+    // One body agent falling back makes the whole loop result a fallback
+    let fallback = false;
+    const result = await runLoop(
+      node,
+      context,
+      async (agentType, agentContext) => {
+        const run = await runAgent(agentType, agentContext);
+        fallback ||= !!run.fallback;
+        return run;
+      },
+      hooks.onNodePartial && (progress => hooks.onNodePartial!(node, progress))
+    );
+    return {
+      result,
+      updatedContext: buildAgentContext(context, toAgentResults([{ nodeId: node.id, agentType: 'loop', result }])),
+      fallback,
+    };
+  };
+
+  const incomingEdges = (nodeId: string) =>
+    (edges || []).filter(e => e.target === nodeId && nodeById.has(e.source));
+
+  const runNode = async (node: ScriptForgeNode): Promise<void> => {
+    const agentType = node.type === 'condition' || node.type === 'loop'
+      ? node.type
+      : node.data.agentType as string;
+
+    // Skip nodes whose every incoming edge is inactive (an untaken branch)
+    const incoming = incomingEdges(node.id);
+    if (incoming.length > 0 && !incoming.some(e => isEdgeActive(e, nodeById.get(e.source), finished.get(e.source)))) {
+      const run: NodeRunResult = { nodeId: node.id, agentType, status: 'skipped', duration: 0, inputHash: '' };
+      finished.set(node.id, run);
+      log.info(`Skipping ${node.id} (${agentType}) - not on the active branch`);
+      await hooks.onNodeSkip?.(node, run);
+      return;
+    }
+
+    const upstream = mapUpstreamResults(
+      node.id,
+      toAgentResults(
+        [...getAncestors(node.id, deps)]
+          .sort((a, b) => executionOrder.get(a)! - executionOrder.get(b)!)
+          .map(id => finished.get(id))
+          .filter(run => run?.status === 'success') as NodeRunResult[]
+      ),
+      edges
+    );
+
+    const context = buildAgentContext(baseContext, upstream);
+    const config = node.type === 'condition' ? node.data.condition : node.type === 'loop' ? node.data.loop : undefined;
+    const inputHash = computeInputHash(agentType, context, config);
+    const startTime = Date.now();
+
+    const checkpoint = resumeFrom[node.id];
+    if (checkpoint && checkpoint.inputHash === inputHash && checkpoint.result != null) {
+      const run: NodeRunResult = {
+        nodeId: node.id,
+        agentType,
+        status: 'success',
+        result: checkpoint.result,
+        duration: 0,
+        inputHash,
+        resumed: true,
+      };
+      finished.set(node.id, run);
+      log.info(`Resuming ${node.id} (${agentType}) from checkpoint`);
+      await hooks.onNodeComplete?.(node, run, buildAgentContext(context, [run]));
+      return;
+    }
+
+    try {
+      await hooks.onNodeStart?.(node, context);
+
+      // The streaming callback only lives on the copy handed to the agent,
+      // so it never leaks into hashes or the persisted context
+      const onNodePartial = hooks.onNodePartial;
+      const agentContext: AgentContext = onNodePartial
+        ? { ...context, onPartialOutput: (partial) => onNodePartial(node, partial) }
+        : context;
+
+      const { result, updatedContext, model, fallback }: Awaited<ReturnType<AgentRunner>> = node.type === 'condition'
+        ? runCondition(node, context)
+        : node.type === 'loop'
+          ? await runLoopNode(node, context)
+          : await runAgent(agentType, agentContext);
+
+      const run: NodeRunResult = {
+        nodeId: node.id,
+        agentType,
+        status: 'success',
+        result,
+        duration: Date.now() - startTime,
+        inputHash,
+        model,
+        fallback,
+      };
+      finished.set(node.id, run);
+      await hooks.onNodeComplete?.(node, run, { ...updatedContext, onPartialOutput: undefined });
+    } catch (error) {
+      const run: NodeRunResult = {
+        nodeId: node.id,
+        agentType,
+        status: 'error',
+        error: (error as Error).message,
+        duration: Date.now() - startTime,
+        inputHash,
+      };
+      finished.set(node.id, run);
+      log.warn(`Node ${node.id} (${agentType}) failed`, { error: run.error });
+      await hooks.onNodeError?.(node, run);
+    }
+  };
+
+  while (pending.length > 0 || running.size > 0) {
+    // Start every ready node while there is capacity
+    for (let i = 0; i < pending.length && running.size < limit; ) {
+      const nodeId = pending[i];
+      const ready = (deps.get(nodeId) || []).every(id => finished.has(id));
+
+      if (!ready) {
+        i++;
+        continue;
+      }
+
+      pending.splice(i, 1);
+      const promise = runNode(nodeById.get(nodeId)!).finally(() => running.delete(nodeId));
+      running.set(nodeId, promise);
+    }
+
+    if (running.size > 0) {
+      await Promise.race(running.values());
+    }
+  }
+
+  // Final context carries every successful result, in execution-layer order
+  const runs = layers.flat().map(id => finished.get(id)!);
+  const context = buildAgentContext(baseContext, toAgentResults(runs.filter(r => r.status === 'success')));
+
+  return { runs, context, layers };
+}
@@ -0,0 +1,318 @@
+/**
+ * Mock AI Provider
+ *
+ * Offline, deterministic stand-in for Gemini so the agent pipeline, report
+ * generator and editor routes can run without network access or an API key.
+ *
+ * Enable with AI_PROVIDER=mock. For every call the mock:
+ * 1. Replays a recorded response from AI_RECORDINGS_DIR if one matches the prompt
+ * 2. Otherwise synthesizes a response - a schema-valid fixture for structured
+ *    output, or a canned reply for plain text
+ *
+ * Recordings are captured from the real provider with AI_RECORD_RESPONSES=true.
+ * Responses depend only on the prompt, so the same input always gives the
+ * same output.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'crypto';
+import { z } from 'zod';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger('ai-mock');
+
+export const AI_PROVIDER = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+
+export const RECORDINGS_DIR = process.env.AI_RECORDINGS_DIR
+  || path.join(process.cwd(), 'mocks', 'ai-recordings');
+
+const RECORD_RESPONSES = process.env.AI_RECORD_RESPONSES === 'true';
+
+// Number of items generated for array fields without a minItems constraint
+const MOCK_ARRAY_LENGTH = 2;
+
+export type RecordingKind = 'text' | 'object';
+
+export interface Recording {
+  kind: RecordingKind;
+  model?: string;
+  promptPreview: string;
+  text?: string;
+  object?: any;
+  recordedAt: string;
+}
+
+export function isMockProvider(): boolean {
+  return AI_PROVIDER === 'mock';
+}
+
+export function isRecordingResponses(): boolean {
+  return RECORD_RESPONSES && !isMockProvider();
+}
+
+// ============================================================================
+// RECORD / REPLAY
+// ============================================================================
+
+function promptToString(prompt: unknown): string {
+  return typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+}
+
+/**
+ * Recording key - depends only on the kind of call and the prompt
+ */
+export function getRecordingKey(kind: RecordingKind, prompt: unknown): string {
+  return createHash('sha256').update(`${kind}\n${promptToString(prompt)}`).digest('hex');
+}
+
+export function loadRecording(kind: RecordingKind, prompt: unknown): Recording | null {
+  const file = path.join(RECORDINGS_DIR, `${getRecordingKey(kind, prompt)}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    log.warn(`Ignoring unreadable recording ${file}`, { error: (error as Error).message });
+    return null;
+  }
+}
+
+/**
+ * Save a real provider response for later replay (AI_RECORD_RESPONSES=true)
+ */
+export function saveRecording(
+  kind: RecordingKind,
+  prompt: unknown,
+  response: { text?: string; object?: any },
+  model?: string
+): void {
+  if (!isRecordingResponses()) return;
+
+  try {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    const recording: Recording = {
+      kind,
+      model,
+      promptPreview: promptToString(prompt).substring(0, 200),
+      ...response,
+      recordedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(
+      path.join(RECORDINGS_DIR, `${getRecordingKey(kind, prompt)}.json`),
+      JSON.stringify(recording, null, 2)
+    );
+  } catch (error) {
+    log.warn('Failed to save AI recording', { error: (error as Error).message });
+  }
+}
+
+// ============================================================================
+// FIXTURE SYNTHESIS
+// ============================================================================
+
+/**
+ * Small deterministic number generator seeded from a string
+ */
+function seededRandom(seed: string): () => number {
+  let state = parseInt(createHash('sha256').update(seed).digest('hex').substring(0, 8), 16) || 1;
+  return () => {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return ((state >>> 0) % 10000) / 10000;
+  };
+}
+
+function humanize(key: string): string {
+  return key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Build a value matching a JSON schema. Optional properties are left out.
+ */
+function fixtureFromJsonSchema(schema: any, key: string, index: number, random: () => number): any {
+  if (!schema || typeof schema !== 'object') return null;
+
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum)) {
+    return schema.enum[Math.floor(random() * schema.enum.length)];
+  }
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) {
+    const nonNull = variants.find((v: any) => v.type !== 'null') || variants[0];
+    return fixtureFromJsonSchema(nonNull, key, index, random);
+  }
+  if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    return fixtureFromJsonSchema(Object.assign({}, ...schema.allOf), key, index, random);
+  }
+
+  const type = Array.isArray(schema.type)
+    ? schema.type.find((t: string) => t !== 'null')
+    : schema.type;
+  const suffix = index > 0 ? ` ${index}` : '';
+
+  switch (type) {
+    case 'object': {
+      const required: string[] = schema.required || [];
+      const result: Record<string, any> = {};
+      for (const [prop, propSchema] of Object.entries<any>(schema.properties || {})) {
+        if (!required.includes(prop)) continue;
+        result[prop] = fixtureFromJsonSchema(propSchema, prop, index, random);
+      }
+      return result;
+    }
+    case 'array': {
+      const min = schema.minItems ?? MOCK_ARRAY_LENGTH;
+      const length = Math.min(Math.max(min, MOCK_ARRAY_LENGTH), schema.maxItems ?? Infinity);
+      return Array.from({ length }, (_, i) => fixtureFromJsonSchema(schema.items, key, i + 1, random));
+    }
+    case 'string':
+      if (key === 'id' || key.endsWith('Id')) return `mock-${humanize(key).replace(/\s+/g, '-')}${suffix.replace(' ', '-')}`;
+      return `Mock ${humanize(key)}${suffix}`;
+    case 'integer':
+    case 'number': {
+      const min = schema.minimum ?? schema.exclusiveMinimum ?? 1;
+      const max = schema.maximum ?? schema.exclusiveMaximum ?? Math.max(min, 10);
+      const value = min + random() * (max - min);
+      return type === 'integer' || !schema.maximum ? Math.round(value) : Math.round(value * 100) / 100;
+    }
+    case 'boolean':
+      return random() >= 0.5;
+    case 'null':
+      return null;
+    default:
+      return `Mock ${humanize(key)}${suffix}`;
+  }
+}
+
+/**
+ * Synthesize an object that satisfies a Zod schema, seeded by the prompt
+ */
+export function createMockObject<T>(schema: z.ZodType<T>, seed = ''): T {
+  const jsonSchema = z.toJSONSchema(schema, { unrepresentable: 'any' });
+  const fixture = fixtureFromJsonSchema(jsonSchema, 'value', 0, seededRandom(seed));
+
+  const parsed = schema.safeParse(fixture);
+  if (!parsed.success) {
+    log.warn('Mock fixture does not match schema', { issues: parsed.error.issues.slice(0, 5) });
+    return fixture as T;
+  }
+  return parsed.data;
+}
+
+interface JsonSpan {
+  start: number;
+  end: number;
+  inner: JsonSpan[];
+}
+
+const MAX_JSON_CANDIDATES = 100; // Parse attempts per prompt
+
+/**
+ * Find the last JSON object embedded in a prompt. Legacy prompts spell out the
+ * expected response shape as an example, which makes a good mock reply.
+ */
+function extractExampleJson(prompt: string): any | null {
+  // One pass: the outermost balanced {...} spans, in order, each holding
+  // the spans inside it. Quotes only count inside braces, so prose around
+  // the example can't unbalance it.
+  const opened: number[] = [];
+  const spans: JsonSpan[] = [];
+  let inString = false;
+
+  for (let i = 0; i < prompt.length; i++) {
+    const char = prompt[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"' && opened.length > 0) {
+      inString = true;
+    } else if (char === '{') {
+      opened.push(i);
+    } else if (char === '}' && opened.length > 0) {
+      const start = opened.pop()!;
+      const inner: JsonSpan[] = [];
+      while (spans.length > 0 && spans[spans.length - 1].start > start) inner.push(spans.pop()!);
+      spans.push({ start, end: i + 1, inner: inner.reverse() });
+    }
+  }
+
+  // Last span first; one that isn't valid JSON (e.g. a template
+  // placeholder) may still hold the example
+  let attempts = 0;
+  const lastValid = (candidates: JsonSpan[]): any | null => {
+    for (let i = candidates.length - 1; i >= 0 && attempts < MAX_JSON_CANDIDATES; i--) {
+      attempts++;
+      try {
+        return JSON.parse(prompt.substring(candidates[i].start, candidates[i].end));
+      } catch {
+        const found = lastValid(candidates[i].inner);
+        if (found !== null) return found;
+      }
+    }
+    return null;
+  };
+  return lastValid(spans);
+}
+
+/**
+ * Canned text reply. If the prompt asks for JSON by example, echo the example.
+ */
+export function createMockText(prompt: unknown, model = 'mock'): string {
+  const promptText = promptToString(prompt);
+  const example = extractExampleJson(promptText);
+  if (example) {
+    return JSON.stringify(example, null, 2);
+  }
+
+  const preview = promptText.replace(/\s+/g, ' ').trim().substring(0, 120);
+  return `[${model}] Mock response for: "${preview}${promptText.length > 120 ? '...' : ''}"`;
+}
+
+// ============================================================================
+// MOCK ENTRY POINTS
+// ============================================================================
+
+export function mockGenerateText(prompt: unknown, model?: string): string {
+  const recording = loadRecording('text', prompt);
+  if (recording?.text !== undefined) {
+    log.debug('Replaying recorded text response', { model });
+    return recording.text;
+  }
+  return createMockText(prompt, model);
+}
+
+export function mockGenerateObject<T>(prompt: string, schema: z.ZodType<T>): T {
+  const recording = loadRecording('object', prompt);
+  if (recording?.object !== undefined) {
+    const parsed = schema.safeParse(recording.object);
+    if (parsed.success) {
+      log.debug('Replaying recorded object response');
+      return parsed.data;
+    }
+    log.warn('Recorded object no longer matches schema, synthesizing instead');
+  }
+  return createMockObject(schema, prompt);
+}
+
+/**
+ * Minimal stand-in for a @google/generative-ai GenerativeModel, covering the
+ * generateContent() calls made throughout the app.
+ */
+export function createMockGenerativeModel(modelName: string) {
+  return {
+    model: `models/${modelName}`,
+    async generateContent(request: unknown) {
+      const text = mockGenerateText(request, modelName);
+      return {
+        response: {
+          text: () => text,
+          candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+        },
+      };
+    },
+  };
+}
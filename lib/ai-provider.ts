@@ -3,17 +3,21 @@
  * 
  * Centralized AI SDK configuration with:
  * - Google Gemini provider setup
+ * - OpenAI-compatible HTTP backends (local model servers, etc.)
  * - Model configurations
  * - Error handling & retry logic
  * - Timeout management
  * - Type-safe structured outputs
  * - Production-grade logging
+ * - Offline mock backend (AI_PROVIDER=mock, see lib/ai-mock.ts)
  */
 
 import { createGoogleGenerativeAI } from '@ai-sdk/google';
-import { generateText, generateObject, streamText, LanguageModel } from 'ai';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+import { generateText, generateObject, streamText, streamObject, LanguageModel } from 'ai';
 import { z } from 'zod';
 import { createLogger } from '@/lib/logger';
+import { AI_PROVIDER, isMockProvider, mockGenerateText, mockGenerateObject, saveRecording } from '@/lib/ai-mock';
 
 // Create dedicated logger for AI provider
 const log = createLogger('ai-provider');
@@ -21,7 +25,7 @@ const log = createLogger('ai-provider');
 // Environment validation
 const GEMINI_API_KEY = process.env.GOOGLE_GEMINI_API_KEY || process.env.GEMINI_API_KEY;
 
-if (!GEMINI_API_KEY) {
+if (!GEMINI_API_KEY && !isMockProvider() && AI_PROVIDER !== 'openai-compatible') {
   throw new Error('GEMINI_API_KEY or GOOGLE_GEMINI_API_KEY is not defined in environment variables');
 }
 
@@ -38,19 +42,106 @@ const google = createGoogleGenerativeAI({
  * Models available in ScriptForgeAI
  * Updated: February 2026 - Optimized for cost/performance
  */
-export const models = {
+export const MODEL_IDS = {
   // Fast model for general tasks - cost-effective
-  flash: google('gemini-2.0-flash'),
+  flash: 'gemini-2.0-flash',
   
   // Pro model for complex reasoning (Knowledge Graph, etc.)
-  pro: google('gemini-2.5-pro'),
+  pro: 'gemini-2.5-pro',
   
   // Alias for backwards compatibility
-  reasoning: google('gemini-2.0-flash'),
-  knowledgeGraph: google('gemini-2.5-pro'),
+  reasoning: 'gemini-2.0-flash',
+  knowledgeGraph: 'gemini-2.5-pro',
+} as const;
+
+export type ModelType = keyof typeof MODEL_IDS;
+
+export const models: Record<ModelType, LanguageModel> = {
+  flash: google(MODEL_IDS.flash),
+  pro: google(MODEL_IDS.pro),
+  reasoning: google(MODEL_IDS.reasoning),
+  knowledgeGraph: google(MODEL_IDS.knowledgeGraph),
 };
 
-export type ModelType = keyof typeof models;
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+export type AIBackend = 'gemini' | 'openai-compatible' | 'mock';
+
+/**
+ * An explicit backend + model, e.g. { provider: 'openai-compatible', model: 'llama3.1:8b' }
+ */
+export interface ModelSelection {
+  provider: AIBackend;
+  model: string;
+}
+
+/** A built-in Gemini model alias or an explicit backend selection */
+export type ModelChoice = ModelType | ModelSelection;
+
+// OpenAI-compatible endpoint (OpenAI, llama.cpp server, Ollama, vLLM, ...).
+// The URL and key are server configuration only - users can pick a model, not an endpoint.
+const OPENAI_COMPATIBLE_BASE_URL = process.env.OPENAI_COMPATIBLE_BASE_URL;
+
+let openAICompatible: ReturnType<typeof createOpenAICompatible> | null = null;
+
+function getOpenAICompatibleProvider() {
+  if (!OPENAI_COMPATIBLE_BASE_URL) {
+    throw new Error('OPENAI_COMPATIBLE_BASE_URL is not defined - cannot use the openai-compatible backend');
+  }
+  if (!openAICompatible) {
+    openAICompatible = createOpenAICompatible({
+      name: 'openai-compatible',
+      baseURL: OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      // Most local servers accept response_format: json_schema; set to false for ones that don't
+      supportsStructuredOutputs: process.env.OPENAI_COMPATIBLE_STRUCTURED_OUTPUTS !== 'false',
+    });
+  }
+  return openAICompatible;
+}
+
+/**
+ * Resolve a model choice to a concrete language model.
+ * `model` is null for the mock backend, which never calls a provider.
+ */
+export function resolveModel(choice: ModelChoice = 'flash'): {
+  provider: AIBackend;
+  modelId: string;
+  model: LanguageModel | null;
+} {
+  let selection: ModelSelection;
+  if (typeof choice !== 'string') {
+    selection = choice;
+  } else if (AI_PROVIDER === 'openai-compatible') {
+    // Built-in aliases all map to the endpoint's default model
+    selection = { provider: 'openai-compatible', model: process.env.OPENAI_COMPATIBLE_MODEL || MODEL_IDS[choice] };
+  } else {
+    selection = { provider: 'gemini', model: MODEL_IDS[choice] || MODEL_IDS.flash };
+  }
+
+  if (isMockProvider() || selection.provider === 'mock') {
+    return { provider: 'mock', modelId: selection.model, model: null };
+  }
+
+  switch (selection.provider) {
+    case 'gemini':
+      return {
+        provider: 'gemini',
+        modelId: selection.model,
+        model: typeof choice === 'string' && models[choice] ? models[choice] : google(selection.model),
+      };
+    case 'openai-compatible':
+      return {
+        provider: 'openai-compatible',
+        modelId: selection.model,
+        model: getOpenAICompatibleProvider()(selection.model),
+      };
+    default:
+      throw new Error(`Unknown AI backend: ${(selection as ModelSelection).provider}`);
+  }
+}
 
 // ============================================================================
 // GENERATION OPTIONS
@@ -86,23 +177,34 @@ const DEFAULT_OPTIONS: Required<GenerationOptions> = {
  */
 export async function safeGenerateText(
   prompt: string,
-  options: GenerationOptions & { model?: ModelType } = {}
+  options: GenerationOptions & { model?: ModelChoice } = {}
 ): Promise<{ text: string; success: boolean; error?: string }> {
   const {
-    model: modelType = 'flash',
+    model: modelChoice = 'flash',
     maxRetries = DEFAULT_OPTIONS.maxRetries,
     timeout = DEFAULT_OPTIONS.timeout,
     temperature = DEFAULT_OPTIONS.temperature,
     maxTokens = DEFAULT_OPTIONS.maxTokens,
   } = options;
 
-  const model = models[modelType];
+  let backend: ReturnType<typeof resolveModel>;
+  try {
+    backend = resolveModel(modelChoice);
+  } catch (error) {
+    log.error('generateText: no usable model', error as Error);
+    return { text: '', success: false, error: (error as Error).message };
+  }
+  if (backend.provider === 'mock') {
+    return { text: mockGenerateText(prompt, backend.modelId), success: true };
+  }
+
+  const model = backend.model!;
   const startTime = Date.now();
   let lastError: Error | null = null;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      log.debug(`generateText attempt ${attempt}/${maxRetries}`, { model: modelType, timeout });
+      log.debug(`generateText attempt ${attempt}/${maxRetries}`, { model: backend.modelId, timeout });
       
       const result = await generateText({
         model,
@@ -112,7 +214,8 @@ export async function safeGenerateText(
       });
 
       const elapsed = Date.now() - startTime;
-      log.info(`generateText success`, { model: modelType, attempt, duration: elapsed });
+      log.info(`generateText success`, { model: backend.modelId, attempt, duration: elapsed });
+      saveRecording('text', prompt, { text: result.text }, backend.modelId);
 
       return {
         text: result.text,
@@ -122,7 +225,7 @@ export async function safeGenerateText(
       lastError = error as Error;
       const elapsed = Date.now() - startTime;
       log.warn(`generateText attempt ${attempt} failed`, { 
-        model: modelType, 
+        model: backend.modelId, 
         duration: elapsed, 
         error: (error as Error).message 
       });
@@ -173,23 +276,34 @@ export async function safeGenerateText(
 export async function safeGenerateObject<T>(
   prompt: string,
   schema: z.ZodType<T>,
-  options: GenerationOptions & { model?: ModelType } = {}
+  options: GenerationOptions & { model?: ModelChoice } = {}
 ): Promise<{ object: T | null; success: boolean; error?: string }> {
   const {
-    model: modelType = 'flash',
+    model: modelChoice = 'flash',
     maxRetries = DEFAULT_OPTIONS.maxRetries,
     timeout = DEFAULT_OPTIONS.timeout,
     temperature = 0.7, // Lower for structured output
     maxTokens = DEFAULT_OPTIONS.maxTokens,
   } = options;
 
-  const model = models[modelType];
+  let backend: ReturnType<typeof resolveModel>;
+  try {
+    backend = resolveModel(modelChoice);
+  } catch (error) {
+    log.error('generateObject: no usable model', error as Error);
+    return { object: null, success: false, error: (error as Error).message };
+  }
+  if (backend.provider === 'mock') {
+    return { object: mockGenerateObject(prompt, schema), success: true };
+  }
+
+  const model = backend.model!;
   const startTime = Date.now();
   let lastError: Error | null = null;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      log.debug(`generateObject attempt ${attempt}/${maxRetries}`, { model: modelType, timeout });
+      log.debug(`generateObject attempt ${attempt}/${maxRetries}`, { model: backend.modelId, timeout });
       
       const result = await generateObject({
         model,
@@ -200,7 +314,8 @@ export async function safeGenerateObject<T>(
       });
 
       const elapsed = Date.now() - startTime;
-      log.info(`generateObject success`, { model: modelType, attempt, duration: elapsed });
+      log.info(`generateObject success`, { model: backend.modelId, attempt, duration: elapsed });
+      saveRecording('object', prompt, { object: result.object }, backend.modelId);
 
       return {
         object: result.object,
@@ -209,7 +324,7 @@ export async function safeGenerateObject<T>(
     } catch (error) {
       lastError = error as Error;
       log.warn(`generateObject attempt ${attempt} failed`, { 
-        model: modelType, 
+        model: backend.modelId, 
         error: (error as Error).message 
       });
 
@@ -236,22 +351,130 @@ export async function safeGenerateObject<T>(
   };
 }
 
+/**
+ * Stream structured JSON output, reporting partial objects as they arrive.
+ * Same retry/timeout behaviour and return shape as safeGenerateObject.
+ */
+export async function safeStreamObject<T>(
+  prompt: string,
+  schema: z.ZodType<T>,
+  options: GenerationOptions & { model?: ModelChoice; onPartial?: (partial: Partial<T>) => void } = {}
+): Promise<{ object: T | null; success: boolean; error?: string }> {
+  const {
+    model: modelChoice = 'flash',
+    maxRetries = DEFAULT_OPTIONS.maxRetries,
+    timeout = DEFAULT_OPTIONS.timeout,
+    temperature = 0.7, // Lower for structured output
+    onPartial,
+  } = options;
+
+  let backend: ReturnType<typeof resolveModel>;
+  try {
+    backend = resolveModel(modelChoice);
+  } catch (error) {
+    log.error('streamObject: no usable model', error as Error);
+    return { object: null, success: false, error: (error as Error).message };
+  }
+  if (backend.provider === 'mock') {
+    // Report the top-level fields one by one, like a real stream would
+    const object = mockGenerateObject(prompt, schema);
+    if (onPartial && object && typeof object === 'object' && !Array.isArray(object)) {
+      const partial: Record<string, any> = {};
+      for (const [key, value] of Object.entries(object)) {
+        partial[key] = value;
+        onPartial({ ...partial } as Partial<T>);
+      }
+    }
+    return { object, success: true };
+  }
+
+  const model = backend.model!;
+  const startTime = Date.now();
+  let lastError: Error | null = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      log.debug(`streamObject attempt ${attempt}/${maxRetries}`, { model: backend.modelId, timeout });
+
+      const result = streamObject({
+        model,
+        prompt,
+        schema,
+        temperature,
+        abortSignal: AbortSignal.timeout(timeout),
+      });
+
+      for await (const partial of result.partialObjectStream) {
+        onPartial?.(partial as Partial<T>);
+      }
+
+      const object = await result.object;
+      const elapsed = Date.now() - startTime;
+      log.info(`streamObject success`, { model: backend.modelId, attempt, duration: elapsed });
+      saveRecording('object', prompt, { object }, backend.modelId);
+
+      return {
+        object: object as T,
+        success: true,
+      };
+    } catch (error) {
+      lastError = error as Error;
+      log.warn(`streamObject attempt ${attempt} failed`, {
+        model: backend.modelId,
+        error: (error as Error).message
+      });
+
+      if (error instanceof Error) {
+        if (error.name === 'TimeoutError' && attempt >= 2) break;
+        if (error.message.includes('401') || error.message.includes('API key')) break;
+
+        if (error.message.includes('429')) {
+          await delay(5000);
+        }
+      }
+
+      if (attempt < maxRetries) {
+        await delay(Math.min(1000 * Math.pow(2, attempt - 1), 10000));
+      }
+    }
+  }
+
+  return {
+    object: null,
+    success: false,
+    error: lastError?.message || 'Failed to stream structured output',
+  };
+}
+
 /**
  * Stream text generation with real-time output
  */
 export async function safeStreamText(
   prompt: string,
-  options: GenerationOptions & { model?: ModelType; onChunk?: (chunk: string) => void } = {}
+  options: GenerationOptions & { model?: ModelChoice; onChunk?: (chunk: string) => void } = {}
 ) {
   const {
-    model: modelType = 'flash',
+    model: modelChoice = 'flash',
     timeout = DEFAULT_OPTIONS.timeout,
     temperature = DEFAULT_OPTIONS.temperature,
     maxTokens = DEFAULT_OPTIONS.maxTokens,
     onChunk,
   } = options;
 
-  const model = models[modelType];
+  let backend: ReturnType<typeof resolveModel>;
+  try {
+    backend = resolveModel(modelChoice);
+  } catch (error) {
+    log.error('streamText: no usable model', error as Error);
+    return { text: '', success: false, error: (error as Error).message };
+  }
+  if (backend.provider === 'mock') {
+    const text = mockGenerateText(prompt, backend.modelId);
+    text.split(/(?<=\s)/).forEach(chunk => onChunk?.(chunk));
+    return { text, success: true };
+  }
+
+  const model = backend.model!;
 
   try {
     const result = streamText({
@@ -267,6 +490,7 @@ export async function safeStreamText(
       fullText += chunk;
       onChunk?.(chunk);
     }
+    saveRecording('text', prompt, { text: fullText }, backend.modelId);
 
     return {
       text: fullText,
@@ -492,6 +716,55 @@ export const CreativeSuggestionsSchema = z.object({
 
 export type CreativeSuggestionsOutput = z.infer<typeof CreativeSuggestionsSchema>;
 
+/**
+ * Recall answer schema (one answer of the Intelligent Recall Agent)
+ */
+export const RecallAnswerSchema = z.object({
+  query: z.string(),
+  answer: z.string(),
+  confidence: z.number().min(0).max(1),
+  references: z.array(z.object({
+    type: z.string(),
+    id: z.string(),
+    excerpt: z.string(),
+  })),
+  relatedInfo: z.array(z.string()),
+});
+
+export type RecallAnswerOutput = z.infer<typeof RecallAnswerSchema>;
+
+/**
+ * Teaser schema (Cinematic Teaser Agent output)
+ */
+export const TeaserSchema = z.object({
+  essence: z.object({
+    genre: z.string(),
+    mainConflict: z.string(),
+    mood: z.string(),
+    hook: z.string(),
+    keyMoments: z.array(z.string()),
+  }),
+  teaserScript: z.object({
+    duration: z.number(),
+    narration: z.array(z.string()),
+    structure: z.array(z.string()),
+    musicSuggestion: z.string(),
+    pacing: z.string(),
+  }),
+  visualPrompts: z.array(z.object({
+    scene: z.string(),
+    prompt: z.string(),
+    duration: z.number(),
+    cameraAngle: z.string(),
+    mood: z.string(),
+    characters: z.array(z.string()),
+  })),
+  hooks: z.array(z.string()),
+  tagline: z.string(),
+});
+
+export type TeaserOutput = z.infer<typeof TeaserSchema>;
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -555,6 +828,28 @@ export function createFallbackResponse(agentType: string): any {
         themeReinforcements: [],
         alternativeScenarios: [],
       };
+    case 'intelligent-recall':
+      return [];
+    case 'cinematic-teaser':
+      return {
+        essence: {
+          genre: 'Unknown',
+          mainConflict: 'Unable to analyze',
+          mood: 'Unknown',
+          hook: 'Please retry analysis',
+          keyMoments: [],
+        },
+        teaserScript: {
+          duration: 60,
+          narration: [],
+          structure: [],
+          musicSuggestion: '',
+          pacing: '',
+        },
+        visualPrompts: [],
+        hooks: [],
+        tagline: 'Analysis pending...',
+      };
     default:
       return { error: 'Analysis failed', message: 'Please retry' };
   }
@@ -564,4 +859,4 @@ export function createFallbackResponse(agentType: string): any {
 // EXPORTS
 // ============================================================================
 
-export { google, generateText, generateObject, streamText, z };
+export { google, generateText, generateObject, streamText, streamObject, z };
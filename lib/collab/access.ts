@@ -0,0 +1,128 @@
+/**
+ * Collab Access - who may open a shared document, and as what
+ *
+ * Socket connections carry the NextAuth session cookie, so the socket server
+ * knows who is connecting without trusting anything the client sends. A
+ * document id is a workflow id; the workflow's owner and members get their
+ * project role, everyone else is turned away.
+ *
+ * Roles are checked again on every edit. Lookups are cached briefly. The
+ * socket server (a pages/ API route) and the membership routes (app/ routes)
+ * are separate bundles, so the cache lives on `global` for a role change in
+ * one to reach the other. The socket server registers itself there too, so a
+ * membership change also reaches the sessions that are already open.
+ */
+
+import type { IncomingMessage } from 'http';
+import mongoose from 'mongoose';
+import { getToken } from 'next-auth/jwt';
+import type { Server } from 'socket.io';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import type { ProjectRole } from './roles';
+
+const ROLE_CACHE_MS = 30 * 1000;
+
+export interface CollabUser {
+  id: string;
+  name: string;
+  image?: string;
+}
+
+const cache: Map<string, { role: Promise<ProjectRole | null>; expiresAt: number }> =
+  (global as any).collabRoleCache ??= new Map();
+
+function parseCookies(header: string | undefined): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  for (const pair of (header || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+    const name = pair.slice(0, separator).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+    } catch {
+      // Not ours: NextAuth cookies are always URI-safe
+    }
+  }
+  return cookies;
+}
+
+/**
+ * The signed-in user behind a socket handshake, or null without a valid session
+ */
+export async function authenticateSocket(request: IncomingMessage): Promise<CollabUser | null> {
+  const token = await getToken({
+    req: { headers: request.headers, cookies: parseCookies(request.headers.cookie) } as any,
+    secret: process.env.NEXTAUTH_SECRET,
+  });
+  if (!token?.id) return null;
+  return {
+    id: String(token.id),
+    name: token.name || token.email?.split('@')[0] || 'Writer',
+    image: token.picture || undefined,
+  };
+}
+
+/**
+ * A user's role on a workflow, or null when they are not on the project
+ */
+export async function resolveProjectRole(workflowId: string, userId: string): Promise<ProjectRole | null> {
+  if (!mongoose.isValidObjectId(workflowId) || !mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+  await connectDB();
+  const workflow = await ScriptWorkflow.findOne({
+    _id: workflowId,
+    $or: [{ userId }, { 'members.userId': userId }],
+  }).select('userId members').lean() as any;
+
+  if (!workflow) return null;
+  if (String(workflow.userId) === userId) return 'owner';
+  return workflow.members.find((member: any) => String(member.userId) === userId)?.role ?? null;
+}
+
+/**
+ * resolveProjectRole, cached for a few seconds per user and workflow
+ */
+export function getProjectRole(workflowId: string, userId: string): Promise<ProjectRole | null> {
+  const key = `${workflowId}:${userId}`;
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+  const role = resolveProjectRole(workflowId, userId);
+  cache.set(key, { role, expiresAt: Date.now() + ROLE_CACHE_MS });
+  role.catch(() => cache.delete(key));
+  return role;
+}
+
+/**
+ * Let membership routes reach the live sessions of the socket server
+ */
+export function registerCollabServer(io: Server): void {
+  (global as any).collabServer = io;
+}
+
+/**
+ * Drop cached roles for a workflow after its members change, then bring its
+ * open sessions in line: removed members are sent out of the room, everyone
+ * else learns their current role
+ */
+export async function forgetProjectRoles(workflowId: string): Promise<void> {
+  for (const key of cache.keys()) {
+    if (key.startsWith(`${workflowId}:`)) cache.delete(key);
+  }
+
+  const io: Server | undefined = (global as any).collabServer;
+  if (!io) return;
+
+  for (const socket of await io.in(workflowId).fetchSockets()) {
+    const role = await getProjectRole(workflowId, socket.data.user.id);
+    if (!role) {
+      socket.leave(workflowId);
+      socket.emit('collab-error', { documentId: workflowId, error: 'You no longer have access to this document', revoked: true });
+    } else if (role !== socket.data.profile?.role) {
+      socket.data.profile = { ...socket.data.profile, role };
+      socket.emit('role-changed', { documentId: workflowId, role });
+    }
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Collab Client - the editor's side of a shared document
+ *
+ * Keeps at most one operation in flight: further local edits are composed
+ * into a buffer until the server acknowledges it. Remote operations are
+ * rebased over whatever has not been acknowledged yet, so local typing is
+ * never lost and every client ends on the server's text. After a dropped
+ * connection, `resync` merges unacknowledged edits onto the server's copy.
+ */
+
+import {
+  applyOperation,
+  composeOperations,
+  diffText,
+  isNoop,
+  transformIndex,
+  transformOperations,
+  type TextOperation,
+} from './text-operation';
+
+export type SendOperation = (revision: number, operation: TextOperation, operationId: string) => void;
+
+let lastOperationId = 0;
+
+function nextOperationId(): string {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${++lastOperationId}`;
+}
+
+export class CollabClient {
+  private text = '';
+  private serverRevision = 0;
+  // The server's text as of serverRevision: text without outstanding and buffer
+  private acknowledgedText = '';
+  private outstanding: TextOperation | null = null;
+  private outstandingId: string | null = null;
+  private buffer: TextOperation | null = null;
+
+  constructor(private send: SendOperation) {}
+
+  get document(): string {
+    return this.text;
+  }
+
+  get revision(): number {
+    return this.serverRevision;
+  }
+
+  /** True when the server has acknowledged every local edit */
+  get isSynchronized(): boolean {
+    return this.outstanding === null;
+  }
+
+  /** Id of the operation waiting for acknowledgement, if any */
+  get pendingOperationId(): string | null {
+    return this.outstandingId;
+  }
+
+  /**
+   * Start over from the server's copy, dropping unacknowledged edits
+   */
+  reset(document: string, revision: number): void {
+    this.text = document;
+    this.acknowledgedText = document;
+    this.serverRevision = revision;
+    this.outstanding = null;
+    this.outstandingId = null;
+    this.buffer = null;
+  }
+
+  /**
+   * Take the server's copy after a reconnect without losing local work.
+   * Edits the server never applied - plus `local`, the editor's text if it
+   * changed while offline - are merged onto `document` and sent again.
+   * `outstandingApplied` is the server's answer for pendingOperationId,
+   * in case the connection dropped before its acknowledgement arrived.
+   */
+  resync(document: string, revision: number, outstandingApplied: boolean, local: string = this.text): void {
+    const base = outstandingApplied && this.outstanding
+      ? applyOperation(this.acknowledgedText, this.outstanding)
+      : this.acknowledgedText;
+    // Both sides changed `base`: rebase ours over the server's
+    const [merged] = transformOperations(diffText(base, local), diffText(base, document));
+    this.reset(document, revision);
+    this.applyLocal(merged);
+  }
+
+  /**
+   * Record a local edit that turned the document into `document`.
+   * Returns the operation sent or buffered, or null when nothing changed.
+   */
+  setDocument(document: string): TextOperation | null {
+    if (document === this.text) return null;
+    const operation = diffText(this.text, document);
+    this.applyLocal(operation);
+    return operation;
+  }
+
+  applyLocal(operation: TextOperation): void {
+    if (isNoop(operation)) return;
+    this.text = applyOperation(this.text, operation);
+    if (!this.outstanding) {
+      this.outstanding = operation;
+      this.outstandingId = nextOperationId();
+      this.send(this.serverRevision, operation, this.outstandingId);
+    } else {
+      this.buffer = this.buffer ? composeOperations(this.buffer, operation) : operation;
+    }
+  }
+
+  /**
+   * The server applied our outstanding operation as `revision`
+   */
+  acknowledge(revision: number): void {
+    if (this.outstanding) this.acknowledgedText = applyOperation(this.acknowledgedText, this.outstanding);
+    this.serverRevision = revision;
+    this.outstanding = this.buffer;
+    this.outstandingId = this.buffer && nextOperationId();
+    this.buffer = null;
+    if (this.outstanding) this.send(this.serverRevision, this.outstanding, this.outstandingId!);
+  }
+
+  /**
+   * Apply another writer's operation, already applied by the server as
+   * `revision`. Returns it rebased onto the local document.
+   */
+  applyRemote(operation: TextOperation, revision: number): TextOperation {
+    this.acknowledgedText = applyOperation(this.acknowledgedText, operation);
+    let remote = operation;
+    if (this.outstanding) {
+      [this.outstanding, remote] = transformOperations(this.outstanding, remote);
+    }
+    if (this.buffer) {
+      [this.buffer, remote] = transformOperations(this.buffer, remote);
+    }
+    this.serverRevision = revision;
+    this.text = applyOperation(this.text, remote);
+    return remote;
+  }
+
+  /**
+   * Where an offset in the server's text (at the current revision) falls
+   * in the local document, past the edits not acknowledged yet
+   */
+  toLocalIndex(position: number): number {
+    let index = position;
+    if (this.outstanding) index = transformIndex(index, this.outstanding);
+    if (this.buffer) index = transformIndex(index, this.buffer);
+    return index;
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * Document Rooms - the server's copy of every live-edited document
+ *
+ * The socket server is the single authority on a document's text: each
+ * operation a client sends is rebased over the operations it had not seen
+ * yet, applied, and given the next revision number. Rooms are persisted to
+ * MongoDB so writers who join later (or after a restart) get the current
+ * text instead of whatever their own copy held.
+ *
+ * Undo is kept per writer. Each entry is the inverse of one of that writer's
+ * edits, rebased over everything applied since, so undoing only ever takes
+ * back your own typing and leaves other writers' changes in place.
+ *
+ * Comments are anchored to the start of a line and moved along by every
+ * edit, so they stay on the line they were left on.
+ */
+
+import connectDB from '@/lib/mongodb';
+import CollabDocument from '@/lib/models/CollabDocument';
+import { createLogger } from '@/lib/logger';
+import {
+  OperationError,
+  applyOperation,
+  composeOperations,
+  invertOperation,
+  isNoop,
+  transformIndex,
+  transformOperations,
+  type TextOperation,
+} from './text-operation';
+
+const log = createLogger('collab');
+
+const HISTORY_LIMIT = 500; // Operations kept for clients catching up
+const UNDO_LIMIT = 100; // Undo entries kept per writer
+// Inserted or deleted text is what makes operations large (an undo entry for
+// a pasted scene holds the whole scene), so history and undo are also capped
+// by the characters they carry. With the content they share one MongoDB
+// document, which can't exceed 16 MB.
+const HISTORY_MAX_CHARS = 1_000_000;
+const UNDO_MAX_CHARS = 1_000_000; // Every writer's undo and redo entries together
+const COMMENT_LIMIT = 500; // Comments kept per document, oldest dropped first
+export const COMMENT_MAX_LENGTH = 2000;
+const UNDO_GROUP_MS = 1000; // Edits closer together than this undo as one
+const PERSIST_DELAY_MS = 1000;
+
+interface UndoStacks {
+  undo: TextOperation[];
+  redo: TextOperation[];
+}
+
+export interface DocumentComment {
+  id: string;
+  authorId: string;
+  authorName: string;
+  text: string;
+  /** Offset in the document of the commented line's start */
+  position: number;
+  createdAt: number;
+}
+
+export interface DocumentRoom {
+  documentId: string;
+  content: string;
+  revision: number;
+  history: TextOperation[];
+  /** Client-chosen id of each history entry, null for undo and redo */
+  historyIds: (string | null)[];
+  historyStart: number;
+  undoStacks: Record<string, UndoStacks>;
+  comments: DocumentComment[];
+  lastAuthor: string | null;
+  lastEditAt: number;
+}
+
+export interface AppliedOperation {
+  revision: number;
+  operation: TextOperation;
+}
+
+const rooms = new Map<string, Promise<DocumentRoom>>();
+const persistTimers = new Map<string, ReturnType<typeof setTimeout>>();
+// Rooms whose last writer left, kept loaded until their final save lands
+const closing = new Set<string>();
+
+async function loadRoom(documentId: string, seed: string): Promise<DocumentRoom> {
+  await connectDB();
+  const saved = await CollabDocument.findOne({ documentId }).lean() as any;
+  const room: DocumentRoom = {
+    documentId,
+    content: saved ? saved.content : seed,
+    revision: saved?.revision ?? 0,
+    history: saved?.history ?? [],
+    historyIds: saved?.historyIds ?? (saved?.history ?? []).map(() => null),
+    historyStart: saved?.historyStart ?? 0,
+    undoStacks: saved?.undoStacks ?? {},
+    comments: saved?.comments ?? [],
+    lastAuthor: null,
+    lastEditAt: 0,
+  };
+  if (!saved) schedulePersist(room);
+  return room;
+}
+
+/**
+ * The room for a document, loading it on first use. `seed` becomes the
+ * text of a document nobody has edited live before.
+ */
+export function openRoom(documentId: string, seed = ''): Promise<DocumentRoom> {
+  closing.delete(documentId);
+  let room = rooms.get(documentId);
+  if (!room) {
+    room = loadRoom(documentId, seed);
+    rooms.set(documentId, room);
+    room.catch(() => rooms.delete(documentId));
+  }
+  return room;
+}
+
+/**
+ * Save a room. Resolves false when the write failed; the room stays dirty
+ */
+function persistRoom(room: DocumentRoom): Promise<boolean> {
+  persistTimers.delete(room.documentId);
+  return CollabDocument.updateOne(
+    { documentId: room.documentId },
+    {
+      $set: {
+        content: room.content,
+        revision: room.revision,
+        history: room.history,
+        historyIds: room.historyIds,
+        historyStart: room.historyStart,
+        undoStacks: room.undoStacks,
+        comments: room.comments,
+      },
+    },
+    { upsert: true }
+  )
+    .then(() => true)
+    .catch(error => {
+      log.error(`Failed to persist document ${room.documentId}`, error);
+      return false;
+    });
+}
+
+function schedulePersist(room: DocumentRoom): void {
+  if (persistTimers.has(room.documentId)) return;
+  persistTimers.set(room.documentId, setTimeout(() => persistRoom(room), PERSIST_DELAY_MS));
+}
+
+/**
+ * Save a room straight away and drop it from memory, once its last writer
+ * left. The room stays loaded until the save lands, so a writer rejoining
+ * meanwhile gets the same room instead of the older saved text. A room that
+ * fails to save is kept, and the save retried, rather than losing its edits.
+ */
+export async function closeRoom(documentId: string): Promise<void> {
+  const pending = rooms.get(documentId);
+  if (!pending) return;
+  closing.add(documentId);
+  const timer = persistTimers.get(documentId);
+  if (timer) clearTimeout(timer);
+  const room = await pending.catch(() => null);
+  if (room && timer && !(await persistRoom(room))) {
+    persistTimers.set(documentId, setTimeout(
+      () => closing.has(documentId) ? closeRoom(documentId) : persistRoom(room),
+      PERSIST_DELAY_MS
+    ));
+    return;
+  }
+  // Rejoined or edited while saving: keep it
+  if (closing.delete(documentId) && !persistTimers.has(documentId) && rooms.get(documentId) === pending) {
+    rooms.delete(documentId);
+  }
+}
+
+function stacksFor(room: DocumentRoom, userId: string): UndoStacks {
+  return room.undoStacks[userId] ??= { undo: [], redo: [] };
+}
+
+// Characters an operation carries; retains and deletes count as one each
+function operationSize(operation: TextOperation): number {
+  return operation.reduce<number>((size, component) => size + (typeof component === 'string' ? component.length : 1), 0);
+}
+
+function trimHistory(room: DocumentRoom): void {
+  let size = room.history.reduce((total, operation) => total + operationSize(operation), 0);
+  // The newest operation always stays, however large
+  while (room.history.length > 1 && (room.history.length > HISTORY_LIMIT || size > HISTORY_MAX_CHARS)) {
+    size -= operationSize(room.history.shift()!);
+    room.historyIds.shift();
+    room.historyStart++;
+  }
+}
+
+/**
+ * Drop the oldest entries of the largest undo or redo stacks until all of
+ * them together fit UNDO_MAX_CHARS, and forget writers left with nothing
+ */
+function trimUndoStacks(room: DocumentRoom): void {
+  const stacks = Object.values(room.undoStacks).flatMap(({ undo, redo }) => [undo, redo]);
+  const sizes = stacks.map(entries => entries.reduce((total, entry) => total + operationSize(entry), 0));
+  let total = sizes.reduce((sum, size) => sum + size, 0);
+
+  while (total > UNDO_MAX_CHARS) {
+    const largest = sizes.indexOf(Math.max(...sizes));
+    const dropped = operationSize(stacks[largest].shift()!);
+    sizes[largest] -= dropped;
+    total -= dropped;
+  }
+
+  for (const [userId, { undo, redo }] of Object.entries(room.undoStacks)) {
+    if (undo.length === 0 && redo.length === 0) delete room.undoStacks[userId];
+  }
+}
+
+function rebase(entries: TextOperation[], operation: TextOperation): TextOperation[] {
+  return entries
+    .map(entry => transformOperations(entry, operation)[0])
+    .filter(entry => !isNoop(entry));
+}
+
+/**
+ * Apply an operation made against the current revision and record its
+ * inverse on the author's undo or redo stack
+ */
+function commit(
+  room: DocumentRoom,
+  userId: string,
+  operation: TextOperation,
+  kind: 'edit' | 'undo' | 'redo',
+  operationId: string | null = null
+): AppliedOperation {
+  const before = room.content;
+  room.content = applyOperation(before, operation);
+  const inverse = invertOperation(operation, before);
+  const now = Date.now();
+
+  const own = stacksFor(room, userId);
+  const grouped = kind === 'edit' && room.lastAuthor === userId &&
+    now - room.lastEditAt < UNDO_GROUP_MS && own.undo.length > 0;
+  const groupedEntry = grouped ? own.undo.pop()! : null;
+
+  for (const stacks of Object.values(room.undoStacks)) {
+    stacks.undo = rebase(stacks.undo, operation);
+    stacks.redo = rebase(stacks.redo, operation);
+  }
+
+  if (kind === 'undo') {
+    own.redo.push(inverse);
+  } else {
+    // The grouped entry still applies to the text before this edit
+    own.undo.push(groupedEntry ? composeOperations(inverse, groupedEntry) : inverse);
+    if (own.undo.length > UNDO_LIMIT) own.undo.shift();
+    if (kind === 'edit') own.redo = [];
+  }
+
+  for (const comment of room.comments) {
+    comment.position = transformIndex(comment.position, operation);
+  }
+
+  room.lastAuthor = kind === 'edit' ? userId : null;
+  room.lastEditAt = now;
+  room.history.push(operation);
+  room.historyIds.push(operationId);
+  trimHistory(room);
+  trimUndoStacks(room);
+  room.revision++;
+  schedulePersist(room);
+  return { revision: room.revision, operation };
+}
+
+/**
+ * Apply a client's operation, made against `revision`. Throws an
+ * OperationError when the client is too far behind to be caught up.
+ * `operationId` lets a reconnecting client ask whether it was applied.
+ */
+export function receiveOperation(
+  room: DocumentRoom,
+  userId: string,
+  revision: number,
+  operation: TextOperation,
+  operationId: string | null = null
+): AppliedOperation {
+  if (!Number.isInteger(revision) || revision < room.historyStart || revision > room.revision) {
+    throw new OperationError(`Revision ${revision} is no longer available`);
+  }
+  let rebased = operation;
+  for (const concurrent of room.history.slice(revision - room.historyStart)) {
+    rebased = transformOperations(rebased, concurrent)[0];
+  }
+  return commit(room, userId, rebased, 'edit', operationId);
+}
+
+/**
+ * Whether a client's operation made it into the document. A client whose
+ * connection dropped before the acknowledgement arrived asks on rejoin.
+ */
+export function hasApplied(room: DocumentRoom, operationId: unknown): boolean {
+  return typeof operationId === 'string' && room.historyIds.includes(operationId);
+}
+
+/**
+ * Take back (or reapply) a writer's most recent edit. Returns null when
+ * there is nothing left to undo.
+ */
+export function undoLastEdit(
+  room: DocumentRoom,
+  userId: string,
+  direction: 'undo' | 'redo' = 'undo'
+): AppliedOperation | null {
+  const stacks = room.undoStacks[userId];
+  const operation = stacks?.[direction].pop();
+  if (!operation) return null;
+  return commit(room, userId, operation, direction);
+}
+
+/**
+ * Leave a comment on a line (1-based; past the end means the last line)
+ */
+export function addComment(
+  room: DocumentRoom,
+  author: { id: string; name?: string | null },
+  line: number,
+  text: string
+): DocumentComment {
+  const lines = room.content.split('\n');
+  const index = Math.min(Math.max(Math.floor(line) - 1, 0), lines.length - 1);
+  const comment: DocumentComment = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    authorId: author.id,
+    authorName: author.name || 'Anonymous',
+    text: text.trim().slice(0, COMMENT_MAX_LENGTH),
+    position: lines.slice(0, index).reduce((sum, lineText) => sum + lineText.length + 1, 0),
+    createdAt: Date.now(),
+  };
+  room.comments.push(comment);
+  if (room.comments.length > COMMENT_LIMIT) room.comments.shift();
+  schedulePersist(room);
+  return comment;
+}
+
+/**
+ * Remove a comment. Only its author can, unless `anyAuthor` (the owner
+ * tidying up). Returns false when there was nothing the user could remove.
+ */
+export function removeComment(
+  room: DocumentRoom,
+  commentId: unknown,
+  userId: string,
+  anyAuthor = false
+): boolean {
+  const index = room.comments.findIndex(comment => comment.id === commentId);
+  if (index === -1 || (!anyAuthor && room.comments[index].authorId !== userId)) return false;
+  room.comments.splice(index, 1);
+  schedulePersist(room);
+  return true;
+}
@@ -0,0 +1,89 @@
+/**
+ * Invite Links - signed, expiring tokens that add someone to a project
+ *
+ * A token names the workflow, the role it grants and when it expires, and is
+ * signed with NEXTAUTH_SECRET, so it cannot be edited to reach another
+ * project or a higher role. Anyone signed in who opens the link before it
+ * expires joins with that role.
+ *
+ * Tokens also carry the workflow's `inviteVersion`. Bumping it (when the
+ * owner revokes links or a member is removed) invalidates every link
+ * handed out before.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { isMemberRole, type MemberRole } from './roles';
+
+export const DEFAULT_INVITE_HOURS = 24 * 7;
+export const MAX_INVITE_HOURS = 24 * 30;
+
+export class InviteError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InviteError';
+  }
+}
+
+export interface Invite {
+  workflowId: string;
+  role: MemberRole;
+  /** The workflow's inviteVersion when the link was created */
+  version: number;
+  expiresAt: Date;
+}
+
+function signingSecret(): string {
+  const secret = process.env.NEXTAUTH_SECRET || process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error('NEXTAUTH_SECRET must be set to sign invite links');
+  }
+  return secret;
+}
+
+function sign(payload: string): Buffer {
+  return createHmac('sha256', signingSecret()).update(`invite:${payload}`).digest();
+}
+
+export function createInviteToken(
+  workflowId: string,
+  role: MemberRole,
+  version: number,
+  expiresInHours: number = DEFAULT_INVITE_HOURS
+): { token: string; expiresAt: Date } {
+  const hours = Math.min(Math.max(expiresInHours, 1), MAX_INVITE_HOURS);
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({ w: workflowId, r: role, v: version, exp: expiresAt.getTime() })).toString('base64url');
+  return { token: `${payload}.${sign(payload).toString('base64url')}`, expiresAt };
+}
+
+/**
+ * Check an invite token's signature and expiry. Throws an InviteError when
+ * it has been tampered with or has run out. Whether it was revoked depends
+ * on the workflow: compare `version` with its inviteVersion.
+ */
+export function verifyInviteToken(token: unknown): Invite {
+  const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature || extra !== undefined) {
+    throw new InviteError('Invalid invite link');
+  }
+
+  const expected = sign(payload);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new InviteError('Invalid invite link');
+  }
+
+  let claims: { w?: unknown; r?: unknown; v?: unknown; exp?: unknown };
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new InviteError('Invalid invite link');
+  }
+  if (typeof claims.w !== 'string' || !isMemberRole(claims.r) || typeof claims.v !== 'number' || typeof claims.exp !== 'number') {
+    throw new InviteError('Invalid invite link');
+  }
+  if (claims.exp < Date.now()) {
+    throw new InviteError('This invite link has expired');
+  }
+  return { workflowId: claims.w, role: claims.r, version: claims.v, expiresAt: new Date(claims.exp) };
+}
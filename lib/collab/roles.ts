@@ -0,0 +1,42 @@
+/**
+ * Project Roles - what each person on a shared project may do
+ *
+ * The workflow's creator is its owner. Everyone else joins through an
+ * invite link with one of the member roles below. Client-safe: the editor
+ * uses these checks to decide what to show, the server to enforce them.
+ */
+
+export const PROJECT_ROLES = ['owner', 'editor', 'commenter', 'viewer'] as const;
+export type ProjectRole = typeof PROJECT_ROLES[number];
+
+/** Roles an owner can give to someone else */
+export const MEMBER_ROLES = ['editor', 'commenter', 'viewer'] as const;
+export type MemberRole = typeof MEMBER_ROLES[number];
+
+export const ROLE_LABELS: Record<ProjectRole, string> = {
+  owner: 'Owner',
+  editor: 'Can edit',
+  commenter: 'Can comment',
+  viewer: 'Can view',
+};
+
+const ROLE_RANK: Record<ProjectRole, number> = { viewer: 0, commenter: 1, editor: 2, owner: 3 };
+
+export function isMemberRole(value: unknown): value is MemberRole {
+  return typeof value === 'string' && (MEMBER_ROLES as readonly string[]).includes(value);
+}
+
+/** True when `role` grants more than `other` */
+export function outranks(role: ProjectRole, other: ProjectRole): boolean {
+  return ROLE_RANK[role] > ROLE_RANK[other];
+}
+
+/** Owners and editors change the script text */
+export function canEditScript(role: ProjectRole | null | undefined): boolean {
+  return role === 'owner' || role === 'editor';
+}
+
+/** Everyone but viewers leaves comments on lines of the script */
+export function canComment(role: ProjectRole | null | undefined): boolean {
+  return !!role && role !== 'viewer';
+}
@@ -0,0 +1,287 @@
+/**
+ * Text Operations - operational transformation for plain text
+ *
+ * An operation walks the whole document once: a positive number keeps that
+ * many characters, a negative number deletes that many and a string inserts
+ * itself. Two operations made against the same revision are reconciled with
+ * transformOperations, so concurrent edits from several writers converge on
+ * the same text no matter the order they arrive in.
+ *
+ * Client-safe: used by the socket server and the editor alike.
+ */
+
+export type TextOperation = (number | string)[];
+
+export class OperationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'OperationError';
+  }
+}
+
+const isRetain = (component: number | string): component is number => typeof component === 'number' && component > 0;
+const isDelete = (component: number | string): component is number => typeof component === 'number' && component < 0;
+const isInsert = (component: number | string): component is string => typeof component === 'string';
+
+function retain(operation: TextOperation, count: number): void {
+  if (count <= 0) return;
+  const last = operation[operation.length - 1];
+  if (isRetain(last)) operation[operation.length - 1] = last + count;
+  else operation.push(count);
+}
+
+/**
+ * Inserts always come before a delete at the same position, so two
+ * operations with the same effect are written the same way.
+ */
+function insert(operation: TextOperation, text: string): void {
+  if (!text) return;
+  const last = operation[operation.length - 1];
+  if (isInsert(last)) {
+    operation[operation.length - 1] = last + text;
+  } else if (isDelete(last)) {
+    const beforeDelete = operation[operation.length - 2];
+    if (isInsert(beforeDelete)) operation[operation.length - 2] = beforeDelete + text;
+    else operation.splice(operation.length - 1, 0, text);
+  } else {
+    operation.push(text);
+  }
+}
+
+function remove(operation: TextOperation, count: number): void {
+  if (count <= 0) return;
+  const last = operation[operation.length - 1];
+  if (isDelete(last)) operation[operation.length - 1] = last - count;
+  else operation.push(-count);
+}
+
+/**
+ * Check a value received over the wire is a well-formed operation
+ */
+export function isTextOperation(value: unknown): value is TextOperation {
+  return Array.isArray(value) && value.every(component =>
+    (typeof component === 'string' && component.length > 0) ||
+    (typeof component === 'number' && Number.isInteger(component) && component !== 0)
+  );
+}
+
+/** Length of the document an operation applies to */
+export function baseLength(operation: TextOperation): number {
+  return operation.reduce<number>((length, component) =>
+    isInsert(component) ? length : length + Math.abs(component), 0);
+}
+
+/** Length of the document an operation produces */
+export function targetLength(operation: TextOperation): number {
+  return operation.reduce<number>((length, component) =>
+    isInsert(component) ? length + component.length : isRetain(component) ? length + component : length, 0);
+}
+
+export function isNoop(operation: TextOperation): boolean {
+  return operation.every(isRetain);
+}
+
+export function applyOperation(document: string, operation: TextOperation): string {
+  if (baseLength(operation) !== document.length) {
+    throw new OperationError(`Operation expects a ${baseLength(operation)} character document, got ${document.length}`);
+  }
+  const parts: string[] = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isInsert(component)) {
+      parts.push(component);
+    } else if (isRetain(component)) {
+      parts.push(document.slice(index, index + component));
+      index += component;
+    } else {
+      index -= component;
+    }
+  }
+  return parts.join('');
+}
+
+/**
+ * The operation that undoes `operation`, given the document it was applied to
+ */
+export function invertOperation(operation: TextOperation, document: string): TextOperation {
+  const inverse: TextOperation = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isInsert(component)) {
+      remove(inverse, component.length);
+    } else if (isRetain(component)) {
+      retain(inverse, component);
+      index += component;
+    } else {
+      insert(inverse, document.slice(index, index - component));
+      index -= component;
+    }
+  }
+  return inverse;
+}
+
+/**
+ * Split the components of an operation so two can be walked side by side
+ */
+class ComponentReader {
+  private index = 0;
+  private current: number | string | undefined;
+
+  constructor(private operation: TextOperation) {
+    this.current = operation[0];
+  }
+
+  peek(): number | string | undefined {
+    return this.current;
+  }
+
+  /** Length of the current component in characters */
+  get length(): number {
+    const current = this.current;
+    return current === undefined ? 0 : isInsert(current) ? current.length : Math.abs(current);
+  }
+
+  /** Consume `count` characters of the current component and return them */
+  take(count: number = this.length): number | string {
+    const current = this.current!;
+    let taken: number | string;
+    let rest: number | string | undefined;
+    if (isInsert(current)) {
+      taken = current.slice(0, count);
+      rest = current.slice(count) || undefined;
+    } else {
+      const sign = Math.sign(current);
+      taken = sign * count;
+      rest = Math.abs(current) > count ? current - taken : undefined;
+    }
+    this.current = rest ?? this.operation[++this.index];
+    return taken;
+  }
+}
+
+/**
+ * One operation with the effect of `first` followed by `second`
+ */
+export function composeOperations(first: TextOperation, second: TextOperation): TextOperation {
+  if (targetLength(first) !== baseLength(second)) {
+    throw new OperationError('Operations cannot be composed: lengths do not line up');
+  }
+  const composed: TextOperation = [];
+  const a = new ComponentReader(first);
+  const b = new ComponentReader(second);
+
+  while (a.peek() !== undefined || b.peek() !== undefined) {
+    const componentA = a.peek();
+    const componentB = b.peek();
+    if (componentA !== undefined && isDelete(componentA)) {
+      remove(composed, a.length);
+      a.take();
+    } else if (componentB !== undefined && isInsert(componentB)) {
+      insert(composed, componentB);
+      b.take();
+    } else if (componentA === undefined || componentB === undefined) {
+      throw new OperationError('Operations cannot be composed: one ended early');
+    } else {
+      const count = Math.min(a.length, b.length);
+      const takenA = a.take(count);
+      const takenB = b.take(count);
+      if (isInsert(takenA)) {
+        if (isRetain(takenB)) insert(composed, takenA);
+        // An insert deleted by the second operation never happened
+      } else if (isRetain(takenB)) {
+        retain(composed, count);
+      } else {
+        remove(composed, count);
+      }
+    }
+  }
+  return composed;
+}
+
+/**
+ * Rebase two operations made against the same document onto each other.
+ * Returns [a', b'] such that applying a then b' equals applying b then a'.
+ * When both insert at the same position, `a`'s text goes first.
+ */
+export function transformOperations(a: TextOperation, b: TextOperation): [TextOperation, TextOperation] {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new OperationError('Operations cannot be transformed: they apply to different documents');
+  }
+  const aPrime: TextOperation = [];
+  const bPrime: TextOperation = [];
+  const readerA = new ComponentReader(a);
+  const readerB = new ComponentReader(b);
+
+  while (readerA.peek() !== undefined || readerB.peek() !== undefined) {
+    const componentA = readerA.peek();
+    const componentB = readerB.peek();
+    if (componentA !== undefined && isInsert(componentA)) {
+      insert(aPrime, componentA);
+      retain(bPrime, componentA.length);
+      readerA.take();
+    } else if (componentB !== undefined && isInsert(componentB)) {
+      retain(aPrime, componentB.length);
+      insert(bPrime, componentB);
+      readerB.take();
+    } else if (componentA === undefined || componentB === undefined) {
+      throw new OperationError('Operations cannot be transformed: one ended early');
+    } else {
+      const count = Math.min(readerA.length, readerB.length);
+      const takenA = readerA.take(count);
+      const takenB = readerB.take(count);
+      if (isRetain(takenA) && isRetain(takenB)) {
+        retain(aPrime, count);
+        retain(bPrime, count);
+      } else if (isDelete(takenA) && isRetain(takenB)) {
+        remove(aPrime, count);
+      } else if (isRetain(takenA) && isDelete(takenB)) {
+        remove(bPrime, count);
+      }
+      // Both deleted the same text: neither needs to delete it again
+    }
+  }
+  return [aPrime, bPrime];
+}
+
+/**
+ * The operation turning `before` into `after`, as a single replaced range
+ * between their common prefix and suffix
+ */
+export function diffText(before: string, after: string): TextOperation {
+  let prefix = 0;
+  const shortest = Math.min(before.length, after.length);
+  while (prefix < shortest && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < shortest - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++;
+
+  const operation: TextOperation = [];
+  retain(operation, prefix);
+  insert(operation, after.slice(prefix, after.length - suffix));
+  remove(operation, before.length - prefix - suffix);
+  retain(operation, suffix);
+  return operation;
+}
+
+/**
+ * Where a position in the document ends up after an operation; text
+ * inserted exactly at the position lands before it unless `stickToStart`
+ */
+export function transformIndex(position: number, operation: TextOperation, stickToStart = false): number {
+  let index = 0;
+  let moved = position;
+  for (const component of operation) {
+    if (index > position || (index === position && stickToStart)) break;
+    if (isRetain(component)) {
+      index += component;
+    } else if (isInsert(component)) {
+      moved += component.length;
+    } else {
+      moved -= Math.min(-component, position - index);
+      index -= component;
+    }
+  }
+  return moved;
+}
@@ -1,18 +1,82 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleGenerativeAI, type GenerativeModel, type ModelParams, type Part, type RequestOptions } from '@google/generative-ai';
+import { AI_PROVIDER, isMockProvider, isRecordingResponses, createMockGenerativeModel, saveRecording } from '@/lib/ai-mock';
+import { generateText, resolveModel } from '@/lib/ai-provider';
 
 // Standardize API key - check both possible env var names
 const GEMINI_API_KEY = process.env.GOOGLE_GEMINI_API_KEY || process.env.GEMINI_API_KEY;
 
-if (!GEMINI_API_KEY) {
-  throw new Error('GEMINI_API_KEY or GOOGLE_GEMINI_API_KEY is not defined in environment variables');
-}
-
 // Initialize the Gemini API client
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+const genAI = new GoogleGenerativeAI(GEMINI_API_KEY || '');
 
 // Default timeout for Gemini API calls (120 seconds for complex agents)
 const DEFAULT_GEMINI_TIMEOUT_MS = 120000;
 
+/**
+ * A stand-in for a Gemini model when AI_PROVIDER=openai-compatible: the
+ * prompt (text and inline files) goes to the endpoint's default model
+ */
+function createOpenAICompatibleModel(modelParams: ModelParams, requestOptions?: RequestOptions) {
+  const { model, modelId } = resolveModel('flash');
+  const config = modelParams.generationConfig || {};
+
+  return {
+    model: modelId,
+    async generateContent(request: string | Array<string | Part>) {
+      const parts = (typeof request === 'string' ? [request] : request)
+        .map(part => typeof part === 'string' ? { text: part } : part);
+      const result = await generateText({
+        model: model!,
+        messages: [{
+          role: 'user',
+          content: parts.map(part => part.inlineData
+            ? part.inlineData.mimeType.startsWith('image/')
+              ? { type: 'image' as const, image: part.inlineData.data, mediaType: part.inlineData.mimeType }
+              : { type: 'file' as const, data: part.inlineData.data, mediaType: part.inlineData.mimeType }
+            : { type: 'text' as const, text: part.text || '' }),
+        }],
+        temperature: config.temperature,
+        topP: config.topP,
+        maxOutputTokens: config.maxOutputTokens,
+        abortSignal: requestOptions?.timeout ? AbortSignal.timeout(requestOptions.timeout) : undefined,
+      });
+      return {
+        response: {
+          text: () => result.text,
+          candidates: [{ content: { role: 'model', parts: [{ text: result.text }] } }],
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Create a model - the offline mock when AI_PROVIDER=mock, the configured
+ * endpoint when AI_PROVIDER=openai-compatible, otherwise Gemini (recording
+ * responses for replay when AI_RECORD_RESPONSES=true)
+ */
+function getModel(modelParams: ModelParams, requestOptions?: RequestOptions): GenerativeModel {
+  if (isMockProvider()) {
+    return createMockGenerativeModel(modelParams.model) as unknown as GenerativeModel;
+  }
+  if (AI_PROVIDER === 'openai-compatible') {
+    return createOpenAICompatibleModel(modelParams, requestOptions) as unknown as GenerativeModel;
+  }
+  if (!GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY or GOOGLE_GEMINI_API_KEY is not defined in environment variables');
+  }
+
+  const model = genAI.getGenerativeModel(modelParams, requestOptions);
+  if (isRecordingResponses()) {
+    const generateContent = model.generateContent.bind(model);
+    model.generateContent = async (request) => {
+      const result = await generateContent(request);
+      saveRecording('text', request, { text: result.response.text() }, modelParams.model);
+      return result;
+    };
+  }
+  return model;
+}
+
 /**
  * Wrap a promise with a timeout
  */
@@ -32,7 +96,7 @@ function withTimeout<T>(
 // Reasoning/strategy: Gemini 2.5 Flash for general tasks
 export const getReasoningModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS) => {
   console.log(`[Gemini] Creating Reasoning Model with timeout: ${timeoutMs}ms`);
-  return genAI.getGenerativeModel(
+  return getModel(
     {
       model: 'gemini-2.5-flash',
       generationConfig: {
@@ -47,7 +111,7 @@ export const getReasoningModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS)
 
 // General text: Gemini 2.5 Flash
 export const getFlashModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS) => {
-  return genAI.getGenerativeModel(
+  return getModel(
     {
       model: 'gemini-2.5-flash',
       generationConfig: {
@@ -63,7 +127,7 @@ export const getFlashModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS) =>
 // Knowledge Graph Model: Gemini 2.5 Pro for complex reasoning with higher token limits
 export const getKnowledgeGraphModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS) => {
   console.log(`[Gemini] Creating Knowledge Graph Model with timeout: ${timeoutMs}ms`);
-  return genAI.getGenerativeModel(
+  return getModel(
     {
       model: 'gemini-2.5-pro',
       generationConfig: {
@@ -78,7 +142,7 @@ export const getKnowledgeGraphModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOU
 
 // Image generation: Gemini 2.5 Flash Image (returns base64 images)
 export const getImageModel = (timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS) => {
-  return genAI.getGenerativeModel(
+  return getModel(
     {
       model: 'gemini-2.5-flash-image',
       generationConfig: {
@@ -97,7 +161,7 @@ export const getCustomModel = (
   generationConfig: Record<string, any> = {},
   timeoutMs: number = DEFAULT_GEMINI_TIMEOUT_MS
 ) => {
-  return genAI.getGenerativeModel(
+  return getModel(
     {
       model: modelName,
       generationConfig: {
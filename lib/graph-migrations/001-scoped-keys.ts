@@ -0,0 +1,25 @@
+import { GRAPH_LABELS } from '@/lib/agents/graph-store';
+import type { GraphMigration } from './types';
+
+// Node ids repeat across users and projects; nodes are unique by their
+// scoped key instead, so the old per-id constraints must go
+const LEGACY_CONSTRAINTS = [
+  'character_id', 'location_id', 'object_id', 'event_id', 'plot_thread_id', 'chapter_id', 'state_id',
+];
+
+// One per label (character_key, plot_thread_key, ...)
+const keyConstraintName = (label: string) => `${label.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase()}_key`;
+
+const migration: GraphMigration = {
+  version: 1,
+  name: 'scoped-keys',
+  description: 'Make nodes unique by their scoped key instead of their id',
+  statements: [
+    ...LEGACY_CONSTRAINTS.map(name => `DROP CONSTRAINT ${name} IF EXISTS`),
+    ...GRAPH_LABELS.map(label =>
+      `CREATE CONSTRAINT ${keyConstraintName(label)} IF NOT EXISTS FOR (n:${label}) REQUIRE n.key IS UNIQUE`
+    ),
+  ],
+};
+
+export default migration;
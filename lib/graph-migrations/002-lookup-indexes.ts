@@ -0,0 +1,20 @@
+import type { GraphMigration } from './types';
+
+const migration: GraphMigration = {
+  version: 2,
+  name: 'lookup-indexes',
+  description: 'Index the scope, name, chapter and version lookups the stores make',
+  statements: [
+    'CREATE INDEX character_scope_name IF NOT EXISTS FOR (c:Character) ON (c.scopeKey, c.name)',
+    'CREATE INDEX location_scope_name IF NOT EXISTS FOR (l:Location) ON (l.scopeKey, l.name)',
+    'CREATE INDEX object_scope IF NOT EXISTS FOR (o:Object) ON (o.scopeKey)',
+    'CREATE INDEX event_scope IF NOT EXISTS FOR (e:Event) ON (e.scopeKey)',
+    'CREATE INDEX plot_thread_scope IF NOT EXISTS FOR (p:PlotThread) ON (p.scopeKey)',
+    'CREATE INDEX event_timestamp IF NOT EXISTS FOR (e:Event) ON (e.timestamp)',
+    'CREATE INDEX chapter_scope_number IF NOT EXISTS FOR (ch:Chapter) ON (ch.scopeKey, ch.number)',
+    'CREATE INDEX state_scope IF NOT EXISTS FOR (s:State) ON (s.scopeKey)',
+    'CREATE INDEX state_version IF NOT EXISTS FOR (s:State) ON (s.version)',
+  ],
+};
+
+export default migration;
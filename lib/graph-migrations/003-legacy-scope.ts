@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import type { Session } from 'neo4j-driver';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import { GRAPH_LABELS, toScopeParams } from '@/lib/agents/graph-store';
+import type { GraphMigration } from './types';
+
+// Graphs written before scoping carry a workflowId but no owner, key or
+// scopeKey, so every scoped read skips them. Nodes of a workflow that still
+// exists move into its owner's scope; their states follow the node they
+// describe. What can't be placed - standalone nodes (no owner was ever
+// recorded), nodes of deleted workflows, ids already taken in the scope -
+// is deleted, as are relationships left crossing two scopes.
+
+const labels = GRAPH_LABELS.filter(label => label !== 'State');
+
+async function backfillScopes(session: Session): Promise<void> {
+  const found = await session.run(`
+    MATCH (n) WHERE n.scopeKey IS NULL AND n.workflowId IS NOT NULL
+    RETURN DISTINCT n.workflowId AS workflowId
+  `);
+  const workflowIds = found.records
+    .map(record => record.get('workflowId'))
+    .filter(id => typeof id === 'string' && mongoose.isValidObjectId(id));
+  if (workflowIds.length === 0) return;
+
+  await connectDB();
+  const workflows = await ScriptWorkflow.find({ _id: { $in: workflowIds } }).select('userId').lean() as any[];
+
+  for (const workflow of workflows) {
+    const { ownerId, workflowId, scopeKey } = toScopeParams({ ownerId: String(workflow.userId), workflowId: String(workflow._id) });
+    for (const label of labels) {
+      await session.run(`
+        MATCH (n:${label}) WHERE n.scopeKey IS NULL AND n.workflowId = $workflowId
+        OPTIONAL MATCH (taken:${label} { key: $scopeKey + '/' + n.id })
+        WITH n WHERE taken IS NULL
+        SET n.ownerId = $ownerId, n.scopeKey = $scopeKey, n.key = $scopeKey + '/' + n.id
+      `, { ownerId, workflowId, scopeKey });
+    }
+  }
+
+  await session.run(`
+    MATCH (entity)-[:HAS_STATE|HAS_STATE_CHANGE]->(s:State)
+    WHERE s.scopeKey IS NULL AND entity.scopeKey IS NOT NULL
+    OPTIONAL MATCH (taken:State { key: entity.scopeKey + '/' + s.id })
+    WITH entity, s WHERE taken IS NULL
+    SET s.ownerId = entity.ownerId, s.workflowId = entity.workflowId,
+        s.scopeKey = entity.scopeKey, s.key = entity.scopeKey + '/' + s.id
+  `);
+}
+
+const migration: GraphMigration = {
+  version: 3,
+  name: 'legacy-scope',
+  description: 'Move graphs written before scoping into their workflow owner\'s scope and delete what has no owner',
+  statements: [],
+  run: async (session) => {
+    await backfillScopes(session);
+    // Before scoping, one node could be shared by several workflows' chapters
+    await session.run(`
+      MATCH (a)-[r]->(b)
+      WHERE a.scopeKey IS NOT NULL AND b.scopeKey IS NOT NULL AND a.scopeKey <> b.scopeKey
+      DELETE r
+    `);
+    await session.run(`
+      MATCH (n) WHERE n.scopeKey IS NULL AND (${GRAPH_LABELS.map(label => `n:${label}`).join(' OR ')})
+      DETACH DELETE n
+    `);
+  },
+};
+
+export default migration;
@@ -0,0 +1,23 @@
+/**
+ * Graph Migrations - versioned changes to the Neo4j story graph
+ *
+ * Each migration is a numbered file in this directory, listed below in
+ * order. The database records every version it has applied as a
+ * (:SchemaMigration { version, name, appliedAt }) node, and the runner
+ * applies whatever is missing, lowest version first. To change the graph
+ * model, add the next numbered file and list it here; never edit one that
+ * has shipped.
+ */
+
+import type { GraphMigration } from './types';
+import scopedKeys from './001-scoped-keys';
+import lookupIndexes from './002-lookup-indexes';
+import legacyScope from './003-legacy-scope';
+
+export type { GraphMigration } from './types';
+
+export const GRAPH_MIGRATIONS: GraphMigration[] = [
+  scopedKeys,
+  lookupIndexes,
+  legacyScope,
+];
@@ -0,0 +1,141 @@
+/**
+ * Graph Migration Runner - brings the Neo4j schema up to date
+ *
+ * Runs once per process, the first time the story graph is used. With
+ * GRAPH_MIGRATIONS_DRY_RUN=true it only logs the migrations it would apply
+ * and their Cypher.
+ */
+
+import { getSession } from '@/lib/neo4j';
+import { GRAPH_MIGRATIONS, type GraphMigration } from './index';
+
+export interface MigrationPlan {
+  /** Highest version the database has applied, 0 for a new database */
+  currentVersion: number;
+  /** Highest version in the repo */
+  latestVersion: number;
+  /** Migrations not yet applied, in the order they run */
+  pending: GraphMigration[];
+}
+
+export interface MigrationResult extends MigrationPlan {
+  dryRun: boolean;
+  /** Versions applied by this run */
+  applied: number[];
+}
+
+const isDryRun = () => process.env.GRAPH_MIGRATIONS_DRY_RUN === 'true';
+
+function checkOrder(migrations: GraphMigration[]): void {
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Graph migration ${migration.name} has an invalid version ${migration.version}`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Graph migrations must be listed in ascending version order (${migration.version} after ${migrations[index - 1].version})`);
+    }
+  });
+}
+
+async function readAppliedVersions(): Promise<number[]> {
+  const session = getSession();
+  try {
+    const result = await session.run('MATCH (m:SchemaMigration) RETURN m.version AS version');
+    return result.records.map(record => {
+      const version = record.get('version');
+      return typeof version === 'number' ? version : version.toNumber();
+    });
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Which migrations the database is missing
+ */
+export async function getMigrationPlan(): Promise<MigrationPlan> {
+  checkOrder(GRAPH_MIGRATIONS);
+  const applied = new Set(await readAppliedVersions());
+  const latestVersion = GRAPH_MIGRATIONS[GRAPH_MIGRATIONS.length - 1]?.version ?? 0;
+  const currentVersion = Math.max(0, ...applied);
+
+  if (currentVersion > latestVersion) {
+    console.warn(`[Graph migrations] Database is at version ${currentVersion}, newer than this code (${latestVersion})`);
+  }
+
+  return {
+    currentVersion,
+    latestVersion,
+    pending: GRAPH_MIGRATIONS.filter(migration => !applied.has(migration.version)),
+  };
+}
+
+/**
+ * Apply every pending migration in order, or with dryRun only report them
+ */
+export async function migrateGraphSchema({ dryRun = isDryRun() }: { dryRun?: boolean } = {}): Promise<MigrationResult> {
+  const plan = await getMigrationPlan();
+
+  if (dryRun) {
+    for (const migration of plan.pending) {
+      console.log(`[Graph migrations] Would apply ${migration.version} ${migration.name}: ${migration.description}`);
+      for (const statement of migration.statements) {
+        console.log(`  ${statement}`);
+      }
+      if (migration.run) {
+        console.log('  (plus a data step that runs in code)');
+      }
+    }
+    if (plan.pending.length === 0) {
+      console.log(`[Graph migrations] Schema is up to date at version ${plan.currentVersion}`);
+    }
+    return { ...plan, dryRun, applied: [] };
+  }
+
+  const applied: number[] = [];
+  const session = getSession();
+  try {
+    await session.run('CREATE CONSTRAINT schema_migration_version IF NOT EXISTS FOR (m:SchemaMigration) REQUIRE m.version IS UNIQUE');
+
+    for (const migration of plan.pending) {
+      for (const statement of migration.statements) {
+        await session.run(statement);
+      }
+      await migration.run?.(session);
+      // Recorded only once every statement succeeded; a failure leaves the
+      // migration pending, and it runs again in full next time
+      await session.run(`
+        MERGE (m:SchemaMigration { version: $version })
+        SET m.name = $name, m.appliedAt = datetime()
+      `, { version: migration.version, name: migration.name });
+
+      applied.push(migration.version);
+      console.log(`[Graph migrations] Applied ${migration.version} ${migration.name}`);
+    }
+  } finally {
+    await session.close();
+  }
+
+  return { ...plan, currentVersion: Math.max(plan.currentVersion, ...applied), dryRun, applied };
+}
+
+/**
+ * Kept on globalThis because every route bundle that touches Neo4j loads this
+ * module: a module-level promise would start one migration run per bundle,
+ * all racing to apply the same migrations.
+ */
+const globalMigrations = globalThis as typeof globalThis & { graphSchemaReady?: Promise<void> | null };
+
+/**
+ * Migrate once per process; later calls wait for that run. A failed run is
+ * retried on the next call.
+ */
+export function ensureGraphSchema(): Promise<void> {
+  globalMigrations.graphSchemaReady ??= migrateGraphSchema()
+    .then(() => undefined)
+    .catch(error => {
+      globalMigrations.graphSchemaReady = null;
+      throw error;
+    });
+  return globalMigrations.graphSchemaReady;
+}
@@ -0,0 +1,22 @@
+import type { Session } from 'neo4j-driver';
+
+/**
+ * A numbered change to the Neo4j graph schema or to the shape of its data
+ */
+export interface GraphMigration {
+  /** Applied in ascending order; never renumber one that has shipped */
+  version: number;
+  name: string;
+  description: string;
+  /**
+   * Cypher statements, each run in its own auto-commit transaction (Neo4j
+   * can't mix schema and data changes in one). Every statement must be safe
+   * to run again: a migration interrupted halfway is re-run from the start.
+   */
+  statements: string[];
+  /**
+   * Data changes that need more than fixed Cypher (e.g. values looked up in
+   * MongoDB). Runs after `statements`, under the same re-run rule.
+   */
+  run?: (session: Session) => Promise<void>;
+}
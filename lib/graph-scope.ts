@@ -0,0 +1,42 @@
+/**
+ * Graph Scope - which story graph a request may touch
+ *
+ * Story graph routes only ever work on the signed-in user's data. A
+ * workflowId narrows the scope to that workflow's graph once ownership is
+ * confirmed; without one the user's standalone graph is used.
+ */
+
+import mongoose from 'mongoose';
+import type { Session } from 'next-auth';
+import connectDB from '@/lib/mongodb';
+import ScriptWorkflow from '@/lib/models/ScriptWorkflow';
+import type { GraphScope } from '@/lib/agents/story-knowledge-graph';
+
+/**
+ * The user id the auth callbacks put on the session
+ */
+export function getSessionUserId(session: Session | null): string | null {
+  return (session?.user as { id?: string } | undefined)?.id || null;
+}
+
+/**
+ * Resolve the graph scope for a user, or null when the workflow does not
+ * exist or belongs to someone else (callers answer 404 either way)
+ */
+export async function resolveGraphScope(
+  userId: string,
+  workflowId?: string | null
+): Promise<GraphScope | null> {
+  if (!workflowId) {
+    return { ownerId: userId, workflowId: null };
+  }
+
+  if (!mongoose.isValidObjectId(workflowId)) {
+    return null;
+  }
+
+  await connectDB();
+  const owned = await ScriptWorkflow.exists({ _id: workflowId, userId });
+
+  return owned ? { ownerId: userId, workflowId } : null;
+}
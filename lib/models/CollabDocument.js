@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Shared state of a document edited live in the script editor
+const CollabDocumentSchema = new mongoose.Schema({
+  documentId: {
+    type: String, // Workflow id the editor joined with
+    required: true,
+    unique: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  revision: {
+    type: Number, // Operations applied since the document was created
+    default: 0
+  },
+  history: [mongoose.Schema.Types.Mixed], // Most recent operations, oldest first
+  historyIds: [String], // Client-chosen id of each history entry (null for undo/redo)
+  historyStart: {
+    type: Number, // Revision the first kept operation was made against
+    default: 0
+  },
+  undoStacks: mongoose.Schema.Types.Mixed, // { [userId]: { undo: [op], redo: [op] } }
+  comments: [mongoose.Schema.Types.Mixed] // { id, authorId, authorName, text, position, createdAt }, oldest first
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+export default mongoose.models.CollabDocument || mongoose.model('CollabDocument', CollabDocumentSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// A user-defined agent node, run by lib/agents/custom-agents.ts
+const CustomAgentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Stable id used as the node's agentType ('custom-<slug>'), fixed at creation
+  slug: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  systemPrompt: {
+    type: String,
+    required: true
+  },
+  // Upstream output ports the agent consumes, e.g. 'knowledge_graph'
+  inputs: {
+    type: [String],
+    default: []
+  },
+  outputSchema: {
+    type: mongoose.Schema.Types.Mixed, // JSON Schema of the agent's output
+    required: true
+  },
+  model: {
+    provider: String,
+    model: String
+  },
+  icon: {
+    type: String,
+    default: 'Bot'
+  },
+  color: {
+    type: String,
+    default: '#64748B'
+  }
+}, {
+  timestamps: true
+});
+
+CustomAgentSchema.index({ userId: 1, slug: 1 }, { unique: true });
+
+export default mongoose.models.CustomAgent || mongoose.model('CustomAgent', CustomAgentSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { conditionSpecSchema, loopSpecSchema } from '@/lib/validations/control-flow';
 
 // Delete existing model if it exists to force recompilation
 if (mongoose.models.ScriptWorkflow) {
@@ -16,6 +17,13 @@ const NodeSchema = new mongoose.Schema({
   data: mongoose.Schema.Types.Mixed
 }, { _id: false, strict: false }); // Allow additional node-specific fields
 
+// Control-flow nodes carry their spec in data.condition / data.loop
+NodeSchema.path('data').validate(function (data) {
+  if (this.type === 'condition') return conditionSpecSchema.safeParse(data?.condition).success;
+  if (this.type === 'loop') return loopSpecSchema.safeParse(data?.loop).success;
+  return true;
+}, 'Invalid condition or loop configuration');
+
 const EdgeSchema = new mongoose.Schema({
   id: { type: String, required: true },
   source: { type: String, required: true },
@@ -24,6 +32,21 @@ const EdgeSchema = new mongoose.Schema({
   data: mongoose.Schema.Types.Mixed
 }, { _id: false, strict: false });
 
+// Someone the owner shared the project with (the owner is userId)
+const MemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'commenter', 'viewer'],
+    required: true
+  },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const ScriptWorkflowSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -49,6 +72,8 @@ const ScriptWorkflowSchema = new mongoose.Schema({
   },
   nodes: [NodeSchema],
   edges: [EdgeSchema],
+  members: [MemberSchema],
+  inviteVersion: { type: Number, default: 0 }, // Bumped to revoke every invite link handed out so far
   status: {
     type: String,
     enum: ['draft', 'active', 'running', 'completed', 'partial', 'error'],
@@ -57,6 +82,9 @@ const ScriptWorkflowSchema = new mongoose.Schema({
   inputs: mongoose.Schema.Types.Mixed,
   progress: mongoose.Schema.Types.Mixed,
   analysisContext: mongoose.Schema.Types.Mixed,
+  settings: {
+    agentModels: mongoose.Schema.Types.Mixed // { [agentType]: { provider, model } }
+  },
   lastRun: Date
 }, {
   timestamps: true,
@@ -65,5 +93,6 @@ const ScriptWorkflowSchema = new mongoose.Schema({
 
 // Index for faster queries
 ScriptWorkflowSchema.index({ userId: 1, status: 1, updatedAt: -1 });
+ScriptWorkflowSchema.index({ 'members.userId': 1 });
 
 export default mongoose.model('ScriptWorkflow', ScriptWorkflowSchema);
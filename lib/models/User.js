@@ -162,6 +162,11 @@ const UserSchema = new mongoose.Schema({
     other: { type: Map, of: String, select: false }
   },
   
+  // User preferences
+  settings: {
+    agentModels: mongoose.Schema.Types.Mixed // Default { [agentType]: { provider, model } } for all workflows
+  },
+  
   // Metadata
   createdAt: {
     type: Date,
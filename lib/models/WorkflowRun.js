@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Snapshot of one agent inside a run
+const AgentRunSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true },
+  agentType: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['success', 'error', 'skipped'],
+    required: true
+  },
+  result: mongoose.Schema.Types.Mixed, // Full agent output at the time of the run
+  output: String, // Formatted summary shown on the canvas
+  error: String,
+  model: String, // Model id that produced the result, e.g. gemini-2.0-flash
+  durationMs: Number,
+  inputHash: String,
+  resumed: { type: Boolean, default: false }, // Reused from a checkpoint
+  completedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const WorkflowRunSchema = new mongoose.Schema({
+  workflowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScriptWorkflow',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['full', 'resume', 'single'],
+    default: 'full'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'partial', 'error'],
+    default: 'running'
+  },
+  inputs: {
+    briefExcerpt: String,
+    briefHash: String,
+    manuscriptHash: String,
+    manuscriptLength: Number,
+    customPrompt: String
+  },
+  agents: [AgentRunSchema],
+  layers: [[String]],
+  summary: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  durationMs: Number
+}, {
+  timestamps: true
+});
+
+// Index for retrieving history efficiently
+WorkflowRunSchema.index({ workflowId: 1, createdAt: -1 });
+
+export default mongoose.models.WorkflowRun || mongoose.model('WorkflowRun', WorkflowRunSchema);
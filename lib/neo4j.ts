@@ -9,12 +9,20 @@ const NEO4J_DATABASE = process.env.NEO4J_DATABASE || 'neo4j';
 // Singleton driver instance
 let driver: Driver | null = null;
 
+/**
+ * Whether Neo4j connection details are set. Without them the story graph
+ * uses its embedded store.
+ */
+export function isNeo4jConfigured(): boolean {
+  return Boolean(NEO4J_URI && NEO4J_PASSWORD);
+}
+
 /**
  * Get the Neo4j driver instance (singleton pattern)
  */
 export function getDriver(): Driver {
   if (!driver) {
-    if (!NEO4J_URI || !NEO4J_PASSWORD) {
+    if (!isNeo4jConfigured()) {
       throw new Error('Neo4j connection details not configured in environment variables');
     }
     
@@ -98,58 +106,4 @@ export async function runReadTransaction<T = any>(
   }
 }
 
-/**
- * Initialize the Neo4j schema with indexes and constraints
- */
-export async function initializeSchema(): Promise<void> {
-  const session = getSession();
-  try {
-    // Create constraints for unique identifiers
-    const constraints = [
-      'CREATE CONSTRAINT character_id IF NOT EXISTS FOR (c:Character) REQUIRE c.id IS UNIQUE',
-      'CREATE CONSTRAINT location_id IF NOT EXISTS FOR (l:Location) REQUIRE l.id IS UNIQUE',
-      'CREATE CONSTRAINT object_id IF NOT EXISTS FOR (o:Object) REQUIRE o.id IS UNIQUE',
-      'CREATE CONSTRAINT event_id IF NOT EXISTS FOR (e:Event) REQUIRE e.id IS UNIQUE',
-      'CREATE CONSTRAINT plot_thread_id IF NOT EXISTS FOR (p:PlotThread) REQUIRE p.id IS UNIQUE',
-      'CREATE CONSTRAINT chapter_id IF NOT EXISTS FOR (ch:Chapter) REQUIRE ch.id IS UNIQUE',
-      'CREATE CONSTRAINT state_id IF NOT EXISTS FOR (s:State) REQUIRE s.id IS UNIQUE',
-    ];
-
-    // Create indexes for faster lookups
-    const indexes = [
-      'CREATE INDEX character_name IF NOT EXISTS FOR (c:Character) ON (c.name)',
-      'CREATE INDEX location_name IF NOT EXISTS FOR (l:Location) ON (l.name)',
-      'CREATE INDEX event_timestamp IF NOT EXISTS FOR (e:Event) ON (e.timestamp)',
-      'CREATE INDEX chapter_number IF NOT EXISTS FOR (ch:Chapter) ON (ch.number)',
-      'CREATE INDEX state_version IF NOT EXISTS FOR (s:State) ON (s.version)',
-    ];
-
-    for (const constraint of constraints) {
-      try {
-        await session.run(constraint);
-      } catch (error: any) {
-        // Ignore if constraint already exists
-        if (!error.message.includes('already exists')) {
-          console.warn(`Warning creating constraint: ${error.message}`);
-        }
-      }
-    }
-
-    for (const index of indexes) {
-      try {
-        await session.run(index);
-      } catch (error: any) {
-        // Ignore if index already exists
-        if (!error.message.includes('already exists')) {
-          console.warn(`Warning creating index: ${error.message}`);
-        }
-      }
-    }
-
-    console.log('Neo4j schema initialized successfully');
-  } finally {
-    await session.close();
-  }
-}
-
-export default { getDriver, getSession, closeDriver, runQuery, initializeSchema };
+export default { isNeo4jConfigured, getDriver, getSession, closeDriver, runQuery };
@@ -0,0 +1,151 @@
+/**
+ * Run Diff - compares two WorkflowRun snapshots
+ *
+ * Produces a structural diff of each agent's output so a writer can see how
+ * the analysis changed between two runs (e.g. before and after a revision).
+ */
+
+export type ChangeKind = 'added' | 'removed' | 'changed';
+
+export interface JsonChange {
+  path: string;
+  kind: ChangeKind;
+  before?: any;
+  after?: any;
+}
+
+export interface AgentRunDiff {
+  nodeId: string;
+  agentType: string;
+  /** 'both' when the agent ran in both runs, otherwise the run it appears in */
+  presentIn: 'both' | 'a' | 'b';
+  status: { a?: string; b?: string };
+  model: { a?: string; b?: string };
+  durationMs: { a?: number; b?: number; delta?: number };
+  changes: JsonChange[];
+  truncated: boolean;
+}
+
+// Keys used to line up array items between two runs (characters, events, ...)
+const IDENTITY_KEYS = ['id', 'name', 'title', 'query', 'event'];
+
+// Cap per agent so a fully rewritten knowledge graph doesn't explode the response
+const MAX_CHANGES_PER_AGENT = 200;
+
+function isObject(value: any): value is Record<string, any> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Pick the identity key shared by every item of both arrays, if any
+ */
+function getIdentityKey(a: any[], b: any[]): string | null {
+  const items = [...a, ...b];
+  if (items.length === 0 || !items.every(isObject)) return null;
+
+  return IDENTITY_KEYS.find(key => {
+    const values = items.map(item => item[key]);
+    if (!values.every(v => typeof v === 'string' || typeof v === 'number')) return false;
+    // Keys must be unique within each array to be used for matching
+    return new Set(a.map(item => item[key])).size === a.length
+      && new Set(b.map(item => item[key])).size === b.length;
+  }) || null;
+}
+
+function diffValues(before: any, after: any, path: string, changes: JsonChange[]): void {
+  if (changes.length >= MAX_CHANGES_PER_AGENT) return;
+  if (before === after) return;
+
+  if (before === undefined) {
+    changes.push({ path, kind: 'added', after });
+    return;
+  }
+  if (after === undefined) {
+    changes.push({ path, kind: 'removed', before });
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const key = getIdentityKey(before, after);
+
+    if (key) {
+      const beforeByKey = new Map(before.map(item => [String(item[key]), item]));
+      const afterByKey = new Map(after.map(item => [String(item[key]), item]));
+      for (const [id, item] of beforeByKey) {
+        diffValues(item, afterByKey.get(id), `${path}[${key}=${id}]`, changes);
+      }
+      for (const [id, item] of afterByKey) {
+        if (!beforeByKey.has(id)) diffValues(undefined, item, `${path}[${key}=${id}]`, changes);
+      }
+      return;
+    }
+
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(before[i], after[i], `${path}[${i}]`, changes);
+    }
+    return;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+    return;
+  }
+
+  changes.push({ path, kind: 'changed', before, after });
+}
+
+/**
+ * Deep diff two JSON values. Array items are matched by id/name/title when
+ * every item has a unique one, otherwise by index.
+ */
+export function diffJson(before: any, after: any): { changes: JsonChange[]; truncated: boolean } {
+  const changes: JsonChange[] = [];
+  diffValues(before, after, '', changes);
+  return { changes, truncated: changes.length >= MAX_CHANGES_PER_AGENT };
+}
+
+/**
+ * Compare two WorkflowRun documents agent by agent
+ */
+export function diffRuns(a: any, b: any) {
+  const agentsA = new Map<string, any>((a.agents || []).map((agent: any) => [agent.nodeId, agent]));
+  const agentsB = new Map<string, any>((b.agents || []).map((agent: any) => [agent.nodeId, agent]));
+  const nodeIds = [...new Set([...agentsA.keys(), ...agentsB.keys()])];
+
+  const agents: AgentRunDiff[] = nodeIds.map(nodeId => {
+    const runA = agentsA.get(nodeId);
+    const runB = agentsB.get(nodeId);
+    const { changes, truncated } = diffJson(runA?.result, runB?.result);
+
+    return {
+      nodeId,
+      agentType: (runA || runB).agentType,
+      presentIn: runA && runB ? 'both' : (runA ? 'a' : 'b'),
+      status: { a: runA?.status, b: runB?.status },
+      model: { a: runA?.model, b: runB?.model },
+      durationMs: {
+        a: runA?.durationMs,
+        b: runB?.durationMs,
+        delta: runA && runB ? (runB.durationMs || 0) - (runA.durationMs || 0) : undefined,
+      },
+      changes,
+      truncated,
+    };
+  });
+
+  return {
+    a: { id: a._id?.toString(), status: a.status, mode: a.mode, startedAt: a.startedAt },
+    b: { id: b._id?.toString(), status: b.status, mode: b.mode, startedAt: b.startedAt },
+    inputs: {
+      briefChanged: a.inputs?.briefHash !== b.inputs?.briefHash,
+      manuscriptChanged: a.inputs?.manuscriptHash !== b.inputs?.manuscriptHash,
+      manuscriptLength: { a: a.inputs?.manuscriptLength, b: b.inputs?.manuscriptLength },
+    },
+    agents,
+    changedAgents: agents.filter(agent => agent.changes.length > 0).map(agent => agent.nodeId),
+  };
+}
@@ -0,0 +1,330 @@
+/**
+ * Final Draft - .fdx import and export
+ *
+ * Maps Final Draft paragraphs to the same screenplay elements the Fountain
+ * parser produces, so an .fdx file opens in the script editor as Fountain and
+ * the editor's script exports back to .fdx. Scene numbers, dual dialogue,
+ * page breaks, bold/italic/underline and revision marks carry over both ways.
+ * Revision marks are kept per paragraph: a paragraph with any revised text
+ * is marked revised as a whole. Notes, boneyard, sections and synopses have
+ * no place in a Final Draft script and are left out of exports.
+ */
+
+import { escapeXml, find, findAll, parseXml, XmlSyntaxError, type XmlElement } from '@/lib/xml';
+import {
+  emphasisRuns,
+  printableText,
+  type FountainDocument,
+  type FountainElement,
+  type FountainElementType,
+  type TitlePageField
+} from './fountain';
+
+export class FdxFormatError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'FdxFormatError';
+  }
+}
+
+const PARAGRAPH_TYPES: Partial<Record<FountainElementType, string>> = {
+  'scene-heading': 'Scene Heading',
+  action: 'Action',
+  centered: 'Action',
+  character: 'Character',
+  parenthetical: 'Parenthetical',
+  dialogue: 'Dialogue',
+  lyrics: 'Lyrics',
+  transition: 'Transition',
+};
+
+// Anything else (General, Shot, Cast List, act breaks) reads as action
+const ELEMENT_TYPES: Record<string, FountainElementType> = {
+  'Scene Heading': 'scene-heading',
+  Action: 'action',
+  Character: 'character',
+  Parenthetical: 'parenthetical',
+  Dialogue: 'dialogue',
+  Lyrics: 'lyrics',
+  Transition: 'transition',
+};
+
+// Elements whose lines are separate paragraphs in Final Draft
+const LINE_PER_PARAGRAPH: FountainElementType[] = ['action', 'dialogue', 'lyrics'];
+
+// Page colors of the standard revision sequence, for sets named after one
+const REVISION_COLORS: Record<string, string> = {
+  white: 'FFFFFF',
+  blue: 'A9C9F5',
+  pink: 'F7C6D9',
+  yellow: 'FFF59D',
+  green: 'C5E1A5',
+  goldenrod: 'F2C94C',
+  buff: 'F0DEB4',
+  salmon: 'F9B8A0',
+  cherry: 'E57373',
+};
+
+// Final Draft writes colors with 16 bits per channel
+const toFdxColor = (hex: string) => `#${hex.match(/../g)!.map(channel => channel + channel).join('')}`;
+
+function revisionColor(name: string): string {
+  const color = Object.keys(REVISION_COLORS).find(key => name.toLowerCase().includes(key));
+  return toFdxColor(REVISION_COLORS[color ?? 'white']);
+}
+
+// ============================================
+// Emphasis
+// ============================================
+
+/** Fountain markup for a styled Final Draft text run */
+function fromRun(text: string, style: string | undefined): string {
+  const styles = style?.split('+') ?? [];
+  const emphasis = (styles.includes('Bold') ? '**' : '') + (styles.includes('Italic') ? '*' : '');
+  const underline = styles.includes('Underline') ? '_' : '';
+  const [, before, core, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/)!;
+  if (!core || (!emphasis && !underline)) return text;
+  return `${before}${underline}${emphasis}${core}${emphasis}${underline}${after}`;
+}
+
+// ============================================
+// Import
+// ============================================
+
+function readTitlePage(titlePage: XmlElement | undefined): TitlePageField[] {
+  const content = titlePage && find(titlePage, 'Content');
+  const paragraphs = (content ? findAll(content, 'Paragraph') : [])
+    .map(paragraph => ({
+      text: findAll(paragraph, 'Text').map(text => text.text).join('').trim(),
+      centered: paragraph.attributes.Alignment === 'Center',
+    }))
+    .filter(paragraph => paragraph.text);
+
+  // Final Draft title pages are free text; read them the way they are
+  // usually laid out: title, credit and author, then contact details
+  const fields: TitlePageField[] = [];
+  const append = (key: string, value: string) => {
+    const field = fields.find(existing => existing.key === key);
+    if (field) field.value += `\n${value}`;
+    else fields.push({ key, value });
+  };
+
+  paragraphs.forEach((paragraph, index) => {
+    const previous = fields[fields.length - 1];
+    if (index === 0) {
+      fields.push({ key: 'Title', value: paragraph.text });
+    } else if (/^((written|story|screenplay|teleplay)\s+)?by$/i.test(paragraph.text)) {
+      fields.push({ key: 'Credit', value: paragraph.text });
+    } else if (previous?.key === 'Credit') {
+      fields.push({ key: 'Author', value: paragraph.text });
+    } else {
+      append(paragraph.centered ? 'Source' : 'Contact', paragraph.text);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Parse a Final Draft file. Throws FdxFormatError when it isn't one.
+ */
+export function parseFdx(content: string): FountainDocument {
+  let root: XmlElement;
+  try {
+    root = parseXml(content);
+  } catch (error) {
+    if (error instanceof XmlSyntaxError) {
+      throw new FdxFormatError(error.message);
+    }
+    throw error;
+  }
+
+  const finalDraft = find(root, 'FinalDraft');
+  const body = finalDraft && find(finalDraft, 'Content');
+  if (!finalDraft || !body) {
+    throw new FdxFormatError('Not a Final Draft document');
+  }
+
+  const revisionsElement = find(finalDraft, 'Revisions');
+  const revisionNames = new Map(
+    (revisionsElement ? findAll(revisionsElement, 'Revision') : [])
+      .map(revision => [revision.attributes.ID, revision.attributes.Name || `Revision ${revision.attributes.ID}`])
+  );
+
+  const elements: FountainElement[] = [];
+  let position = 0;
+
+  const read = (paragraph: XmlElement, dual?: 'left' | 'right') => {
+    position++;
+    if (paragraph.attributes.StartsNewPage === 'Yes' && elements.length > 0) {
+      elements.push({ type: 'page-break', text: '', line: position });
+    }
+
+    const runs = findAll(paragraph, 'Text');
+    const text = runs.map(run => fromRun(run.text, run.attributes.Style)).join('').trim();
+    if (!text) return;
+
+    let type = ELEMENT_TYPES[paragraph.attributes.Type] ?? 'action';
+    if (type === 'action' && paragraph.attributes.Alignment === 'Center') type = 'centered';
+
+    // The latest revision set among the paragraph's runs
+    const revisionId = runs
+      .map(run => Number(run.attributes.RevisionID))
+      .filter(id => id > 0)
+      .sort((a, b) => b - a)[0];
+    const revision = revisionId ? revisionNames.get(String(revisionId)) ?? `Revision ${revisionId}` : undefined;
+
+    const previous = elements[elements.length - 1];
+    if ((type === 'dialogue' || type === 'lyrics') && previous?.type === type && previous.revision === revision) {
+      previous.text += `\n${text}`;
+      return;
+    }
+
+    elements.push({
+      type,
+      text,
+      line: position,
+      ...(type === 'scene-heading' && paragraph.attributes.Number && { sceneNumber: paragraph.attributes.Number }),
+      ...(type === 'character' && dual && { dual }),
+      ...(revision && { revision }),
+    });
+  };
+
+  for (const paragraph of findAll(body, 'Paragraph')) {
+    const dualDialogue = find(paragraph, 'DualDialogue');
+    if (!dualDialogue) {
+      read(paragraph);
+      continue;
+    }
+    let speakers = 0;
+    for (const inner of findAll(dualDialogue, 'Paragraph')) {
+      if (inner.attributes.Type === 'Character') speakers++;
+      read(inner, speakers <= 1 ? 'left' : 'right');
+    }
+  }
+
+  return { titlePage: readTitlePage(find(finalDraft, 'TitlePage')), elements };
+}
+
+// ============================================
+// Export
+// ============================================
+
+const CENTERED_TITLE_FIELDS = ['title', 'credit', 'author', 'authors', 'source'];
+const DIALOGUE_PARTS: FountainElementType[] = ['parenthetical', 'dialogue', 'lyrics'];
+
+function attributeList(attributes: Record<string, string | undefined>): string {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value!)}"`)
+    .join('');
+}
+
+function paragraphXml(indent: string, attributes: Record<string, string | undefined>, text: string, revisionId?: number): string {
+  const runs = emphasisRuns(text).map(run => {
+    const runAttributes = attributeList({
+      Style: run.style.length > 0 ? run.style.join('+') : undefined,
+      RevisionID: revisionId ? String(revisionId) : undefined,
+    });
+    return `<Text${runAttributes}>${escapeXml(run.text)}</Text>`;
+  });
+  return `${indent}<Paragraph${attributeList(attributes)}>${runs.join('') || '<Text></Text>'}</Paragraph>`;
+}
+
+function titlePageXml(fields: TitlePageField[]): string[] {
+  const blank = paragraphXml('      ', { Alignment: 'Center' }, '');
+  const block = (centered: boolean) => fields
+    .filter(field => CENTERED_TITLE_FIELDS.includes(field.key.toLowerCase()) === centered)
+    .map(field => field.value.split('\n')
+      .map(line => paragraphXml('      ', { Alignment: centered ? 'Center' : 'Left' }, line)));
+
+  const centered = block(true).flatMap((lines, index) => (index > 0 ? [blank, ...lines] : lines));
+  const left = block(false).flat();
+  return [...centered, ...(centered.length > 0 && left.length > 0 ? [blank, blank, blank, blank] : []), ...left];
+}
+
+/**
+ * Write a script as a Final Draft file
+ */
+export function serializeFdx(document: FountainDocument): string {
+  // Revision sets are numbered in the order they first appear
+  const revisionIds = new Map<string, number>();
+  for (const element of document.elements) {
+    if (element.revision && !revisionIds.has(element.revision)) {
+      revisionIds.set(element.revision, revisionIds.size + 1);
+    }
+  }
+
+  const content: string[] = [];
+  let startsNewPage = false;
+  // Both speakers' blocks of dual dialogue go in one DualDialogue paragraph
+  let dual: { paragraphs: string[]; secondSpeaker: boolean } | null = null;
+
+  document.elements.forEach((element, index) => {
+    if (element.type === 'page-break') {
+      startsNewPage = true;
+      return;
+    }
+    const type = PARAGRAPH_TYPES[element.type];
+    if (!type) return;
+
+    if (element.type === 'character' && element.dual === 'left') {
+      dual = { paragraphs: [], secondSpeaker: false };
+    } else if (dual && element.type === 'character' && element.dual === 'right') {
+      dual.secondSpeaker = true;
+    }
+
+    const text = printableText(element.text);
+    const lines = (LINE_PER_PARAGRAPH.includes(element.type) ? text.split('\n') : [text.replace(/\s*\n\s*/g, ' ')])
+      .map(line => line.trim())
+      .filter(Boolean);
+    const indent = dual ? '        ' : '    ';
+    const paragraphs = lines.map((line, lineIndex) => paragraphXml(indent, {
+      Type: type,
+      Alignment: element.type === 'centered' ? 'Center' : undefined,
+      Number: lineIndex === 0 ? element.sceneNumber : undefined,
+      StartsNewPage: lineIndex === 0 && startsNewPage ? 'Yes' : undefined,
+    }, line, element.revision ? revisionIds.get(element.revision) : undefined));
+    if (paragraphs.length > 0) startsNewPage = false;
+
+    if (!dual) {
+      content.push(...paragraphs);
+      return;
+    }
+
+    dual.paragraphs.push(...paragraphs);
+    const next = document.elements[index + 1];
+    const blockContinues = next && (
+      DIALOGUE_PARTS.includes(next.type)
+      || (!dual.secondSpeaker && next.type === 'character' && next.dual === 'right')
+    );
+    if (!blockContinues) {
+      // A first speaker with no second is written as plain dialogue
+      content.push(...(dual.secondSpeaker
+        ? ['    <Paragraph>', '      <DualDialogue>', ...dual.paragraphs, '      </DualDialogue>', '    </Paragraph>']
+        : dual.paragraphs));
+      dual = null;
+    }
+  });
+
+  const revisions = [...revisionIds.entries()].map(([name, id]) =>
+    `    <Revision${attributeList({ ID: String(id), Name: name, Mark: '*', Color: '#000000000000', PageColor: revisionColor(name) })}/>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+    '<FinalDraft DocumentType="Script" Template="No" Version="5">',
+    '  <Content>',
+    ...content,
+    '  </Content>',
+    '  <TitlePage>',
+    '    <Content>',
+    ...titlePageXml(document.titlePage),
+    '    </Content>',
+    '  </TitlePage>',
+    ...(revisions.length > 0
+      ? [`  <Revisions ActiveSet="${revisions.length}" RevisionMode="Active">`, ...revisions, '  </Revisions>']
+      : []),
+    '</FinalDraft>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,68 @@
+/**
+ * Script Formats - the files a screenplay can be exported as
+ *
+ * Every export goes through the Fountain parser first, so each format is
+ * written from the same screenplay structure the editor shows.
+ */
+
+import { parseFountain, serializeFountain, type FountainDocument, type TitlePageField } from './fountain';
+import { serializeFdx } from './fdx';
+import { renderScreenplayPdf, type ScreenplayPdfOptions } from './pdf';
+
+export const SCRIPT_FORMATS = ['fountain', 'fdx', 'pdf'] as const;
+export type ScriptFormat = typeof SCRIPT_FORMATS[number];
+
+export const SCRIPT_FORMAT_FILES: Record<ScriptFormat, { extension: string; contentType: string }> = {
+  fountain: { extension: 'fountain', contentType: 'text/plain' },
+  fdx: { extension: 'fdx', contentType: 'application/xml' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+};
+
+export function isScriptFormat(value: unknown): value is ScriptFormat {
+  return typeof value === 'string' && (SCRIPT_FORMATS as readonly string[]).includes(value);
+}
+
+/**
+ * Parse the editor's text, adding a title to the title page when it has none
+ */
+export function readScript(content: string, title?: string): FountainDocument {
+  const { titlePage, elements } = parseFountain(content);
+  if (title && !titlePage.some(field => field.key.toLowerCase() === 'title')) {
+    titlePage.unshift({ key: 'Title', value: title });
+  }
+  return { titlePage, elements };
+}
+
+/**
+ * Write a script in an export format; PDF options only apply to PDFs
+ */
+export async function serializeScript(
+  script: FountainDocument,
+  format: ScriptFormat,
+  options: ScreenplayPdfOptions = {}
+): Promise<string | Uint8Array> {
+  switch (format) {
+    case 'fountain':
+      return serializeFountain(script);
+    case 'fdx':
+      return serializeFdx(script);
+    case 'pdf':
+      return renderScreenplayPdf(script, options);
+  }
+}
+
+/**
+ * What an imported script holds: its title page, scene count and speaking
+ * characters (without extensions such as V.O.)
+ */
+export function summarizeScript(script: FountainDocument): { titlePage: TitlePageField[]; scenes: number; characters: string[] } {
+  return {
+    titlePage: script.titlePage,
+    scenes: script.elements.filter(element => element.type === 'scene-heading').length,
+    characters: [...new Set(
+      script.elements
+        .filter(element => element.type === 'character')
+        .map(element => element.text.replace(/\s*\(.*\)$/, ''))
+    )],
+  };
+}
@@ -0,0 +1,485 @@
+/**
+ * Fountain - the plain-text screenplay format the script editor works in
+ *
+ * Parses Fountain (https://fountain.io/syntax) into a title page and a list
+ * of screenplay elements, and serializes that list back to Fountain. Both
+ * directions follow the same rules, so a script read and written again keeps
+ * its structure: forced elements stay forced, dual dialogue stays paired, and
+ * notes, boneyard, sections and synopses survive. Runs of blank lines and
+ * trailing whitespace are normalized. Fountain has no revision marks, so an
+ * element revised in Final Draft ends with a `[[Revision: Blue Rev.]]` note.
+ *
+ * The parser also types every source line, which the editor uses to style the
+ * script as it is typed. Nothing here is server-only; it runs in the browser.
+ */
+
+export type FountainElementType =
+  | 'scene-heading'
+  | 'action'
+  | 'character'
+  | 'parenthetical'
+  | 'dialogue'
+  | 'lyrics'
+  | 'transition'
+  | 'centered'
+  | 'page-break'
+  | 'note'
+  | 'boneyard'
+  | 'section'
+  | 'synopsis';
+
+/** How the editor styles one source line */
+export type FountainLineType = FountainElementType | 'title-page' | 'empty';
+
+export interface FountainElement {
+  type: FountainElementType;
+  /** Text without Fountain markup; elements spanning lines keep their line breaks */
+  text: string;
+  /** First source line, 1-based (the paragraph, for a Final Draft file) */
+  line: number;
+  /** Written with an explicit marker (`.`, `!`, `@`, `>`) rather than recognized by its shape */
+  forced?: boolean;
+  /** Scene headings: the scene number written as `#12A#` */
+  sceneNumber?: string;
+  /** Sections: 1 for `#`, 2 for `##`, ... */
+  depth?: number;
+  /** Characters speaking dual dialogue: the first speaker is left, the one marked `^` right */
+  dual?: 'left' | 'right';
+  /** Name of the revision set the element was last changed in */
+  revision?: string;
+}
+
+export interface TitlePageField {
+  key: string;
+  /** Values written over several indented lines are joined with line breaks */
+  value: string;
+}
+
+export interface FountainDocument {
+  titlePage: TitlePageField[];
+  elements: FountainElement[];
+}
+
+export interface ParsedFountain extends FountainDocument {
+  /** The type of every source line, in order */
+  lineTypes: FountainLineType[];
+}
+
+const SCENE_HEADING = /^(INT\.?\/EXT|INT|EXT|EST|I\/E)[.\s]/i;
+const SCENE_NUMBER = /\s*#([\w.-]+)#$/;
+const TITLE_KEY = /^([A-Za-z][A-Za-z ]{0,30}):\s*(.*)$/;
+const PAGE_BREAK = /^={3,}$/;
+const PARENTHETICAL = /^\(.*\)$/;
+const REVISION_NOTE = /\s*\[\[Revision: ([^\]]+)\]\]$/;
+// Fountain only recognizes transitions ending in TO:. The usual openers and
+// closers are recognized too, and written back forced so other tools agree.
+const COMMON_TRANSITIONS = /^(FADE IN:|FADE OUT\.?|FADE TO BLACK\.?|CUT TO BLACK\.?)$/;
+// Characters that open a forced or single-line element
+const MARKERS = /^(\.(?!\.)|!|@|~|>|=|#|\[\[|\/\*)/;
+
+const isBlank = (line: string | undefined) => line === undefined || line.trim() === '';
+const isUpperCase = (text: string) => text === text.toUpperCase() && /\p{L}/u.test(text);
+
+/** An uppercase line that ends in TO:, or one of the common transitions */
+function isTransition(text: string): boolean {
+  return (isUpperCase(text) && text.endsWith('TO:')) || COMMON_TRANSITIONS.test(text);
+}
+
+/** Uppercase apart from any (V.O.)-style extensions, and the dual dialogue caret */
+function isCharacterCue(text: string): boolean {
+  const name = text.replace(/\s*\^$/, '').replace(/(\s*\([^)]*\))+$/, '').trim();
+  return name.length > 0 && isUpperCase(name);
+}
+
+/** Lines that stand alone even without a blank line around them */
+function isSingleLineElement(trimmed: string): boolean {
+  return PAGE_BREAK.test(trimmed)
+    || trimmed.startsWith('#')
+    || trimmed.startsWith('=')
+    || trimmed.startsWith('~')
+    || (trimmed.startsWith('>') && trimmed.endsWith('<'));
+}
+
+/**
+ * Index of the line closing a block comment (`/* ... *\/`) or note
+ * (`[[ ... ]]`) opened on `start`, or -1 when it isn't closed at the end of a
+ * line. Notes can't span blank lines; boneyard can.
+ */
+function findClosingLine(lines: string[], start: number, close: string, acrossBlankLines: boolean): number {
+  for (let i = start; i < lines.length; i++) {
+    if (i > start && !acrossBlankLines && isBlank(lines[i])) return -1;
+    const trimmed = lines[i].trim();
+    const at = trimmed.indexOf(close, i === start ? 2 : 0);
+    if (at === -1) continue;
+    return at === trimmed.length - close.length ? i : -1;
+  }
+  return -1;
+}
+
+/**
+ * Read the title page, if the script starts with one. Returns the fields and
+ * the index of the first line after it.
+ */
+function parseTitlePage(lines: string[]): { fields: TitlePageField[]; end: number } {
+  if (!TITLE_KEY.test(lines[0] ?? '')) return { fields: [], end: 0 };
+
+  const fields: { key: string; values: string[] }[] = [];
+  let i = 0;
+  for (; i < lines.length && !isBlank(lines[i]); i++) {
+    const match = /^\s/.test(lines[i]) ? null : lines[i].match(TITLE_KEY);
+    if (match) {
+      fields.push({ key: match[1].trim(), values: match[2].trim() ? [match[2].trim()] : [] });
+    } else {
+      fields[fields.length - 1].values.push(lines[i].trim());
+    }
+  }
+  return { fields: fields.map(field => ({ key: field.key, value: field.values.join('\n') })), end: i };
+}
+
+/**
+ * Parse a Fountain script
+ */
+export function parseFountain(text: string): ParsedFountain {
+  // Revision notes are taken off before lines are typed, so they never
+  // change what a line reads as
+  const revisions = new Map<number, string>();
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map((line, index) => {
+    const revision = line.match(REVISION_NOTE);
+    if (revision) revisions.set(index + 1, revision[1].trim());
+    return (revision ? line.slice(0, revision.index) : line).trimEnd();
+  });
+  const lineTypes: FountainLineType[] = lines.map(() => 'empty');
+  const elements: FountainElement[] = [];
+
+  const titlePage = parseTitlePage(lines);
+  lineTypes.fill('title-page', 0, titlePage.end);
+
+  const add = (element: FountainElement, lastLine = element.line) => {
+    elements.push(element);
+    lineTypes.fill(element.type, element.line - 1, lastLine);
+  };
+
+  let i = titlePage.end;
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    const number = i + 1;
+
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    const blankBefore = i === titlePage.end || isBlank(lines[i - 1]);
+    const blankAfter = isBlank(lines[i + 1]);
+
+    // Boneyard and notes that fill their lines
+    if (trimmed.startsWith('/*') || trimmed.startsWith('[[')) {
+      const isBoneyard = trimmed.startsWith('/*');
+      const last = findClosingLine(lines, i, isBoneyard ? '*/' : ']]', isBoneyard);
+      if (last !== -1) {
+        const body = lines.slice(i, last + 1).join('\n').trim();
+        add({ type: isBoneyard ? 'boneyard' : 'note', text: body.slice(2, -2), line: number }, last + 1);
+        i = last + 1;
+        continue;
+      }
+    }
+
+    if (PAGE_BREAK.test(trimmed)) {
+      add({ type: 'page-break', text: '', line: number });
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('#')) {
+      const depth = trimmed.match(/^#+/)![0].length;
+      add({ type: 'section', text: trimmed.slice(depth).trim(), line: number, depth });
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('=')) {
+      add({ type: 'synopsis', text: trimmed.slice(1).trim(), line: number });
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('>') && trimmed.endsWith('<')) {
+      add({ type: 'centered', text: trimmed.slice(1, -1).trim(), line: number });
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('~')) {
+      let last = i;
+      while (lines[last + 1]?.trim().startsWith('~')) last++;
+      const text = lines.slice(i, last + 1).map(lyric => lyric.trim().slice(1).trim()).join('\n');
+      add({ type: 'lyrics', text, line: number }, last + 1);
+      i = last + 1;
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      add({ type: 'transition', text: trimmed.slice(1).trim(), line: number, forced: true });
+      i++;
+      continue;
+    }
+
+    const forcedHeading = trimmed.startsWith('.') && !trimmed.startsWith('..');
+    if (forcedHeading || (blankBefore && SCENE_HEADING.test(trimmed))) {
+      const heading = forcedHeading ? trimmed.slice(1).trim() : trimmed;
+      const sceneNumber = heading.match(SCENE_NUMBER)?.[1];
+      add({
+        type: 'scene-heading',
+        text: sceneNumber ? heading.replace(SCENE_NUMBER, '') : heading,
+        line: number,
+        ...(forcedHeading && { forced: true }),
+        ...(sceneNumber && { sceneNumber }),
+      });
+      i++;
+      continue;
+    }
+
+    if (blankBefore && blankAfter && isTransition(trimmed)) {
+      add({ type: 'transition', text: trimmed, line: number });
+      i++;
+      continue;
+    }
+
+    const forcedCharacter = trimmed.startsWith('@');
+    if (!blankAfter && (forcedCharacter || (blankBefore && isCharacterCue(trimmed)))) {
+      i = parseDialogueBlock(lines, i, forcedCharacter, elements, lineTypes);
+      continue;
+    }
+
+    // Action runs to the next blank line or single-line element
+    const forcedAction = trimmed.startsWith('!');
+    let last = i;
+    while (!isBlank(lines[last + 1]) && !isSingleLineElement(lines[last + 1].trim())) last++;
+    const paragraph = [forcedAction ? line.replace('!', '') : line, ...lines.slice(i + 1, last + 1)];
+    add({ type: 'action', text: paragraph.join('\n'), line: number, ...(forcedAction && { forced: true }) }, last + 1);
+    i = last + 1;
+  }
+
+  // An element carries the revision of any line up to the next element
+  elements.forEach((element, index) => {
+    const end = elements[index + 1]?.line ?? lines.length + 1;
+    for (let number = element.line; number < end; number++) {
+      const revision = revisions.get(number);
+      if (revision) {
+        element.revision = revision;
+        break;
+      }
+    }
+  });
+
+  return {
+    titlePage: titlePage.fields,
+    elements,
+    lineTypes,
+  };
+}
+
+/**
+ * A character cue and the parentheticals, dialogue and lyrics under it.
+ * Returns the index of the first line after the block.
+ */
+function parseDialogueBlock(
+  lines: string[],
+  start: number,
+  forced: boolean,
+  elements: FountainElement[],
+  lineTypes: FountainLineType[]
+): number {
+  let cue = lines[start].trim();
+  if (forced) cue = cue.slice(1).trim();
+
+  const dual = cue.endsWith('^');
+  if (dual) {
+    cue = cue.slice(0, -1).trim();
+    // The first speaker is the previous character cue, if nothing but
+    // dialogue came between them
+    for (let k = elements.length - 1; k >= 0; k--) {
+      const previous = elements[k];
+      if (previous.type === 'character') {
+        previous.dual = 'left';
+        break;
+      }
+      if (!['parenthetical', 'dialogue', 'lyrics'].includes(previous.type)) break;
+    }
+  }
+
+  elements.push({
+    type: 'character',
+    text: cue,
+    line: start + 1,
+    ...(forced && { forced: true }),
+    ...(dual && { dual: 'right' as const }),
+  });
+  lineTypes[start] = 'character';
+
+  let i = start + 1;
+  while (i < lines.length && !isBlank(lines[i])) {
+    const trimmed = lines[i].trim();
+    const type: FountainElementType = PARENTHETICAL.test(trimmed)
+      ? 'parenthetical'
+      : trimmed.startsWith('~') ? 'lyrics' : 'dialogue';
+    const text = type === 'lyrics' ? trimmed.slice(1).trim() : trimmed;
+
+    // Consecutive dialogue or lyric lines are one element
+    const previous = elements[elements.length - 1];
+    if (type !== 'parenthetical' && previous.type === type) {
+      previous.text += `\n${text}`;
+    } else {
+      elements.push({ type, text, line: i + 1 });
+    }
+    lineTypes[i] = type;
+    i++;
+  }
+  return i;
+}
+
+// ============================================
+// Emphasis
+// ============================================
+
+export type Emphasis = 'Bold' | 'Italic' | 'Underline';
+
+export interface TextRun {
+  text: string;
+  style: Emphasis[];
+}
+
+const EMPHASIS_MARKERS: Record<string, Emphasis[]> = {
+  '***': ['Bold', 'Italic'],
+  '**': ['Bold'],
+  '*': ['Italic'],
+  '_': ['Underline'],
+};
+
+/**
+ * Split Fountain text into runs by its *italic*, **bold** and _underline_
+ * markup. A marker with no partner later in the text is literal, and `\*`
+ * escapes one.
+ */
+export function emphasisRuns(text: string): TextRun[] {
+  const runs: TextRun[] = [];
+  const active = new Set<Emphasis>();
+  let pending = '';
+  let index = 0;
+
+  const flush = () => {
+    if (pending) runs.push({ text: pending, style: [...active] });
+    pending = '';
+  };
+
+  for (const match of text.matchAll(/\\[*_]|\*{1,3}|_/g)) {
+    pending += text.slice(index, match.index);
+    index = match.index! + match[0].length;
+
+    const marker = match[0];
+    if (marker.startsWith('\\')) {
+      pending += marker[1];
+      continue;
+    }
+
+    const styles = EMPHASIS_MARKERS[marker];
+    const closing = styles.every(style => active.has(style));
+    if (closing || text.includes(marker, index)) {
+      flush();
+      styles.forEach(style => (closing ? active.delete(style) : active.add(style)));
+    } else {
+      pending += marker;
+    }
+  }
+
+  pending += text.slice(index);
+  flush();
+  return runs;
+}
+
+/**
+ * Text as printed: without inline notes and boneyard
+ */
+export function printableText(text: string): string {
+  return text.replace(/\[\[[\s\S]*?\]\]|\/\*[\s\S]*?\*\//g, '').replace(/[ \t]+$/gm, '').trim();
+}
+
+// ============================================
+// Serialization
+// ============================================
+
+const DIALOGUE_PARTS: FountainElementType[] = ['parenthetical', 'dialogue', 'lyrics'];
+
+/** Whether an action paragraph would be read back as something else without `!` */
+function actionNeedsForcing(text: string): boolean {
+  const [first, ...rest] = text.split('\n');
+  const trimmed = first.trim();
+  return MARKERS.test(trimmed)
+    || SCENE_HEADING.test(trimmed)
+    || isTransition(trimmed)
+    || (rest.length > 0 && isCharacterCue(trimmed));
+}
+
+function serializeTitlePage(fields: TitlePageField[]): string {
+  return fields.map(({ key, value }) => {
+    const valueLines = value.split('\n');
+    return valueLines.length > 1
+      ? `${key}:\n${valueLines.map(valueLine => `    ${valueLine}`).join('\n')}`
+      : `${key}: ${value}`;
+  }).join('\n');
+}
+
+function serializeElement(element: FountainElement): string {
+  const { text } = element;
+  switch (element.type) {
+    case 'scene-heading': {
+      const marker = element.forced || !SCENE_HEADING.test(text) ? '.' : '';
+      return `${marker}${text}${element.sceneNumber ? ` #${element.sceneNumber}#` : ''}`;
+    }
+    case 'action':
+      return `${element.forced || actionNeedsForcing(text) ? '!' : ''}${text}`;
+    case 'character': {
+      const marker = element.forced || !isCharacterCue(text) || MARKERS.test(text) || SCENE_HEADING.test(text) ? '@' : '';
+      return `${marker}${text}${element.dual === 'right' ? ' ^' : ''}`;
+    }
+    case 'parenthetical':
+      return PARENTHETICAL.test(text) ? text : `(${text})`;
+    case 'dialogue':
+      return text;
+    case 'lyrics':
+      return text.split('\n').map(lyric => `~${lyric}`).join('\n');
+    case 'transition':
+      return element.forced || !(isUpperCase(text) && text.endsWith('TO:')) ? `> ${text}` : text;
+    case 'centered':
+      return `> ${text} <`;
+    case 'page-break':
+      return '===';
+    case 'note':
+      return `[[${text}]]`;
+    case 'boneyard':
+      return `/*${text}*/`;
+    case 'section':
+      return `${'#'.repeat(element.depth || 1)} ${text}`;
+    case 'synopsis':
+      return `= ${text}`;
+  }
+}
+
+/**
+ * Write a script back to Fountain
+ */
+export function serializeFountain(document: FountainDocument): string {
+  let output = document.titlePage.length > 0 ? `${serializeTitlePage(document.titlePage)}\n\n` : '';
+  let inDialogue = false;
+
+  document.elements.forEach((element, index) => {
+    const continuesDialogue = inDialogue && DIALOGUE_PARTS.includes(element.type);
+    if (index > 0) output += continuesDialogue ? '\n' : '\n\n';
+    output += serializeElement(element);
+    if (element.revision) output += ` [[Revision: ${element.revision}]]`;
+    inDialogue = element.type === 'character' || continuesDialogue;
+  });
+
+  return `${output}\n`;
+}
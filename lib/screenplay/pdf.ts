@@ -0,0 +1,511 @@
+/**
+ * Screenplay PDF - scripts printed the way the industry expects
+ *
+ * Lays a parsed script out on US Letter pages in 12pt Courier (10 characters
+ * an inch, 6 lines an inch), with the usual indents for each element. Pages
+ * after the first are numbered top right, and dialogue split by a page
+ * break ends in (MORE) and resumes under the speaker's name with (CONT'D).
+ * Scene headings never end a page, and a parenthetical stays with the line it
+ * describes. Revised elements get an asterisk in the right margin. Notes,
+ * boneyard, sections and synopses are not printed.
+ */
+
+import { PDFDocument, StandardFonts, rgb, type PDFFont, type PDFPage } from 'pdf-lib';
+import {
+  emphasisRuns,
+  printableText,
+  type Emphasis,
+  type FountainDocument,
+  type FountainElement,
+  type FountainElementType,
+  type TitlePageField
+} from './fountain';
+
+export interface ScreenplayPdfOptions {
+  /** Number scene headings that have no #number# of their own (default true) */
+  numberScenes?: boolean;
+}
+
+// Measurements in points: 72 to the inch
+const INCH = 72;
+const PAGE_WIDTH = 8.5 * INCH;
+const PAGE_HEIGHT = 11 * INCH;
+const TOP_MARGIN = 1 * INCH;
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 12;
+const CHAR_WIDTH = 7.2;
+const LINES_PER_PAGE = 54;
+const BASELINE_OFFSET = 9;
+
+interface Indent {
+  /** Left edge, in inches from the left of the page */
+  left: number;
+  /** Characters per line */
+  width: number;
+}
+
+const INDENTS: Record<'action' | 'character' | 'parenthetical' | 'dialogue', Indent> = {
+  action: { left: 1.5, width: 60 },
+  character: { left: 3.7, width: 38 },
+  parenthetical: { left: 3.1, width: 25 },
+  dialogue: { left: 2.5, width: 35 },
+};
+
+// Each speaker's column in dual dialogue
+const DUAL_INDENTS: Record<'left' | 'right', typeof INDENTS> = {
+  left: {
+    action: INDENTS.action,
+    character: { left: 2.3, width: 20 },
+    parenthetical: { left: 1.8, width: 22 },
+    dialogue: { left: 1.5, width: 28 },
+  },
+  right: {
+    action: INDENTS.action,
+    character: { left: 5.4, width: 20 },
+    parenthetical: { left: 4.9, width: 22 },
+    dialogue: { left: 4.6, width: 28 },
+  },
+};
+
+const RIGHT_EDGE = 7.5;
+const SCENE_NUMBER_LEFT = 0.75;
+const SCENE_NUMBER_RIGHT = 7.75;
+const REVISION_MARK = 8.0;
+
+const DIALOGUE_PARTS: FountainElementType[] = ['parenthetical', 'dialogue', 'lyrics'];
+
+// ============================================
+// Lines
+// ============================================
+
+interface Segment {
+  text: string;
+  style: Emphasis[];
+}
+
+/** One piece of text on a printed line */
+interface Placed {
+  segments: Segment[];
+  /** Inches from the left of the page: the left edge, or the right edge or center for those alignments */
+  x: number;
+  align?: 'right' | 'center';
+}
+
+/** One printed line: usually one piece, two for dual dialogue or numbered scenes */
+interface Row {
+  items: Placed[];
+  revised?: boolean;
+  /** Part of a parenthetical, which must not end a page */
+  parenthetical?: boolean;
+}
+
+const lengthOf = (segments: Segment[]) => segments.reduce((sum, segment) => sum + segment.text.length, 0);
+const plain = (text: string): Segment[] => [{ text, style: [] }];
+
+/**
+ * Word-wrap text with Fountain emphasis into lines of at most `width`
+ * characters. Line breaks in the text are kept.
+ */
+function wrap(text: string, width: number): Segment[][] {
+  const characters = emphasisRuns(text).flatMap(run => [...run.text].map(character => ({ character, style: run.style })));
+  const lines: Segment[][] = [];
+
+  const toSegments = (slice: typeof characters): Segment[] => {
+    const segments: Segment[] = [];
+    for (const { character, style } of slice) {
+      const last = segments[segments.length - 1];
+      if (last && last.style.join() === style.join()) last.text += character;
+      else segments.push({ text: character, style });
+    }
+    return segments;
+  };
+
+  let paragraph: typeof characters = [];
+  const flushParagraph = () => {
+    let rest = paragraph;
+    while (rest.length > width) {
+      const text = rest.map(item => item.character).join('');
+      const space = text.lastIndexOf(' ', width);
+      const cut = space > 0 ? space : width;
+      lines.push(toSegments(rest.slice(0, cut)));
+      rest = rest.slice(space > 0 ? cut + 1 : cut);
+    }
+    lines.push(toSegments(rest));
+    paragraph = [];
+  };
+
+  for (const item of characters) {
+    if (item.character === '\n') flushParagraph();
+    else paragraph.push(item);
+  }
+  flushParagraph();
+  return lines;
+}
+
+function rowsFor(text: string, indent: Indent, extra: Partial<Row> = {}): Row[] {
+  return wrap(text, indent.width).map(segments => ({ items: [{ segments, x: indent.left }], ...extra }));
+}
+
+// ============================================
+// Blocks
+// ============================================
+
+/**
+ * A unit of layout. Action splits between lines, dialogue splits with
+ * (MORE)/(CONT'D), and everything else moves to the next page whole.
+ */
+interface Block {
+  kind: 'action' | 'dialogue' | 'heading' | 'other';
+  rows: Row[];
+  /** Blank lines above it, dropped at the top of a page */
+  spaceBefore: number;
+  /** Dialogue: the speaker's name, for (CONT'D) */
+  speaker?: string;
+  /** Dialogue: where the speaker's column starts */
+  indents?: typeof INDENTS;
+  startsNewPage?: boolean;
+}
+
+function dialogueRows(elements: FountainElement[], indents: typeof INDENTS): Row[] {
+  return elements.flatMap(element => {
+    const revised = Boolean(element.revision);
+    const text = printableText(element.text);
+    if (!text) return [];
+    switch (element.type) {
+      case 'character':
+        return rowsFor(text.toUpperCase(), indents.character, { revised });
+      case 'parenthetical':
+        return rowsFor(text, indents.parenthetical, { revised, parenthetical: true });
+      case 'lyrics':
+        // Sung lines print in italics
+        return rowsFor(text, indents.dialogue, { revised }).map(row => ({
+          ...row,
+          items: row.items.map(item => ({
+            ...item,
+            segments: item.segments.map(segment => ({
+              ...segment,
+              style: segment.style.includes('Italic') ? segment.style : [...segment.style, 'Italic' as const],
+            })),
+          })),
+        }));
+      default:
+        return rowsFor(text, indents.dialogue, { revised });
+    }
+  });
+}
+
+/** Lay two speakers' rows side by side */
+function sideBySide(left: Row[], right: Row[]): Row[] {
+  return Array.from({ length: Math.max(left.length, right.length) }, (_, index) => ({
+    items: [...(left[index]?.items ?? []), ...(right[index]?.items ?? [])],
+    revised: Boolean(left[index]?.revised || right[index]?.revised),
+  }));
+}
+
+function toBlocks(script: FountainDocument, numberScenes: boolean): Block[] {
+  const blocks: Block[] = [];
+  const elements = script.elements;
+  let sceneCount = 0;
+  let startsNewPage = false;
+
+  for (let index = 0; index < elements.length; index++) {
+    const element = elements[index];
+    const revised = Boolean(element.revision);
+
+    if (element.type === 'page-break') {
+      startsNewPage = true;
+      continue;
+    }
+
+    // A character cue and everything said under it; with dual dialogue,
+    // both speakers
+    if (element.type === 'character') {
+      let end = index + 1;
+      while (end < elements.length && DIALOGUE_PARTS.includes(elements[end].type)) end++;
+      const first = elements.slice(index, end);
+
+      const second = elements[end];
+      if (element.dual === 'left' && second?.type === 'character' && second.dual === 'right') {
+        let secondEnd = end + 1;
+        while (secondEnd < elements.length && DIALOGUE_PARTS.includes(elements[secondEnd].type)) secondEnd++;
+        const rows = sideBySide(
+          dialogueRows(first, DUAL_INDENTS.left),
+          dialogueRows(elements.slice(end, secondEnd), DUAL_INDENTS.right)
+        );
+        // Too long to keep together: print the speakers one after the other
+        if (rows.length <= LINES_PER_PAGE) {
+          blocks.push({ kind: 'other', rows, spaceBefore: 1, startsNewPage });
+          startsNewPage = false;
+          index = secondEnd - 1;
+          continue;
+        }
+      }
+
+      blocks.push({
+        kind: 'dialogue',
+        rows: dialogueRows(first, INDENTS),
+        spaceBefore: 1,
+        speaker: printableText(element.text).toUpperCase(),
+        indents: INDENTS,
+        startsNewPage,
+      });
+      startsNewPage = false;
+      index = end - 1;
+      continue;
+    }
+
+    const text = printableText(element.text);
+    let block: Block | null = null;
+
+    switch (element.type) {
+      case 'scene-heading': {
+        sceneCount++;
+        const rows = rowsFor(text.toUpperCase(), INDENTS.action, { revised });
+        const number = element.sceneNumber ?? (numberScenes ? String(sceneCount) : undefined);
+        if (number && rows.length > 0) {
+          rows[0].items.push(
+            { segments: plain(number), x: SCENE_NUMBER_LEFT },
+            { segments: plain(number), x: SCENE_NUMBER_RIGHT, align: 'right' }
+          );
+        }
+        block = { kind: 'heading', rows, spaceBefore: 1 };
+        break;
+      }
+      case 'action':
+        block = { kind: 'action', rows: rowsFor(text, INDENTS.action, { revised }), spaceBefore: 1 };
+        break;
+      case 'transition':
+        block = {
+          kind: 'other',
+          rows: wrap(text.toUpperCase(), INDENTS.action.width).map(segments => ({ items: [{ segments, x: RIGHT_EDGE, align: 'right' as const }], revised })),
+          spaceBefore: 1,
+        };
+        break;
+      case 'centered':
+        block = {
+          kind: 'other',
+          rows: wrap(text, INDENTS.action.width).map(segments => ({ items: [{ segments, x: (INDENTS.action.left + RIGHT_EDGE) / 2, align: 'center' as const }], revised })),
+          spaceBefore: 1,
+        };
+        break;
+      case 'lyrics':
+        block = { kind: 'other', rows: dialogueRows([element], INDENTS), spaceBefore: 1 };
+        break;
+      case 'parenthetical':
+      case 'dialogue':
+        // Without a speaker; print where dialogue goes
+        block = { kind: 'other', rows: dialogueRows([element], INDENTS), spaceBefore: 1 };
+        break;
+      default:
+        // Notes, boneyard, sections and synopses aren't printed
+        break;
+    }
+
+    if (block && block.rows.length > 0) {
+      blocks.push({ ...block, startsNewPage });
+      startsNewPage = false;
+    }
+  }
+
+  return blocks;
+}
+
+// ============================================
+// Pagination
+// ============================================
+
+/** Lines a block needs at the bottom of a page to start there */
+function minimumStart(block: Block): number {
+  if (block.kind === 'dialogue') return Math.min(block.rows.length, 3);
+  if (block.kind === 'action') return Math.min(block.rows.length, 2);
+  return block.rows.length;
+}
+
+function paginate(blocks: Block[]): Row[][] {
+  const pages: Row[][] = [[]];
+  const current = () => pages[pages.length - 1];
+  const remaining = () => LINES_PER_PAGE - current().length;
+  const newPage = () => pages.push([]);
+  const gapFor = (block: Block) => (current().length === 0 ? 0 : block.spaceBefore);
+  const blank = (): Row => ({ items: [] });
+
+  const put = (block: Block, rows: Row[]) => {
+    const gap = gapFor(block);
+    for (let i = 0; i < gap; i++) current().push(blank());
+    current().push(...rows);
+  };
+
+  blocks.forEach((block, index) => {
+    if (block.startsNewPage && current().length > 0) newPage();
+
+    // A scene heading needs room for the start of what follows it
+    if (block.kind === 'heading') {
+      const next = blocks[index + 1];
+      const needed = gapFor(block) + block.rows.length + (next && !next.startsNewPage ? next.spaceBefore + minimumStart(next) : 0);
+      if (needed > remaining() && current().length > 0) newPage();
+      put(block, block.rows);
+      return;
+    }
+
+    let rows = block.rows;
+    while (gapFor(block) + rows.length > remaining()) {
+      const room = remaining() - gapFor(block);
+
+      if (block.kind === 'action' && room >= 2 && rows.length - room >= 2) {
+        put(block, rows.slice(0, room));
+        rows = rows.slice(room);
+        newPage();
+        continue;
+      }
+
+      if (block.kind === 'dialogue') {
+        // Cue, at least two lines, and (MORE); never end on a parenthetical
+        let take = room - 1;
+        while (take > 1 && rows[take - 1].parenthetical) take--;
+        if (take >= 3 && take < rows.length) {
+          const indents = block.indents!;
+          put(block, [...rows.slice(0, take), { items: [{ segments: plain('(MORE)'), x: indents.character.left }] }]);
+          const name = block.speaker!.includes("(CONT'D)") ? block.speaker! : `${block.speaker} (CONT'D)`;
+          rows = [{ items: [{ segments: plain(name), x: indents.character.left }] }, ...rows.slice(take)];
+          newPage();
+          continue;
+        }
+      }
+
+      // Doesn't split here: move it to a fresh page, or if it already has
+      // one, let it run over
+      if (current().length === 0) break;
+      newPage();
+    }
+    put(block, rows);
+  });
+
+  return pages.filter(page => page.length > 0);
+}
+
+// ============================================
+// Drawing
+// ============================================
+
+interface Fonts {
+  regular: PDFFont;
+  bold: PDFFont;
+  italic: PDFFont;
+  boldItalic: PDFFont;
+}
+
+function fontFor(fonts: Fonts, style: Emphasis[]): PDFFont {
+  const bold = style.includes('Bold');
+  const italic = style.includes('Italic');
+  if (bold && italic) return fonts.boldItalic;
+  if (bold) return fonts.bold;
+  if (italic) return fonts.italic;
+  return fonts.regular;
+}
+
+function drawRow(page: PDFPage, row: Row, line: number, fonts: Fonts, printable: (text: string) => string) {
+  const y = PAGE_HEIGHT - TOP_MARGIN - line * LINE_HEIGHT - BASELINE_OFFSET;
+
+  for (const item of row.items) {
+    const width = lengthOf(item.segments) * CHAR_WIDTH;
+    let x = item.x * INCH;
+    if (item.align === 'right') x -= width;
+    if (item.align === 'center') x -= width / 2;
+
+    for (const segment of item.segments) {
+      const text = printable(segment.text);
+      page.drawText(text, { x, y, size: FONT_SIZE, font: fontFor(fonts, segment.style), color: rgb(0, 0, 0) });
+      if (segment.style.includes('Underline') && text.trim()) {
+        page.drawLine({
+          start: { x, y: y - 1.5 },
+          end: { x: x + text.length * CHAR_WIDTH, y: y - 1.5 },
+          thickness: 0.6,
+          color: rgb(0, 0, 0),
+        });
+      }
+      x += text.length * CHAR_WIDTH;
+    }
+  }
+
+  if (row.revised) {
+    page.drawText('*', { x: REVISION_MARK * INCH, y, size: FONT_SIZE, font: fonts.regular, color: rgb(0, 0, 0) });
+  }
+}
+
+const CENTERED_TITLE_FIELDS = ['title', 'credit', 'author', 'authors', 'source'];
+
+/** Title, credit and author a third of the way down; contact details bottom left */
+function titlePageRows(fields: TitlePageField[]): Row[] {
+  const rows: Row[] = Array.from({ length: LINES_PER_PAGE }, () => ({ items: [] }));
+  const center = (INDENTS.action.left + RIGHT_EDGE) / 2;
+
+  let line = 18;
+  for (const field of fields.filter(field => CENTERED_TITLE_FIELDS.includes(field.key.toLowerCase()))) {
+    for (const segments of wrap(field.value, INDENTS.action.width)) {
+      if (line < LINES_PER_PAGE) rows[line++].items.push({ segments, x: center, align: 'center' });
+    }
+    line += field.key.toLowerCase() === 'title' ? 3 : 1;
+  }
+
+  const details = fields
+    .filter(field => !CENTERED_TITLE_FIELDS.includes(field.key.toLowerCase()))
+    .flatMap(field => wrap(field.value, 36));
+  details.forEach((segments, index) => {
+    const row = LINES_PER_PAGE - details.length + index;
+    if (row >= 0) rows[row].items.push({ segments, x: INDENTS.action.left });
+  });
+
+  return rows;
+}
+
+/**
+ * Render a script as a screenplay PDF
+ */
+export async function renderScreenplayPdf(script: FountainDocument, options: ScreenplayPdfOptions = {}): Promise<Uint8Array> {
+  const { numberScenes = true } = options;
+
+  const pdf = await PDFDocument.create();
+  const title = script.titlePage.find(field => field.key.toLowerCase() === 'title')?.value;
+  if (title) pdf.setTitle(printableText(title).replace(/[*_]/g, ''));
+  pdf.setCreator('ScriptForge AI');
+
+  const fonts: Fonts = {
+    regular: await pdf.embedFont(StandardFonts.Courier),
+    bold: await pdf.embedFont(StandardFonts.CourierBold),
+    italic: await pdf.embedFont(StandardFonts.CourierOblique),
+    boldItalic: await pdf.embedFont(StandardFonts.CourierBoldOblique),
+  };
+
+  // The standard fonts only cover Latin-1 and a few more; print anything
+  // else as ?
+  const characterSet = new Set(fonts.regular.getCharacterSet());
+  const printable = (text: string) => [...text]
+    .map(character => (character === '\t' ? ' ' : characterSet.has(character.codePointAt(0)!) ? character : '?'))
+    .join('');
+
+  const addPage = (rows: Row[], pageNumber?: number) => {
+    const page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    rows.forEach((row, line) => drawRow(page, row, line, fonts, printable));
+    if (pageNumber) {
+      const label = `${pageNumber}.`;
+      page.drawText(label, {
+        x: RIGHT_EDGE * INCH - label.length * CHAR_WIDTH,
+        y: PAGE_HEIGHT - INCH / 2 - BASELINE_OFFSET,
+        size: FONT_SIZE,
+        font: fonts.regular,
+        color: rgb(0, 0, 0),
+      });
+    }
+  };
+
+  if (script.titlePage.length > 0) {
+    addPage(titlePageRows(script.titlePage));
+  }
+
+  const pages = paginate(toBlocks(script, numberScenes));
+  // The first page of the script itself carries no number
+  pages.forEach((rows, index) => addPage(rows, index > 0 ? index + 1 : undefined));
+  if (pages.length === 0) addPage([]);
+
+  return pdf.save();
+}
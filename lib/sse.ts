@@ -0,0 +1,70 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * encodeSSE formats one event on the server; readEventStream parses a
+ * fetch() response body on the client. fetch is used instead of EventSource
+ * because the stream endpoints are POST routes with a JSON body.
+ */
+
+/**
+ * Encode one SSE frame
+ */
+export function encodeSSE(event: string, data: any): string {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Read an SSE response body, calling onEvent for every complete frame.
+ * Resolves when the stream ends.
+ */
+export async function readEventStream(
+  response: Response,
+  onEvent: (event: string, data: any) => void
+): Promise<void> {
+  if (!response.body) {
+    throw new Error('Response has no body to stream');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (frame: string) => {
+    let event = 'message';
+    const dataLines: string[] = [];
+
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+
+    if (dataLines.length === 0) return;
+
+    try {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    } catch (error) {
+      console.warn('Failed to parse SSE frame:', error);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { AGENT_DEFINITIONS } from '@/lib/agents/definitions';
+
+// Backends understood by lib/ai-provider.ts
+export const AI_BACKENDS = ['gemini', 'openai-compatible', 'mock'];
+
+// The mock backend returns canned output, so production only offers it when
+// the whole server runs on it (AI_PROVIDER=mock)
+export const isMockBackendAvailable = () =>
+  process.env.NODE_ENV !== 'production' || process.env.AI_PROVIDER === 'mock';
+
+// One agent's backend + model, e.g. { provider: 'openai-compatible', model: 'llama3.1:8b' }
+export const agentModelSelectionSchema = z.object({
+  provider: z.enum(AI_BACKENDS),
+  model: z
+    .string()
+    .trim()
+    .min(1, 'Model name is required')
+    .max(200, 'Model name is too long')
+}).refine(
+  selection => selection.provider !== 'mock' || isMockBackendAvailable(),
+  { message: 'The mock backend is not available in production', path: ['provider'] }
+);
+
+// Per-agent overrides, keyed by agent type - every agent is optional
+export const agentModelsSchema = z.partialRecord(
+  z.enum(Object.keys(AGENT_DEFINITIONS)),
+  agentModelSelectionSchema
+);
@@ -0,0 +1,67 @@
+import { z } from 'zod';
+import { CONDITION_OPERATORS, UNARY_OPERATORS, MAX_LOOP_ITERATIONS } from '@/lib/agents/control-flow';
+
+const scalarSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+const conditionFields = {
+  path: z
+    .string()
+    .trim()
+    .min(1, 'Condition path is required')
+    .max(200, 'Condition path is too long'),
+  where: z
+    .object({
+      field: z.string().trim().min(1, 'Filter field is required').max(100, 'Filter field is too long'),
+      equals: scalarSchema
+    })
+    .optional(),
+  operator: z.enum(CONDITION_OPERATORS),
+  value: scalarSchema.optional(),
+  sourceNodeId: z.string().optional()
+};
+
+const requiresValue = (spec) => UNARY_OPERATORS.includes(spec.operator) || spec.value !== undefined;
+const valueMessage = { message: 'A value is required for this operator', path: ['value'] };
+
+// Test on an upstream result, e.g. { path: 'errors', where: { field: 'severity', equals: 'critical' }, operator: 'gt', value: 0 }
+export const conditionSpecSchema = z.object(conditionFields).refine(requiresValue, valueMessage);
+
+// Bounded validate -> fix cycle; the exit check runs after `until.agentType`
+export const loopSpecSchema = z
+  .object({
+    body: z
+      .array(z.string().trim().min(1))
+      .min(1, 'A loop needs at least one agent')
+      .max(5, 'A loop can run at most 5 agents'),
+    until: z
+      .object({ ...conditionFields, agentType: z.string().trim().min(1, 'Exit check agent is required') })
+      .refine(requiresValue, valueMessage),
+    maxIterations: z
+      .number()
+      .int('Iterations must be a whole number')
+      .min(1, 'At least one iteration is required')
+      .max(MAX_LOOP_ITERATIONS, `At most ${MAX_LOOP_ITERATIONS} iterations are allowed`)
+  })
+  .refine(loop => loop.body.includes(loop.until.agentType), {
+    message: 'The exit check must run after an agent in the loop',
+    path: ['until', 'agentType']
+  });
+
+// Workflow nodes as saved from the canvas - only control nodes are checked
+export const workflowNodesSchema = z.array(
+  z.looseObject({ id: z.string(), type: z.string(), data: z.any() }).superRefine((node, ctx) => {
+    const check = node.type === 'condition'
+      ? conditionSpecSchema.safeParse(node.data?.condition)
+      : node.type === 'loop'
+        ? loopSpecSchema.safeParse(node.data?.loop)
+        : null;
+
+    for (const issue of check?.error?.issues || []) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['data', node.type, ...issue.path],
+        message: `${node.data?.label || node.id}: ${issue.message}`
+      });
+    }
+  })
+);
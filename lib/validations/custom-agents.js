@@ -0,0 +1,74 @@
+import { z } from 'zod';
+import { AGENT_DEFINITIONS } from '@/lib/agents/definitions';
+import { agentModelSelectionSchema } from './agent-models';
+
+// Agent types of user-defined agents, e.g. 'custom-sensitivity-reader'
+export const CUSTOM_AGENT_TYPE_PATTERN = /^custom-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Upstream outputs a custom agent can consume: the manuscript plus every built-in output port
+export const CUSTOM_AGENT_INPUTS = [
+  'manuscript',
+  ...new Set(Object.values(AGENT_DEFINITIONS).flatMap(agent => agent.outputs))
+];
+
+// Turn an agent name into the slug used in its agent type
+export const toCustomAgentSlug = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40) || 'agent';
+
+// Output schemas must be JSON Schema objects that the agent runtime can convert
+const isConvertibleSchema = (schema) => {
+  try {
+    z.fromJSONSchema(schema);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const customAgentOutputSchema = z
+  .record(z.string(), z.any())
+  .refine((schema) => schema.type === 'object', 'Output schema must describe an object (type: "object")')
+  .refine(isConvertibleSchema, 'Output schema is not a valid JSON Schema');
+
+export const customAgentInputSchema = z.union([
+  z.enum(CUSTOM_AGENT_INPUTS),
+  z.string().regex(CUSTOM_AGENT_TYPE_PATTERN, 'Unknown input')
+]);
+
+// Custom agent create payload
+export const customAgentSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'Name is required')
+    .max(80, 'Name is too long'),
+  description: z
+    .string()
+    .trim()
+    .max(500, 'Description is too long')
+    .optional(),
+  systemPrompt: z
+    .string()
+    .trim()
+    .min(1, 'System prompt is required')
+    .max(20000, 'System prompt is too long'),
+  inputs: z
+    .array(customAgentInputSchema)
+    .max(20, 'Too many inputs')
+    .transform((inputs) => [...new Set(inputs)])
+    .optional(),
+  outputSchema: customAgentOutputSchema,
+  model: agentModelSelectionSchema.nullable().optional(),
+  icon: z.string().max(40).optional(),
+  color: z
+    .string()
+    .regex(/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #64748B')
+    .optional()
+});
+
+// Custom agent update payload - every field is optional, the slug never changes
+export const customAgentUpdateSchema = customAgentSchema.partial();
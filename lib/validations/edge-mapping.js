@@ -0,0 +1,22 @@
+import { z } from 'zod';
+
+// What an edge passes from its source agent's result, see lib/agents/edge-mapping.ts
+export const edgeMappingSchema = z.object({
+  fields: z
+    .array(z.string().trim().min(1, 'Field name is required').max(100, 'Field name is too long'))
+    .max(50, 'Too many fields')
+    .optional(),
+  maxItems: z
+    .number()
+    .int('Max items must be a whole number')
+    .min(1, 'Max items must be at least 1')
+    .max(1000, 'Max items is too large')
+    .optional()
+});
+
+// Workflow edges as saved from the canvas - only the mapping is checked
+export const workflowEdgesSchema = z.array(
+  z.looseObject({
+    data: z.looseObject({ mapping: edgeMappingSchema.nullish() }).nullish()
+  })
+);
@@ -0,0 +1,105 @@
+/**
+ * XML - the small reader and writer behind the XML file formats
+ *
+ * Enough XML for the formats exchanged with other tools (GraphML, GEXF,
+ * Final Draft): no DTDs, schemas or namespace handling beyond dropping
+ * prefixes.
+ */
+
+export class XmlSyntaxError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'XmlSyntaxError';
+  }
+}
+
+export function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  text: string;
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity: string) => {
+    switch (entity.toLowerCase()) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default: {
+        const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        // Beyond Unicode or a lone surrogate half: not a character
+        if (codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+          throw new XmlSyntaxError(`Invalid character reference &${entity};`);
+        }
+        return String.fromCodePoint(codePoint);
+      }
+    }
+  });
+}
+
+// Namespace prefixes don't matter for the formats we read
+const localName = (name: string) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Parse a document into its element tree: elements, attributes, text and
+ * CDATA. Comments, processing instructions and doctypes are skipped.
+ */
+export function parseXml(content: string): XmlElement {
+  const root: XmlElement = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack: XmlElement[] = [root];
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = token.exec(content)) !== null) {
+    const [raw, cdata, closing, opening, attributeText, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== localName(closing)) {
+        throw new XmlSyntaxError(`Unexpected closing tag </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const element: XmlElement = { name: localName(opening), attributes: {}, children: [], text: '' };
+      for (const [, name, double, single] of attributeText.matchAll(attribute)) {
+        element.attributes[localName(name)] = decodeEntities(double ?? single ?? '');
+      }
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    } else if (raw === '<') {
+      throw new XmlSyntaxError('Malformed XML');
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new XmlSyntaxError(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+export function find(element: XmlElement, name: string): XmlElement | undefined {
+  return element.children.find(child => child.name === name);
+}
+
+export function findAll(element: XmlElement, name: string): XmlElement[] {
+  return element.children.filter(child => child.name === name);
+}
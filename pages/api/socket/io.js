@@ -1,4 +1,17 @@
 import { Server } from "socket.io";
+import {
+  COMMENT_MAX_LENGTH,
+  addComment,
+  closeRoom,
+  hasApplied,
+  openRoom,
+  receiveOperation,
+  removeComment,
+  undoLastEdit
+} from "@/lib/collab/document-rooms";
+import { isTextOperation } from "@/lib/collab/text-operation";
+import { authenticateSocket, getProjectRole, registerCollabServer } from "@/lib/collab/access";
+import { canComment, canEditScript } from "@/lib/collab/roles";
 
 export const config = {
   api: {
@@ -6,6 +19,13 @@ export const config = {
   },
 };
 
+// Handle a socket's events one at a time, in the order they arrived
+const inOrder = (socket, task) => {
+  socket.data.queue = socket.data.queue.then(task).catch((error) => {
+    console.error("Socket event error:", error);
+  });
+};
+
 const ioHandler = (req, res) => {
   if (!res.socket.server.io) {
     console.log("*First use, starting socket.io*");
@@ -14,31 +34,163 @@ const ioHandler = (req, res) => {
     const io = new Server(httpServer, {
       path: path,
       addTrailingSlash: false,
+      // Same origin only (or the configured app URL): the session cookie is the credential
       cors: {
-          origin: "*",
-          methods: ["GET", "POST"]
+          origin: process.env.NEXTAUTH_URL || false,
+          credentials: true
       }
     });
     res.socket.server.io = io;
+    registerCollabServer(io);
+
+    // Only signed-in users get a connection
+    io.use(async (socket, next) => {
+      try {
+        const user = await authenticateSocket(socket.request);
+        if (!user) return next(new Error("Unauthorized"));
+        socket.data.user = user;
+        socket.data.queue = Promise.resolve();
+        next();
+      } catch (error) {
+        next(new Error("Unauthorized"));
+      }
+    });
+
+    // Send a writer the document as the server has it, and whether their
+    // unacknowledged operation (if they name one) made it in
+    const sendState = async (socket, documentId, role, pendingOperationId = null) => {
+      const room = await openRoom(documentId);
+      socket.emit("document-state", {
+        documentId,
+        content: room.content,
+        revision: room.revision,
+        role,
+        userId: socket.data.user.id,
+        applied: hasApplied(room, pendingOperationId),
+        comments: room.comments
+      });
+    };
+
+    // The sender's current role, leaving the room if they were removed from the project
+    const roleInRoom = async (socket, documentId) => {
+      if (!socket.rooms.has(documentId)) return null;
+      const role = await getProjectRole(documentId, socket.data.user.id);
+      if (!role) {
+        socket.leave(documentId);
+        socket.emit("collab-error", { documentId, error: "You no longer have access to this document", revoked: true });
+      }
+      return role;
+    };
 
     io.on("connection", (socket) => {
-      
-      socket.on("join-document", (documentId, user) => {
+      const { user } = socket.data;
+
+      socket.on("join-document", (documentId, profile, seed = "", pendingOperationId = null) => inOrder(socket, async () => {
+        const role = typeof documentId === "string" ? await getProjectRole(documentId, user.id) : null;
+        if (!role) {
+          socket.emit("collab-error", { documentId, error: "You do not have access to this document" });
+          return;
+        }
+        // Identity comes from the session; only the cursor color is the client's choice
+        socket.data.profile = { id: user.id, name: user.name, image: user.image, color: profile?.color, role };
         socket.join(documentId);
+        // The first writer's text seeds a document nobody has edited live
+        await openRoom(documentId, canEditScript(role) && typeof seed === "string" ? seed : "");
+        await sendState(socket, documentId, role, pendingOperationId);
         // Broadcast presence
-        socket.to(documentId).emit("user-joined", user); // user: { id, name, color }
-      });
+        socket.to(documentId).emit("user-joined", socket.data.profile);
+      }));
+
+      // Text Sync: rebase each operation over the ones its sender had not seen
+      socket.on("send-changes", (data) => inOrder(socket, async () => {
+          // data: { documentId, revision, operation, operationId }
+          const { documentId, revision, operation, operationId } = data || {};
+          const role = await roleInRoom(socket, documentId);
+          if (!role) return;
+          if (!canEditScript(role)) {
+            // Put the sender back on the server's text
+            socket.emit("collab-error", { documentId, error: "Viewers and commenters cannot edit this script" });
+            await sendState(socket, documentId, role);
+            return;
+          }
+          try {
+            const room = await openRoom(documentId);
+            if (!isTextOperation(operation)) throw new Error("Malformed operation");
+            const applied = receiveOperation(room, user.id, revision, operation, typeof operationId === "string" ? operationId : null);
+            socket.emit("ack-changes", { documentId, revision: applied.revision });
+            socket.to(documentId).emit("receive-changes", { documentId, ...applied, senderId: user.id });
+          } catch (error) {
+            // Too far behind (or a malformed edit): start the sender over
+            console.warn("Rejected changes:", error.message);
+            await sendState(socket, documentId, role);
+          }
+      }));
+
+      // Per-writer undo and redo, applied on the server like any other edit
+      for (const direction of ["undo", "redo"]) {
+        socket.on(direction, (data) => inOrder(socket, async () => {
+          // data: { documentId }
+          const documentId = data?.documentId;
+          const role = await roleInRoom(socket, documentId);
+          if (!canEditScript(role)) return;
+          const room = await openRoom(documentId);
+          const applied = undoLastEdit(room, user.id, direction);
+          if (applied) {
+            io.to(documentId).emit("receive-changes", { documentId, ...applied, senderId: user.id });
+          }
+        }));
+      }
+
+      // Comments: everyone but viewers can leave them; authors (and the owner) remove them
+      socket.on("add-comment", (data) => inOrder(socket, async () => {
+          // data: { documentId, line, text }
+          const { documentId, line, text } = data || {};
+          const role = await roleInRoom(socket, documentId);
+          if (!role) return;
+          if (!canComment(role)) {
+            socket.emit("collab-error", { documentId, error: "Viewers cannot comment on this script" });
+            return;
+          }
+          if (typeof text !== "string" || !text.trim() || text.length > COMMENT_MAX_LENGTH || !Number.isFinite(line)) {
+            socket.emit("collab-error", { documentId, error: "That comment could not be posted" });
+            return;
+          }
+          const room = await openRoom(documentId);
+          const comment = addComment(room, user, line, text);
+          io.to(documentId).emit("comment-added", { documentId, comment });
+      }));
+
+      socket.on("remove-comment", (data) => inOrder(socket, async () => {
+          // data: { documentId, commentId }
+          const documentId = data?.documentId;
+          const role = await roleInRoom(socket, documentId);
+          if (!canComment(role)) return;
+          const room = await openRoom(documentId);
+          if (removeComment(room, data.commentId, user.id, role === "owner")) {
+            io.to(documentId).emit("comment-removed", { documentId, commentId: data.commentId });
+          }
+      }));
 
-      // Text Sync (Simple Broadcast)
-      socket.on("send-changes", (data) => {
-          // data: { documentId, lineId, content, patches... }
-          socket.to(data.documentId).emit("receive-changes", data);
-      });
-      
       // Cursor Sync
-      socket.on("cursor-move", (data) => {
-          // data: { documentId, userId, userName, color, line, offset }
-          socket.to(data.documentId).emit("cursor-update", data);
+      socket.on("cursor-move", (data) => inOrder(socket, async () => {
+          // data: { documentId, line, offset }
+          if (!(await roleInRoom(socket, data?.documentId))) return;
+          const { profile } = socket.data;
+          socket.to(data.documentId).emit("cursor-update", {
+            ...data,
+            userId: user.id,
+            userName: user.name,
+            color: profile?.color
+          });
+      }));
+
+      // Save and unload documents whose last writer is leaving
+      socket.on("disconnecting", () => {
+        for (const documentId of socket.rooms) {
+          if (documentId !== socket.id && io.sockets.adapter.rooms.get(documentId)?.size === 1) {
+            closeRoom(documentId);
+          }
+        }
       });
 
       socket.on("disconnect", () => {
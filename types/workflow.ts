@@ -82,7 +82,7 @@ export interface ExecutionResult {
 // ScriptForge Workflow Types
 // ========================================
 
-export type AgentType =
+export type BuiltInAgentType =
   | 'story-intelligence'
   | 'knowledge-graph'
   | 'temporal-reasoning'
@@ -91,6 +91,11 @@ export type AgentType =
   | 'intelligent-recall'
   | 'cinematic-teaser';
 
+/** User-defined agent stored in the CustomAgent collection, e.g. 'custom-sensitivity-reader' */
+export type CustomAgentType = `custom-${string}`;
+
+export type AgentType = BuiltInAgentType | CustomAgentType;
+
 export type FileInputType = 'document' | 'image' | 'video' | 'audio' | 'text';
 
 export interface AgentDefinition {
@@ -104,11 +109,64 @@ export interface AgentDefinition {
   capabilities: string[];
   inputs: string[];
   outputs: string[];
+  /** Default model alias from lib/ai-provider (flash/pro), overridable per workflow or user */
+  model?: 'flash' | 'pro';
+}
+
+/** Provider + model chosen for one agent type */
+export interface AgentModelSelection {
+  provider: 'gemini' | 'openai-compatible' | 'mock';
+  model: string;
+}
+
+export type AgentModelConfig = Partial<Record<AgentType, AgentModelSelection>>;
+
+/** A user-defined agent as executed by lib/agents/custom-agents.ts */
+export interface CustomAgentDefinition {
+  agentType: CustomAgentType;
+  name: string;
+  description?: string;
+  systemPrompt: string;
+  /** Upstream output ports it consumes, e.g. 'knowledge_graph' or another custom agent type */
+  inputs: string[];
+  /** JSON Schema (type: object) the agent's output must match */
+  outputSchema: Record<string, any>;
+  model?: AgentModelSelection;
+  icon?: string;
+  color?: string;
 }
 
+export type ConditionOperator =
+  | 'exists' | 'not-exists'
+  | 'equals' | 'not-equals'
+  | 'gt' | 'gte' | 'lt' | 'lte'
+  | 'contains';
+
+/** A test on an agent result, used by condition nodes and loop exits */
+export interface ConditionSpec {
+  /** Dotted path into the result, e.g. 'continuityScore' or 'errors' */
+  path: string;
+  /** For lists: only count items whose field equals a value, e.g. severity = critical */
+  where?: { field: string; equals: string | number | boolean };
+  operator: ConditionOperator;
+  value?: string | number | boolean;
+  /** Condition nodes: upstream node whose result is tested (default: the first one) */
+  sourceNodeId?: string;
+}
+
+/** A bounded cycle: run `body` in order until `until` holds or `maxIterations` pass */
+export interface LoopSpec {
+  body: AgentType[];
+  /** Checked right after `agentType` runs; when met, the rest of the pass is skipped */
+  until: ConditionSpec & { agentType: AgentType };
+  maxIterations: number;
+}
+
+export type ControlNodeType = 'condition' | 'loop';
+
 export interface ScriptForgeNode {
   id: string;
-  type: 'agent' | 'input' | 'output';
+  type: 'agent' | 'input' | 'output' | ControlNodeType;
   position: { x: number; y: number };
   data: {
     agentType?: AgentType;
@@ -116,21 +174,34 @@ export interface ScriptForgeNode {
     description?: string;
     icon?: string;
     color?: string;
-    status?: 'idle' | 'running' | 'success' | 'error';
+    status?: 'idle' | 'pending' | 'running' | 'success' | 'error' | 'skipped';
     result?: any;
     config?: Record<string, any>;
+    condition?: ConditionSpec;
+    loop?: LoopSpec;
   };
 }
 
+/** What an edge hands its target from the source agent's result */
+export interface EdgeMapping {
+  /** Top-level result fields to pass on, e.g. ['characters', 'plotThreads'] - all when omitted */
+  fields?: string[];
+  /** Keep at most this many items in every array that is passed on */
+  maxItems?: number;
+}
+
 export interface ScriptForgeEdge {
   id: string;
   source: string;
   target: string;
+  /** Set on edges leaving a condition node: the 'true' or 'false' branch */
+  sourceHandle?: string | null;
   label?: string;
   data?: {
     semantic?: string;
     description?: string;
     dataType?: string;
+    mapping?: EdgeMapping;
   };
   type?: 'default' | 'smoothstep' | 'step' | 'straight';
   animated?: boolean;
@@ -165,12 +236,24 @@ export interface WorkflowInput {
 
 export interface WorkflowProgress {
   currentNode?: string;
+  runningNodes?: string[];
   completedNodes: string[];
+  /** Nodes whose result was reused from a checkpoint in the last run */
+  resumedNodes?: string[];
   totalNodes: number;
   errors: Array<{
     nodeId: string;
     error: string;
   }>;
+  /** Last successful run per node, keyed by nodeId */
+  checkpoints?: Record<string, WorkflowCheckpoint>;
+}
+
+export interface WorkflowCheckpoint {
+  agentType: string;
+  inputHash: string;
+  completedAt: string;
+  duration: number;
 }
 
 export interface GenerateWorkflowRequest {